@@ -3,15 +3,33 @@ const EventEmitter = require('events').EventEmitter;
 const util = require('util');
 
 // third-party
-const amqplib = require('amqplib');
-const uuid    = require('uuid');
+const uuid = require('uuid');
 
 // own
-const errors = require('../shared/errors');
+const errors    = require('../shared/errors');
+const constants = require('../shared/constants');
+const topology  = require('../shared/topology');
+const delayQueues = require('../shared/delay-queues');
+const codecs    = require('../shared/codecs');
+const schema    = require('../shared/schema');
+const traceContext = require('../shared/trace-context');
+const metrics   = require('../shared/metrics');
+const stores    = require('../shared/stores');
 
 /**
  * HWorkerClient constructor
  * @param {Object} options
+ *        - reconnect: {Object|false} maxAttempts, minDelay, maxDelay
+ *        - deadLetter: {Boolean}
+ *        - maxPriority: {Number} 1-255, enables job priorities
+ *        - codecs: {Object} map of contentType -> codec
+ *        - contentType: {String} default contentType of requests
+ *        - schema: {Object} JSON schema of the workerFn's payload
+ *        - schemas: {Object} map of taskName -> JSON schema
+ *        - resultBackend: {Object} store the server writes results to
+ *        - cancelStore: {Object} store cancellations are written to,
+ *          shared with the server
+ *        - cancelWindow: {Number} ms cancellations are stored for
  */
 function HWorkerClient(options) {
   EventEmitter.call(this);
@@ -26,9 +44,151 @@ function HWorkerClient(options) {
 
   this.workerExchangeName = this.name + '-exchange';
   this.workerQueueName    = this.name;
+  this.controlExchangeName = this.name + '-control';
+
+  /**
+   * Must match the server's option, as both
+   * declare the worker queue.
+   * 
+   * @type {Boolean}
+   */
+  this.deadLetter = options.deadLetter || false;
+  this.deadLetterExchangeName = this.name + '-dead';
+  this.deadLetterQueueName    = this.name + '-dead';
+
+  /**
+   * Must match the server's option, as both
+   * declare the worker queue.
+   * 
+   * @type {Number}
+   */
+  this.maxPriority = topology.parseMaxPriority(
+    options.maxPriority !== undefined ? options.maxPriority : this.maxPriority);
 
   this.replyTo = options.replyTo || this.name + '-results';
 
+  /**
+   * Codecs for encoding requests and decoding updates,
+   * indexed by contentType.
+   * 
+   * @type {CodecRegistry}
+   */
+  this.codecs = new codecs.CodecRegistry(options.codecs);
+
+  /**
+   * ContentType requests are encoded with,
+   * unless specified when scheduling.
+   * 
+   * @type {String}
+   */
+  this.contentType = options.contentType || this.contentType;
+
+  /**
+   * JSON schemas requests are validated against before being
+   * published. Usually the same ones given to the server.
+   * 
+   * @type {Object}
+   */
+  this.schema  = options.schema || this.schema;
+  this.schemas = Object.assign({}, this.schemas, options.schemas);
+
+  /**
+   * Store results are read from by `getResult`.
+   * Must be shared with the server.
+   * 
+   * @type {Object}
+   */
+  this.resultBackend = options.resultBackend ?
+    stores.assertStore(options.resultBackend, 'resultBackend') : this.resultBackend;
+
+  /**
+   * Store `cancel` writes cancellations to before broadcasting
+   * them, so that servers sharing it skip the cancelled jobs even
+   * if started afterwards. Must be the server's `cancelStore`.
+   * 
+   * @type {Object}
+   */
+  this.cancelStore = options.cancelStore ?
+    stores.assertStore(options.cancelStore, 'cancelStore') : this.cancelStore;
+
+  /**
+   * Time (ms) cancellations are stored for.
+   * Should match the server's option.
+   * 
+   * @type {Number}
+   */
+  this.cancelWindow = options.cancelWindow || this.cancelWindow;
+
+  /**
+   * Reconnection options. Set `reconnect: false` to disable.
+   * Only applies when connected through an URI.
+   * 
+   * @type {Object|false}
+   */
+  this.reconnectOptions = this._parseReconnectOptions(options.reconnect);
+
+  /**
+   * Requests awaiting results through `run`, indexed by requestId.
+   * 
+   * @type {Map}
+   */
+  this._pendingRuns = new Map();
+
+  /**
+   * Publishes awaiting confirmation by the broker.
+   * 
+   * @type {Set}
+   */
+  this._pendingConfirms = new Set();
+
+  /**
+   * Ids of the messages returned by the broker as unroutable.
+   * 
+   * @type {Set}
+   */
+  this._returnedMessages = new Set();
+
+  /**
+   * Delayed jobs that are not due yet, indexed by requestId.
+   * 
+   * @type {Map}
+   */
+  this._delayedJobs = new Map();
+
+  /**
+   * Functions run before each request is published
+   * and upon each incoming update.
+   * See `intercept` and `interceptUpdate`.
+   * 
+   * @type {Array}
+   */
+  this._scheduleInterceptors = [];
+  this._updateInterceptors = [];
+
+  /**
+   * Metrics of the client.
+   * Exposed through `getMetrics`, `toPrometheus` and `listenMetrics`.
+   * 
+   * @type {Registry}
+   */
+  this.metricsRegistry = new metrics.Registry({ worker: this.name });
+
+  this._metrics = {
+    schedules: this.metricsRegistry.counter(
+      'hworker_client_schedules_total', 'Work requests published'),
+    confirms: this.metricsRegistry.counter(
+      'hworker_client_confirms_total', 'Work requests confirmed by the broker, by outcome (ack, nack, returned)', ['outcome']),
+    results: this.metricsRegistry.counter(
+      'hworker_client_results_received_total', 'Results received, by type (success, error, cancelled)', ['type']),
+  };
+
+  // neither publishes nor runs can be
+  // awaited across disconnections
+  this.on('disconnected', () => {
+    this._rejectPendingConfirms(new errors.NotConnected('disconnected'));
+    this._rejectPendingRuns(new errors.NotConnected('disconnected'));
+  });
+
   // bind methods to the instance
   this.handleUpdateMessage = this.handleUpdateMessage.bind(this);
 }
@@ -45,123 +205,787 @@ HWorkerClient.prototype.errors = errors;
 HWorkerClient.errors = errors;
 
 /**
- * Connects to the rabbitMQURI specified upon instantiation
- * creates a channel and sets up required topology
- * for the worker.
- *
- * If given a String, will assume it is an amqp URI and use
- * amqplib.connect(uri) method to create a connection.
- *
- * If given a non-String, will assume it is an amqplib connection
- * and use it straightforward.
+ * Built-in stores for results: MemoryStore (LRU) and FileStore
+ * 
+ * @type {Object}
+ */
+HWorkerClient.stores = stores;
+
+/**
+ * Default contentType of requests.
  *
- * @param {String|Connection} connectionOrURI
- * @return {Promise -> self}
+ * @default 'application/json'
+ * @type {String}
  */
-HWorkerClient.prototype.connect = function (connectionOrURI) {
+HWorkerClient.prototype.contentType = 'application/json';
 
-  if (!connectionOrURI) {
-    return Promise.reject(new errors.InvalidOption('connectionOrURI', 'required'));
-  }
+/**
+ * Time (ms) cancellations are stored for.
+ *
+ * @default 24h
+ * @type {Number}
+ */
+HWorkerClient.prototype.cancelWindow = 24 * 3600 * 1000;
 
-  var workerExchangeName = this.workerExchangeName;
-  var workerQueueName    = this.workerQueueName;
-  var replyTo            = this.replyTo;
+/**
+ * Creates a confirm channel and sets up required topology
+ * for the worker.
+ *
+ * Called upon `connect` and upon each reconnection.
+ * 
+ * @param  {Connection} connection
+ * @return {Promise -> Channel}
+ */
+HWorkerClient.prototype._setupChannel = function (connection) {
 
   var _channel;
 
-  // check the type of the connection and act accordingly
-  var connectionPromise = (typeof connectionOrURI === 'string') ?
-    Promise.resolve(amqplib.connect(connectionOrURI)) :
-    Promise.resolve(connectionOrURI);
-
-  // wait for connection to be ready
-  return connectionPromise.then((connection) => {
-
-    this.connection = connection;
-
-    return connection.createConfirmChannel();
-  })
+  return Promise.resolve(connection.createConfirmChannel())
   .then((channel) => {
     _channel = channel;
 
-    return Promise.all([
-      /**
-       * Queue at which execution requests will be stored.
-       */
-      channel.assertQueue(workerQueueName),
-      /**
-       * Queue at which the updates will be stored.
-       */
-      channel.assertQueue(replyTo),
-      /**
-       * Exchange for both queues.
-       */
-      channel.assertExchange(workerExchangeName, 'direct'),
-      /**
-       * Bind the workerQueue to the exchange using
-       * the workerQueueName itself as the routingKey
-       */
-      channel.bindQueue(workerQueueName, workerExchangeName, workerQueueName),
-    ]);
+    this._propagateChannelErrors(channel);
+    channel.on('return', this._handleReturnedMessage.bind(this));
+
+    // the worker queue goes first: a mismatch closes the channel
+    // and any other pending assertion would hide the error
+    return topology.assertWorker(channel, this);
   })
   .then(() => {
-    this.channel = _channel;
-    
-    // propagate events
-    function propagateChannelEvents(eventName, e) {
-      this.emit('channel-' + eventName, e);
-    }
-    this.channel.on('close', propagateChannelEvents.bind(this, 'close'));
-    this.channel.on('error', propagateChannelEvents.bind(this, 'error'));
-
-    // consume from the updates queue
-    return this.channel.consume(replyTo, this.handleUpdateMessage, {
-      /**
-       * Do not require ack, as the messages
-       * will not trigger actions from the server.
-       * @type {Boolean}
-       */
-      noAck: true,
-    });
+    /**
+     * Queue at which the updates will be stored.
+     */
+    return _channel.assertQueue(this.replyTo);
   })
   .then(() => {
-    return this;
+    return _channel;
+  });
+};
+
+/**
+ * Starts consuming from the updates queue.
+ * 
+ * @return {Promise}
+ */
+HWorkerClient.prototype._consume = function () {
+  return this.channel.consume(this.replyTo, this.handleUpdateMessage, {
+    /**
+     * Do not require ack, as the messages
+     * will not trigger actions from the server.
+     * @type {Boolean}
+     */
+    noAck: true,
   });
+};
 
+/**
+ * Adds an interceptor to run before each request is published.
+ *
+ * Interceptors are called synchronously, in the order they were added,
+ * with the client as `this` and a request object:
+ *   - taskName
+ *   - requestId (read-only)
+ *   - data: may be mutated or replaced
+ *   - options: AMQP publish options, e.g. `headers`, `priority`,
+ *              `expiration` or `contentType`. Options that are
+ *              essential to the protocol (messageId, replyTo, type)
+ *              cannot be overridden.
+ *
+ * An interceptor vetoes the request by throwing,
+ * in which case `schedule` rejects with the error.
+ * 
+ * @param  {Function} fn
+ * @return {HWorkerClient}
+ */
+HWorkerClient.prototype.intercept = function (fn) {
+  if (typeof fn !== 'function') {
+    throw new errors.InvalidOption('interceptor', 'invalid');
+  }
+
+  this._scheduleInterceptors.push(fn);
+
+  return this;
 };
 
-HWorkerClient.prototype.schedule = function (data) {
+/**
+ * Adds an interceptor to run upon each incoming update,
+ * before it is emitted.
+ *
+ * Interceptors are called synchronously, in the order they were added,
+ * with the client as `this` and an update object:
+ *   - type: e.g. 'result:success', 'progress'
+ *   - requestId
+ *   - payload: the decoded payload, may be mutated or replaced
+ *   - properties: the message's properties
+ *
+ * Returning `false` drops the update: it is neither emitted
+ * nor settles a pending `run`. If an interceptor throws, the error
+ * is emitted as `interceptor-error` and the update is handled
+ * as received.
+ * 
+ * @param  {Function} fn
+ * @return {HWorkerClient}
+ */
+HWorkerClient.prototype.interceptUpdate = function (fn) {
+  if (typeof fn !== 'function') {
+    throw new errors.InvalidOption('interceptor', 'invalid');
+  }
+
+  this._updateInterceptors.push(fn);
+
+  return this;
+};
+
+/**
+ * Rehydrates an error received in a `result:error` update
+ * into an instance of the error class registered under its name.
+ * See `errors.register`.
+ * 
+ * @param  {Object} errData
+ * @return {Error}
+ */
+function _rehydrateError(errData) {
+  return errors.deserialize(errData);
+}
+
+/**
+ * Schedules a job execution.
+ *
+ * Resolves once the broker has confirmed the request.
+ * Rejects with `ValidationFailed` if the data does not match
+ * the schema configured for the task, and with whatever error
+ * a schedule interceptor throws to veto it.
+ *
+ * @param  {*} data
+ * @param  {Object} options
+ *         - task: {String} name of the task to be executed by the worker.
+ *                 Jobs that do not name a task are handled by its workerFn.
+ *         - requestId: defaults to a random uuid
+ *         - contentType: defaults to the client's contentType
+ *         - priority: {Number} higher priority jobs are delivered first,
+ *                     requires the worker queue to have a `maxPriority`
+ *         - delay: {Number} ms to wait before the job is delivered to the worker
+ *         - runAt: {Date|Number} time at which the job should be delivered
+ *                  to the worker. Delays are rounded up to a granularity of
+ *                  up to a minute (or ten minutes beyond a day), and the job
+ *                  is dead-lettered on time unless held behind a job of the
+ *                  same granularity bucket. Delayed jobs are published with
+ *                  an `expiration` that cannot be overridden.
+ *         - trace: {Object} W3C trace context headers (`traceparent`,
+ *                  `tracestate`) of the scheduling span, e.g. the
+ *                  headers of an incoming HTTP request. A new trace
+ *                  is started if absent or invalid.
+ * @return {Promise -> requestId}
+ */
+HWorkerClient.prototype.schedule = function (data, options) {
   if (!this.channel) {
     throw new errors.NotConnected('not connected');
   }
 
-  var requestId = uuid.v4();
+  options = options || {};
+
+  var requestId = options.requestId || uuid.v4();
+  var trace = traceContext.extract(options.trace) || traceContext.generate();
+
+  var request = {
+    taskName: options.task,
+    requestId: requestId,
+    data: data || {},
+    options: {
+      contentType: options.contentType || this.contentType,
+      headers: traceContext.inject({}, trace),
+    },
+  };
+
+  var delay = _parseDelay(options);
+  var priority = topology.parsePriority(options.priority);
+
+  if (priority !== undefined) {
+    request.options.priority = priority;
+  }
+
+  // interceptors may mutate the request or throw to veto it
+  try {
+    this._scheduleInterceptors.forEach((interceptor) => {
+      interceptor.call(this, request);
+    });
+  } catch (err) {
+    return Promise.reject(err);
+  }
+
+  var headers = Object.assign({}, request.options.headers);
+
+  if (request.taskName) {
+    headers[constants.TASK_NAME_HEADER] = request.taskName;
+  }
+
+  var contentType = request.options.contentType;
+  var codec = this.codecs.get(contentType);
+
+  if (!codec) {
+    throw new errors.UnsupportedContentType(contentType);
+  }
+
+  var payloadSchema = this._getSchema(request.taskName);
+
+  if (payloadSchema !== undefined) {
+    try {
+      schema.assertValid(payloadSchema, request.data);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+  }
 
-  data = data || {};
-  data = JSON.stringify(data);
-  data = new Buffer(data);
+  var content = codec.encode(request.data);
 
-  var published = this.channel.publish(this.workerExchangeName, this.workerQueueName, data, {
+  var publishOptions = Object.assign({
     persistent: true,
+    timestamp: Date.now(),
+  }, request.options, {
     mandatory: true,
-    contentType: 'application/json',
-    contentEncoding: 'utf8',
+    contentType: contentType,
+    contentEncoding: codec.contentEncoding,
     replyTo: this.replyTo,
     messageId: requestId,
-    timestamp: Date.now(),
-    type: 'work-request',
+    type: constants.WORK_REQUEST_TYPE,
     appId: this.appId,
+    headers: headers,
+  });
+
+  this._metrics.schedules.inc();
+
+  if (!delay) {
+    return this._publish(this.workerExchangeName, this.workerQueueName, content, publishOptions)
+    .then(() => {
+      return requestId;
+    });
+  }
+
+  /**
+   * Delayed jobs are published to their scheduled queue
+   * through the default exchange and dead-lettered into
+   * the worker's exchange once expired.
+   */
+  var ttl = delayQueues.scheduledTtl(delay);
+  var queueName = delayQueues.scheduledQueueName(this.name, ttl);
+
+  publishOptions.expiration = String(delay);
+
+  this._trackDelayed(requestId, queueName, ttl);
+
+  // the queue is asserted upon every schedule,
+  // as that keeps it from expiring
+  return Promise.resolve(delayQueues.assertScheduled(this.channel, this, ttl))
+  .then(() => {
+    return this._publish('', queueName, content, publishOptions);
+  })
+  .then(() => {
+    return requestId;
+  }, (err) => {
+    this._untrackDelayed(requestId);
+    throw err;
+  });
+};
+
+/**
+ * Reads the delay (ms) from the `delay` or `runAt` schedule options.
+ * 
+ * @param  {Object} options
+ * @return {Number} 0 if the job should not be delayed
+ */
+function _parseDelay(options) {
+  var delay;
+
+  if (options.runAt !== undefined) {
+    var runAt = options.runAt instanceof Date ? options.runAt.getTime() : options.runAt;
+
+    if (typeof runAt !== 'number' || isNaN(runAt)) {
+      throw new errors.InvalidOption('runAt', 'invalid');
+    }
+
+    delay = runAt - Date.now();
+  } else if (options.delay !== undefined) {
+    delay = options.delay;
+
+    if (typeof delay !== 'number' || isNaN(delay) || delay < 0) {
+      throw new errors.InvalidOption('delay', 'invalid');
+    }
+  } else {
+    return 0;
+  }
+
+  if (delay > delayQueues.MAX_SCHEDULED_DELAY) {
+    throw new errors.InvalidOption(options.runAt !== undefined ? 'runAt' : 'delay', 'invalid');
+  }
+
+  return delay > 0 ? Math.ceil(delay) : 0;
+}
+
+/**
+ * Keeps track of the scheduled queue a delayed job was published to,
+ * until it is due, so that it can be cancelled.
+ * 
+ * @param  {String} requestId
+ * @param  {String} queueName
+ * @param  {Number} ttl
+ */
+HWorkerClient.prototype._trackDelayed = function (requestId, queueName, ttl) {
+
+  this._untrackDelayed(requestId);
+
+  var timer = setTimeout(() => {
+    this._delayedJobs.delete(requestId);
+  }, ttl);
+
+  // do not hold the process open
+  if (timer.unref) {
+    timer.unref();
+  }
+
+  this._delayedJobs.set(requestId, {
+    queueName: queueName,
+    timer: timer,
   });
+};
 
-  // TBD: handle cases when published is false
-  // http://www.squaremobius.net/amqp.node/channel_api.html#channel_publish
+HWorkerClient.prototype._untrackDelayed = function (requestId) {
+  var delayed = this._delayedJobs.get(requestId);
 
-  return Promise.resolve(requestId);
+  if (delayed) {
+    clearTimeout(delayed.timer);
+    this._delayedJobs.delete(requestId);
+  }
+};
+
+/**
+ * Cancels a delayed job before it is delivered to the worker.
+ *
+ * Only jobs scheduled by this client instance can be cancelled, as AMQP
+ * provides no way of finding which scheduled queue holds a given job.
+ * The scheduled queue is searched through a dedicated channel: jobs that
+ * are not the cancelled one are returned to it once the channel closes.
+ * Errors of that channel other than the expected 404 (the scheduled
+ * queue has expired) are emitted as `channel-error`.
+ * 
+ * @param  {String} requestId
+ * @return {Promise -> Boolean} whether the job was found and cancelled.
+ *                              False if it is unknown or already due.
+ */
+HWorkerClient.prototype.cancelDelayed = function (requestId) {
+
+  var delayed = this._delayedJobs.get(requestId);
+
+  if (!delayed) {
+    return Promise.resolve(false);
+  }
+
+  if (!this.connection) {
+    return Promise.reject(new errors.NotConnected('not connected'));
+  }
+
+  return Promise.resolve(this.connection.createChannel())
+  .then((channel) => {
+
+    // rabbitMQ closes the channel upon operations on missing queues
+    channel.on('error', (err) => {
+      if (errors.replyCode(err) !== 404) {
+        this.emit('channel-error', err);
+      }
+    });
+
+    var findNext = () => {
+      return Promise.resolve(channel.get(delayed.queueName, { noAck: false }))
+        .then((message) => {
+          if (!message) {
+            return false;
+          }
+
+          if (message.properties.messageId === requestId) {
+            channel.ack(message, false);
+            return true;
+          }
+
+          return findNext();
+        });
+    };
+
+    var close = () => {
+      return Promise.resolve(channel.close()).catch(() => {});
+    };
+
+    return findNext()
+      .catch((err) => {
+        // the scheduled queue has expired (404),
+        // thus the job is already due
+        if (errors.replyCode(err) === 404) {
+          return false;
+        }
+
+        throw err;
+      })
+      .then((cancelled) => {
+        return close().then(() => {
+          if (cancelled) {
+            this._untrackDelayed(requestId);
+          }
+
+          return cancelled;
+        });
+      }, (err) => {
+        return close().then(() => {
+          throw err;
+        });
+      });
+  });
+};
+
+/**
+ * Cancels the job of the given request, whether still queued or running.
+ *
+ * The cancellation is broadcast through the worker's control exchange
+ * to every server replica. A running job has its signal aborted with
+ * a `JobCancelled` error, a queued one is skipped upon delivery. Either
+ * way the server responds with a `result:cancelled` update and a
+ * pending `run` rejects with `JobCancelled`.
+ *
+ * Servers remember cancellations for their `cancelWindow` only, thus
+ * delayed jobs due later than that should be cancelled with `cancelDelayed`.
+ * Requests already responded are not affected.
+ *
+ * Rejects with `Unroutable` if no server is bound to the control
+ * exchange. Given a `cancelStore`, the cancellation is written to it
+ * first, thus still applies to jobs delivered to servers started later.
+ * 
+ * @param  {String} requestId
+ * @return {Promise} resolves once the broker confirms the cancellation
+ */
+HWorkerClient.prototype.cancel = function (requestId) {
+
+  if (!requestId) {
+    return Promise.reject(new errors.InvalidOption('requestId', 'required'));
+  }
+
+  var channel = this.channel;
+
+  if (!channel) {
+    return Promise.reject(new errors.NotConnected('not connected'));
+  }
+
+  return topology.assertControl(channel, this)
+    .then(() => {
+      if (this.cancelStore) {
+        return this.cancelStore.set(stores.cancellationKey(this.name, requestId), {
+          cancelledAt: Date.now(),
+        }, this.cancelWindow);
+      }
+    })
+    .then(() => {
+      return this._publish(
+        this.controlExchangeName,
+        '',
+        Buffer.from(JSON.stringify({ requestId: requestId })),
+        {
+          contentType: 'application/json',
+          type: 'cancel',
+          messageId: uuid.v4(),
+          // fails if no server is bound to the control exchange
+          mandatory: true,
+        }
+      );
+    });
+};
+
+/**
+ * Retrieves the schema requests for the task should match, if any.
+ * Requests without a task name are matched against `schema`.
+ * 
+ * @param  {String} taskName
+ * @return {Object|undefined}
+ */
+HWorkerClient.prototype._getSchema = function (taskName) {
+  if (!taskName) {
+    return this.schema;
+  }
+
+  return Object.prototype.hasOwnProperty.call(this.schemas, taskName) ?
+    this.schemas[taskName] : undefined;
+};
+
+/**
+ * Publishes a message and waits for the broker to confirm it.
+ *
+ * If the channel's write buffer is full (publish returns false),
+ * subsequent publishes wait for the channel's `drain` event.
+ *
+ * Rejects with `Unroutable` if the broker returns a mandatory message
+ * and with `PublishNacked` if the broker nacks it.
+ *
+ * http://www.squaremobius.net/amqp.node/channel_api.html#channel_publish
+ * 
+ * @param  {String} exchange
+ * @param  {String} routingKey
+ * @param  {Buffer} content
+ * @param  {Object} options must have a messageId
+ * @return {Promise}
+ */
+HWorkerClient.prototype._publish = function (exchange, routingKey, content, options) {
+
+  if (this._drainPromise) {
+    return this._drainPromise.then(() => {
+      return this._publish(exchange, routingKey, content, options);
+    });
+  }
+
+  var channel = this.channel;
+  var messageId = options.messageId;
+
+  if (!channel) {
+    return Promise.reject(new errors.NotConnected('not connected'));
+  }
+
+  return new Promise((resolve, reject) => {
+
+    var pending = {
+      reject: reject,
+    };
+
+    // amqplib does not call confirm callbacks
+    // of channels that are closed
+    this._pendingConfirms.add(pending);
+
+    var published = channel.publish(exchange, routingKey, content, options, (err) => {
+      this._pendingConfirms.delete(pending);
+
+      // returned messages are confirmed as well
+      // (after being returned)
+      if (this._returnedMessages.has(messageId)) {
+        this._returnedMessages.delete(messageId);
+        this._metrics.confirms.inc({ outcome: 'returned' });
+        reject(new errors.Unroutable(messageId));
+      } else if (err) {
+        this._metrics.confirms.inc({ outcome: 'nack' });
+        reject(new errors.PublishNacked(messageId));
+      } else {
+        this._metrics.confirms.inc({ outcome: 'ack' });
+        resolve();
+      }
+    });
+
+    if (!published && !this._drainPromise) {
+      this._drainPromise = new Promise((resolve) => {
+        channel.once('drain', resolve);
+        channel.once('close', resolve);
+      })
+      .then(() => {
+        this._drainPromise = undefined;
+      });
+    }
+  });
+};
+
+/**
+ * Handles mandatory messages returned by the broker
+ * for not being routable to any queue.
+ * 
+ * @param  {Object} message
+ */
+HWorkerClient.prototype._handleReturnedMessage = function (message) {
+  if (message && message.properties && message.properties.messageId) {
+    this._returnedMessages.add(message.properties.messageId);
+  }
+};
+
+/**
+ * Rejects all publishes awaiting confirmation.
+ * 
+ * @param  {Error} err
+ */
+HWorkerClient.prototype._rejectPendingConfirms = function (err) {
+  this._pendingConfirms.forEach((pending) => {
+    pending.reject(err);
+  });
+
+  this._pendingConfirms.clear();
+};
+
+/**
+ * Schedules a job execution and waits for its result.
+ *
+ * Unlike `schedule`, keeps track of the request until its
+ * result arrives: resolves with the `result:success` payload and
+ * rejects with the `result:error` payload rehydrated as an Error.
+ *
+ * Takes the same arguments as `schedule`.
+ * 
+ * @param  {*} data
+ * @param  {Object} options
+ *         - timeout: ms to wait for the result before rejecting
+ *                    with a `Timeout` error
+ * @return {Promise -> result}
+ */
+HWorkerClient.prototype.run = function (data, options) {
+
+  options = options || {};
+
+  var timeout = options.timeout;
+
+  var requestId = options.requestId || uuid.v4();
+  var scheduleOptions = Object.assign({}, options, { requestId: requestId });
+
+  return new Promise((resolve, reject) => {
+
+    var pending = {
+      resolve: resolve,
+      reject: reject,
+    };
+
+    if (timeout) {
+      pending.timer = setTimeout(() => {
+        this._pendingRuns.delete(requestId);
+        reject(new errors.Timeout(timeout));
+      }, timeout);
+    }
+
+    // register before scheduling, as the result
+    // might arrive before `schedule` resolves
+    this._pendingRuns.set(requestId, pending);
+
+    Promise.resolve()
+      .then(() => {
+        return this.schedule(data, scheduleOptions);
+      })
+      .catch((err) => {
+        this._settleRun(requestId, err);
+      });
+  });
+};
+
+/**
+ * Fetches the outcome of a job from the result backend,
+ * e.g. one whose `result:success` update was missed while offline.
+ *
+ * Resolves with an object:
+ *   - status: 'pending', 'succeeded', 'failed' or 'cancelled'
+ *   - payload: the result or the serialized error
+ *   - error: the error rehydrated, if failed or cancelled
+ *   - completedAt: ms
+ *
+ * Requests the backend knows nothing about are reported as pending,
+ * as their jobs may not have been responded yet. Results expire
+ * after the server's `resultTtl`.
+ * 
+ * @param  {String} requestId
+ * @return {Promise -> Object}
+ */
+HWorkerClient.prototype.getResult = function (requestId) {
+
+  if (!this.resultBackend) {
+    return Promise.reject(new errors.InvalidOption('resultBackend', 'required'));
+  }
+
+  if (!requestId) {
+    return Promise.reject(new errors.InvalidOption('requestId', 'required'));
+  }
+
+  return Promise.resolve(this.resultBackend.get(requestId)).then((record) => {
+    if (!record) {
+      return { status: 'pending' };
+    }
+
+    var result = {
+      status: record.status,
+      payload: record.payload,
+      completedAt: record.completedAt,
+    };
+
+    if (record.status === 'failed' || record.status === 'cancelled') {
+      result.error = _rehydrateError(record.payload);
+    }
+
+    return result;
+  });
+};
+
+/**
+ * Settles the pending `run` for the given request, if any.
+ * 
+ * @param  {String} requestId
+ * @param  {Error} err
+ * @param  {*} result
+ */
+HWorkerClient.prototype._settleRun = function (requestId, err, result) {
+
+  var pending = this._pendingRuns.get(requestId);
+
+  if (!pending) {
+    return;
+  }
+
+  this._pendingRuns.delete(requestId);
+  clearTimeout(pending.timer);
+
+  if (err) {
+    pending.reject(err);
+  } else {
+    pending.resolve(result);
+  }
+};
+
+/**
+ * Rejects all pending `run` calls.
+ * Called upon disconnection, as their results
+ * can no longer be awaited.
+ * 
+ * @param  {Error} err
+ */
+HWorkerClient.prototype._rejectPendingRuns = function (err) {
+  var requestIds = Array.from(this._pendingRuns.keys());
+
+  requestIds.forEach((requestId) => {
+    this._settleRun(requestId, err);
+  });
+};
+
+/**
+ * Closes the client.
+ * Waits for the broker to confirm pending publishes and then
+ * closes the channel and, if the client owns it, the connection.
+ * 
+ * @return {Promise}
+ */
+HWorkerClient.prototype.close = function () {
+
+  var channel = this.channel;
+
+  // prevent reconnection while waiting for confirms
+  this._closing = true;
+
+  var confirmsPromise = channel ?
+    Promise.resolve(channel.waitForConfirms()) :
+    Promise.resolve();
+
+  this._rejectPendingRuns(new errors.NotConnected('closed'));
+
+  var disconnect = () => {
+    return this._disconnect().then(() => {
+      this._rejectPendingConfirms(new errors.NotConnected('closed'));
+    });
+  };
+
+  return confirmsPromise.then(disconnect, (err) => {
+    return disconnect().then(() => {
+      throw err;
+    });
+  });
 };
 
 /**
  * Handles messages incoming from the rabbitMQ server
+ *
+ * Payloads are decoded by the codec registered for their content type.
+ * Payloads without a matching codec are passed on as Buffers.
+ * Malformed payloads are emitted as `update-error` and, if the update
+ * is a result, reject the pending `run`.
  * 
  * @param  {Object} message
  *         - properties
@@ -176,18 +1000,75 @@ HWorkerClient.prototype.handleUpdateMessage = function (message) {
   var requestId = message.properties.correlationId;
   var payload;
 
-  if (message.properties.contentType === 'application/json') {
-    payload = JSON.parse(message.content.toString());
-  } else {
-    payload = message.content;
+  try {
+    payload = this.codecs.decode(message.properties.contentType, message.content);
+  } catch (err) {
+    if (err instanceof errors.UnsupportedContentType) {
+      // no codec for the content type: hand over the raw content
+      payload = message.content;
+    } else {
+      this.emit('update-error', err, message);
+
+      if (/^result:/.test(message.properties.type)) {
+        this._settleRun(requestId, err);
+      }
+
+      return;
+    }
+  }
+
+  var makeUpdate = () => {
+    return {
+      type: message.properties.type,
+      requestId: requestId,
+      payload: payload,
+      properties: message.properties,
+    };
+  };
+
+  var update = makeUpdate();
+  var dropped;
+
+  try {
+    dropped = this._updateInterceptors.some((interceptor) => {
+      return interceptor.call(this, update) === false;
+    });
+  } catch (err) {
+    this.emit('interceptor-error', err, update);
+
+    // handle the update as received
+    update = makeUpdate();
+    dropped = false;
   }
 
-  switch (message.properties.type) {
+  if (dropped) {
+    return;
+  }
+
+  requestId = update.requestId;
+  payload = update.payload;
+
+  switch (update.type) {
     case 'result:success':
+      this._metrics.results.inc({ type: 'success' });
       this.emit('result:success', requestId, payload);
+      this._settleRun(requestId, null, payload);
       break;
     case 'result:error':
+      this._metrics.results.inc({ type: 'error' });
       this.emit('result:error', requestId, payload);
+      this._settleRun(requestId, _rehydrateError(payload));
+      break;
+    case 'result:cancelled':
+      this._metrics.results.inc({ type: 'cancelled' });
+      this.emit('result:cancelled', requestId, payload);
+      this._settleRun(requestId, _rehydrateError(payload));
+      break;
+    case 'retry:scheduled':
+      this.emit('retry:scheduled', requestId, payload);
+      break;
+    case 'progress':
+      this.emit('progress', requestId, payload);
       break;
     case 'log:info':
       this.emit('log:info', requestId, payload);
@@ -204,4 +1085,11 @@ HWorkerClient.prototype.handleUpdateMessage = function (message) {
   }
 };
 
+/**
+ * Assign connection and dead-letter methods to the HWorkerClient's prototype
+ */
+Object.assign(HWorkerClient.prototype, require('../shared/connection'));
+Object.assign(HWorkerClient.prototype, require('../shared/dead-letters'));
+Object.assign(HWorkerClient.prototype, require('../shared/instrumentation'));
+
 module.exports = HWorkerClient;
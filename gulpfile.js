@@ -4,7 +4,7 @@ const istanbul = require('gulp-istanbul');
 const mocha    = require('gulp-mocha');
 
 gulp.task('pre-test', function () {
-  return gulp.src(['server/**/*.js', 'shared/**/*.js', 'client/**/*.js'])
+  return gulp.src(['server/**/*.js', 'shared/**/*.js', 'client/**/*.js', 'scheduler/**/*.js'])
     // Covering files
     .pipe(istanbul())
     // Force `require` to return covered files
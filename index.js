@@ -1,2 +1,3 @@
 exports.Client = require('./client');
 exports.Server = require('./server');
+exports.Scheduler = require('./scheduler');
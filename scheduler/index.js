@@ -0,0 +1,532 @@
+// native
+const EventEmitter = require('events').EventEmitter;
+const util = require('util');
+
+// own
+const errors = require('../shared/errors');
+const cron   = require('../shared/cron');
+const stores = require('./stores');
+
+/**
+ * Longest delay supported by setTimeout.
+ * Ticks further away are waited for in steps.
+ * 
+ * @type {Number}
+ */
+const MAX_TIMER_DELAY = Math.pow(2, 31) - 1;
+
+const CATCH_UP_POLICIES = ['none', 'last', 'all'];
+
+function _parseCatchUp(catchUp, option) {
+  if (CATCH_UP_POLICIES.indexOf(catchUp) === -1) {
+    throw new errors.InvalidOption(option, 'invalid');
+  }
+
+  return catchUp;
+}
+
+/**
+ * HWorkerScheduler constructor
+ *
+ * Schedules jobs through an HWorkerClient according to cron expressions.
+ *
+ * Many replicas of the scheduler may run at once: only the one that holds
+ * the leader queue (an exclusive queue, owned by its connection) schedules
+ * jobs. The others keep trying to take it over, which they manage to as
+ * soon as the leader's connection closes.
+ *
+ * @param {HWorkerClient} client
+ * @param {Object} options
+ *        - name: {String} defaults to `<client.name>-scheduler`
+ *        - catchUp: {String} policy for ticks missed while no replica
+ *                   was the leader (e.g. all were down) or that are
+ *                   late by more than `misfireThreshold`:
+ *                   - 'none': skip them
+ *                   - 'last': schedule only the latest one (default)
+ *                   - 'all': schedule each of them, up to `maxCatchUp`
+ *        - maxCatchUp: {Number} defaults to 100
+ *        - misfireThreshold: {Number} ms after which a tick is deemed missed,
+ *                            defaults to 60000
+ *        - leaderRetryInterval: {Number} ms between attempts to become
+ *                               the leader, defaults to 5000
+ *        - store: {Object} store for the last tick of each job,
+ *                 defaults to a durable queue (see ./stores.js)
+ */
+function HWorkerScheduler(client, options) {
+  EventEmitter.call(this);
+
+  if (!client) {
+    throw new errors.InvalidOption('client', 'required');
+  }
+
+  options = options || {};
+
+  this.client = client;
+
+  this.name = options.name || this.name || client.name + '-scheduler';
+  this.leaderQueueName = this.name + '-leader';
+  this.stateQueueName  = this.name + '-state';
+
+  this.catchUp = _parseCatchUp(options.catchUp || this.catchUp, 'catchUp');
+  this.maxCatchUp = options.maxCatchUp || this.maxCatchUp;
+  this.misfireThreshold = options.misfireThreshold || this.misfireThreshold;
+  this.leaderRetryInterval = options.leaderRetryInterval || this.leaderRetryInterval;
+
+  /**
+   * Store for the last tick of each job.
+   * 
+   * @type {Object}
+   */
+  this.store = options.store || new stores.QueueStore(client, this.stateQueueName);
+
+  /**
+   * Jobs indexed by name.
+   * 
+   * @type {Object}
+   */
+  this.jobs = {};
+
+  /**
+   * Whether this replica currently schedules jobs.
+   * 
+   * @type {Boolean}
+   */
+  this.isLeader = false;
+
+  this._running = false;
+
+  /**
+   * Last tick (ms) of each job, as loaded from
+   * and saved to the store.
+   * 
+   * @type {Object}
+   */
+  this._state = {};
+}
+
+util.inherits(HWorkerScheduler, EventEmitter);
+
+HWorkerScheduler.prototype.errors = errors;
+HWorkerScheduler.errors = errors;
+
+HWorkerScheduler.prototype.catchUp = 'last';
+HWorkerScheduler.prototype.maxCatchUp = 100;
+HWorkerScheduler.prototype.misfireThreshold = 60000;
+HWorkerScheduler.prototype.leaderRetryInterval = 5000;
+
+/**
+ * Adds a recurring job.
+ * 
+ * @param {String} jobName
+ * @param {String} expression cron expression
+ * @param {Object} options
+ *        - taskName: {String} task to be scheduled
+ *        - data: {*|Function} payload of the jobs, or a function
+ *                that receives the tick (Date) and returns it
+ *        - timezone: {String} IANA timezone the expression is evaluated in
+ *        - catchUp: {String} overrides the scheduler's policy
+ *        - scheduleOptions: {Object} passed on to `client.schedule`
+ *                           (e.g. priority)
+ * @return {HWorkerScheduler}
+ */
+HWorkerScheduler.prototype.add = function (jobName, expression, options) {
+
+  if (!jobName || typeof jobName !== 'string') {
+    throw new errors.InvalidOption('jobName', 'required');
+  }
+
+  options = options || {};
+
+  this.remove(jobName);
+
+  var job = {
+    name: jobName,
+    cron: cron.parse(expression, { timezone: options.timezone }),
+    taskName: options.taskName,
+    data: options.data,
+    catchUp: options.catchUp ? _parseCatchUp(options.catchUp, 'catchUp') : undefined,
+    scheduleOptions: options.scheduleOptions || {},
+    // runs of the job are chained one after the other
+    queue: Promise.resolve(),
+  };
+
+  this.jobs[jobName] = job;
+
+  if (this._running) {
+    this._armJob(job);
+  }
+
+  return this;
+};
+
+/**
+ * Removes a recurring job.
+ * 
+ * @param  {String} jobName
+ * @return {HWorkerScheduler}
+ */
+HWorkerScheduler.prototype.remove = function (jobName) {
+  var job = this.jobs[jobName];
+
+  if (job) {
+    clearTimeout(job.timer);
+    job.removed = true;
+    delete this.jobs[jobName];
+  }
+
+  return this;
+};
+
+/**
+ * Starts waiting for ticks and trying to become the leader.
+ * 
+ * @return {Promise} resolves after the first leadership attempt
+ */
+HWorkerScheduler.prototype.start = function () {
+
+  if (this._running) {
+    return Promise.resolve();
+  }
+
+  this._running = true;
+
+  Object.keys(this.jobs).forEach((jobName) => {
+    this._armJob(this.jobs[jobName]);
+  });
+
+  return this._elect();
+};
+
+/**
+ * Stops scheduling and gives up leadership,
+ * so that another replica may take over.
+ * 
+ * @return {Promise}
+ */
+HWorkerScheduler.prototype.stop = function () {
+
+  this._running = false;
+
+  clearTimeout(this._electionTimer);
+
+  Object.keys(this.jobs).forEach((jobName) => {
+    clearTimeout(this.jobs[jobName].timer);
+  });
+
+  var channel = this._leaderChannel;
+
+  this._leaderChannel = undefined;
+  this.isLeader = false;
+
+  if (!channel) {
+    return Promise.resolve();
+  }
+
+  // the exclusive queue belongs to the connection,
+  // so closing the channel is not enough
+  return Promise.resolve(channel.deleteQueue(this.leaderQueueName))
+    .then(() => {
+      return channel.close();
+    })
+    .catch(() => {});
+};
+
+/**
+ * Tries to become the leader by declaring the exclusive leader queue.
+ * Retries every `leaderRetryInterval` if it fails.
+ * 
+ * @return {Promise -> Boolean} whether this replica is the leader
+ */
+HWorkerScheduler.prototype._elect = function () {
+
+  if (!this._running || this.isLeader) {
+    return Promise.resolve(this.isLeader);
+  }
+
+  var connection = this.client.connection;
+
+  if (!connection) {
+    this._retryElection();
+    return Promise.resolve(false);
+  }
+
+  var _channel;
+
+  return Promise.resolve(connection.createChannel())
+    .then((channel) => {
+      _channel = channel;
+
+      // failing to declare the queue closes the channel with an error,
+      // which would be thrown if not listened to
+      channel.on('error', () => {});
+
+      return channel.assertQueue(this.leaderQueueName, {
+        exclusive: true,
+        durable: false,
+      });
+    })
+    .then(() => {
+      if (!this._running) {
+        return Promise.resolve(_channel.deleteQueue(this.leaderQueueName))
+          .then(() => { return _channel.close(); })
+          .then(() => { return false; });
+      }
+
+      this._leaderChannel = _channel;
+
+      _channel.once('close', () => {
+        if (this._leaderChannel === _channel) {
+          this._depose();
+        }
+      });
+
+      return this._becomeLeader().then(() => {
+        return true;
+      });
+    }, (err) => {
+      // RESOURCE_LOCKED: another replica is the leader
+      if (errors.replyCode(err) !== 405) {
+        this.emit('election-error', err);
+      }
+
+      if (_channel) {
+        Promise.resolve(_channel.close()).catch(() => {});
+      }
+
+      this._retryElection();
+
+      return false;
+    });
+};
+
+HWorkerScheduler.prototype._retryElection = function () {
+  if (!this._running) {
+    return;
+  }
+
+  clearTimeout(this._electionTimer);
+
+  this._electionTimer = setTimeout(() => {
+    this._elect();
+  }, this.leaderRetryInterval);
+};
+
+/**
+ * Loads the state and catches up on missed ticks.
+ * 
+ * @return {Promise}
+ */
+HWorkerScheduler.prototype._becomeLeader = function () {
+
+  this.isLeader = true;
+  this.emit('elected');
+
+  return Promise.resolve(this.store.load())
+    .catch((err) => {
+      this.emit('store-error', err);
+      return {};
+    })
+    .then((state) => {
+      this._state = state || {};
+
+      return Promise.all(Object.keys(this.jobs).map((jobName) => {
+        var job = this.jobs[jobName];
+
+        return this._enqueue(job, () => {
+          return this._runDue(job);
+        });
+      }));
+    });
+};
+
+/**
+ * Called when the leader channel closes.
+ */
+HWorkerScheduler.prototype._depose = function () {
+  this._leaderChannel = undefined;
+  this.isLeader = false;
+
+  this.emit('deposed');
+
+  this._retryElection();
+};
+
+/**
+ * Runs fn once the previous runs of the job are done.
+ *
+ * Failures are emitted as `job-error` and never reject the queue,
+ * so that later ticks of the job still run.
+ * 
+ * @param  {Object} job
+ * @param  {Function} fn
+ * @return {Promise}
+ */
+HWorkerScheduler.prototype._enqueue = function (job, fn) {
+  job.queue = job.queue.then(fn).catch((err) => {
+    this.emit('job-error', job.name, err);
+  });
+
+  return job.queue;
+};
+
+/**
+ * Waits for the job's next tick.
+ * 
+ * @param  {Object} job
+ */
+HWorkerScheduler.prototype._armJob = function (job) {
+
+  clearTimeout(job.timer);
+
+  if (!this._running || job.removed) {
+    return;
+  }
+
+  var now = Date.now();
+
+  if (!job.nextTick || job.nextTick.getTime() <= now) {
+    job.nextTick = job.cron.next(now);
+  }
+
+  if (!job.nextTick) {
+    // the expression never matches
+    return;
+  }
+
+  var delay = Math.min(job.nextTick.getTime() - now, MAX_TIMER_DELAY);
+
+  job.timer = setTimeout(() => {
+    if (Date.now() < job.nextTick.getTime()) {
+      // long delays are waited for in steps
+      this._armJob(job);
+      return;
+    }
+
+    if (this.isLeader) {
+      this._enqueue(job, () => {
+        return this._runDue(job);
+      });
+    }
+
+    job.nextTick = undefined;
+    this._armJob(job);
+  }, delay);
+};
+
+/**
+ * Schedules the ticks of the job that are due since its last tick,
+ * according to its catch-up policy, and saves its last tick.
+ *
+ * Stops at the first tick that fails to be scheduled, so that it is
+ * taken into account the next time the job's ticks are due.
+ * 
+ * @param  {Object} job
+ * @return {Promise}
+ */
+HWorkerScheduler.prototype._runDue = function (job) {
+
+  if (!this.isLeader || job.removed) {
+    return Promise.resolve();
+  }
+
+  var now = Date.now();
+  var lastTick = this._state[job.name];
+  var catchUp = job.catchUp || this.catchUp;
+
+  if (typeof lastTick !== 'number') {
+    // jobs that never ran start from now on
+    this._state[job.name] = now;
+    return Promise.resolve();
+  }
+
+  var ticks = job.cron.between(lastTick, now, this.maxCatchUp);
+
+  if (ticks.length === 0) {
+    return Promise.resolve();
+  }
+
+  var latest = ticks[ticks.length - 1];
+  var onTime = now - latest.getTime() <= this.misfireThreshold;
+
+  var selected;
+
+  if (catchUp === 'all') {
+    selected = ticks;
+  } else if (catchUp === 'last' || onTime) {
+    selected = [latest];
+  } else {
+    selected = [];
+  }
+
+  var missed = ticks.filter((tick) => {
+    return selected.indexOf(tick) === -1;
+  });
+
+  if (missed.length > 0) {
+    this.emit('missed', job.name, missed);
+  }
+
+  var currentTick;
+
+  return selected.reduce((previous, tick) => {
+    return previous.then(() => {
+      currentTick = tick;
+
+      return this._fire(job, tick);
+    });
+  }, Promise.resolve())
+  .then(() => {
+    // skipped ticks are not to be caught up on later
+    this._state[job.name] = latest.getTime();
+  }, (err) => {
+    this.emit('fire-error', job.name, currentTick, err);
+  })
+  .then(() => {
+    return Promise.resolve(this.store.save(this._state)).catch((err) => {
+      this.emit('store-error', err);
+    });
+  });
+};
+
+/**
+ * Schedules the job for the given tick.
+ *
+ * The requestId is derived from the scheduler, job and tick,
+ * so that duplicate schedules of a tick can be told apart.
+ * 
+ * @param  {Object} job
+ * @param  {Date} tick
+ * @return {Promise -> requestId}
+ */
+HWorkerScheduler.prototype._fire = function (job, tick) {
+
+  var requestId = [this.name, job.name, tick.getTime()].join(':');
+  var options = Object.assign({}, job.scheduleOptions, { requestId: requestId });
+
+  if (job.taskName) {
+    options.task = job.taskName;
+  }
+
+  return Promise.resolve()
+    .then(() => {
+      var data = typeof job.data === 'function' ? job.data(tick) : job.data;
+
+      return this.client.schedule(data, options);
+    })
+    .then(() => {
+      // move the job's last tick forward as each tick is scheduled
+      this._state[job.name] = tick.getTime();
+
+      this.emit('fire', job.name, tick, requestId);
+
+      return requestId;
+    });
+};
+
+/**
+ * Export stores
+ */
+HWorkerScheduler.MemoryStore = stores.MemoryStore;
+HWorkerScheduler.QueueStore = stores.QueueStore;
+
+module.exports = HWorkerScheduler;
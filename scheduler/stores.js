@@ -0,0 +1,119 @@
+/**
+ * Stores for the scheduler's state: the last tick of each job,
+ * which is needed for catching up on ticks missed while no
+ * scheduler was the leader.
+ *
+ * Stores implement:
+ *   - load(): Promise -> Object map of jobName -> last tick (ms)
+ *   - save(state): Promise
+ */
+
+/**
+ * Keeps the state in memory. Ticks missed while the
+ * process was down cannot be caught up on.
+ */
+function MemoryStore() {
+  this.state = {};
+}
+
+MemoryStore.prototype.load = function () {
+  return Promise.resolve(Object.assign({}, this.state));
+};
+
+MemoryStore.prototype.save = function (state) {
+  this.state = Object.assign({}, state);
+
+  return Promise.resolve();
+};
+
+/**
+ * Keeps the state in a durable rabbitMQ queue that holds
+ * a single message: the latest state saved.
+ *
+ * Needs no storage other than the broker, so that replicas
+ * share it. Uses dedicated channels of the client's connection.
+ * 
+ * @param {HWorkerClient} client
+ * @param {String} queueName
+ */
+function QueueStore(client, queueName) {
+  this.client = client;
+  this.queueName = queueName;
+}
+
+/**
+ * Opens a dedicated channel, asserts the state queue, passes
+ * the channel to fn and closes it once the promise returned by fn settles.
+ * 
+ * @param  {Function} fn
+ * @return {Promise}
+ */
+QueueStore.prototype._withChannel = function (fn) {
+
+  var connection = this.client.connection;
+
+  if (!connection) {
+    return Promise.reject(new this.client.errors.NotConnected('not connected'));
+  }
+
+  return Promise.resolve(connection.createConfirmChannel())
+    .then((channel) => {
+
+      var close = () => {
+        return Promise.resolve(channel.close()).catch(() => {});
+      };
+
+      return Promise.resolve(channel.assertQueue(this.queueName, {
+        durable: true,
+        arguments: {
+          // older states are dropped as new ones are saved
+          'x-max-length': 1,
+        },
+      }))
+      .then(() => {
+        return fn(channel);
+      })
+      .then((result) => {
+        return close().then(() => {
+          return result;
+        });
+      }, (err) => {
+        return close().then(() => {
+          throw err;
+        });
+      });
+    });
+};
+
+QueueStore.prototype.load = function () {
+  return this._withChannel((channel) => {
+    // the message is not acked, so that it is
+    // returned to the queue once the channel closes
+    return Promise.resolve(channel.get(this.queueName, { noAck: false }))
+      .then((message) => {
+        if (!message) {
+          return {};
+        }
+
+        try {
+          return JSON.parse(message.content.toString());
+        } catch (e) {
+          return {};
+        }
+      });
+  });
+};
+
+QueueStore.prototype.save = function (state) {
+  return this._withChannel((channel) => {
+    channel.sendToQueue(this.queueName, Buffer.from(JSON.stringify(state)), {
+      persistent: true,
+      contentType: 'application/json',
+    });
+
+    return channel.waitForConfirms();
+  });
+};
+
+exports.MemoryStore = MemoryStore;
+exports.QueueStore = QueueStore;
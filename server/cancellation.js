@@ -0,0 +1,139 @@
+const errors   = require('../shared/errors');
+const topology = require('../shared/topology');
+const stores   = require('../shared/stores');
+
+/**
+ * Binds an exclusive, server-named queue to the control exchange
+ * and consumes control messages from it. Every replica gets its
+ * own queue, thus every control message.
+ *
+ * @param  {Channel} channel
+ * @return {Promise}
+ */
+exports._consumeControl = function (channel) {
+  return topology.assertControl(channel, this)
+    .then(() => {
+      return channel.assertQueue('', {
+        exclusive: true,
+        autoDelete: true,
+      });
+    })
+    .then((res) => {
+      return Promise.resolve(channel.bindQueue(res.queue, this.controlExchangeName, ''))
+        .then(() => {
+          return channel.consume(res.queue, (message) => {
+            this.handleControlMessage(message);
+          }, {
+            noAck: true,
+          });
+        });
+    });
+};
+
+/**
+ * Handles control messages broadcast by clients:
+ *   - cancel: { requestId }
+ *
+ * @param  {Object} message
+ */
+exports.handleControlMessage = function (message) {
+
+  if (!message) {
+    return;
+  }
+
+  var data;
+
+  try {
+    data = JSON.parse(message.content.toString());
+  } catch (e) {
+    this.emit('control-error', new errors.MalformedMessage('malformed control message'));
+    return;
+  }
+
+  if (message.properties.type === 'cancel' && data && data.requestId) {
+    this.cancelJob(data.requestId);
+  }
+};
+
+/**
+ * Cancels the job of the given request.
+ *
+ * A running job is responded with `result:cancelled` right away
+ * and its signal is aborted with a `JobCancelled` error. Whatever
+ * the workerFn does afterwards is ignored. Failures to respond
+ * are emitted as `channel-error`.
+ *
+ * The request is written to the `cancelStore` for `cancelWindow` ms,
+ * so that its job is skipped if delivered (or redelivered) in the
+ * meantime, also by replicas started after the cancellation.
+ * Store failures are emitted as `cancel-store-error`.
+ *
+ * @param  {String} requestId
+ * @return {Boolean} whether a job of the request was running
+ */
+exports.cancelJob = function (requestId) {
+
+  Promise.resolve()
+    .then(() => {
+      return this.cancelStore.set(stores.cancellationKey(this.name, requestId), {
+        cancelledAt: Date.now(),
+      }, this.cancelWindow);
+    })
+    .catch((err) => {
+      this.emit('cancel-store-error', err);
+    });
+
+  var running = false;
+
+  this._jobs.forEach((job, message) => {
+    if (message.properties.messageId !== requestId) {
+      return;
+    }
+
+    running = true;
+
+    Promise.resolve()
+      .then(() => {
+        return this.respondCancelled(message);
+      })
+      .catch((err) => {
+        this.emit('channel-error', err);
+      });
+
+    job.controller.abort(new errors.JobCancelled(requestId));
+  });
+
+  this.emit('cancelled', requestId, running);
+
+  return running;
+};
+
+/**
+ * Checks whether the request has been cancelled
+ * within the cancel window.
+ *
+ * Never rejects: upon store failures emits `cancel-store-error`
+ * and resolves false, so that the job is executed.
+ *
+ * @param  {String} requestId
+ * @return {Promise -> Boolean}
+ */
+exports._isCancelled = function (requestId) {
+
+  if (!requestId) {
+    return Promise.resolve(false);
+  }
+
+  return Promise.resolve()
+    .then(() => {
+      return this.cancelStore.get(stores.cancellationKey(this.name, requestId));
+    })
+    .then((cancellation) => {
+      return Boolean(cancellation);
+    }, (err) => {
+      this.emit('cancel-store-error', err);
+
+      return false;
+    });
+};
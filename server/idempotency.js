@@ -0,0 +1,115 @@
+const constants = require('../shared/constants');
+
+/**
+ * Reads the idempotency key of the message: the value of the
+ * configured header if present, otherwise the message's messageId.
+ *
+ * Keys are scoped by the worker's name, so that
+ * workers may share a store.
+ *
+ * @param  {Object} message
+ * @return {String|undefined}
+ */
+exports._getIdempotencyKey = function (message) {
+  var properties = message.properties || {};
+  var headers    = properties.headers || {};
+  var key;
+
+  if (this.idempotency.header && headers[this.idempotency.header]) {
+    key = headers[this.idempotency.header];
+  } else {
+    key = properties.messageId;
+  }
+
+  return key ? this.name + ':' + key : undefined;
+};
+
+/**
+ * Looks up the stored outcome of a previous execution of the message.
+ * Jobs requeued from the dead-letter queue have none, as they are
+ * meant to be executed again.
+ *
+ * Never rejects: upon store failures emits `idempotency-error`
+ * and resolves undefined, so that the job is executed.
+ *
+ * @param  {Object} message
+ * @return {Promise -> outcome|undefined}
+ */
+exports._findOutcome = function (message) {
+  var key = this._getIdempotencyKey(message);
+  var headers = message.properties.headers || {};
+
+  if (!key || headers[constants.REQUEUED_HEADER]) {
+    return Promise.resolve(undefined);
+  }
+
+  return Promise.resolve()
+    .then(() => {
+      return this.idempotency.store.get(key);
+    })
+    .catch((err) => {
+      this.emit('idempotency-error', err);
+
+      return undefined;
+    });
+};
+
+/**
+ * Stores the outcome of the message for the idempotency window.
+ * Store failures are emitted as `idempotency-error`.
+ *
+ * @param  {Object} message
+ * @param  {Object} outcome
+ *         - type
+ *         - contentType
+ *         - data
+ */
+exports._rememberOutcome = function (message, outcome) {
+  if (!this.idempotency) {
+    return;
+  }
+
+  var key = this._getIdempotencyKey(message);
+
+  if (!key) {
+    return;
+  }
+
+  Promise.resolve()
+    .then(() => {
+      return this.idempotency.store.set(key, outcome, this.idempotency.window);
+    })
+    .catch((err) => {
+      this.emit('idempotency-error', err);
+    });
+};
+
+/**
+ * Acks a repeated message without executing it and republishes
+ * the stored outcome, flagged by the `x-deduplicated` header.
+ *
+ * @param  {Object} sourceMessage
+ * @param  {Object} outcome
+ */
+exports.respondDuplicate = function (sourceMessage, outcome) {
+  if (!this._isPending(sourceMessage)) {
+    return;
+  }
+
+  this._settledMessages.add(sourceMessage);
+  this.channel.ack(sourceMessage, false);
+
+  this._metrics.jobsDeduplicated.inc();
+
+  var headers = {};
+  headers[constants.DEDUPLICATED_HEADER] = true;
+
+  // the repeat may have a requestId of its own
+  var status = outcome.type === 'result:success' ? 'succeeded' : 'failed';
+
+  return this._publishResult(sourceMessage, status, outcome.data, {
+    type: outcome.type,
+    contentType: outcome.contentType,
+    headers: headers,
+  });
+};
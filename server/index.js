@@ -3,16 +3,195 @@ const EventEmitter = require('events').EventEmitter;
 const util = require('util');
 
 // third-party
-const amqplib  = require('amqplib');
-const uuid     = require('uuid');
+const uuid = require('uuid');
 
 // own
-const errors = require('../shared/errors');
+const errors      = require('../shared/errors');
+const constants   = require('../shared/constants');
+const backoff     = require('../shared/backoff');
+const delayQueues = require('../shared/delay-queues');
+const topology    = require('../shared/topology');
+const abort       = require('../shared/abort');
+const codecs      = require('../shared/codecs');
+const schema      = require('../shared/schema');
+const middleware  = require('../shared/middleware');
+const traceContext = require('../shared/trace-context');
+const metrics     = require('../shared/metrics');
+const stores      = require('../shared/stores');
+const tokenBuckets = require('../shared/token-buckets');
+const WorkerPool  = require('./pool').WorkerPool;
+
+// constants
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 1,
+  baseDelay: 1000,
+  maxDelay: 60000,
+  retryable: function (err) {
+    // errors may flag themselves as not worth retrying
+    return !(err && (err.retryable === false || err.fatal === true));
+  },
+};
+
+const DEFAULT_IDEMPOTENCY_WINDOW = 24 * 3600 * 1000;
+const DEFAULT_RESULT_TTL = 24 * 3600 * 1000;
+const DEFAULT_CANCEL_WINDOW = 24 * 3600 * 1000;
+
+/**
+ * Races the job's execution against the timeout.
+ * Upon timeout, aborts the job's signal so that
+ * the workerFn may stop its work.
+ * 
+ * @param  {Promise} execution
+ * @param  {Number} timeout
+ * @param  {AbortController} controller
+ * @return {Promise}
+ */
+function _withTimeout(execution, timeout, controller) {
+
+  var timer;
+
+  var timeoutPromise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      var err = new errors.JobTimeout(timeout);
+
+      controller.abort(err);
+      reject(err);
+    }, timeout);
+  });
+
+  var clear = () => {
+    clearTimeout(timer);
+  };
+
+  execution.then(clear, clear);
+
+  return Promise.race([execution, timeoutPromise]);
+}
+
+/**
+ * Checks that the concurrency limit is a positive integer,
+ * or 0 if `allowZero` is set.
+ * 
+ * @param  {Number} value
+ * @param  {String} option
+ * @param  {Boolean} allowZero
+ * @return {Number}
+ */
+function _parseConcurrency(value, option, allowZero) {
+  if (typeof value !== 'number' || value % 1 !== 0 || value < (allowZero ? 0 : 1)) {
+    throw new errors.InvalidOption(option, 'invalid');
+  }
+
+  return value;
+}
+
+/**
+ * Parses the rate limit options
+ *
+ * Holding jobs requires a prefetch above 1, otherwise a held job
+ * would block the jobs of every other key.
+ * 
+ * @param  {Object} options
+ * @param  {Number} prefetch
+ * @return {Object|null}
+ */
+function _parseRateLimitOptions(options, prefetch) {
+  if (!options) {
+    return null;
+  }
+
+  if (typeof options.limit !== 'number' || options.limit % 1 !== 0 || options.limit < 1) {
+    throw new errors.InvalidOption('rateLimit.limit', 'invalid');
+  }
+
+  if (typeof options.interval !== 'number' || options.interval <= 0) {
+    throw new errors.InvalidOption('rateLimit.interval', 'invalid');
+  }
+
+  var mode = options.mode || 'defer';
+
+  if (mode !== 'hold' && mode !== 'defer') {
+    throw new errors.InvalidOption('rateLimit.mode', 'invalid');
+  }
+
+  if (mode === 'hold' && prefetch < 2) {
+    throw new errors.InvalidOption('rateLimit.mode', 'invalid', "'hold' requires a prefetch above 1");
+  }
+
+  if (options.key !== undefined &&
+      typeof options.key !== 'string' && typeof options.key !== 'function') {
+    throw new errors.InvalidOption('rateLimit.key', 'invalid');
+  }
+
+  var store = options.store || new tokenBuckets.MemoryBucketStore();
+
+  if (typeof store.take !== 'function') {
+    throw new errors.InvalidOption('rateLimit.store', 'invalid');
+  }
+
+  return {
+    limit: options.limit,
+    interval: options.interval,
+    key: options.key,
+    header: options.header,
+    mode: mode,
+    store: store,
+  };
+}
+
+/**
+ * Parses the idempotency options.
+ * `true` enables idempotency with the default options.
+ * 
+ * @param  {Object|Boolean} options
+ * @return {Object|null}
+ */
+function _parseIdempotencyOptions(options) {
+  if (!options) {
+    return null;
+  }
+
+  options = options === true ? {} : options;
+
+  var window = options.window !== undefined ? options.window : DEFAULT_IDEMPOTENCY_WINDOW;
+
+  if (typeof window !== 'number' || window <= 0) {
+    throw new errors.InvalidOption('idempotency.window', 'invalid');
+  }
+
+  return {
+    store: stores.assertStore(options.store || new stores.MemoryStore(), 'idempotency.store'),
+    window: window,
+    header: options.header,
+  };
+}
 
 /**
  * HWorkerServer constructor function
  * 
  * @param {Object}   options
+ *        - tasks: {Object} map of taskName -> taskFn
+ *        - schema: {Object} JSON schema of the workerFn's payload
+ *        - schemas: {Object} map of taskName -> JSON schema
+ *        - reconnect: {Object|false} maxAttempts, minDelay, maxDelay
+ *        - retry: {Object} maxAttempts, baseDelay, maxDelay, retryable
+ *        - deadLetter: {Boolean}
+ *        - maxPriority: {Number} 1-255, enables job priorities
+ *        - prefetch: {Number}
+ *        - maxConcurrency: {Number} jobs executed at a time, 0 for no limit
+ *        - jobTimeout: {Number} ms
+ *        - progressInterval: {Number} ms
+ *        - codecs: {Object} map of contentType -> codec
+ *        - resultContentType: {String}
+ *        - tracer: {Object} onSpanStart, onSpanEnd
+ *        - errorStack: {Boolean} publish the stacks of errors
+ *        - idempotency: {Object|Boolean} store, window, header
+ *        - rateLimit: {Object} limit, interval, key, header, mode, store
+ *        - pool: {Object} module, type ('thread' or 'process'), size, abortTimeout
+ *        - cancelWindow: {Number} ms cancelled requests are remembered
+ *        - cancelStore: {Object} store cancelled requests are written to
+ *        - resultBackend: {Object} store results are written to
+ *        - resultTtl: {Number} ms
  * @param {Function} workerFn
  */
 function HWorkerServer(options, workerFn) {
@@ -24,134 +203,749 @@ function HWorkerServer(options, workerFn) {
    * The function that defines the workload.
    * Should return a promise if it is asynchrnous.
    *
-   * Receives the rabbitMQ's message payload as the first argument
-   * and a 'logger' object as the second argument.
+   * Receives the rabbitMQ's message payload as the first argument,
+   * a 'logger' object as the second argument and a 'job' object
+   * as the third argument:
+   *   - requestId
+   *   - taskName
+   *   - attempt
+   *   - priority: the message's priority (0 if not set)
+   *   - signal: AbortSignal aborted when the job should stop
+   *             (e.g. upon timeout)
+   *   - trace: the job's W3C trace context
+   *            (traceId, spanId, parentSpanId, flags, tracestate, traceparent)
+   *
+   * Handles messages that do not specify a task name.
    * 
    * @type {Function}
    */
   this.workerFn = workerFn || this.workerFn;
 
-  if (typeof this.workerFn !== 'function') {
-    throw new errors.InvalidOption('workerFn', 'required');
-  }
+  /**
+   * Pool of worker threads or processes the workerFn runs in,
+   * loaded from `pool.module`, so that CPU-heavy jobs do not
+   * block the connection. The pool is started upon the first job
+   * and terminated upon `close`. Named tasks run in process.
+   * Its `worker-crashed` and `worker-terminated` events are
+   * emitted by the server as well.
+   * 
+   * @type {WorkerPool}
+   */
+  this.pool = options.pool ? new WorkerPool(options.pool) : undefined;
+
+  if (this.pool) {
+    if (workerFn) {
+      throw new errors.InvalidOption('pool', 'invalid', 'either a workerFn or a pool module may be given');
+    }
+
+    this.workerFn = function (payload, logger, job) {
+      return this.pool.run(payload, logger, job);
+    };
+
+    ['worker-crashed', 'worker-terminated'].forEach((eventName) => {
+      this.pool.on(eventName, (err) => {
+        this.emit(eventName, err);
+      });
+    });
+  }
+
+  // tasks may be defined both in the prototype and in the options
+  var tasks = Object.assign({}, this.tasks, options.tasks);
+
+  /**
+   * Named task functions exposed by the worker.
+   * Each has the same signature as the workerFn.
+   * 
+   * @type {Object}
+   */
+  this.tasks = {};
+
+  Object.keys(tasks).forEach((taskName) => {
+    this.registerTask(taskName, tasks[taskName]);
+  });
+
+  if (typeof this.workerFn !== 'function' && Object.keys(this.tasks).length === 0) {
+    throw new errors.InvalidOption('workerFn', 'required');
+  }
+
+  /**
+   * JSON schema (draft-07 subset) payloads handled
+   * by the workerFn are validated against.
+   * 
+   * @type {Object}
+   */
+  this.schema = options.schema || this.schema;
+
+  /**
+   * JSON schemas payloads of named tasks are validated against,
+   * indexed by taskName.
+   * 
+   * @type {Object}
+   */
+  this.schemas = Object.assign({}, this.schemas, options.schemas);
+
+  /**
+   * Name of the worker.
+   * Used to generate queue and exchange names.
+   * 
+   * @type {String}
+   */
+  this.name = options.name || this.name;
+
+  if (!this.name) {
+    throw new errors.InvalidOption('name', 'required');
+  }
+
+  this.workerExchangeName = this.name + '-exchange';
+  this.workerQueueName    = this.name;
+  this.controlExchangeName = this.name + '-control';
+
+  /**
+   * Whether rejected requests should be dead-lettered
+   * into the `<name>-dead` exchange and queue.
+   * 
+   * @type {Boolean}
+   */
+  this.deadLetter = options.deadLetter || false;
+  this.deadLetterExchangeName = this.name + '-dead';
+  this.deadLetterQueueName    = this.name + '-dead';
+
+  /**
+   * Maximum priority of jobs. If set, the worker queue is declared
+   * with `x-max-priority` and higher priority jobs are delivered first.
+   * Must match the client's option, as both declare the worker queue.
+   * 
+   * @type {Number}
+   */
+  this.maxPriority = topology.parseMaxPriority(
+    options.maxPriority !== undefined ? options.maxPriority : this.maxPriority);
+
+  this.appId = options.appId || uuid.v4();
+
+  // bind methods to the instance
+  this.handleMessage = this.handleMessage.bind(this);
+  this.handleError   = this.handleError.bind(this);
+
+  this.logInfo = this.logInfo.bind(this);
+  this.logWarning = this.logWarning.bind(this);
+  this.logError = this.logError.bind(this);
+  this.logProgress = this.logProgress.bind(this);
+
+  this.prefetch = options.prefetch || this.prefetch;
+
+  /**
+   * Maximum number of jobs executed at a time by this process.
+   * Messages delivered beyond the limit (up to `prefetch`) are
+   * buffered until a running job finishes. 0 means no limit.
+   * 
+   * @type {Number}
+   */
+  this.maxConcurrency = _parseConcurrency(
+    options.maxConcurrency !== undefined ? options.maxConcurrency : this.maxConcurrency,
+    'maxConcurrency', true);
+
+  /**
+   * Number of jobs being executed.
+   * 
+   * @type {Number}
+   */
+  this._active = 0;
+
+  /**
+   * Jobs waiting for `maxConcurrency` to allow them to start,
+   * in the order their messages were delivered.
+   * 
+   * @type {Array}
+   */
+  this._buffered = [];
+
+  /**
+   * Maximum time (ms) a job may run before failing
+   * with a `JobTimeout` error. May be overridden per message
+   * through the `x-job-timeout` header.
+   * 
+   * @type {Number}
+   */
+  this.jobTimeout = options.jobTimeout || this.jobTimeout;
+
+  /**
+   * Minimum interval (ms) between progress updates of a job.
+   * 
+   * @type {Number}
+   */
+  this.progressInterval = options.progressInterval || this.progressInterval;
+
+  /**
+   * Codecs for decoding requests and encoding updates,
+   * indexed by contentType.
+   * 
+   * @type {CodecRegistry}
+   */
+  this.codecs = new codecs.CodecRegistry(options.codecs);
+
+  /**
+   * ContentType results are published with.
+   * If not set, it is chosen according to the result's type.
+   * 
+   * @type {String}
+   */
+  this.resultContentType = options.resultContentType || this.resultContentType;
+
+  /**
+   * Whether serialized errors carry their stack.
+   * Defaults to true only if NODE_ENV is `development`,
+   * as stacks disclose internals of the worker.
+   * 
+   * @type {Boolean}
+   */
+  this.errorStack = options.errorStack !== undefined ?
+    Boolean(options.errorStack) : process.env.NODE_ENV === 'development';
+
+  /**
+   * Hooks called when a job's span starts and ends,
+   * for plugging in a tracer. Both receive a span object:
+   *   - name: the task name or the worker's name
+   *   - requestId
+   *   - attempt
+   *   - trace: the job's trace context
+   *   - startTime, endTime (ms)
+   *   - error: set if the job failed
+   * 
+   * @type {Object}
+   */
+  this.tracer = options.tracer || this.tracer;
+
+  /**
+   * Trace contexts of the jobs, indexed by message.
+   * Attached to every update published for the message.
+   * 
+   * @type {WeakMap}
+   */
+  this._traceContexts = new WeakMap();
+
+  /**
+   * Middleware run around every job, in the order
+   * they were added through `use`.
+   * 
+   * @type {Array}
+   */
+  this._middleware = [];
+
+  /**
+   * Duplicate-job suppression. Disabled unless set.
+   *
+   * Outcomes of jobs are stored by idempotency key (the `header`,
+   * if present in the message, or the messageId set by the client)
+   * for `window` ms (defaults to 24h). A repeat of a job within
+   * the window is not executed: its stored outcome is republished,
+   * flagged by the `x-deduplicated` header.
+   *
+   * Only finished jobs are remembered: redeliveries of jobs
+   * that never got responded are executed again.
+   * 
+   * @type {Object|null}
+   */
+  this.idempotency = _parseIdempotencyOptions(options.idempotency);
+
+  /**
+   * Rate limit of job executions: `limit` jobs per `interval` ms,
+   * enforced through token buckets. Disabled unless set.
+   *
+   * Budgets are kept per key: the value of the `header`, the payload
+   * field named by `key` (a dot-separated path) or the result of
+   * `key(payload, properties)`. Jobs without a key share a budget.
+   *
+   * Jobs over the limit are either republished through a scheduled
+   * queue (`mode: 'defer'`, the default), which frees their prefetch
+   * slot for jobs of other keys, or held in process (`mode: 'hold'`),
+   * which requires a prefetch above 1.
+   *
+   * Replicas share a budget through a `store` shared among them.
+   * 
+   * @type {Object|null}
+   */
+  this.rateLimit = _parseRateLimitOptions(options.rateLimit, this.prefetch);
+
+  /**
+   * Time (epoch ms) up to which jobs of each rate limit bucket
+   * were deferred, least recently deferred first, so that jobs
+   * deferred in a burst come back at the refill rate instead of
+   * all at once.
+   *
+   * @type {Map}
+   */
+  this._rateLimitDeferredUntil = new Map();
+
+  /**
+   * Store the results of jobs are written to, indexed by requestId,
+   * so that clients may fetch them through `getResult`.
+   * Any object implementing `get(key)` and `set(key, value, ttl)`.
+   * 
+   * @type {Object}
+   */
+  this.resultBackend = options.resultBackend ?
+    stores.assertStore(options.resultBackend, 'resultBackend') : this.resultBackend;
+
+  /**
+   * Time (ms) results are kept in the result backend.
+   * 
+   * @type {Number}
+   */
+  this.resultTtl = options.resultTtl || this.resultTtl;
+
+  /**
+   * Reconnection options. Set `reconnect: false` to disable.
+   * Only applies when connected through an URI.
+   * 
+   * @type {Object|false}
+   */
+  this.reconnectOptions = this._parseReconnectOptions(options.reconnect);
+
+  /**
+   * Retry policy for failed jobs.
+   *
+   * Jobs that fail with errors for which `retryable(err)` returns true
+   * are republished through delay queues until `maxAttempts` is reached.
+   * By default jobs are attempted only once, and errors flagged
+   * `retryable: false` or `fatal: true` are never retried.
+   * 
+   * @type {Object}
+   */
+  this.retryOptions = Object.assign({}, DEFAULT_RETRY_OPTIONS, options.retry);
+
+  if (typeof this.retryOptions.maxAttempts !== 'number' || this.retryOptions.maxAttempts < 1) {
+    throw new errors.InvalidOption('retry.maxAttempts', 'invalid');
+  }
+
+  if (typeof this.retryOptions.retryable !== 'function') {
+    throw new errors.InvalidOption('retry.retryable', 'invalid');
+  }
+
+  /**
+   * Channels on which messages were delivered.
+   * 
+   * @type {WeakMap}
+   */
+  this._deliveryChannels = new WeakMap();
+
+  /**
+   * Messages that have already been acked or nacked.
+   * 
+   * @type {WeakSet}
+   */
+  this._settledMessages = new WeakSet();
+
+  /**
+   * Time (ms) cancelled requests are remembered, so that their
+   * jobs are skipped if delivered in the meantime.
+   * 
+   * @type {Number}
+   */
+  this.cancelWindow = options.cancelWindow || this.cancelWindow;
+
+  /**
+   * Store cancelled requests are written to, so that their jobs
+   * are skipped upon delivery. Share it among replicas (and with
+   * clients) so that replicas started after a cancellation, thus
+   * not bound to the control exchange at the time, skip them too.
+   * Any object implementing `get(key)` and `set(key, value, ttl)`.
+   * 
+   * @type {Object}
+   */
+  this.cancelStore = stores.assertStore(options.cancelStore || new stores.MemoryStore(), 'cancelStore');
+
+  /**
+   * Jobs currently being executed, indexed by their source message.
+   * 
+   * @type {Map}
+   */
+  this._jobs = new Map();
+
+  /**
+   * Metrics of the worker.
+   * Exposed through `getMetrics`, `toPrometheus` and `listenMetrics`.
+   * 
+   * @type {Registry}
+   */
+  this.metricsRegistry = new metrics.Registry({ worker: this.name });
+
+  this._metrics = {
+    jobsReceived: this.metricsRegistry.counter(
+      'hworker_jobs_received_total', 'Work requests received'),
+    jobsSucceeded: this.metricsRegistry.counter(
+      'hworker_jobs_succeeded_total', 'Jobs responded with a success result'),
+    jobsFailed: this.metricsRegistry.counter(
+      'hworker_jobs_failed_total', 'Jobs responded with an error or scheduled for retry, by error name', ['error']),
+    jobsInFlight: this.metricsRegistry.gauge(
+      'hworker_jobs_in_flight', 'Jobs currently being executed'),
+    jobDuration: this.metricsRegistry.histogram(
+      'hworker_job_duration_seconds', 'Duration of job executions'),
+    jobsBuffered: this.metricsRegistry.gauge(
+      'hworker_jobs_buffered', 'Jobs waiting for maxConcurrency to start'),
+    jobsRateLimited: this.metricsRegistry.counter(
+      'hworker_jobs_rate_limited_total', 'Jobs held or deferred for exceeding the rate limit', ['mode']),
+    jobsCancelled: this.metricsRegistry.counter(
+      'hworker_jobs_cancelled_total', 'Jobs cancelled by clients, either queued or running'),
+    jobsDeduplicated: this.metricsRegistry.counter(
+      'hworker_jobs_deduplicated_total', 'Repeated jobs responded with their stored outcome'),
+    messagesRejected: this.metricsRegistry.counter(
+      'hworker_messages_rejected_total', 'Work requests rejected for being malformed or of unsupported content type', ['reason']),
+  };
+}
+
+util.inherits(HWorkerServer, EventEmitter);
+
+/**
+ * Expose the errors object both in the protype chain
+ * and the HWorkerServer static properties
+ * 
+ * @type {Object}
+ */
+HWorkerServer.prototype.errors = errors;
+HWorkerServer.errors = errors;
+
+/**
+ * Built-in stores for idempotency and results:
+ * MemoryStore (LRU) and FileStore
+ * 
+ * @type {Object}
+ */
+HWorkerServer.stores = stores;
+
+/**
+ * Former name of `stores`, from when they served idempotency only.
+ * 
+ * @deprecated use `stores`
+ * @type {Object}
+ */
+HWorkerServer.idempotencyStores = stores;
+
+/**
+ * Built-in token bucket stores for rate limiting: MemoryBucketStore
+ * 
+ * @type {Object}
+ */
+HWorkerServer.tokenBuckets = tokenBuckets;
+
+/**
+ * Quantity of messages to be pre fetched.
+ *
+ * http://www.squaremobius.net/amqp.node/channel_api.html#channel_prefetch
+ *
+ * @default 1
+ * @type {Number}
+ */
+HWorkerServer.prototype.prefetch = 1;
+
+/**
+ * Maximum number of jobs executed at a time. 0 means no limit,
+ * thus only `prefetch` limits concurrency.
+ *
+ * @default 0
+ * @type {Number}
+ */
+HWorkerServer.prototype.maxConcurrency = 0;
+
+/**
+ * Maximum time (ms) a job may run. 0 means no limit.
+ *
+ * @default 0
+ * @type {Number}
+ */
+HWorkerServer.prototype.jobTimeout = 0;
+
+/**
+ * Minimum interval (ms) between progress updates of a job.
+ *
+ * @default 200
+ * @type {Number}
+ */
+HWorkerServer.prototype.progressInterval = 200;
+
+/**
+ * Time (ms) results are kept in the result backend.
+ *
+ * @default 24h
+ * @type {Number}
+ */
+HWorkerServer.prototype.resultTtl = DEFAULT_RESULT_TTL;
+
+/**
+ * Time (ms) cancelled requests are remembered.
+ *
+ * @default 24h
+ * @type {Number}
+ */
+HWorkerServer.prototype.cancelWindow = DEFAULT_CANCEL_WINDOW;
+
+/**
+ * Tracer whose span hooks do nothing.
+ * 
+ * @type {Object}
+ */
+HWorkerServer.prototype.tracer = traceContext.noopTracer;
+
+/**
+ * Registers a named task function.
+ *
+ * Messages are routed to the task by the `x-task-name` header
+ * or, in its absence, by the message's `type` property.
+ * All tasks share the worker's queue, thus the `prefetch`
+ * setting applies to them as a whole.
+ * 
+ * @param  {String}   taskName
+ * @param  {Function} taskFn
+ * @return {HWorkerServer}
+ */
+HWorkerServer.prototype.registerTask = function (taskName, taskFn) {
+  if (!taskName || typeof taskName !== 'string') {
+    throw new errors.InvalidOption('taskName', 'required');
+  }
+
+  if (typeof taskFn !== 'function') {
+    throw new errors.InvalidOption('taskFn', 'required');
+  }
+
+  this.tasks[taskName] = taskFn;
+
+  return this;
+};
+
+/**
+ * Adds a middleware to run around every job.
+ *
+ * Middleware are called as `middleware(context, next)`, with
+ * the server as `this`. The context has:
+ *   - payload: the decoded (and validated) payload,
+ *              may be replaced before calling `next`
+ *   - properties: the message's properties
+ *   - logger
+ *   - job: the job object passed on to the task function
+ *
+ * `next()` returns a promise for the result of the remaining middleware
+ * and, at the core, of the task function. A middleware may short-circuit
+ * by returning or throwing without calling `next`, transform the result
+ * before `respondSuccess` or translate errors before `handleError`.
+ *
+ * Middleware run in the order they were added on the way in and
+ * in reverse order on the way out. The job timeout covers the whole chain.
+ * 
+ * @param  {Function} fn
+ * @return {HWorkerServer}
+ */
+HWorkerServer.prototype.use = function (fn) {
+  if (typeof fn !== 'function') {
+    throw new errors.InvalidOption('middleware', 'invalid');
+  }
+
+  this._middleware.push(fn);
+
+  return this;
+};
+
+/**
+ * Changes the quantity of messages prefetched, which limits the jobs
+ * delivered to this process at a time, without reconnecting.
+ *
+ * The prefetch is set for the whole channel, so rabbitMQ
+ * applies it to the running consumer. Lowering it does not
+ * affect messages already delivered.
+ * 
+ * Rate limits holding jobs require it to stay above 1.
+ * 
+ * @param  {Number} concurrency
+ * @return {Promise}
+ */
+HWorkerServer.prototype.setConcurrency = function (concurrency) {
+
+  concurrency = _parseConcurrency(concurrency, 'concurrency');
+
+  if (this.rateLimit && this.rateLimit.mode === 'hold' && concurrency < 2) {
+    throw new errors.InvalidOption('concurrency', 'invalid', "rate limits in 'hold' mode require a prefetch above 1");
+  }
+
+  this.prefetch = concurrency;
+
+  if (!this.channel) {
+    // applied upon connecting
+    return Promise.resolve();
+  }
+
+  return Promise.resolve(this.channel.prefetch(this.prefetch, true));
+};
+
+/**
+ * Changes the maximum number of jobs executed at a time.
+ * Raising it starts buffered jobs right away.
+ * 
+ * @param  {Number} maxConcurrency 0 for no limit
+ */
+HWorkerServer.prototype.setMaxConcurrency = function (maxConcurrency) {
+  this.maxConcurrency = _parseConcurrency(maxConcurrency, 'maxConcurrency', true);
+
+  this._startBuffered();
+};
+
+/**
+ * Counts of the jobs in this process:
+ *   - active: jobs being executed
+ *   - buffered: jobs delivered that wait for `maxConcurrency`
+ *   - prefetch
+ *   - maxConcurrency
+ * 
+ * @return {Object}
+ */
+HWorkerServer.prototype.stats = function () {
+  return {
+    active: this._active,
+    buffered: this._buffered.length,
+    prefetch: this.prefetch,
+    maxConcurrency: this.maxConcurrency,
+  };
+};
+
+/**
+ * Runs the job right away if `maxConcurrency` allows,
+ * otherwise buffers it until a running job finishes.
+ *
+ * Buffered jobs whose signal is aborted (e.g. upon `close`)
+ * are dropped and reject with the abort reason. Buffered jobs
+ * whose message can no longer be responded (e.g. delivered on a
+ * channel that has been lost since) are dropped as well, as the
+ * broker redelivers their messages.
+ * 
+ * @param  {Object} message
+ * @param  {AbortController} controller
+ * @param  {Function} execute should return a promise
+ * @return {Promise}
+ */
+HWorkerServer.prototype._runLimited = function (message, controller, execute) {
+
+  return new Promise((resolve, reject) => {
 
-  /**
-   * Name of the worker.
-   * Used to generate queue and exchange names.
-   * 
-   * @type {String}
-   */
-  this.name = options.name || this.name;
+    var job = {
+      start: () => {
+        controller.signal.removeEventListener('abort', onAbort);
 
-  if (!this.name) {
-    throw new errors.InvalidOption('name', 'required');
-  }
+        if (!this._isPending(message)) {
+          resolve();
+          return;
+        }
 
-  this.workerExchangeName = this.name + '-exchange';
-  this.workerQueueName    = this.name;
+        this._active += 1;
 
-  this.appId = options.appId || uuid.v4();
+        var release = () => {
+          this._active -= 1;
+          this._startBuffered();
+        };
 
-  // bind methods to the instance
-  this.handleMessage = this.handleMessage.bind(this);
-  this.handleError   = this.handleError.bind(this);
+        var promise = execute();
 
-  this.logInfo = this.logInfo.bind(this);
-  this.logWarning = this.logWarning.bind(this);
-  this.logError = this.logError.bind(this);
+        promise.then(release, release);
+        promise.then(resolve, reject);
+      },
+    };
 
-  this.prefetch = options.prefetch || this.prefetch;
-}
+    var onAbort = () => {
+      var index = this._buffered.indexOf(job);
 
-util.inherits(HWorkerServer, EventEmitter);
+      if (index !== -1) {
+        this._buffered.splice(index, 1);
+        this._metrics.jobsBuffered.dec();
+        reject(controller.signal.reason);
+      }
+    };
 
-/**
- * Expose the errors object both in the protype chain
- * and the HWorkerServer static properties
- * 
- * @type {Object}
- */
-HWorkerServer.prototype.errors = errors;
-HWorkerServer.errors = errors;
+    if (!this.maxConcurrency || this._active < this.maxConcurrency) {
+      job.start();
+      return;
+    }
+
+    controller.signal.addEventListener('abort', onAbort);
+
+    this._buffered.push(job);
+    this._metrics.jobsBuffered.inc();
+  });
+};
 
 /**
- * Quantity of messages to be pre fetched.
- *
- * http://www.squaremobius.net/amqp.node/channel_api.html#channel_prefetch
- *
- * @default 1
- * @type {Number}
+ * Starts buffered jobs while `maxConcurrency` allows.
  */
-HWorkerServer.prototype.prefetch = 1;
+HWorkerServer.prototype._startBuffered = function () {
+  while (this._buffered.length > 0 &&
+         (!this.maxConcurrency || this._active < this.maxConcurrency)) {
+    this._metrics.jobsBuffered.dec();
+    this._buffered.shift().start();
+  }
+};
 
 /**
- * Connects to the rabbitMQURI specified upon instantiation
- * creates a channel and sets up required topology
+ * Creates a channel and sets up required topology
  * for the worker.
  *
- * If given a String, will assume it is an amqp URI and use
- * amqplib.connect(uri) method to create a connection.
- *
- * If given a non-String, will assume it is an amqplib connection
- * and use it straightforward.
- *
- * @param {String|Connection} connectionOrURI
- * @return {Promise -> HWorkerServer}
+ * Called upon `connect` and upon each reconnection.
+ * 
+ * @param  {Connection} connection
+ * @return {Promise -> Channel}
  */
-HWorkerServer.prototype.connect = function (connectionOrURI) {
-
-  if (!connectionOrURI) {
-    return Promise.reject(new errors.InvalidOption('connectionOrURI', 'required'));
-  }
-
-  var workerQueueName    = this.workerQueueName;
-  var workerExchangeName = this.workerExchangeName;
+HWorkerServer.prototype._setupChannel = function (connection) {
 
   var _channel;
 
-  var connectionPromise = (typeof connectionOrURI === 'string') ?
-    Promise.resolve(amqplib.connect(connectionOrURI)) :
-    Promise.resolve(connectionOrURI);
-
-  return connectionPromise.then((connection) => {
-    this.connection = connection;
-    
-    return connection.createChannel();
-  })
+  return Promise.resolve(connection.createChannel())
   .then((channel) => {
     _channel = channel;
 
+    this._propagateChannelErrors(channel);
+
     return _channel.prefetch(this.prefetch, true);
 
   })
   .then(() => {
-    return Promise.all([
-      /**
-       * Queue at which task execution requests will be stored.
-       */
-      _channel.assertQueue(workerQueueName),
-      /**
-       * Exchange for both queues.
-       */
-      _channel.assertExchange(workerExchangeName, 'direct'),
+    // the worker queue goes first: a mismatch closes the channel
+    // and any other pending assertion would hide the error
+    return topology.assertWorker(_channel, this);
+  })
+  .then(() => {
+    return Promise.all(this._getRetryDelays().map((delay) => {
       /**
-       * Bind the workerQueue to the exchange using
-       * the workerQueueName itself as the routingKey
+       * Delay queues through which failed jobs are retried.
        */
-      _channel.bindQueue(workerQueueName, workerExchangeName, workerQueueName),
-    ]);
+      return delayQueues.assert(_channel, this, delay);
+    }));
   })
   .then(() => {
-    this.channel = _channel;
+    return _channel;
+  });
+};
 
-    // propagate events
-    function propagateChannelEvents(eventName, e) {
-      this.emit('channel-' + eventName, e);
-    }
-    this.channel.on('close', propagateChannelEvents.bind(this, 'close'));
-    this.channel.on('error', propagateChannelEvents.bind(this, 'error'));
+/**
+ * Starts consuming from the worker queue.
+ * 
+ * @return {Promise}
+ */
+HWorkerServer.prototype._consume = function () {
+
+  var channel = this.channel;
 
-    this.channel.consume(this.workerQueueName, this.handleMessage, {
+  // consume control messages first, so that
+  // no cancellation of a delivered job is missed
+  return this._consumeControl(channel)
+  .then(() => {
+    return channel.consume(this.workerQueueName, (message) => {
+
+      if (message) {
+        // delivery tags are only valid within the channel
+        // the message was delivered on
+        this._deliveryChannels.set(message, channel);
+      }
+
+      Promise.resolve(this.handleMessage(message)).catch((err) => {
+        // failures of jobs are responded, thus
+        // these are failures to respond them
+        this.emit('channel-error', err);
+      });
+    }, {
       /**
        * Require ack
        * @type {Boolean}
@@ -164,22 +958,25 @@ HWorkerServer.prototype.connect = function (connectionOrURI) {
        */
       exclusive: false,
     });
-
-    return this;
+  })
+  .then((res) => {
+    this.consumerTag = res.consumerTag;
   });
 };
 
 /**
  * Handles the incoming message from rabbitMQ.
- * Attempts to parse the message as JSON.
+ * Attempts to decode the message using the codec
+ * registered for its content type.
  *
- * If the content type defiend in the message.properties
- * is unsupported, nacks the message and ignores it.
+ * If there is no codec for the content type defined in
+ * the message.properties, nacks the message and ignores it.
  *
- * If there is an error parsing the message as JSON,
+ * If there is an error decoding the message,
  * nacks it and ignores it.
  *
- * Once message parsing is done, executes the worker's workerFn.
+ * Once message parsing is done, executes the worker's workerFn,
+ * unless the request has been cancelled (see `cancelStore`).
  * 
  * @param  {Object} message
  * @return {Promise}
@@ -193,40 +990,380 @@ HWorkerServer.prototype.handleMessage = function (message) {
 
   var properties = message.properties;
 
-  if (properties.contentType !== 'application/json') {
-    this.respondError(message, new errors.UnsupportedContentType(properties.contentType));
+  this._metrics.jobsReceived.inc();
 
-    return;
-  }
+  // the job's span is a child of the scheduler's, if any,
+  // and is set before any update may be published
+  var incomingTrace = traceContext.extract(properties.headers);
+  var trace = incomingTrace ? traceContext.child(incomingTrace) : traceContext.generate();
+
+  this._traceContexts.set(message, trace);
 
   try {
-    var payload = JSON.parse(message.content.toString());
+    var payload = this.codecs.decode(properties.contentType, message.content);
   } catch (e) {
 
-    this.respondError(message, new errors.MalformedMessage(e.message));
+    // either UnsupportedContentType or MalformedMessage
+    this._metrics.messagesRejected.inc({
+      reason: e instanceof errors.UnsupportedContentType ?
+        'unsupported_content_type' : 'malformed',
+    });
+
+    this.respondError(message, e);
+
+    return;
+  }
+
+  var taskFn = this._getTaskFn(message);
+
+  if (!taskFn) {
+    this.respondError(message, new errors.UnknownTask(this._getTaskName(message)));
 
     return;
   }
 
+  var payloadSchema = this._getSchema(message);
+
+  if (payloadSchema !== undefined) {
+    try {
+      schema.assertValid(payloadSchema, payload);
+    } catch (e) {
+
+      // invalid payloads are not retried
+      this.respondError(message, e);
+
+      return;
+    }
+  }
+
   /**
    * Execute the worker function
    */
   var logger = this._makeLogger(message);
+  var controller = abort.createController();
+  var timeout = this._getJobTimeout(message);
+
+  var jobInfo = {
+    requestId: properties.messageId,
+    taskName: this._getTaskName(message),
+    attempt: this._getAttempt(message),
+    priority: properties.priority || 0,
+    signal: controller.signal,
+    trace: Object.assign({
+      traceparent: traceContext.format(trace),
+    }, trace),
+  };
   
-  /**
-   * Wrap it with a Promise, as to ensure
-   * its value is promise-chainable even if
-   * the function itself does not return a promise.
-   */
-  return new Promise((resolve, reject) => {
+  var context = {
+    payload: payload,
+    properties: properties,
+    logger: logger,
+    job: jobInfo,
+  };
+
+  var execute = () => {
+    var startTime = Date.now();
+    var observeDuration = () => {
+      this._metrics.jobDuration.observe((Date.now() - startTime) / 1000);
+    };
+
+    var execution = this._traceExecution({
+      name: jobInfo.taskName || this.name,
+      requestId: jobInfo.requestId,
+      attempt: jobInfo.attempt,
+      trace: jobInfo.trace,
+    }, () => {
+      /**
+       * Run the task function at the core of the middleware chain.
+       * The chain ensures its value is promise-chainable even if
+       * the function itself does not return a promise.
+       */
+      var chain = middleware.compose(this._middleware)(this, context, (context) => {
+        return taskFn.call(this, context.payload, context.logger, context.job);
+      });
+
+      return timeout ? _withTimeout(chain, timeout, controller) : chain;
+    });
+
+    return execution
+      .then((result) => {
+        observeDuration();
+        return result;
+      }, (err) => {
+        observeDuration();
+        throw err;
+      })
+      .then(this.respondSuccess.bind(this, message))
+      .catch(this.handleError.bind(this, message));
+  };
+
+  var run = () => {
+    var started = this.rateLimit ?
+      this._acquireRateLimit(message, context.payload, controller).then((runNow) => {
+        // deferred jobs are run upon redelivery
+        return runNow ? this._runLimited(message, controller, execute) : undefined;
+      }) :
+      this._runLimited(message, controller, execute);
+
+    return started.catch(this.handleError.bind(this, message));
+  };
+
+  var promise = this._isCancelled(properties.messageId).then((cancelled) => {
+    if (cancelled) {
+      // cancelled while queued
+      return this.respondCancelled(message);
+    }
+
+    if (!this.idempotency) {
+      return run();
+    }
+
+    // repeats within the idempotency window are not executed
+    return this._findOutcome(message).then((outcome) => {
+      if (outcome) {
+        return this.respondDuplicate(message, outcome);
+      }
+
+      return run();
+    });
+  });
+
+  return this._trackJob(message, {
+    promise: promise,
+    controller: controller,
+  });
+};
+
+/**
+ * Calls the tracer's span hooks around the job's execution.
+ * Errors thrown by the hooks are emitted as `tracer-error`
+ * and do not affect the job.
+ * 
+ * @param  {Object} span
+ * @param  {Function} execute should return the execution promise
+ * @return {Promise}
+ */
+HWorkerServer.prototype._traceExecution = function (span, execute) {
+
+  var callHook = (hookName) => {
+    if (typeof this.tracer[hookName] !== 'function') {
+      return;
+    }
+
     try {
-      resolve(this.workerFn(payload, logger))
+      this.tracer[hookName](span);
     } catch (err) {
-      reject(err)
+      this.emit('tracer-error', err);
     }
-  })
-  .then(this.respondSuccess.bind(this, message))
-  .catch(this.handleError.bind(this, message));
+  };
+
+  span.startTime = Date.now();
+  callHook('onSpanStart');
+
+  return execute().then((result) => {
+    span.endTime = Date.now();
+    callHook('onSpanEnd');
+
+    return result;
+  }, (err) => {
+    span.endTime = Date.now();
+    span.error = err;
+    callHook('onSpanEnd');
+
+    throw err;
+  });
+};
+
+/**
+ * Reads the job timeout for the message:
+ * the `x-job-timeout` header if valid, otherwise
+ * the server's `jobTimeout`.
+ * 
+ * @param  {Object} message
+ * @return {Number}
+ */
+HWorkerServer.prototype._getJobTimeout = function (message) {
+  var headers = (message.properties && message.properties.headers) || {};
+  var timeout = parseInt(headers[constants.JOB_TIMEOUT_HEADER], 10);
+
+  return timeout > 0 ? timeout : this.jobTimeout;
+};
+
+/**
+ * Keeps track of the job while it is in flight,
+ * so that `close` may wait for it.
+ * 
+ * @param  {Object} message
+ * @param  {Object} job
+ *         - promise
+ *         - controller
+ * @return {Promise}
+ */
+HWorkerServer.prototype._trackJob = function (message, job) {
+
+  this._jobs.set(message, job);
+  this._metrics.jobsInFlight.inc();
+
+  var untrack = () => {
+    this._jobs.delete(message);
+    this._metrics.jobsInFlight.dec();
+  };
+
+  job.promise.then(untrack, untrack);
+
+  return job.promise;
+};
+
+/**
+ * Gracefully shuts the worker down.
+ *
+ * Stops consuming so that no new jobs arrive, waits for in-flight
+ * jobs to be responded and then closes the channel and, if the worker
+ * owns it, the connection. Terminates the worker pool, if any.
+ *
+ * If `options.timeout` (ms) expires before in-flight jobs finish,
+ * their messages are nacked and requeued so that other
+ * worker instances may pick them up.
+ * 
+ * @param  {Object} options
+ *         - timeout
+ * @return {Promise}
+ */
+HWorkerServer.prototype.close = function (options) {
+
+  options = options || {};
+
+  var channel = this.channel;
+
+  // prevent reconnection while draining
+  this._closing = true;
+
+  var cancelPromise = (channel && this.consumerTag) ?
+    Promise.resolve(channel.cancel(this.consumerTag)) :
+    Promise.resolve();
+
+  return cancelPromise
+    .then(() => {
+      this.consumerTag = undefined;
+
+      return this._drain(options.timeout);
+    })
+    .then(() => {
+      return this._disconnect();
+    })
+    .then(() => {
+      if (this.pool) {
+        return this.pool.close();
+      }
+    });
+};
+
+/**
+ * Waits for in-flight jobs to finish.
+ * Requeues the ones that are still running once the timeout expires.
+ * 
+ * @param  {Number} timeout
+ * @return {Promise}
+ */
+HWorkerServer.prototype._drain = function (timeout) {
+
+  var jobs = [];
+  this._jobs.forEach((job) => {
+    jobs.push(job.promise.catch(() => {}));
+  });
+
+  var drained = Promise.all(jobs);
+
+  if (!timeout) {
+    return drained;
+  }
+
+  return new Promise((resolve) => {
+    var timer = setTimeout(() => {
+      this._requeueJobs();
+      resolve();
+    }, timeout);
+
+    drained.then(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+};
+
+/**
+ * Nacks the messages of in-flight jobs, requeueing them.
+ * Their results, if they ever come, are ignored.
+ */
+HWorkerServer.prototype._requeueJobs = function () {
+
+  this._jobs.forEach((job, message) => {
+    if (this._isPending(message)) {
+      this._settledMessages.add(message);
+      this.channel.nack(message, false, true);
+    }
+
+    job.controller.abort(new errors.HWorkerError('job requeued upon close'));
+  });
+
+  this._jobs.clear();
+};
+
+/**
+ * Reads the name of the task requested by the message.
+ * The `x-task-name` header takes precedence over the message's `type`.
+ * 
+ * @param  {Object} message
+ * @return {String|undefined}
+ */
+HWorkerServer.prototype._getTaskName = function (message) {
+  var properties = message.properties || {};
+  var headers    = properties.headers || {};
+
+  if (headers[constants.TASK_NAME_HEADER]) {
+    return headers[constants.TASK_NAME_HEADER];
+  }
+
+  if (properties.type && properties.type !== constants.WORK_REQUEST_TYPE) {
+    return properties.type;
+  }
+
+  return undefined;
+};
+
+/**
+ * Retrieves the function that should handle the message.
+ * Messages without a task name are handled by the workerFn.
+ * 
+ * @param  {Object} message
+ * @return {Function|undefined}
+ */
+HWorkerServer.prototype._getTaskFn = function (message) {
+  var taskName = this._getTaskName(message);
+
+  if (taskName === undefined) {
+    return typeof this.workerFn === 'function' ? this.workerFn : undefined;
+  }
+
+  return Object.prototype.hasOwnProperty.call(this.tasks, taskName) ?
+    this.tasks[taskName] : undefined;
+};
+
+/**
+ * Retrieves the schema the message's payload should match, if any.
+ * 
+ * @param  {Object} message
+ * @return {Object|undefined}
+ */
+HWorkerServer.prototype._getSchema = function (message) {
+  var taskName = this._getTaskName(message);
+
+  if (taskName === undefined) {
+    return this.schema;
+  }
+
+  return Object.prototype.hasOwnProperty.call(this.schemas, taskName) ?
+    this.schemas[taskName] : undefined;
 };
 
 /**
@@ -238,12 +1375,91 @@ HWorkerServer.prototype.handleMessage = function (message) {
  * @param  {Error} err
  */
 HWorkerServer.prototype.handleError = function (sourceMessage, err) {
-  this.respondError(sourceMessage, err);
+  if (this._shouldRetry(sourceMessage, err)) {
+    return this.respondRetry(sourceMessage, err);
+  } else {
+    return this.respondError(sourceMessage, err);
+  }
+};
+
+/**
+ * Reads the attempt number of the message.
+ * 
+ * @param  {Object} message
+ * @return {Number}
+ */
+HWorkerServer.prototype._getAttempt = function (message) {
+  var headers = (message.properties && message.properties.headers) || {};
+  var attempt = parseInt(headers[constants.ATTEMPT_HEADER], 10);
+
+  return attempt > 0 ? attempt : 1;
+};
+
+/**
+ * Checks whether the failed message should be retried
+ * according to the retry policy.
+ * 
+ * @param  {Object} message
+ * @param  {Error} err
+ * @return {Boolean}
+ */
+HWorkerServer.prototype._shouldRetry = function (message, err) {
+  var options = this.retryOptions;
+
+  if (this._getAttempt(message) >= options.maxAttempts) {
+    return false;
+  }
+
+  try {
+    return Boolean(options.retryable(err));
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Computes the delay before retrying the given failed attempt.
+ * 
+ * @param  {Number} attempt
+ * @return {Number}
+ */
+HWorkerServer.prototype._getRetryDelay = function (attempt) {
+  return backoff.exponential(attempt, this.retryOptions.baseDelay, this.retryOptions.maxDelay);
+};
+
+/**
+ * Lists the distinct delays the retry policy may use,
+ * so that their queues may be asserted.
+ * 
+ * @return {Array}
+ */
+HWorkerServer.prototype._getRetryDelays = function () {
+  var delays = [];
+
+  for (var attempt = 1; attempt < this.retryOptions.maxAttempts; attempt++) {
+    var delay = this._getRetryDelay(attempt);
+
+    if (delays.indexOf(delay) !== -1) {
+      // delays are capped at maxDelay
+      break;
+    }
+
+    delays.push(delay);
+  }
+
+  return delays;
 };
 
 /**
- * Assign messaging methods to the HWorkerServer's prototype
+ * Assign connection, dead-letter, messaging, idempotency, rate limit
+ * and cancellation methods to the HWorkerServer's prototype
  */
+Object.assign(HWorkerServer.prototype, require('../shared/connection'));
+Object.assign(HWorkerServer.prototype, require('../shared/dead-letters'));
 Object.assign(HWorkerServer.prototype, require('./messaging'));
+Object.assign(HWorkerServer.prototype, require('./idempotency'));
+Object.assign(HWorkerServer.prototype, require('./rate-limit'));
+Object.assign(HWorkerServer.prototype, require('./cancellation'));
+Object.assign(HWorkerServer.prototype, require('../shared/instrumentation'));
 
 module.exports = HWorkerServer;
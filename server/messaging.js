@@ -5,22 +5,57 @@ const uuid = require('uuid');
 const DEFAULT_PUBLISH_OPTIONS = {
   persistent: true,
   mandatory: false,
-  contentType: 'application/json',
-  contentEncoding: 'utf8',
 };
 
-const errors = require('../shared/errors');
+const errors      = require('../shared/errors');
+const constants   = require('../shared/constants');
+const delayQueues = require('../shared/delay-queues');
+const messageProperties = require('../shared/message-properties');
+const traceContext = require('../shared/trace-context');
 
 /**
- * The default toJSON callback for errors
+ * Name of the error, for breaking metrics down
  * @param  {Error} err
+ * @return {String}
+ */
+function _errorName(err) {
+  return (err && err.name) || 'Error';
+}
+
+/**
+ * Serializes the error into the versioned wire format.
+ * See `errors.serialize`.
+ * 
+ * @param  {Error} err
+ * @param  {Object} options
+ *         - stack: {Boolean}
  * @return {Object}
  */
-function _defaultErrorToJSON(err) {
-  return {
-    name: err.name,
-    message: err.message,
-  };
+function _errorToJSON(err, options) {
+  return errors.serialize(err, options);
+}
+
+/**
+ * Chooses the contentType for update data that
+ * does not specify one:
+ *   - Buffers are published as `application/octet-stream`
+ *   - Strings as `text/plain`
+ *   - Objects as `application/json`
+ *   - everything else is converted to a string and published as `text/plain`
+ * 
+ * @param  {*} data
+ * @return {String}
+ */
+function _detectContentType(data) {
+  if (Buffer.isBuffer(data)) {
+    return 'application/octet-stream';
+  } else if (typeof data === 'string') {
+    return 'text/plain';
+  } else if (data instanceof Object) {
+    return 'application/json';
+  } else {
+    return 'text/plain';
+  }
 }
 
 function _array(obj) {
@@ -76,7 +111,23 @@ exports.logError = function (sourceMessage) {
 };
 
 /**
- * Creates an object that exposes the four common logging methods of console.
+ * Publishes a 'progress' update
+ * @param  {Object} sourceMessage
+ * @param  {Number} fraction between 0 and 1
+ * @param  {*} detail
+ */
+exports.logProgress = function (sourceMessage, fraction, detail) {
+  this.publishUpdate(sourceMessage, {
+    fraction: fraction,
+    detail: detail,
+  }, {
+    type: 'progress'
+  });
+};
+
+/**
+ * Creates an object that exposes the four common logging methods of console
+ * and a `progress(fraction, detail)` method.
  * 
  * @param  {Object} sourceMessage
  * @return {Object}
@@ -88,49 +139,363 @@ exports._makeLogger = function (sourceMessage) {
   logger.log = logger.info = this.logInfo.bind(this, sourceMessage);
   logger.warn = this.logWarning.bind(this, sourceMessage);
   logger.error = this.logError.bind(this, sourceMessage);
+  logger.progress = this._makeProgressReporter(sourceMessage);
 
   return logger;
 }
 
+/**
+ * Creates a function that reports progress for the sourceMessage.
+ *
+ * Calls are throttled to one update per `progressInterval` ms:
+ * calls made in between are coalesced, so that only
+ * the latest progress is published at the end of the interval.
+ * Progress reported after the job has been responded is dropped.
+ * 
+ * @param  {Object} sourceMessage
+ * @return {Function}
+ */
+exports._makeProgressReporter = function (sourceMessage) {
+
+  var lastPublishedAt = 0;
+  var pending;
+  var timer;
+
+  var flush = () => {
+    var progress = pending;
+
+    timer = undefined;
+    pending = undefined;
+
+    if (!progress || !this._isPending(sourceMessage)) {
+      return;
+    }
+
+    lastPublishedAt = Date.now();
+
+    this.logProgress(sourceMessage, progress.fraction, progress.detail);
+  };
+
+  return (fraction, detail) => {
+
+    if (typeof fraction !== 'number' || isNaN(fraction)) {
+      throw new errors.InvalidOption('fraction', 'invalid');
+    }
+
+    pending = {
+      fraction: Math.min(Math.max(fraction, 0), 1),
+      detail: detail,
+    };
+
+    if (timer) {
+      // coalesce with the scheduled update
+      return;
+    }
+
+    var wait = lastPublishedAt + this.progressInterval - Date.now();
+
+    if (wait <= 0) {
+      flush();
+    } else {
+      timer = setTimeout(flush, wait);
+    }
+  };
+};
+
+
+/**
+ * Checks whether the sourceMessage still awaits a response.
+ *
+ * Messages that were already acked or nacked must not be responded again.
+ * Messages delivered on a channel that has since been lost
+ * cannot be acked and will be redelivered by rabbitMQ.
+ * 
+ * @param  {Object} sourceMessage
+ * @return {Boolean}
+ */
+exports._isPending = function (sourceMessage) {
+  if (!this.channel || this._settledMessages.has(sourceMessage)) {
+    return false;
+  }
+
+  var deliveryChannel = this._deliveryChannels.get(sourceMessage);
+
+  return !deliveryChannel || deliveryChannel === this.channel;
+};
 
 /**
- * Acks the sourceMessage and publishes the result
+ * Writes the result of the sourceMessage's job to the result backend,
+ * if any, keyed by the requestId. Backend failures are
+ * emitted as `result-backend-error`.
+ * 
+ * @param  {Object} sourceMessage
+ * @param  {String} status 'succeeded', 'failed' or 'cancelled'
+ * @param  {*} payload the result or the serialized error
+ * @return {Promise|undefined} settles once written, never rejects.
+ *                             Undefined if there is nothing to write.
+ */
+exports._storeResult = function (sourceMessage, status, payload) {
+  var requestId = sourceMessage.properties.messageId;
+
+  if (!this.resultBackend || !requestId) {
+    return;
+  }
+
+  return Promise.resolve()
+    .then(() => {
+      return this.resultBackend.set(requestId, {
+        status: status,
+        payload: payload,
+        completedAt: Date.now(),
+      }, this.resultTtl);
+    })
+    .catch((err) => {
+      this.emit('result-backend-error', err);
+    });
+};
+
+/**
+ * Writes the result to the result backend and only then publishes
+ * its update, so that clients calling `getResult` upon the update
+ * do not find it pending. Publishes right away if there is no backend.
+ *
+ * Failures to publish the update (e.g. the channel was lost while
+ * writing to the backend) are emitted as `channel-error`.
+ * 
+ * @param  {Object} sourceMessage
+ * @param  {String} status see `_storeResult`
+ * @param  {*} data the result or the serialized error
+ * @param  {Object} options see `publishUpdate`
+ * @return {Promise|undefined} resolves once the update is published,
+ *                             if it had to wait for the backend.
+ *                             Never rejects.
+ */
+exports._publishResult = function (sourceMessage, status, data, options) {
+  var publish = () => {
+    try {
+      this.publishUpdate(sourceMessage, data, options);
+    } catch (err) {
+      this.emit('channel-error', err);
+    }
+  };
+
+  var stored = this._storeResult(sourceMessage, status, data);
+
+  return stored ? stored.then(publish) : publish();
+};
+
+/**
+ * Acks the sourceMessage and publishes the result.
+ * The result is remembered for repeats of the request
+ * if idempotency is enabled and written to the result backend.
+ * 
  * @param  {Object} sourceMessage
  * @param  {*} result
  */
 exports.respondSuccess = function (sourceMessage, result) {
+  if (!this._isPending(sourceMessage)) {
+    return;
+  }
+
+  this._settledMessages.add(sourceMessage);
   this.channel.ack(sourceMessage, false);
 
-  this.publishUpdate(sourceMessage, result, {
-    type: 'result:success'
+  this._metrics.jobsSucceeded.inc();
+
+  this._rememberOutcome(sourceMessage, {
+    type: 'result:success',
+    contentType: this.resultContentType,
+    data: result,
+  });
+
+  return this._publishResult(sourceMessage, 'succeeded', result, {
+    type: 'result:success',
+    contentType: this.resultContentType,
   });
 };
 
 /**
  * Nacks the message and publishes an error result
+ *
+ * If dead-lettering is enabled, the message is republished to the
+ * dead-letter exchange with the error in the `x-last-error` header
+ * and then acked, as rabbitMQ's own dead-lettering has no way
+ * of carrying the error.
+ *
+ * The message is settled before the result is published, and failures
+ * to settle it are emitted as `channel-error`, so that neither
+ * blocks the other.
  * 
  * @param  {Object} sourceMessage
  * @param  {Error} err
  */
 exports.respondError = function (sourceMessage, err) {
 
-  var errData;
+  if (!this._isPending(sourceMessage)) {
+    return;
+  }
 
-  if (!err.toJSON) {
-    errData = _defaultErrorToJSON(err);
-  } else {
-    errData = err.toJSON();
+  this._settledMessages.add(sourceMessage);
+
+  this._metrics.jobsFailed.inc({ error: _errorName(err) });
+
+  var errData = _errorToJSON(err, { stack: this.errorStack });
+
+  this._rememberOutcome(sourceMessage, {
+    type: 'result:error',
+    data: errData,
+  });
+
+  try {
+    if (this.deadLetter) {
+      var headers = Object.assign({}, sourceMessage.properties.headers);
+      headers[constants.LAST_ERROR_HEADER] = JSON.stringify(errData);
+
+      this.channel.publish(
+        this.deadLetterExchangeName,
+        this.workerQueueName,
+        sourceMessage.content,
+        messageProperties.republishOptions(sourceMessage.properties, headers)
+      );
+
+      this.channel.ack(sourceMessage, false);
+    } else {
+      this.channel.nack(sourceMessage, false, false);
+    }
+  } catch (e) {
+    this.emit('channel-error', e);
   }
 
-  this.publishUpdate(sourceMessage, errData, {
+  return this._publishResult(sourceMessage, 'failed', errData, {
     type: 'result:error'
   });
+};
+
+/**
+ * Acks the sourceMessage of a cancelled job and publishes
+ * a `result:cancelled` update carrying a `JobCancelled` error.
+ * 
+ * @param  {Object} sourceMessage
+ */
+exports.respondCancelled = function (sourceMessage) {
+
+  if (!this._isPending(sourceMessage)) {
+    return;
+  }
+
+  this._settledMessages.add(sourceMessage);
+  this.channel.ack(sourceMessage, false);
 
-  this.channel.nack(sourceMessage, false, false);
+  this._metrics.jobsCancelled.inc();
+
+  var errData = _errorToJSON(
+    new errors.JobCancelled(sourceMessage.properties.messageId),
+    { stack: false }
+  );
+
+  return this._publishResult(sourceMessage, 'cancelled', errData, {
+    type: 'result:cancelled'
+  });
+};
+
+/**
+ * Republishes the sourceMessage through the delay queue
+ * corresponding to its attempt number, acks it and
+ * publishes a `retry:scheduled` update.
+ *
+ * The republished message keeps its properties, so that
+ * the retry is handled as the same request.
+ * 
+ * @param  {Object} sourceMessage
+ * @param  {Error} err
+ */
+exports.respondRetry = function (sourceMessage, err) {
+
+  if (!this._isPending(sourceMessage)) {
+    return;
+  }
+
+  this._settledMessages.add(sourceMessage);
+
+  this._metrics.jobsFailed.inc({ error: _errorName(err) });
+
+  var properties = sourceMessage.properties;
+  var attempt = this._getAttempt(sourceMessage);
+  var delay = this._getRetryDelay(attempt);
+
+  var headers = Object.assign({}, properties.headers);
+  headers[constants.ATTEMPT_HEADER] = attempt + 1;
+
+  this.channel.publish(
+    '',
+    delayQueues.queueName(this.name, delay),
+    sourceMessage.content,
+    messageProperties.republishOptions(properties, headers)
+  );
+
+  this.channel.ack(sourceMessage, false);
+
+  this.publishUpdate(sourceMessage, {
+    attempt: attempt,
+    maxAttempts: this.retryOptions.maxAttempts,
+    delay: delay,
+    error: _errorToJSON(err, { stack: this.errorStack }),
+  }, {
+    type: 'retry:scheduled'
+  });
+};
+
+/**
+ * Republishes the sourceMessage through the scheduled queue that
+ * holds it for `delay` ms, then acks it. Used for deferring jobs
+ * over the rate limit.
+ *
+ * The republished message keeps its properties and headers,
+ * including the attempt number, as the job did not run.
+ * 
+ * @param  {Object} sourceMessage
+ * @param  {Number} delay ms
+ * @return {Promise}
+ */
+exports.respondDeferred = function (sourceMessage, delay) {
+
+  if (!this._isPending(sourceMessage)) {
+    return Promise.resolve();
+  }
+
+  var channel = this.channel;
+  var ttl = delayQueues.scheduledTtl(delay);
+
+  return Promise.resolve(delayQueues.assertScheduled(channel, this, ttl))
+    .then(() => {
+      // the channel might have been lost in the meantime
+      if (!this._isPending(sourceMessage)) {
+        return;
+      }
+
+      this._settledMessages.add(sourceMessage);
+
+      var options = messageProperties.republishOptions(sourceMessage.properties);
+      options.expiration = String(delay);
+
+      channel.publish(
+        '',
+        delayQueues.scheduledQueueName(this.name, ttl),
+        sourceMessage.content,
+        options
+      );
+
+      channel.ack(sourceMessage, false);
+    });
 };
 
 /**
  * Publishes a result for the given source message
+ *
+ * The data is encoded by the codec registered for `options.contentType`.
+ * If no contentType is given, it is chosen according to the data's type.
+ * Carries the trace context headers of the source message's job.
+ * 
  * @param  {Object} sourceMessage
  * @param  {*} data
  * @param  {Object} options      
@@ -142,22 +507,24 @@ exports.publishUpdate = function (sourceMessage, data, options) {
     throw new errors.InvalidOption('sourceMessage', 'malformed');
   }
 
-  var contentType;
+  if (!this.channel) {
+    throw new errors.NotConnected('not connected');
+  }
+
+  options = options || {};
 
   // data MUST NOT BE undefined
   data = data || '';
 
-  // make sure data is in buffer format
-  if (typeof data === 'string') {
-    contentType = 'text/plain';
-    data = new Buffer(data);
-  } else if (data instanceof Object) {
-    contentType = 'application/json';
-    data = new Buffer(JSON.stringify(data));
-  } else {
-    contentType = 'text/plain';
-    data = new Buffer(data.toString());
+  var contentType = options.contentType || _detectContentType(data);
+  var codec = this.codecs.get(contentType);
+
+  if (!codec) {
+    throw new errors.UnsupportedContentType(contentType);
   }
+
+  // make sure data is in buffer format
+  data = codec.encode(data);
   
   // set default options for publishing
   options = Object.assign({}, DEFAULT_PUBLISH_OPTIONS, options);
@@ -167,6 +534,14 @@ exports.publishUpdate = function (sourceMessage, data, options) {
   options.appId     = this.appId;
   options.correlationId = sourceMessage.properties.messageId;
   options.contentType = contentType;
+  options.contentEncoding = codec.contentEncoding;
+
+  // updates are published within the job's span
+  var trace = this._traceContexts.get(sourceMessage);
+
+  if (trace) {
+    options.headers = traceContext.inject(Object.assign({}, options.headers), trace);
+  }
 
   /**
    * TODO: use default exchange for reply messages
@@ -0,0 +1,131 @@
+/**
+ * Entry script of pool workers, run either as a worker thread
+ * (module path in `workerData`) or as a forked process
+ * (module path as the first argument). See `pool.js`.
+ *
+ * Loads the workerFn the module exports and runs the jobs it
+ * receives, proxying the logger calls back to the pool.
+ */
+
+// native
+const workerThreads = require('worker_threads');
+
+// own
+const errors = require('../shared/errors');
+const abort  = require('../shared/abort');
+const toBuffer = require('./pool').toBuffer;
+
+const port = workerThreads.parentPort;
+
+const modulePath = port ? workerThreads.workerData.module : process.argv[2];
+
+/**
+ * Sends a message to the pool
+ *
+ * @param  {Object} message
+ */
+function send(message) {
+  if (port) {
+    port.postMessage(message);
+  } else {
+    process.send(message);
+  }
+}
+
+const workerFn = require(modulePath);
+
+if (typeof workerFn !== 'function') {
+  throw new errors.InvalidOption('pool.module', 'invalid', modulePath + ' does not export a function');
+}
+
+/**
+ * Controllers of the running jobs, indexed by task id
+ *
+ * @type {Map}
+ */
+const controllers = new Map();
+
+/**
+ * Creates a logger that proxies its calls to the pool.
+ * Errors are serialized, as they are not cloned with their properties.
+ *
+ * @param  {Number} id
+ * @return {Object}
+ */
+function _makeLogger(id) {
+  var logger = {};
+
+  ['log', 'info', 'warn', 'error'].forEach((level) => {
+    logger[level] = function () {
+      send({
+        type: 'log',
+        id: id,
+        level: level,
+        args: Array.prototype.map.call(arguments, (arg) => {
+          return arg instanceof Error ? errors.serialize(arg) : arg;
+        }),
+      });
+    };
+  });
+
+  logger.progress = function (fraction, detail) {
+    if (typeof fraction !== 'number' || isNaN(fraction)) {
+      throw new errors.InvalidOption('fraction', 'invalid');
+    }
+
+    send({
+      type: 'progress',
+      id: id,
+      fraction: fraction,
+      detail: detail,
+    });
+  };
+
+  return logger;
+}
+
+function _run(message) {
+
+  var controller = abort.createController();
+  var job = Object.assign({}, message.job, { signal: controller.signal });
+
+  controllers.set(message.id, controller);
+
+  Promise.resolve()
+    .then(() => {
+      return workerFn(toBuffer(message.payload), _makeLogger(message.id), job);
+    })
+    .then((result) => {
+      send({ type: 'result', id: message.id, result: result });
+    })
+    .catch((err) => {
+      // also results that cannot be cloned
+      send({ type: 'error', id: message.id, error: errors.serialize(err, { stack: true }) });
+    })
+    .then(() => {
+      controllers.delete(message.id);
+    });
+}
+
+function onMessage(message) {
+  if (message.type === 'run') {
+    _run(message);
+  } else if (message.type === 'abort') {
+    var controller = controllers.get(message.id);
+
+    if (controller) {
+      controller.abort(errors.deserialize(message.reason));
+    }
+  }
+}
+
+if (port) {
+  port.on('message', onMessage);
+} else {
+  process.on('message', onMessage);
+
+  // exit along with the pool's process
+  process.on('disconnect', () => {
+    process.exit(0);
+  });
+}
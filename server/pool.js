@@ -0,0 +1,436 @@
+/**
+ * Pool of `worker_threads` or forked processes that run the workerFn
+ * off the event loop that services the AMQP channel, so that CPU-heavy
+ * jobs do not starve heartbeats.
+ *
+ * Each pool worker loads the workerFn from a module (see `pool-worker.js`)
+ * and runs one job at a time. Payloads, results, logger calls and
+ * aborts are proxied as messages; errors travel in the error wire format.
+ *
+ * A workerFn that does not stop within `abortTimeout` of an abort
+ * (e.g. stuck in a synchronous loop, thus unable to see it) has its
+ * worker terminated and replaced.
+ */
+
+// native
+const EventEmitter = require('events').EventEmitter;
+const util = require('util');
+const os   = require('os');
+const path = require('path');
+const childProcess  = require('child_process');
+const workerThreads = require('worker_threads');
+
+// own
+const errors = require('../shared/errors');
+
+/**
+ * Script pool workers run
+ *
+ * @type {String}
+ */
+const WORKER_SCRIPT = path.join(__dirname, 'pool-worker.js');
+
+const LOG_LEVELS = ['log', 'info', 'warn', 'error'];
+
+/**
+ * Buffers are cloned as Uint8Arrays, thus convert them back
+ *
+ * @param  {*} value
+ * @return {*}
+ */
+function toBuffer(value) {
+  if (value instanceof Uint8Array && !Buffer.isBuffer(value)) {
+    return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  }
+
+  return value;
+}
+
+/**
+ * WorkerPool constructor
+ *
+ * @param {Object} options
+ *        - module: {String} path of the module that exports the workerFn
+ *        - type: {String} 'thread' (default) or 'process'
+ *        - size: {Number} maximum number of workers, defaults to the number of CPUs
+ *        - abortTimeout: {Number} ms aborted workers are given to stop
+ *          before being terminated, defaults to 1000
+ */
+function WorkerPool(options) {
+  EventEmitter.call(this);
+
+  options = options || {};
+
+  if (!options.module || typeof options.module !== 'string') {
+    throw new errors.InvalidOption('pool.module', 'required');
+  }
+
+  this.module = path.resolve(options.module);
+
+  this.type = options.type || 'thread';
+
+  if (this.type !== 'thread' && this.type !== 'process') {
+    throw new errors.InvalidOption('pool.type', 'invalid');
+  }
+
+  this.size = options.size !== undefined ? options.size : os.cpus().length;
+
+  if (typeof this.size !== 'number' || this.size % 1 !== 0 || this.size < 1) {
+    throw new errors.InvalidOption('pool.size', 'invalid');
+  }
+
+  this.abortTimeout = options.abortTimeout !== undefined ? options.abortTimeout : 1000;
+
+  if (typeof this.abortTimeout !== 'number' || !(this.abortTimeout >= 0)) {
+    throw new errors.InvalidOption('pool.abortTimeout', 'invalid');
+  }
+
+  /**
+   * Running workers ({ handle, task })
+   *
+   * @type {Array}
+   */
+  this._workers = [];
+
+  /**
+   * Tasks waiting for an idle worker
+   *
+   * @type {Array}
+   */
+  this._queue = [];
+
+  this._nextTaskId = 1;
+  this._closed = false;
+}
+
+util.inherits(WorkerPool, EventEmitter);
+
+/**
+ * Runs the workerFn in a pool worker.
+ *
+ * Workers are spawned as needed, up to `size`. Tasks wait for an idle
+ * worker in the order they were run. Aborting the job's signal drops
+ * waiting tasks and forwards the abort to the running ones, whose
+ * workers are terminated if they do not stop within `abortTimeout`
+ * (emitting `worker-terminated`).
+ *
+ * @param  {*} payload
+ * @param  {Object} logger see `_makeLogger`
+ * @param  {Object} job
+ * @return {Promise -> result}
+ */
+WorkerPool.prototype.run = function (payload, logger, job) {
+
+  if (this._closed) {
+    return Promise.reject(new errors.HWorkerError('pool closed'));
+  }
+
+  return new Promise((resolve, reject) => {
+
+    var signal = job.signal;
+    var jobData = Object.assign({}, job);
+
+    // signals cannot be cloned, workers recreate them
+    delete jobData.signal;
+
+    var task = {
+      id: this._nextTaskId++,
+      payload: payload,
+      logger: logger,
+      job: jobData,
+      resolve: resolve,
+      reject: reject,
+    };
+
+    if (signal) {
+      var abortTimer;
+
+      var onAbort = () => {
+        var index = this._queue.indexOf(task);
+
+        if (index !== -1) {
+          this._queue.splice(index, 1);
+          reject(signal.reason);
+          return;
+        }
+
+        var worker = this._workers.find((worker) => {
+          return worker.task === task;
+        });
+
+        if (worker) {
+          this._send(worker, {
+            type: 'abort',
+            id: task.id,
+            reason: errors.serialize(signal.reason, { stack: true }),
+          });
+
+          abortTimer = setTimeout(() => {
+            if (worker.task === task) {
+              this.emit('worker-terminated', signal.reason);
+              this._terminate(worker, signal.reason);
+              this._dispatch();
+            }
+          }, this.abortTimeout);
+        }
+      };
+
+      signal.addEventListener('abort', onAbort);
+
+      task.cleanup = () => {
+        clearTimeout(abortTimer);
+        signal.removeEventListener('abort', onAbort);
+      };
+    }
+
+    this._queue.push(task);
+    this._dispatch();
+  });
+};
+
+/**
+ * Assigns waiting tasks to idle workers,
+ * spawning workers while below `size`.
+ */
+WorkerPool.prototype._dispatch = function () {
+
+  while (this._queue.length > 0) {
+    var worker = this._workers.find((worker) => {
+      return !worker.task;
+    });
+
+    if (!worker) {
+      if (this._workers.length >= this.size) {
+        return;
+      }
+
+      worker = this._spawn();
+    }
+
+    var task = this._queue.shift();
+
+    worker.task = task;
+
+    this._send(worker, {
+      type: 'run',
+      id: task.id,
+      payload: task.payload,
+      job: task.job,
+    });
+  }
+};
+
+/**
+ * Spawns a worker thread or forks a process
+ *
+ * @return {Object} worker
+ */
+WorkerPool.prototype._spawn = function () {
+
+  var worker = { task: null };
+
+  if (this.type === 'thread') {
+    worker.handle = new workerThreads.Worker(WORKER_SCRIPT, {
+      workerData: { module: this.module },
+    });
+  } else {
+    worker.handle = childProcess.fork(WORKER_SCRIPT, [this.module], {
+      // supports Buffers and the other structured clone types
+      serialization: 'advanced',
+    });
+  }
+
+  worker.handle.on('message', (message) => {
+    this._handleWorkerMessage(worker, message);
+  });
+
+  worker.handle.on('error', (err) => {
+    var crash = new errors.WorkerCrashed(undefined, 'pool worker crashed: ' + err.message);
+    crash.cause = err;
+
+    this._handleWorkerExit(worker, crash);
+  });
+
+  worker.handle.on('exit', (code) => {
+    this._handleWorkerExit(worker, new errors.WorkerCrashed(code));
+  });
+
+  this._workers.push(worker);
+
+  return worker;
+};
+
+/**
+ * Sends a message to the worker.
+ * Failures are handled as crashes.
+ *
+ * @param  {Object} worker
+ * @param  {Object} message
+ */
+WorkerPool.prototype._send = function (worker, message) {
+  try {
+    if (this.type === 'thread') {
+      worker.handle.postMessage(message);
+    } else {
+      worker.handle.send(message);
+    }
+  } catch (err) {
+    // e.g. payloads that cannot be cloned
+    var task = worker.task;
+
+    if (task && task.id === message.id && message.type === 'run') {
+      worker.task = null;
+      this._settle(task, err);
+      this._dispatch();
+    }
+  }
+};
+
+/**
+ * Handles messages from the worker's running task:
+ *   - log: { level, args }
+ *   - progress: { fraction, detail }
+ *   - result: { result }
+ *   - error: { error } in the error wire format
+ *
+ * @param  {Object} worker
+ * @param  {Object} message
+ */
+WorkerPool.prototype._handleWorkerMessage = function (worker, message) {
+
+  var task = worker.task;
+
+  if (!task || !message || message.id !== task.id) {
+    return;
+  }
+
+  switch (message.type) {
+    case 'log':
+      if (LOG_LEVELS.indexOf(message.level) !== -1) {
+        task.logger[message.level].apply(task.logger, message.args);
+      }
+      break;
+    case 'progress':
+      try {
+        task.logger.progress(message.fraction, message.detail);
+      } catch (err) {
+        // invalid progress is dropped, as the worker validates it
+      }
+      break;
+    case 'result':
+      worker.task = null;
+      this._settle(task, null, toBuffer(message.result));
+      this._dispatch();
+      break;
+    case 'error':
+      worker.task = null;
+      this._settle(task, errors.deserialize(message.error));
+      this._dispatch();
+      break;
+  }
+};
+
+/**
+ * Removes the worker from the pool and fails its task, if any.
+ * Workers are replaced as soon as there are tasks to run.
+ *
+ * @param  {Object} worker
+ * @param  {Error} err
+ */
+WorkerPool.prototype._handleWorkerExit = function (worker, err) {
+
+  var index = this._workers.indexOf(worker);
+
+  if (index === -1) {
+    // already handled, e.g. 'exit' after 'error'
+    return;
+  }
+
+  this._workers.splice(index, 1);
+
+  if (worker.terminating) {
+    return;
+  }
+
+  this.emit('worker-crashed', err);
+
+  if (worker.task) {
+    var task = worker.task;
+
+    worker.task = null;
+    this._settle(task, err);
+  }
+
+  this._dispatch();
+};
+
+/**
+ * Removes the worker from the pool, fails its task, if any,
+ * and terminates its thread or kills its process.
+ *
+ * @param  {Object} worker
+ * @param  {Error} err
+ * @return {Promise} resolved once the worker has exited
+ */
+WorkerPool.prototype._terminate = function (worker, err) {
+
+  var index = this._workers.indexOf(worker);
+
+  if (index !== -1) {
+    this._workers.splice(index, 1);
+  }
+
+  worker.terminating = true;
+
+  if (worker.task) {
+    var task = worker.task;
+
+    worker.task = null;
+    this._settle(task, err);
+  }
+
+  if (this.type === 'thread') {
+    return worker.handle.terminate();
+  }
+
+  return new Promise((resolve) => {
+    worker.handle.once('exit', resolve);
+    worker.handle.kill();
+  });
+};
+
+WorkerPool.prototype._settle = function (task, err, result) {
+  if (task.cleanup) {
+    task.cleanup();
+  }
+
+  if (err) {
+    task.reject(err);
+  } else {
+    task.resolve(result);
+  }
+};
+
+/**
+ * Terminates all workers and rejects waiting tasks.
+ *
+ * @return {Promise}
+ */
+WorkerPool.prototype.close = function () {
+
+  this._closed = true;
+
+  var queue = this._queue;
+  this._queue = [];
+
+  queue.forEach((task) => {
+    this._settle(task, new errors.HWorkerError('pool closed'));
+  });
+
+  return Promise.all(this._workers.slice().map((worker) => {
+    return this._terminate(worker, new errors.HWorkerError('pool closed'));
+  }));
+};
+
+exports.WorkerPool = WorkerPool;
+exports.toBuffer = toBuffer;
@@ -0,0 +1,147 @@
+/**
+ * Waits for the given time unless the signal is aborted first
+ *
+ * @param  {Number} ms
+ * @param  {AbortSignal} signal
+ * @return {Promise}
+ */
+function _sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    var onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+
+    var timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal.addEventListener('abort', onAbort);
+  });
+}
+
+/**
+ * Reads the rate limit key of the message: the value of the
+ * configured header or payload field, or the result of the
+ * key function. Messages without a key share the same budget.
+ *
+ * @param  {Object} message
+ * @param  {*} payload
+ * @return {String}
+ */
+exports._getRateLimitKey = function (message, payload) {
+  var rateLimit = this.rateLimit;
+  var headers = (message.properties && message.properties.headers) || {};
+  var key;
+
+  if (rateLimit.header) {
+    key = headers[rateLimit.header];
+  } else if (typeof rateLimit.key === 'function') {
+    key = rateLimit.key(payload, message.properties);
+  } else if (rateLimit.key) {
+    key = rateLimit.key.split('.').reduce((value, field) => {
+      return (value && typeof value === 'object') ? value[field] : undefined;
+    }, payload);
+  }
+
+  return (key === undefined || key === null) ? '' : String(key);
+};
+
+/**
+ * Delay (ms) of a job deferred by the given bucket.
+ *
+ * The store only reports when the next token is available, which
+ * is the same for every job of a burst: deferring them all by it
+ * would bring them back at once, to be deferred again but one, over
+ * and over. Instead, each job is deferred one refill period past the
+ * previous job deferred by the bucket, so that the burst comes back
+ * at the rate tokens are available. Replicas spread their own jobs.
+ *
+ * @param  {String} bucketKey
+ * @param  {Number} wait ms until the next token is available
+ * @return {Number}
+ */
+exports._rateLimitDeferral = function (bucketKey, wait) {
+  var rateLimit = this.rateLimit;
+  var deferredUntil = this._rateLimitDeferredUntil;
+  var now = Date.now();
+
+  // drop the buckets whose deferred jobs are all due,
+  // stopping at the first one still deferring
+  for (var entry of deferredUntil) {
+    if (entry[1] > now) {
+      break;
+    }
+
+    deferredUntil.delete(entry[0]);
+  }
+
+  var last = deferredUntil.get(bucketKey);
+  var delay = last ?
+    Math.max(wait, Math.ceil(last - now + rateLimit.interval / rateLimit.limit)) : wait;
+
+  deferredUntil.delete(bucketKey);
+  deferredUntil.set(bucketKey, now + delay);
+
+  return delay;
+};
+
+/**
+ * Takes a token from the bucket of the message's key.
+ *
+ * If the bucket is empty, either holds the job in process until
+ * a token is available (`hold` mode) or republishes it through a
+ * scheduled queue (`defer` mode). Held jobs only wait for their own
+ * key's budget, but keep occupying a prefetch slot. Deferred jobs
+ * are spread at the refill rate (see `_rateLimitDeferral`).
+ *
+ * Store failures are emitted as `rate-limit-error` and let the job run.
+ *
+ * @param  {Object} message
+ * @param  {*} payload
+ * @param  {AbortController} controller
+ * @return {Promise -> Boolean} whether the job should run now
+ */
+exports._acquireRateLimit = function (message, payload, controller) {
+
+  var rateLimit = this.rateLimit;
+  var key = this._getRateLimitKey(message, payload);
+  var bucketKey = this.name + ':' + key;
+
+  var take = () => {
+    return Promise.resolve()
+      .then(() => {
+        return rateLimit.store.take(bucketKey, rateLimit.limit, rateLimit.interval);
+      })
+      .then((wait) => {
+        if (!wait) {
+          return true;
+        }
+
+        this._metrics.jobsRateLimited.inc({ mode: rateLimit.mode });
+        this.emit('rate-limited', key, wait, message);
+
+        if (rateLimit.mode === 'defer') {
+          var delay = this._rateLimitDeferral(bucketKey, wait);
+
+          return Promise.resolve(this.respondDeferred(message, delay)).then(() => {
+            return false;
+          });
+        }
+
+        return _sleep(wait, controller.signal).then(take);
+      }, (err) => {
+        this.emit('rate-limit-error', err);
+
+        return true;
+      });
+  };
+
+  return take();
+};
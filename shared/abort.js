@@ -0,0 +1,71 @@
+// native
+const EventEmitter = require('events').EventEmitter;
+const util = require('util');
+
+/**
+ * Minimal AbortSignal implementation,
+ * for runtimes that do not provide one.
+ */
+function HWorkerAbortSignal() {
+  EventEmitter.call(this);
+
+  this.aborted = false;
+  this.reason = undefined;
+  this.onabort = null;
+}
+util.inherits(HWorkerAbortSignal, EventEmitter);
+
+HWorkerAbortSignal.prototype.addEventListener = function (type, listener) {
+  this.on(type, listener);
+};
+
+HWorkerAbortSignal.prototype.removeEventListener = function (type, listener) {
+  this.removeListener(type, listener);
+};
+
+HWorkerAbortSignal.prototype.throwIfAborted = function () {
+  if (this.aborted) {
+    throw this.reason;
+  }
+};
+
+/**
+ * Minimal AbortController implementation,
+ * for runtimes that do not provide one.
+ */
+function HWorkerAbortController() {
+  this.signal = new HWorkerAbortSignal();
+}
+
+HWorkerAbortController.prototype.abort = function (reason) {
+  var signal = this.signal;
+
+  if (signal.aborted) {
+    return;
+  }
+
+  signal.aborted = true;
+  signal.reason = reason;
+
+  var event = { type: 'abort', target: signal };
+
+  if (typeof signal.onabort === 'function') {
+    signal.onabort(event);
+  }
+
+  signal.emit('abort', event);
+};
+
+/**
+ * Creates an AbortController, using the runtime's
+ * implementation whenever available.
+ * 
+ * @return {AbortController}
+ */
+exports.createController = function () {
+  if (typeof AbortController === 'function') {
+    return new AbortController();
+  }
+
+  return new HWorkerAbortController();
+};
@@ -0,0 +1,17 @@
+/**
+ * Computes the delay before the given attempt
+ * using an exponential backoff strategy.
+ *
+ * The first attempt waits for `base` ms and each subsequent
+ * attempt doubles the delay, up to `max` ms.
+ * 
+ * @param  {Number} attempt starting at 1
+ * @param  {Number} base
+ * @param  {Number} max
+ * @return {Number}
+ */
+exports.exponential = function (attempt, base, max) {
+  var delay = base * Math.pow(2, Math.max(attempt - 1, 0));
+
+  return Math.min(delay, max);
+};
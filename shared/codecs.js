@@ -0,0 +1,170 @@
+// own
+const errors  = require('./errors');
+const msgpack = require('./msgpack');
+
+/**
+ * Codecs encode message payloads into Buffers and decode them back.
+ * They are keyed by the message's contentType and have:
+ *   - encode(data) -> Buffer
+ *   - decode(buffer) -> data
+ *   - contentEncoding (optional)
+ */
+
+/**
+ * JSON codec
+ * @type {Object}
+ */
+exports.json = {
+  contentEncoding: 'utf8',
+  encode: function (data) {
+    return Buffer.from(JSON.stringify(data));
+  },
+  decode: function (buffer) {
+    return JSON.parse(buffer.toString());
+  },
+};
+
+/**
+ * Plain text codec
+ * @type {Object}
+ */
+exports.text = {
+  contentEncoding: 'utf8',
+  encode: function (data) {
+    return Buffer.from(String(data));
+  },
+  decode: function (buffer) {
+    return buffer.toString();
+  },
+};
+
+/**
+ * Raw binary codec. Payloads are Buffers.
+ * @type {Object}
+ */
+exports.binary = {
+  encode: function (data) {
+    return Buffer.isBuffer(data) ? data : Buffer.from(data);
+  },
+  decode: function (buffer) {
+    return buffer;
+  },
+};
+
+/**
+ * Compact binary codec (MessagePack)
+ * @type {Object}
+ */
+exports.msgpack = {
+  encode: msgpack.encode,
+  decode: msgpack.decode,
+};
+
+/**
+ * Codecs available to every registry
+ * @type {Object}
+ */
+const BUILT_IN_CODECS = {
+  'application/json': exports.json,
+  'text/plain': exports.text,
+  'application/octet-stream': exports.binary,
+  'application/x-msgpack': exports.msgpack,
+};
+
+/**
+ * Registry of codecs indexed by contentType.
+ * Starts with the built-in codecs.
+ * 
+ * @param {Object} codecs map of contentType -> codec
+ */
+function CodecRegistry(codecs) {
+  this.codecs = Object.assign({}, BUILT_IN_CODECS);
+
+  codecs = codecs || {};
+
+  Object.keys(codecs).forEach((contentType) => {
+    this.register(contentType, codecs[contentType]);
+  });
+}
+
+/**
+ * Registers a codec for the contentType,
+ * replacing any codec previously registered for it.
+ * 
+ * @param  {String} contentType
+ * @param  {Object} codec
+ * @return {CodecRegistry}
+ */
+CodecRegistry.prototype.register = function (contentType, codec) {
+  if (!contentType || typeof contentType !== 'string') {
+    throw new errors.InvalidOption('contentType', 'required');
+  }
+
+  if (!codec || typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+    throw new errors.InvalidOption('codec', 'invalid');
+  }
+
+  this.codecs[contentType.toLowerCase()] = codec;
+
+  return this;
+};
+
+/**
+ * Retrieves the codec for the contentType.
+ * Parameters such as `; charset=utf-8` are ignored.
+ * 
+ * @param  {String} contentType
+ * @return {Object|undefined}
+ */
+CodecRegistry.prototype.get = function (contentType) {
+  if (!contentType || typeof contentType !== 'string') {
+    return undefined;
+  }
+
+  contentType = contentType.split(';')[0].trim().toLowerCase();
+
+  return Object.prototype.hasOwnProperty.call(this.codecs, contentType) ?
+    this.codecs[contentType] : undefined;
+};
+
+/**
+ * Encodes the data using the codec for the contentType.
+ * 
+ * @param  {String} contentType
+ * @param  {*} data
+ * @return {Buffer}
+ */
+CodecRegistry.prototype.encode = function (contentType, data) {
+  var codec = this.get(contentType);
+
+  if (!codec) {
+    throw new errors.UnsupportedContentType(contentType);
+  }
+
+  return codec.encode(data);
+};
+
+/**
+ * Decodes the buffer using the codec for the contentType.
+ * Throws `UnsupportedContentType` if there is no codec for the
+ * contentType and `MalformedMessage` if decoding fails.
+ * 
+ * @param  {String} contentType
+ * @param  {Buffer} buffer
+ * @return {*}
+ */
+CodecRegistry.prototype.decode = function (contentType, buffer) {
+  var codec = this.get(contentType);
+
+  if (!codec) {
+    throw new errors.UnsupportedContentType(contentType);
+  }
+
+  try {
+    return codec.decode(buffer);
+  } catch (e) {
+    throw new errors.MalformedMessage(e.message);
+  }
+};
+
+exports.CodecRegistry = CodecRegistry;
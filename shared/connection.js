@@ -0,0 +1,293 @@
+// third-party
+const amqplib = require('amqplib');
+
+// own
+const errors  = require('./errors');
+const backoff = require('./backoff');
+
+// constants
+const DEFAULT_RECONNECT_OPTIONS = {
+  maxAttempts: Infinity,
+  minDelay: 500,
+  maxDelay: 30000,
+};
+
+/**
+ * Connection management methods shared by HWorkerServer and HWorkerClient.
+ *
+ * Expects the prototype to implement:
+ *   - _setupChannel(connection) -> Promise -> channel
+ *     creates the channel and asserts the required topology,
+ *     calling `_propagateChannelErrors` before any assertion
+ *   - _consume() -> Promise
+ *     starts consuming from `this.channel`
+ */
+
+/**
+ * Parses the `reconnect` option passed to the constructors.
+ * 
+ * @param  {Object|Boolean} reconnect
+ *         - maxAttempts
+ *         - minDelay
+ *         - maxDelay
+ * @return {Object|false}
+ */
+exports._parseReconnectOptions = function (reconnect) {
+  if (reconnect === false) {
+    return false;
+  }
+
+  return Object.assign({}, DEFAULT_RECONNECT_OPTIONS, reconnect);
+};
+
+/**
+ * Connects to the rabbitMQURI specified upon instantiation
+ * creates a channel and sets up required topology
+ * for the worker.
+ *
+ * If given a String, will assume it is an amqp URI and use
+ * amqplib.connect(uri) method to create a connection.
+ * In that case, if the connection or the channel are lost,
+ * will attempt to reconnect (see the `reconnect` option).
+ *
+ * If given a non-String, will assume it is an amqplib connection
+ * and use it straightforward. Reconnecting is then up to
+ * the connection's owner, through the `reconnect` method.
+ *
+ * @param {String|Connection} connectionOrURI
+ * @return {Promise -> self}
+ */
+exports.connect = function (connectionOrURI) {
+
+  if (!connectionOrURI) {
+    return Promise.reject(new errors.InvalidOption('connectionOrURI', 'required'));
+  }
+
+  this.connectionURI = (typeof connectionOrURI === 'string') ? connectionOrURI : undefined;
+  this._closing = false;
+
+  return this._connect(connectionOrURI);
+};
+
+/**
+ * Hook for re-establishing the instance's channel and topology
+ * after a `disconnected` event.
+ *
+ * Meant for instances connected through an externally supplied
+ * connection: once the connection's owner has a new connection
+ * available, it should pass it to this method.
+ *
+ * If no connection is given, uses the URI the instance
+ * was originally connected to.
+ * 
+ * @param  {String|Connection} connectionOrURI
+ * @return {Promise -> self}
+ */
+exports.reconnect = function (connectionOrURI) {
+
+  connectionOrURI = connectionOrURI || this.connectionURI;
+
+  return this.connect(connectionOrURI).then(() => {
+    this.emit('reconnected');
+
+    return this;
+  });
+};
+
+/**
+ * Creates the connection (if needed), sets up the channel
+ * and starts consuming.
+ * 
+ * @param  {String|Connection} connectionOrURI
+ * @return {Promise -> self}
+ */
+exports._connect = function (connectionOrURI) {
+
+  var ownsConnection = (typeof connectionOrURI === 'string');
+  var _connection;
+
+  var connectionPromise = ownsConnection ?
+    Promise.resolve(amqplib.connect(connectionOrURI)) :
+    Promise.resolve(connectionOrURI);
+
+  return connectionPromise.then((connection) => {
+    _connection = connection;
+
+    if (ownsConnection) {
+      // connection errors are followed by the channel's `close` event,
+      // which is handled below. Propagate them so that they are
+      // not thrown by the connection's EventEmitter
+      connection.on('error', (e) => {
+        this.emit('connection-error', e);
+      });
+    }
+
+    return this._setupChannel(connection);
+  })
+  .then((channel) => {
+    this.connection = _connection;
+    this.channel = channel;
+
+    // propagate events
+    function propagateChannelEvents(eventName, e) {
+      this.emit('channel-' + eventName, e);
+    }
+    channel.on('close', propagateChannelEvents.bind(this, 'close'));
+
+    channel.on('close', () => {
+      if (this.channel === channel) {
+        this._handleDisconnect();
+      }
+    });
+
+    return this._consume();
+  })
+  .then(() => {
+    return this;
+  })
+  .catch((err) => {
+    // do not leave behind connections created by the instance
+    if (ownsConnection && _connection) {
+      _closeQuietly(_connection);
+    }
+
+    throw err;
+  });
+};
+
+/**
+ * Propagates the channel's `error` events as `channel-error`.
+ *
+ * amqplib emits `error` when the broker closes the channel (e.g. with
+ * a 406 upon a mismatched queue assertion), which would be thrown if
+ * nothing listened to it. Thus it must be listened to before the
+ * topology is asserted.
+ * 
+ * @param  {Channel} channel
+ */
+exports._propagateChannelErrors = function (channel) {
+  channel.on('error', (e) => {
+    this.emit('channel-error', e);
+  });
+};
+
+/**
+ * Handles the loss of the channel (or of the connection, which
+ * closes the channel as well).
+ *
+ * Emits `disconnected` and, if the instance owns its connection,
+ * starts the reconnect loop.
+ */
+exports._handleDisconnect = function () {
+
+  if (this._closing) {
+    // the instance is being closed on purpose
+    return;
+  }
+
+  var connection = this.connection;
+
+  this.channel = undefined;
+  this.connection = undefined;
+
+  this.emit('disconnected');
+
+  if (!this.connectionURI) {
+    // externally supplied connection:
+    // reconnecting is up to the connection's owner
+    return;
+  }
+
+  // the channel may have been closed by a channel-level error
+  // while the connection is still open
+  _closeQuietly(connection);
+
+  if (this.reconnectOptions) {
+    this._scheduleReconnect(1);
+  }
+};
+
+/**
+ * Schedules a reconnection attempt using exponential backoff.
+ * Emits `reconnecting` before each attempt and `reconnected`
+ * once the channel and topology are re-established.
+ *
+ * Emits `error` if all attempts fail.
+ * 
+ * @param  {Number} attempt
+ */
+exports._scheduleReconnect = function (attempt) {
+
+  var options = this.reconnectOptions;
+
+  if (attempt > options.maxAttempts) {
+    this.emit('error', new errors.NotConnected(
+      'failed to reconnect after ' + options.maxAttempts + ' attempts'));
+    return;
+  }
+
+  var delay = backoff.exponential(attempt, options.minDelay, options.maxDelay);
+
+  this.emit('reconnecting', attempt, delay);
+
+  this._reconnectTimeout = setTimeout(() => {
+    this._reconnectTimeout = undefined;
+
+    this._connect(this.connectionURI).then(() => {
+      if (this._closing) {
+        // closed while reconnecting
+        return this._disconnect();
+      }
+
+      this.emit('reconnected');
+    }, (err) => {
+      this._scheduleReconnect(attempt + 1);
+    });
+
+  }, delay);
+};
+
+/**
+ * Closes the channel and, if the instance owns it, the connection.
+ * Stops any pending reconnection attempt.
+ * 
+ * @return {Promise}
+ */
+exports._disconnect = function () {
+
+  var channel    = this.channel;
+  var connection = this.connection;
+
+  this._closing = true;
+
+  clearTimeout(this._reconnectTimeout);
+  this._reconnectTimeout = undefined;
+
+  this.channel = undefined;
+  this.connection = undefined;
+
+  return _closeQuietly(channel).then(() => {
+    if (this.connectionURI) {
+      return _closeQuietly(connection);
+    }
+  });
+};
+
+/**
+ * Closes the channel or connection ignoring errors,
+ * as it might have been already closed.
+ * 
+ * @param  {Channel|Connection} channelOrConnection
+ * @return {Promise}
+ */
+function _closeQuietly(channelOrConnection) {
+  if (!channelOrConnection) {
+    return Promise.resolve();
+  }
+
+  return Promise.resolve()
+    .then(() => {
+      return channelOrConnection.close();
+    })
+    .catch(() => {});
+}
@@ -0,0 +1,67 @@
+/**
+ * Name of the header that carries the name of the task
+ * requested by a work-request message.
+ * 
+ * @type {String}
+ */
+exports.TASK_NAME_HEADER = 'x-task-name';
+
+/**
+ * Type of messages published by the client
+ * for requesting job executions.
+ * 
+ * @type {String}
+ */
+exports.WORK_REQUEST_TYPE = 'work-request';
+
+/**
+ * Name of the header that carries the attempt number
+ * of a work-request message. Absent on the first attempt.
+ * 
+ * @type {String}
+ */
+exports.ATTEMPT_HEADER = 'x-attempt';
+
+/**
+ * Name of the header that carries the serialized (JSON) error
+ * of a dead-lettered work-request message.
+ * 
+ * @type {String}
+ */
+exports.LAST_ERROR_HEADER = 'x-last-error';
+
+/**
+ * Name of the header that overrides the server's
+ * `jobTimeout` (ms) for a work-request message.
+ * 
+ * @type {String}
+ */
+exports.JOB_TIMEOUT_HEADER = 'x-job-timeout';
+
+/**
+ * Names of the W3C trace context headers.
+ *
+ * https://www.w3.org/TR/trace-context/
+ * 
+ * @type {String}
+ */
+exports.TRACEPARENT_HEADER = 'traceparent';
+exports.TRACESTATE_HEADER  = 'tracestate';
+
+/**
+ * Name of the header that flags results republished
+ * from the idempotency store instead of being produced
+ * by executing the job.
+ * 
+ * @type {String}
+ */
+exports.DEDUPLICATED_HEADER = 'x-deduplicated';
+
+/**
+ * Name of the header that flags work-request messages
+ * requeued from the dead-letter queue, which are executed
+ * again instead of being deduplicated.
+ * 
+ * @type {String}
+ */
+exports.REQUEUED_HEADER = 'x-requeued';
@@ -0,0 +1,406 @@
+/**
+ * Cron expressions with timezone support.
+ *
+ * Expressions have five fields:
+ *
+ *   minute (0-59) hour (0-23) day-of-month (1-31) month (1-12 or JAN-DEC)
+ *   day-of-week (0-7 or SUN-SAT, both 0 and 7 being Sunday)
+ *
+ * Each field accepts `*`, values, ranges (`1-5`), lists (`1,15`) and
+ * steps (`*\/15`, `0-30/10`). As in Vixie cron, if both day-of-month and
+ * day-of-week are restricted, days matching either of them match.
+ * The macros @yearly, @annually, @monthly, @weekly, @daily, @midnight
+ * and @hourly are supported as well.
+ *
+ * Times are matched against the wall clock of the given IANA timezone
+ * (the process' timezone by default). Upon daylight saving changes,
+ * wall times that do not exist are skipped and wall times that happen
+ * twice match only once, at their first occurrence.
+ */
+
+// own
+const errors = require('./errors');
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  {
+    name: 'month', min: 1, max: 12,
+    names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+    namesOffset: 1,
+  },
+  {
+    name: 'dayOfWeek', min: 0, max: 7,
+    names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+    namesOffset: 0,
+  },
+];
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Ticks are looked for up to this many years ahead,
+ * so that impossible dates (e.g. Feb 30) do not loop forever.
+ * 
+ * @type {Number}
+ */
+const MAX_YEARS_AHEAD = 8;
+
+function _invalid(expression, reason) {
+  return new errors.InvalidOption(
+    'cron', 'invalid', 'invalid cron expression \'' + expression + '\': ' + reason);
+}
+
+function _parseValue(value, field, expression) {
+  if (field.names) {
+    var nameIndex = field.names.indexOf(value.toLowerCase());
+
+    if (nameIndex !== -1) {
+      return nameIndex + field.namesOffset;
+    }
+  }
+
+  if (!/^\d+$/.test(value)) {
+    throw _invalid(expression, 'invalid ' + field.name + ' \'' + value + '\'');
+  }
+
+  var number = parseInt(value, 10);
+
+  if (number < field.min || number > field.max) {
+    throw _invalid(expression, field.name + ' \'' + value + '\' out of range');
+  }
+
+  return number;
+}
+
+function _parseField(source, field, expression) {
+  var values = new Set();
+
+  source.split(',').forEach((part) => {
+    var stepParts = part.split('/');
+
+    if (stepParts.length > 2) {
+      throw _invalid(expression, 'invalid ' + field.name + ' \'' + part + '\'');
+    }
+
+    var range = stepParts[0];
+    var step = 1;
+
+    if (stepParts.length === 2) {
+      if (!/^\d+$/.test(stepParts[1]) || parseInt(stepParts[1], 10) === 0) {
+        throw _invalid(expression, 'invalid step \'' + stepParts[1] + '\'');
+      }
+
+      step = parseInt(stepParts[1], 10);
+    }
+
+    var start;
+    var end;
+
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else {
+      var bounds = range.split('-');
+
+      if (bounds.length > 2) {
+        throw _invalid(expression, 'invalid ' + field.name + ' \'' + part + '\'');
+      }
+
+      start = _parseValue(bounds[0], field, expression);
+      // `5/15` means from 5 to the end, stepping 15
+      end = bounds.length === 2 ? _parseValue(bounds[1], field, expression) :
+        (stepParts.length === 2 ? field.max : start);
+
+      if (start > end) {
+        throw _invalid(expression, 'invalid ' + field.name + ' range \'' + range + '\'');
+      }
+    }
+
+    for (var value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Returns the wall clock time of the instant in the timezone,
+ * as ms since epoch of that same wall clock time in UTC.
+ */
+var _formatters = new Map();
+
+function _getFormatter(timezone) {
+  var key = timezone || '';
+
+  if (!_formatters.has(key)) {
+    _formatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+
+  return _formatters.get(key);
+}
+
+function _wallTime(instant, timezone) {
+  var fields = {};
+
+  _getFormatter(timezone).formatToParts(new Date(instant)).forEach((part) => {
+    fields[part.type] = parseInt(part.value, 10);
+  });
+
+  return Date.UTC(
+    fields.year,
+    fields.month - 1,
+    fields.day,
+    // some runtimes format midnight as 24
+    fields.hour % 24,
+    fields.minute,
+    fields.second
+  ) + instant % 1000;
+}
+
+/**
+ * Instants at which the wall clock of the timezone reads the given
+ * wall time: none if skipped by a daylight saving change, two
+ * if repeated by one.
+ */
+function _instantsAt(wall, timezone) {
+  var offsets = new Set([wall - DAY, wall, wall + DAY].map((instant) => {
+    return _wallTime(instant, timezone) - instant;
+  }));
+
+  return Array.from(offsets)
+    .map((offset) => { return wall - offset; })
+    .filter((instant) => { return _wallTime(instant, timezone) === wall; })
+    .sort((a, b) => { return a - b; });
+}
+
+/**
+ * Parsed cron expression
+ * 
+ * @param {String} expression
+ * @param {Object} options
+ *        - timezone: {String} IANA timezone, e.g. 'Europe/Paris'
+ */
+function CronExpression(expression, options) {
+
+  options = options || {};
+
+  if (typeof expression !== 'string') {
+    throw new errors.InvalidOption('cron', 'required');
+  }
+
+  this.source = expression;
+  this.timezone = options.timezone;
+
+  if (this.timezone) {
+    try {
+      _getFormatter(this.timezone);
+    } catch (e) {
+      throw new errors.InvalidOption('timezone', 'invalid', 'unknown timezone \'' + this.timezone + '\'');
+    }
+  }
+
+  var source = MACROS[expression.trim().toLowerCase()] || expression;
+  var sources = source.trim().split(/\s+/);
+
+  if (sources.length !== FIELDS.length) {
+    throw _invalid(expression, 'expected ' + FIELDS.length + ' fields');
+  }
+
+  var fields = sources.map((fieldSource, index) => {
+    return _parseField(fieldSource, FIELDS[index], expression);
+  });
+
+  this.minutes = fields[0];
+  this.hours = fields[1];
+  this.daysOfMonth = fields[2];
+  this.months = fields[3];
+  this.daysOfWeek = fields[4];
+
+  // 7 is Sunday as well
+  if (this.daysOfWeek.has(7)) {
+    this.daysOfWeek.add(0);
+  }
+
+  this.dayOfMonthRestricted = sources[2][0] !== '*';
+  this.dayOfWeekRestricted = sources[4][0] !== '*';
+}
+
+/**
+ * Checks whether the day of the given wall time matches
+ * 
+ * @param  {Date} wallDate
+ * @return {Boolean}
+ */
+CronExpression.prototype._dayMatches = function (wallDate) {
+  var dayOfMonthMatches = this.daysOfMonth.has(wallDate.getUTCDate());
+  var dayOfWeekMatches = this.daysOfWeek.has(wallDate.getUTCDay());
+
+  if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) {
+    return dayOfMonthMatches || dayOfWeekMatches;
+  } else if (this.dayOfMonthRestricted) {
+    return dayOfMonthMatches;
+  } else if (this.dayOfWeekRestricted) {
+    return dayOfWeekMatches;
+  } else {
+    return true;
+  }
+};
+
+/**
+ * Computes the first tick strictly after the given date.
+ * 
+ * @param  {Date|Number} after
+ * @return {Date|null} null if the expression never matches
+ */
+CronExpression.prototype.next = function (after) {
+
+  var afterInstant = after instanceof Date ? after.getTime() : after;
+
+  var wall = _wallTime(afterInstant, this.timezone);
+
+  // start from the next whole minute
+  wall = wall - (wall % MINUTE) + MINUTE;
+
+  var maxYear = new Date(wall).getUTCFullYear() + MAX_YEARS_AHEAD;
+
+  while (true) {
+    var date = new Date(wall);
+    var year = date.getUTCFullYear();
+    var month = date.getUTCMonth();
+    var day = date.getUTCDate();
+    var hour = date.getUTCHours();
+
+    if (year > maxYear) {
+      return null;
+    }
+
+    if (!this.months.has(month + 1)) {
+      wall = Date.UTC(year, month + 1, 1);
+      continue;
+    }
+
+    if (!this._dayMatches(date)) {
+      wall = Date.UTC(year, month, day + 1);
+      continue;
+    }
+
+    if (!this.hours.has(hour)) {
+      wall = Date.UTC(year, month, day, hour + 1);
+      continue;
+    }
+
+    if (!this.minutes.has(date.getUTCMinutes())) {
+      wall += MINUTE;
+      continue;
+    }
+
+    var instant = _instantsAt(wall, this.timezone).find((instant) => {
+      return instant > afterInstant;
+    });
+
+    if (instant !== undefined) {
+      return new Date(instant);
+    }
+
+    wall += MINUTE;
+  }
+};
+
+/**
+ * Lists the ticks in the (from, to] interval
+ *
+ * If limited, only the end of the interval is walked: ticks being at
+ * least a minute apart, the most recent ones are looked for within
+ * `limit` minutes of `to`, then within a window widened until it holds
+ * `limit` ticks or covers the interval. Thus catching up after a long
+ * outage does not walk every tick since.
+ * 
+ * @param  {Date|Number} from
+ * @param  {Date|Number} to
+ * @param  {Number} limit maximum number of ticks, the most recent ones are kept
+ * @return {Array}
+ */
+CronExpression.prototype.between = function (from, to, limit) {
+
+  var fromInstant = from instanceof Date ? from.getTime() : from;
+  var toInstant = to instanceof Date ? to.getTime() : to;
+
+  if (!limit) {
+    return this._walk(fromInstant, toInstant);
+  }
+
+  var span = limit * MINUTE;
+
+  while (true) {
+    var start = Math.max(fromInstant, toInstant - span);
+    var ticks = this._walk(start, toInstant, limit);
+
+    if (ticks.length >= limit || start === fromInstant) {
+      return ticks;
+    }
+
+    span *= 4;
+  }
+};
+
+/**
+ * Lists the ticks in the (from, to] interval, walking each of them
+ * 
+ * @param  {Number} fromInstant
+ * @param  {Number} toInstant
+ * @param  {Number} limit see `between`
+ * @return {Array}
+ */
+CronExpression.prototype._walk = function (fromInstant, toInstant, limit) {
+
+  var ticks = [];
+  var tick = this.next(fromInstant);
+
+  while (tick && tick.getTime() <= toInstant) {
+    ticks.push(tick);
+
+    if (limit && ticks.length > limit) {
+      ticks.shift();
+    }
+
+    tick = this.next(tick);
+  }
+
+  return ticks;
+};
+
+exports.CronExpression = CronExpression;
+
+/**
+ * Parses the cron expression
+ * 
+ * @param  {String} expression
+ * @param  {Object} options
+ * @return {CronExpression}
+ */
+exports.parse = function (expression, options) {
+  return new CronExpression(expression, options);
+};
@@ -0,0 +1,320 @@
+// own
+const errors    = require('./errors');
+const constants = require('./constants');
+const messageProperties = require('./message-properties');
+
+/**
+ * Number of dead-lettered messages got and handled at a time,
+ * so that large dead-letter queues are not pulled into memory at once.
+ * 
+ * @type {Number}
+ */
+const BATCH_SIZE = 100;
+
+/**
+ * Dead-letter inspection and replay methods shared by
+ * HWorkerServer and HWorkerClient.
+ *
+ * AMQP has no way of peeking into a queue, so the methods below
+ * `get` the dead-lettered messages through a dedicated channel and
+ * close it when done: messages that were not acked are
+ * then returned to the dead-letter queue by rabbitMQ.
+ */
+
+/**
+ * Lists the dead-lettered jobs.
+ *
+ * Each entry has:
+ *   - requestId: the job's messageId
+ *   - taskName
+ *   - reason: the `x-death` reason (rejected, expired, maxlen)
+ *   - deaths: the number of times the job was dead-lettered
+ *   - lastError: the error the job failed with, if known
+ *   - properties
+ *   - content: Buffer
+ * 
+ * @param  {Object} options
+ *         - limit: maximum number of entries to be listed
+ * @return {Promise -> Array}
+ */
+exports.listDeadLetters = function (options) {
+
+  options = options || {};
+
+  return this._withDeadLetters(options.limit, (channel, messages) => {
+    return messages.map((message) => {
+      return _toDeadLetterEntry(message, this.workerQueueName);
+    });
+  })
+  .then((batches) => {
+    return [].concat.apply([], batches);
+  });
+};
+
+/**
+ * Requeues the selected dead-lettered jobs back into the worker's exchange.
+ * Attempt counting restarts for requeued jobs, which are flagged by the
+ * `x-requeued` header so that servers execute them again instead of
+ * republishing the failure they stored for idempotency.
+ *
+ * @param  {Array|Function} selection array of requestIds or
+ *                                    a filter function receiving the entry.
+ *                                    If omitted, requeues all jobs.
+ * @return {Promise -> Number} number of requeued jobs
+ */
+exports.requeueDeadLetters = function (selection) {
+
+  var filter = _makeFilter(selection);
+
+  return this._withDeadLetters(undefined, (channel, messages) => {
+
+    var selected = messages.filter((message) => {
+      return filter(_toDeadLetterEntry(message, this.workerQueueName));
+    });
+
+    selected.forEach((message) => {
+      var headers = Object.assign({}, message.properties.headers);
+
+      delete headers['x-death'];
+      delete headers[constants.ATTEMPT_HEADER];
+      delete headers[constants.LAST_ERROR_HEADER];
+
+      headers[constants.REQUEUED_HEADER] = true;
+
+      channel.publish(
+        this.workerExchangeName,
+        this.workerQueueName,
+        message.content,
+        messageProperties.republishOptions(message.properties, headers)
+      );
+    });
+
+    // only remove the jobs from the dead-letter queue
+    // once rabbitMQ has confirmed they were requeued
+    return Promise.resolve(channel.waitForConfirms()).then(() => {
+      selected.forEach((message) => {
+        channel.ack(message, false);
+      });
+
+      return selected.length;
+    });
+  })
+  .then(_sum);
+};
+
+/**
+ * Removes the selected dead-lettered jobs.
+ *
+ * @param  {Array|Function} selection array of requestIds or
+ *                                    a filter function receiving the entry.
+ *                                    If omitted, purges the whole queue.
+ * @return {Promise -> Number} number of purged jobs
+ */
+exports.purgeDeadLetters = function (selection) {
+
+  if (!selection) {
+    return this._withDeadLetterChannel((channel) => {
+      return Promise.resolve(channel.purgeQueue(this.deadLetterQueueName))
+        .then((res) => {
+          return res.messageCount;
+        });
+    });
+  }
+
+  var filter = _makeFilter(selection);
+
+  return this._withDeadLetters(undefined, (channel, messages) => {
+
+    var selected = messages.filter((message) => {
+      return filter(_toDeadLetterEntry(message, this.workerQueueName));
+    });
+
+    selected.forEach((message) => {
+      channel.ack(message, false);
+    });
+
+    return selected.length;
+  })
+  .then(_sum);
+};
+
+/**
+ * Opens a dedicated confirm channel, passes it to fn and
+ * closes it once the promise returned by fn settles.
+ * 
+ * @param  {Function} fn
+ * @return {Promise}
+ */
+exports._withDeadLetterChannel = function (fn) {
+
+  if (!this.deadLetter) {
+    return Promise.reject(new errors.InvalidOption('deadLetter', 'required'));
+  }
+
+  if (!this.connection) {
+    return Promise.reject(new errors.NotConnected('not connected'));
+  }
+
+  return Promise.resolve(this.connection.createConfirmChannel())
+    .then((channel) => {
+
+      var close = () => {
+        return Promise.resolve(channel.close()).catch(() => {});
+      };
+
+      return Promise.resolve()
+        .then(() => {
+          return fn(channel);
+        })
+        .then((result) => {
+          return close().then(() => {
+            return result;
+          });
+        }, (err) => {
+          return close().then(() => {
+            throw err;
+          });
+        });
+    });
+};
+
+/**
+ * Gets up to `limit` messages from the dead-letter queue,
+ * without acking them, and passes them to fn in batches of
+ * up to `BATCH_SIZE`, each once the previous one is handled.
+ *
+ * Messages fn does not ack stay unacked until the channel is
+ * closed, so they are not got again.
+ * 
+ * @param  {Number} limit
+ * @param  {Function} fn
+ * @return {Promise -> Array} the results of fn for each batch
+ */
+exports._withDeadLetters = function (limit, fn) {
+
+  return this._withDeadLetterChannel((channel) => {
+
+    var results = [];
+    var count = 0;
+
+    var handleNextBatch = () => {
+
+      var batch = [];
+
+      // resolves whether there may be more messages to be got
+      var getNext = () => {
+        if (limit && count >= limit) {
+          return Promise.resolve(false);
+        }
+
+        if (batch.length >= BATCH_SIZE) {
+          return Promise.resolve(true);
+        }
+
+        return Promise.resolve(channel.get(this.deadLetterQueueName, { noAck: false }))
+          .then((message) => {
+            if (!message) {
+              return false;
+            }
+
+            batch.push(message);
+            count += 1;
+
+            return getNext();
+          });
+      };
+
+      return getNext().then((more) => {
+        if (!batch.length) {
+          return results;
+        }
+
+        return Promise.resolve(fn(channel, batch)).then((result) => {
+          results.push(result);
+
+          return more ? handleNextBatch() : results;
+        });
+      });
+    };
+
+    return handleNextBatch();
+  });
+};
+
+/**
+ * Converts a dead-lettered message into a listing entry
+ *
+ * Only deaths in the worker's queue are taken into account, as
+ * jobs may have been dead-lettered by delay queues as well.
+ * 
+ * @param  {Object} message
+ * @param  {String} workerQueueName
+ * @return {Object}
+ */
+function _toDeadLetterEntry(message, workerQueueName) {
+
+  var properties = message.properties;
+  var headers = properties.headers || {};
+  var death = (headers['x-death'] || []).find((death) => {
+    return death.queue === workerQueueName;
+  });
+  var lastError = headers[constants.LAST_ERROR_HEADER];
+
+  if (typeof lastError === 'string') {
+    try {
+      lastError = JSON.parse(lastError);
+    } catch (e) {
+      // keep the raw header value
+    }
+  }
+
+  return {
+    requestId: properties.messageId,
+    taskName: headers[constants.TASK_NAME_HEADER],
+    // messages dead-lettered by the server itself
+    // carry the error instead of the `x-death` header
+    reason: death ? death.reason : 'rejected',
+    deaths: death ? death.count : 1,
+    lastError: lastError,
+    properties: properties,
+    content: message.content,
+  };
+}
+
+/**
+ * Sums the counts of each batch
+ * 
+ * @param  {Array} counts
+ * @return {Number}
+ */
+function _sum(counts) {
+  return counts.reduce((total, count) => {
+    return total + count;
+  }, 0);
+}
+
+/**
+ * Makes a filter function out of a selection
+ * 
+ * @param  {Array|Function} selection
+ * @return {Function}
+ */
+function _makeFilter(selection) {
+  if (!selection) {
+    return function () {
+      return true;
+    };
+  }
+
+  if (typeof selection === 'function') {
+    return selection;
+  }
+
+  if (Array.isArray(selection)) {
+    return function (entry) {
+      return selection.indexOf(entry.requestId) !== -1;
+    };
+  }
+
+  throw new errors.InvalidOption('selection', 'invalid');
+}
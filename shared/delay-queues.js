@@ -0,0 +1,136 @@
+/**
+ * Delay queues hold messages for a fixed amount of time (their TTL)
+ * and then dead-letter them into the worker's exchange, using the
+ * worker's queue name as routing key.
+ *
+ * There is one queue per delay, as rabbitMQ only expires messages
+ * at the head of a queue: mixing different TTLs in the same queue would
+ * hold short-delayed messages behind long-delayed ones.
+ *
+ * Only standard queue arguments are used, so no broker plugins are required.
+ *
+ * Besides the retry delay queues, declared by the server, clients declare
+ * scheduled queues for jobs scheduled with a delay. Those delays are
+ * arbitrary, so they are grouped into buckets (see `scheduledTtl`) and
+ * their queues expire once unused.
+ */
+
+/**
+ * Time (ms) scheduled queues outlive their TTL once unused.
+ * 
+ * @type {Number}
+ */
+const SCHEDULED_QUEUE_EXPIRES_MARGIN = 60000;
+
+/**
+ * Maximum delay (ms) of a scheduled job: rabbitMQ TTLs
+ * and expirations are limited to 32 bits.
+ * 
+ * @type {Number}
+ */
+exports.MAX_SCHEDULED_DELAY = Math.pow(2, 32) - 1 - SCHEDULED_QUEUE_EXPIRES_MARGIN;
+
+/**
+ * Granularity (ms) of the scheduled queue buckets,
+ * by the maximum delay they apply to.
+ * 
+ * @type {Array}
+ */
+const SCHEDULED_BUCKETS = [
+  { maxDelay: 60 * 1000,        granularity: 1000 },
+  { maxDelay: 60 * 60 * 1000,   granularity: 10 * 1000 },
+  { maxDelay: 24 * 3600 * 1000, granularity: 60 * 1000 },
+  { maxDelay: Infinity,         granularity: 10 * 60 * 1000 },
+];
+
+/**
+ * Generates the name of the delay queue for the given delay
+ * 
+ * @param  {String} workerName
+ * @param  {Number} delay ms
+ * @return {String}
+ */
+exports.queueName = function (workerName, delay) {
+  return workerName + '-delay-' + delay;
+};
+
+/**
+ * Asserts the delay queue for the given delay
+ * 
+ * @param  {Channel} channel
+ * @param  {Object} worker
+ *         - name
+ *         - workerExchangeName
+ *         - workerQueueName
+ * @param  {Number} delay ms
+ * @return {Promise}
+ */
+exports.assert = function (channel, worker, delay) {
+  return channel.assertQueue(exports.queueName(worker.name, delay), {
+    durable: true,
+    arguments: {
+      'x-message-ttl': delay,
+      'x-dead-letter-exchange': worker.workerExchangeName,
+      'x-dead-letter-routing-key': worker.workerQueueName,
+    },
+  });
+};
+
+/**
+ * Computes the TTL of the scheduled queue that holds jobs with the
+ * given delay: the delay rounded up to its bucket's granularity.
+ *
+ * Jobs carry their exact delay as the message `expiration`,
+ * so that they are dead-lettered on time unless held behind a job
+ * of the same bucket that expires later (by at most the granularity).
+ * 
+ * @param  {Number} delay ms
+ * @return {Number}
+ */
+exports.scheduledTtl = function (delay) {
+  var bucket = SCHEDULED_BUCKETS.find((bucket) => {
+    return delay <= bucket.maxDelay;
+  });
+
+  var ttl = Math.ceil(delay / bucket.granularity) * bucket.granularity;
+
+  return Math.min(ttl, exports.MAX_SCHEDULED_DELAY);
+};
+
+/**
+ * Generates the name of the scheduled queue for the given TTL
+ * 
+ * @param  {String} workerName
+ * @param  {Number} ttl ms
+ * @return {String}
+ */
+exports.scheduledQueueName = function (workerName, ttl) {
+  return workerName + '-scheduled-' + ttl;
+};
+
+/**
+ * Asserts the scheduled queue for the given TTL.
+ *
+ * The queue is deleted by rabbitMQ once it has not been
+ * redeclared for longer than its TTL, thus after all of its
+ * jobs have been dead-lettered.
+ * 
+ * @param  {Channel} channel
+ * @param  {Object} worker
+ *         - name
+ *         - workerExchangeName
+ *         - workerQueueName
+ * @param  {Number} ttl ms
+ * @return {Promise}
+ */
+exports.assertScheduled = function (channel, worker, ttl) {
+  return channel.assertQueue(exports.scheduledQueueName(worker.name, ttl), {
+    durable: true,
+    arguments: {
+      'x-message-ttl': ttl,
+      'x-expires': ttl + SCHEDULED_QUEUE_EXPIRES_MARGIN,
+      'x-dead-letter-exchange': worker.workerExchangeName,
+      'x-dead-letter-routing-key': worker.workerQueueName,
+    },
+  });
+};
@@ -31,6 +31,7 @@ function InvalidOption(option, kind, message) {
 }
 util.inherits(InvalidOption, HWorkerError);
 InvalidOption.prototype.name = 'InvalidOption';
+InvalidOption.prototype.retryable = false;
 InvalidOption.prototype.toJSON = function () {
   return {
     name: this.name,
@@ -49,6 +50,7 @@ function MalformedMessage(message) {
 }
 util.inherits(MalformedMessage, HWorkerError);
 MalformedMessage.prototype.name = 'MalformedMessage';
+MalformedMessage.prototype.retryable = false;
 MalformedMessage.prototype.toJSON = function () {
   return {
     name: this.name,
@@ -66,6 +68,7 @@ function UnsupportedContentType(message) {
 }
 util.inherits(UnsupportedContentType, HWorkerError);
 UnsupportedContentType.prototype.name = 'UnsupportedContentType';
+UnsupportedContentType.prototype.retryable = false;
 UnsupportedContentType.prototype.toJSON = function () {
   return {
     name: this.name,
@@ -84,8 +87,547 @@ function NotConnected(message) {
 util.inherits(NotConnected, HWorkerError);
 NotConnected.prototype.name = 'NotConnected';
 
+/**
+ * Happens when the server receives a message requesting
+ * a task that it does not expose
+ *
+ * error.taskName should have the requested task name
+ * 
+ * @param {String} taskName
+ * @param {String} message
+ */
+function UnknownTask(taskName, message) {
+  HWorkerError.call(this, message || 'unknown task ' + taskName);
+
+  this.taskName = taskName;
+}
+util.inherits(UnknownTask, HWorkerError);
+UnknownTask.prototype.name = 'UnknownTask';
+UnknownTask.prototype.retryable = false;
+UnknownTask.prototype.toJSON = function () {
+  return {
+    name: this.name,
+    taskName: this.taskName,
+    message: this.message,
+  };
+};
+
+/**
+ * Happens when an operation does not complete within
+ * the given time
+ *
+ * error.timeout should have the timeout in ms
+ * 
+ * @param {Number} timeout
+ * @param {String} message
+ */
+function Timeout(timeout, message) {
+  HWorkerError.call(this, message || 'timed out after ' + timeout + 'ms');
+
+  this.timeout = timeout;
+}
+util.inherits(Timeout, HWorkerError);
+Timeout.prototype.name = 'Timeout';
+
+/**
+ * Happens when a job does not finish within the
+ * server's `jobTimeout`
+ *
+ * error.timeout should have the timeout in ms
+ * 
+ * @param {Number} timeout
+ * @param {String} message
+ */
+function JobTimeout(timeout, message) {
+  HWorkerError.call(this, message || 'job timed out after ' + timeout + 'ms');
+
+  this.timeout = timeout;
+}
+util.inherits(JobTimeout, HWorkerError);
+JobTimeout.prototype.name = 'JobTimeout';
+JobTimeout.prototype.toJSON = function () {
+  return {
+    name: this.name,
+    timeout: this.timeout,
+    message: this.message,
+  };
+};
+
+/**
+ * Happens when the broker returns a scheduled message
+ * for not being routable to any queue
+ *
+ * error.requestId should have the id of the returned request
+ * 
+ * @param {String} requestId
+ * @param {String} message
+ */
+function Unroutable(requestId, message) {
+  HWorkerError.call(this, message || 'request ' + requestId + ' is unroutable');
+
+  this.requestId = requestId;
+}
+util.inherits(Unroutable, HWorkerError);
+Unroutable.prototype.name = 'Unroutable';
+
+/**
+ * Happens when the broker nacks a published message
+ *
+ * error.requestId should have the id of the nacked request
+ * 
+ * @param {String} requestId
+ * @param {String} message
+ */
+function PublishNacked(requestId, message) {
+  HWorkerError.call(this, message || 'request ' + requestId + ' was nacked by the broker');
+
+  this.requestId = requestId;
+}
+util.inherits(PublishNacked, HWorkerError);
+PublishNacked.prototype.name = 'PublishNacked';
+
+/**
+ * Happens when a payload does not match the schema
+ * configured for its task
+ *
+ * error.failures should have an array of `{ path, message }`,
+ * where `path` is a JSON pointer to the failing value
+ * 
+ * @param {Array} failures
+ * @param {String} message
+ */
+function ValidationFailed(failures, message) {
+  failures = failures || [];
+
+  HWorkerError.call(this, message || 'payload validation failed: ' + failures.map((failure) => {
+    return (failure.path || '/') + ' ' + failure.message;
+  }).join('; '));
+
+  this.failures = failures;
+}
+util.inherits(ValidationFailed, HWorkerError);
+ValidationFailed.prototype.name = 'ValidationFailed';
+ValidationFailed.prototype.retryable = false;
+ValidationFailed.prototype.toJSON = function () {
+  return {
+    name: this.name,
+    failures: this.failures,
+    message: this.message,
+  };
+};
+
+/**
+ * Happens when the worker's queue already exists with arguments
+ * other than the ones it is being declared with, e.g. upon
+ * enabling `maxPriority` or `deadLetter` on an existing worker.
+ *
+ * rabbitMQ does not allow queue arguments to be changed, so the queue
+ * has to be drained and deleted before connecting with the new options.
+ *
+ * error.queue should have the queue name and
+ * error.argument the mismatching argument
+ * 
+ * @param {String} queue
+ * @param {String} argument
+ * @param {String} message
+ */
+function QueueArgumentsMismatch(queue, argument, message) {
+  HWorkerError.call(this, message ||
+    'queue \'' + queue + '\' already exists with a different \'' + argument + '\' argument. ' +
+    'Queue arguments cannot be changed in place: drain and delete the queue ' +
+    '(or use the same options as the existing declaration) before connecting.');
+
+  this.queue = queue;
+  this.argument = argument;
+}
+util.inherits(QueueArgumentsMismatch, HWorkerError);
+QueueArgumentsMismatch.prototype.name = 'QueueArgumentsMismatch';
+QueueArgumentsMismatch.prototype.retryable = false;
+
+/**
+ * Happens when a pool worker running a job exits or crashes
+ * before responding
+ *
+ * error.exitCode should have the worker's exit code, if it exited
+ * 
+ * @param {Number} exitCode
+ * @param {String} message
+ */
+function WorkerCrashed(exitCode, message) {
+  HWorkerError.call(this, message || 'pool worker exited with code ' + exitCode);
+
+  this.exitCode = exitCode;
+}
+util.inherits(WorkerCrashed, HWorkerError);
+WorkerCrashed.prototype.name = 'WorkerCrashed';
+WorkerCrashed.prototype.toJSON = function () {
+  return {
+    name: this.name,
+    exitCode: this.exitCode,
+    message: this.message,
+  };
+};
+
+/**
+ * Happens when a client cancels a job, either before
+ * or while it runs
+ *
+ * error.requestId should have the id of the cancelled request
+ * 
+ * @param {String} requestId
+ * @param {String} message
+ */
+function JobCancelled(requestId, message) {
+  HWorkerError.call(this, message || 'job ' + requestId + ' was cancelled');
+
+  this.requestId = requestId;
+}
+util.inherits(JobCancelled, HWorkerError);
+JobCancelled.prototype.name = 'JobCancelled';
+JobCancelled.prototype.retryable = false;
+JobCancelled.prototype.toJSON = function () {
+  return {
+    name: this.name,
+    requestId: this.requestId,
+    message: this.message,
+  };
+};
+
+/**
+ * Version of the wire format errors are serialized with
+ * by `serialize`. Carried by serialized errors as `formatVersion`.
+ * 
+ * @type {Number}
+ */
+const FORMAT_VERSION = 1;
+
+/**
+ * Maximum depth of serialized cause chains, which guards
+ * against circular causes.
+ * 
+ * @type {Number}
+ */
+const MAX_CAUSE_DEPTH = 10;
+
+/**
+ * Properties of serialized errors that are not
+ * custom properties of the error.
+ * 
+ * @type {Array}
+ */
+const RESERVED_PROPERTIES = [
+  'formatVersion', 'name', 'message', 'code', 'retryable', 'fatal', 'cause', 'stack',
+];
+
+/**
+ * Error classes errors are rehydrated into, indexed by name.
+ * 
+ * @type {Object}
+ */
+const _registry = {};
+
+/**
+ * Registers an error class, so that errors serialized with its
+ * name are rehydrated as instances of the class.
+ *
+ * Both the server's and the client's processes should
+ * register the custom errors they share.
+ * 
+ * @param  {Function} ErrorClass
+ * @param  {String} name defaults to the class' prototype name
+ */
+function register(ErrorClass, name) {
+  if (typeof ErrorClass !== 'function') {
+    throw new InvalidOption('ErrorClass', 'invalid');
+  }
+
+  name = name || ErrorClass.prototype.name || ErrorClass.name;
+
+  if (!name || typeof name !== 'string') {
+    throw new InvalidOption('name', 'required');
+  }
+
+  _registry[name] = ErrorClass;
+}
+
+/**
+ * Retrieves the error class registered under the given name
+ * 
+ * @param  {String} name
+ * @return {Function|undefined}
+ */
+function lookup(name) {
+  return Object.prototype.hasOwnProperty.call(_registry, name) ?
+    _registry[name] : undefined;
+}
+
+/**
+ * Serializes an error into the wire format:
+ *   - formatVersion
+ *   - name
+ *   - message
+ *   - code: if set
+ *   - retryable: if the error is flagged either `retryable` or `fatal`
+ *   - cause: the serialized cause, if any
+ *   - stack: only if `options.stack` is true
+ *   - custom properties: the ones returned by the error's `toJSON`
+ *     or, in its absence, its own enumerable properties, made
+ *     encodable (see `_toWireValue`)
+ * 
+ * @param  {Error} err
+ * @param  {Object} options
+ *         - stack: {Boolean}
+ * @return {Object}
+ */
+function serialize(err, options) {
+  return _serialize(err, options || {}, 0);
+}
+
+/**
+ * Copies a custom property's value so that any codec can encode it:
+ * BigInts are converted to strings, functions and symbols are dropped
+ * and circular references are replaced with `'[Circular]'`.
+ *
+ * @param  {*} value
+ * @param  {Array} ancestors objects the value is nested in
+ * @return {*} undefined if the value should be dropped
+ */
+function _toWireValue(value, ancestors) {
+
+  switch (typeof value) {
+    case 'bigint':
+      return value.toString();
+    case 'function':
+    case 'symbol':
+      return undefined;
+    case 'object':
+      break;
+    default:
+      return value;
+  }
+
+  if (value === null || Buffer.isBuffer(value) || value instanceof Date) {
+    return value;
+  }
+
+  if (ancestors.indexOf(value) !== -1) {
+    return '[Circular]';
+  }
+
+  ancestors = ancestors.concat([value]);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => {
+      var copy = _toWireValue(item, ancestors);
+
+      return copy === undefined ? null : copy;
+    });
+  }
+
+  var copy = {};
+
+  Object.keys(value).forEach((key) => {
+    var itemCopy = _toWireValue(value[key], ancestors);
+
+    if (itemCopy !== undefined) {
+      copy[key] = itemCopy;
+    }
+  });
+
+  return copy;
+}
+
+function _serialize(err, options, depth) {
+
+  if (!err || typeof err !== 'object') {
+    return {
+      formatVersion: FORMAT_VERSION,
+      name: 'Error',
+      message: String(err),
+    };
+  }
+
+  var properties = typeof err.toJSON === 'function' ? err.toJSON() : err;
+  var data = {
+    formatVersion: FORMAT_VERSION,
+    name: err.name || 'Error',
+    message: err.message,
+  };
+
+  Object.keys(properties || {}).forEach((key) => {
+    if (RESERVED_PROPERTIES.indexOf(key) !== -1) {
+      return;
+    }
+
+    var value = _toWireValue(properties[key], [err]);
+
+    if (value !== undefined) {
+      data[key] = value;
+    }
+  });
+
+  if (err.code !== undefined) {
+    data.code = _toWireValue(err.code, [err]);
+  }
+
+  if (typeof err.retryable === 'boolean') {
+    data.retryable = err.retryable;
+  } else if (typeof err.fatal === 'boolean') {
+    data.retryable = !err.fatal;
+  }
+
+  if (err.cause !== undefined && depth < MAX_CAUSE_DEPTH) {
+    data.cause = _serialize(err.cause, options, depth + 1);
+  }
+
+  if (options.stack && typeof err.stack === 'string') {
+    data.stack = err.stack;
+  }
+
+  return data;
+}
+
+/**
+ * Rehydrates a serialized error into an instance of the class
+ * registered under its name, or of `Error` if there is none.
+ *
+ * Errors serialized before the wire format was versioned
+ * (e.g. `{ name, message }`) are rehydrated as well.
+ * 
+ * @param  {Object} data
+ * @return {Error}
+ */
+function deserialize(data) {
+  return _deserialize(data, 0);
+}
+
+/**
+ * Keys of the wire format that are not copied onto deserialized errors:
+ * the ones handled separately and the ones that would tamper with the
+ * error's prototype chain (e.g. a `__proto__` key from `JSON.parse`).
+ *
+ * @type {Array}
+ */
+const RESERVED_KEYS = [
+  'formatVersion',
+  'name',
+  'cause',
+  'stack',
+  '__proto__',
+  'constructor',
+  'prototype',
+];
+
+function _deserialize(data, depth) {
+
+  if (!data || typeof data !== 'object') {
+    return new Error(String(data));
+  }
+
+  var ErrorClass = lookup(data.name);
+  var err;
+
+  if (ErrorClass) {
+    // constructors' signatures differ, thus instantiate without calling them
+    err = Object.create(ErrorClass.prototype);
+    err.message = data.message;
+  } else {
+    err = new Error(data.message);
+    err.name = data.name || 'Error';
+  }
+
+  Object.keys(data).forEach((key) => {
+    if (RESERVED_KEYS.indexOf(key) === -1) {
+      err[key] = data[key];
+    }
+  });
+
+  if (data.cause !== undefined && depth < MAX_CAUSE_DEPTH) {
+    err.cause = _deserialize(data.cause, depth + 1);
+  }
+
+  if (typeof data.stack === 'string') {
+    // the remote stack is more useful than the local one
+    err.stack = data.stack;
+  } else if (ErrorClass) {
+    Error.captureStackTrace(err, deserialize);
+  }
+
+  return err;
+}
+
+/**
+ * Reads the reply code of an error rabbitMQ closed a channel with
+ * (e.g. 404, 405 or 406). amqplib sets `code` only on the channel's
+ * `error` event and rejects pending operations with plain errors
+ * (`Operation failed: QueueDeclare; 406 (PRECONDITION-FAILED) with ...`),
+ * so the code is read from the message if missing.
+ *
+ * @param  {Error|Object} err an error or a close frame
+ * @return {Number|undefined}
+ */
+function replyCode(err) {
+  if (!err) {
+    return undefined;
+  }
+
+  if (typeof err.code === 'number') {
+    return err.code;
+  }
+
+  if (err.fields && typeof err.fields.replyCode === 'number') {
+    return err.fields.replyCode;
+  }
+
+  var match = typeof err.message === 'string' && /\b(\d{3}) \([A-Z_-]+\) with message/.exec(err.message);
+
+  return match ? parseInt(match[1], 10) : undefined;
+}
+
 exports.HWorkerError = HWorkerError;
 exports.InvalidOption = InvalidOption;
 exports.MalformedMessage = MalformedMessage;
 exports.UnsupportedContentType = UnsupportedContentType;
 exports.NotConnected = NotConnected;
+exports.UnknownTask = UnknownTask;
+exports.Timeout = Timeout;
+exports.JobTimeout = JobTimeout;
+exports.Unroutable = Unroutable;
+exports.PublishNacked = PublishNacked;
+exports.ValidationFailed = ValidationFailed;
+exports.QueueArgumentsMismatch = QueueArgumentsMismatch;
+exports.WorkerCrashed = WorkerCrashed;
+exports.JobCancelled = JobCancelled;
+
+exports.FORMAT_VERSION = FORMAT_VERSION;
+exports.register = register;
+exports.lookup = lookup;
+exports.serialize = serialize;
+exports.deserialize = deserialize;
+exports.replyCode = replyCode;
+
+/**
+ * Register the built-in errors, both native and own
+ */
+[Error, TypeError, RangeError, SyntaxError, ReferenceError].forEach((ErrorClass) => {
+  register(ErrorClass);
+});
+
+[
+  HWorkerError,
+  InvalidOption,
+  MalformedMessage,
+  UnsupportedContentType,
+  NotConnected,
+  UnknownTask,
+  Timeout,
+  JobTimeout,
+  Unroutable,
+  PublishNacked,
+  ValidationFailed,
+  QueueArgumentsMismatch,
+  WorkerCrashed,
+  JobCancelled,
+].forEach((ErrorClass) => {
+  register(ErrorClass);
+});
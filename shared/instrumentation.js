@@ -0,0 +1,40 @@
+/**
+ * Methods for exposing the metrics of HWorkerServer
+ * and HWorkerClient instances.
+ *
+ * Instances must have a `metricsRegistry` (see shared/metrics.js).
+ */
+
+const metrics = require('./metrics');
+
+/**
+ * Plain snapshot of the instance's metrics, indexed by name.
+ * 
+ * @return {Object}
+ */
+exports.getMetrics = function () {
+  return this.metricsRegistry.toJSON();
+};
+
+/**
+ * The instance's metrics in Prometheus text format.
+ * 
+ * @return {String}
+ */
+exports.toPrometheus = function () {
+  return this.metricsRegistry.toPrometheus();
+};
+
+/**
+ * Starts a tiny HTTP server exposing the instance's metrics
+ * at `GET /metrics`, for Prometheus to scrape.
+ *
+ * The server is not closed by `close`: it is up to the caller.
+ * 
+ * @param  {Number} port
+ * @param  {String} host (optional)
+ * @return {Promise -> http.Server}
+ */
+exports.listenMetrics = function (port, host) {
+  return metrics.listen(this.toPrometheus.bind(this), port, host);
+};
@@ -0,0 +1,42 @@
+/**
+ * Properties that identify a work-request and are kept
+ * whenever it is republished (retries, dead-lettering, replays).
+ * 
+ * @type {Array}
+ */
+const KEPT_PROPERTIES = [
+  'contentType',
+  'contentEncoding',
+  'replyTo',
+  'messageId',
+  'correlationId',
+  'timestamp',
+  'type',
+  'appId',
+  'priority',
+];
+
+/**
+ * Generates publish options for republishing a message
+ * with the given properties.
+ * 
+ * @param  {Object} properties
+ * @param  {Object} headers replaces the original headers
+ * @return {Object}
+ */
+exports.republishOptions = function (properties, headers) {
+
+  var options = {
+    persistent: true,
+  };
+
+  KEPT_PROPERTIES.forEach((prop) => {
+    if (properties[prop] !== undefined) {
+      options[prop] = properties[prop];
+    }
+  });
+
+  options.headers = headers || properties.headers || {};
+
+  return options;
+};
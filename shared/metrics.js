@@ -0,0 +1,420 @@
+/**
+ * Minimal metrics registry with Prometheus text exposition.
+ *
+ * https://prometheus.io/docs/instrumenting/exposition_formats/
+ *
+ * Supports counters, gauges and histograms, each optionally
+ * broken down by labels. No external dependency is required.
+ */
+
+// native
+const http = require('http');
+const util = require('util');
+
+/**
+ * Default histogram buckets (seconds), tuned for jobs
+ * that take from tens of milliseconds up to several minutes.
+ * 
+ * @type {Array}
+ */
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300, 600];
+
+function _labelsKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map((name) => {
+    return [name, String(labels[name])];
+  }));
+}
+
+function _escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+function _escapeHelp(help) {
+  return help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function _formatLabels(labels) {
+  var names = Object.keys(labels);
+
+  if (names.length === 0) {
+    return '';
+  }
+
+  return '{' + names.map((name) => {
+    return name + '="' + _escapeLabelValue(labels[name]) + '"';
+  }).join(',') + '}';
+}
+
+function _formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  } else if (value === -Infinity) {
+    return '-Inf';
+  } else {
+    return String(value);
+  }
+}
+
+/**
+ * Base metric: a value per label set.
+ *
+ * Metrics that are not broken down by labels
+ * are exposed from the start, with a zero value.
+ * 
+ * @param {String} name
+ * @param {String} help
+ * @param {Object} options
+ *        - defaultLabels: {Object} labels applied to every value
+ *        - labelNames: {Array} labels the values are broken down by
+ */
+function Metric(name, help, options) {
+  options = options || {};
+
+  this.name = name;
+  this.help = help;
+  this.defaultLabels = options.defaultLabels || {};
+  this.labelNames = options.labelNames || [];
+
+  this._values = new Map();
+
+  if (this.labelNames.length === 0) {
+    this._entry({});
+  }
+}
+
+Metric.prototype._entry = function (labels) {
+  labels = Object.assign({}, this.defaultLabels, labels);
+
+  var key = _labelsKey(labels);
+  var entry = this._values.get(key);
+
+  if (!entry) {
+    entry = this._createEntry(labels);
+    this._values.set(key, entry);
+  }
+
+  return entry;
+};
+
+Metric.prototype._createEntry = function (labels) {
+  return {
+    labels: labels,
+    value: 0,
+  };
+};
+
+/**
+ * Plain representation of the metric's values.
+ * 
+ * @return {Object}
+ */
+Metric.prototype.toJSON = function () {
+  return {
+    type: this.type,
+    help: this.help,
+    values: Array.from(this._values.values()).map((entry) => {
+      return Object.assign({}, entry, { labels: Object.assign({}, entry.labels) });
+    }),
+  };
+};
+
+/**
+ * Prometheus text representation of the metric.
+ * 
+ * @return {String}
+ */
+Metric.prototype.toPrometheus = function () {
+  var lines = [
+    '# HELP ' + this.name + ' ' + _escapeHelp(this.help),
+    '# TYPE ' + this.name + ' ' + this.type,
+  ];
+
+  this._values.forEach((entry) => {
+    lines.push(this.name + _formatLabels(entry.labels) + ' ' + _formatValue(entry.value));
+  });
+
+  return lines.join('\n');
+};
+
+/**
+ * Monotonically increasing value.
+ */
+function Counter(name, help, options) {
+  Metric.call(this, name, help, options);
+}
+util.inherits(Counter, Metric);
+Counter.prototype.type = 'counter';
+
+/**
+ * @param  {Object} labels (optional)
+ * @param  {Number} value defaults to 1
+ */
+Counter.prototype.inc = function (labels, value) {
+  if (typeof labels === 'number') {
+    value = labels;
+    labels = {};
+  }
+
+  value = value === undefined ? 1 : value;
+
+  if (value < 0) {
+    throw new Error('counters can only be increased');
+  }
+
+  this._entry(labels || {}).value += value;
+};
+
+/**
+ * Value that may go up and down.
+ */
+function Gauge(name, help, options) {
+  Metric.call(this, name, help, options);
+}
+util.inherits(Gauge, Metric);
+Gauge.prototype.type = 'gauge';
+
+Gauge.prototype.set = function (labels, value) {
+  if (typeof labels === 'number') {
+    value = labels;
+    labels = {};
+  }
+
+  this._entry(labels || {}).value = value;
+};
+
+Gauge.prototype.inc = function (labels, value) {
+  if (typeof labels === 'number') {
+    value = labels;
+    labels = {};
+  }
+
+  this._entry(labels || {}).value += (value === undefined ? 1 : value);
+};
+
+Gauge.prototype.dec = function (labels, value) {
+  if (typeof labels === 'number') {
+    value = labels;
+    labels = {};
+  }
+
+  this._entry(labels || {}).value -= (value === undefined ? 1 : value);
+};
+
+/**
+ * Distribution of observed values into cumulative buckets.
+ */
+function Histogram(name, help, options) {
+  options = options || {};
+
+  // buckets are needed for creating the initial entry
+  this.buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => { return a - b; });
+
+  Metric.call(this, name, help, options);
+}
+util.inherits(Histogram, Metric);
+Histogram.prototype.type = 'histogram';
+
+Histogram.prototype._createEntry = function (labels) {
+  return {
+    labels: labels,
+    // non-cumulative counts, one per bucket plus +Inf
+    counts: this.buckets.map(() => { return 0; }).concat([0]),
+    sum: 0,
+    count: 0,
+  };
+};
+
+Histogram.prototype.observe = function (labels, value) {
+  if (typeof labels === 'number') {
+    value = labels;
+    labels = {};
+  }
+
+  var entry = this._entry(labels || {});
+  var index = this.buckets.findIndex((bound) => { return value <= bound; });
+
+  entry.counts[index === -1 ? this.buckets.length : index] += 1;
+  entry.sum += value;
+  entry.count += 1;
+};
+
+Histogram.prototype._cumulativeBuckets = function (entry) {
+  var cumulative = 0;
+
+  return this.buckets.concat([Infinity]).map((bound, index) => {
+    cumulative += entry.counts[index];
+
+    return { le: bound, count: cumulative };
+  });
+};
+
+Histogram.prototype.toJSON = function () {
+  return {
+    type: this.type,
+    help: this.help,
+    values: Array.from(this._values.values()).map((entry) => {
+      var buckets = {};
+
+      this._cumulativeBuckets(entry).forEach((bucket) => {
+        buckets[_formatValue(bucket.le)] = bucket.count;
+      });
+
+      return {
+        labels: Object.assign({}, entry.labels),
+        buckets: buckets,
+        sum: entry.sum,
+        count: entry.count,
+      };
+    }),
+  };
+};
+
+Histogram.prototype.toPrometheus = function () {
+  var lines = [
+    '# HELP ' + this.name + ' ' + _escapeHelp(this.help),
+    '# TYPE ' + this.name + ' ' + this.type,
+  ];
+
+  this._values.forEach((entry) => {
+    this._cumulativeBuckets(entry).forEach((bucket) => {
+      var labels = Object.assign({}, entry.labels, { le: _formatValue(bucket.le) });
+
+      lines.push(this.name + '_bucket' + _formatLabels(labels) + ' ' + bucket.count);
+    });
+
+    lines.push(this.name + '_sum' + _formatLabels(entry.labels) + ' ' + _formatValue(entry.sum));
+    lines.push(this.name + '_count' + _formatLabels(entry.labels) + ' ' + entry.count);
+  });
+
+  return lines.join('\n');
+};
+
+/**
+ * Set of metrics of an instance.
+ * 
+ * @param {Object} defaultLabels labels applied to every metric
+ */
+function Registry(defaultLabels) {
+  this.defaultLabels = defaultLabels || {};
+
+  this._metrics = new Map();
+}
+
+Registry.prototype._register = function (metric) {
+  if (this._metrics.has(metric.name)) {
+    throw new Error('metric ' + metric.name + ' already registered');
+  }
+
+  this._metrics.set(metric.name, metric);
+
+  return metric;
+};
+
+/**
+ * @param  {String} name
+ * @param  {String} help
+ * @param  {Array} labelNames (optional)
+ * @return {Counter}
+ */
+Registry.prototype.counter = function (name, help, labelNames) {
+  return this._register(new Counter(name, help, {
+    defaultLabels: this.defaultLabels,
+    labelNames: labelNames,
+  }));
+};
+
+/**
+ * @param  {String} name
+ * @param  {String} help
+ * @param  {Array} labelNames (optional)
+ * @return {Gauge}
+ */
+Registry.prototype.gauge = function (name, help, labelNames) {
+  return this._register(new Gauge(name, help, {
+    defaultLabels: this.defaultLabels,
+    labelNames: labelNames,
+  }));
+};
+
+/**
+ * @param  {String} name
+ * @param  {String} help
+ * @param  {Array} buckets (optional) upper bounds
+ * @param  {Array} labelNames (optional)
+ * @return {Histogram}
+ */
+Registry.prototype.histogram = function (name, help, buckets, labelNames) {
+  return this._register(new Histogram(name, help, {
+    defaultLabels: this.defaultLabels,
+    labelNames: labelNames,
+    buckets: buckets,
+  }));
+};
+
+/**
+ * Plain snapshot of all metrics, indexed by name.
+ * 
+ * @return {Object}
+ */
+Registry.prototype.toJSON = function () {
+  var snapshot = {};
+
+  this._metrics.forEach((metric, name) => {
+    snapshot[name] = metric.toJSON();
+  });
+
+  return snapshot;
+};
+
+/**
+ * All metrics in Prometheus text format.
+ * 
+ * @return {String}
+ */
+Registry.prototype.toPrometheus = function () {
+  return Array.from(this._metrics.values()).map((metric) => {
+    return metric.toPrometheus();
+  }).join('\n') + '\n';
+};
+
+/**
+ * Starts an HTTP server that exposes metrics
+ * at `GET /metrics` in Prometheus text format.
+ * 
+ * @param  {Function} getText returns the text to be exposed
+ * @param  {Number} port
+ * @param  {String} host (optional)
+ * @return {Promise -> http.Server}
+ */
+function listen(getText, port, host) {
+  var server = http.createServer((req, res) => {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+    });
+    res.end(getText());
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+exports.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
+exports.Counter = Counter;
+exports.Gauge = Gauge;
+exports.Histogram = Histogram;
+exports.Registry = Registry;
+exports.listen = listen;
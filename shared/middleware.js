@@ -0,0 +1,52 @@
+/**
+ * Onion-style composition of async middleware.
+ *
+ * Each middleware is called as `middleware(context, next)` and should
+ * return a value or a promise. Calling `next()` runs the rest of the
+ * chain and returns a promise for its result, so a middleware may:
+ *   - short-circuit, by returning (or throwing) without calling `next`
+ *   - transform the result, by chaining on `next()`
+ *   - translate errors, by catching `next()`'s rejection
+ *
+ * Middleware run in the order they were given on the way in and
+ * in reverse order on the way out.
+ */
+
+/**
+ * Composes the middleware list into a single function.
+ * 
+ * @param  {Array} middleware
+ * @return {Function} (thisArg, context, last) -> Promise;
+ *                    `last(context)` is run at the core of the chain
+ */
+exports.compose = function (middleware) {
+
+  middleware = middleware.slice();
+
+  return function (thisArg, context, last) {
+
+    var index = -1;
+
+    function dispatch(i) {
+      if (i <= index) {
+        return Promise.reject(new Error('next() called multiple times'));
+      }
+
+      index = i;
+
+      var fn = i < middleware.length ? middleware[i] : last;
+
+      return new Promise((resolve, reject) => {
+        try {
+          resolve(i < middleware.length ?
+            fn.call(thisArg, context, dispatch.bind(null, i + 1)) :
+            fn.call(thisArg, context));
+        } catch (err) {
+          reject(err);
+        }
+      });
+    }
+
+    return dispatch(0);
+  };
+};
@@ -0,0 +1,312 @@
+/**
+ * Minimal MessagePack encoder and decoder.
+ *
+ * https://github.com/msgpack/msgpack/blob/master/spec.md
+ *
+ * Supports nil, booleans, numbers, strings, binary (Buffers),
+ * arrays and maps. Mirrors JSON.stringify in that object properties
+ * whose values are undefined or functions are skipped and objects
+ * with a `toJSON` method are encoded through it.
+ *
+ * Non-integer numbers are encoded as float32 whenever
+ * that is lossless, as float64 otherwise.
+ */
+
+// own
+const errors = require('./errors');
+
+const UINT32_RANGE = 4294967296;
+
+/**
+ * Encodes the value into a Buffer
+ * 
+ * @param  {*} value
+ * @return {Buffer}
+ */
+exports.encode = function (value) {
+  var chunks = [];
+
+  _encode(value, chunks);
+
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Decodes the Buffer into a value
+ * 
+ * @param  {Buffer} buffer
+ * @return {*}
+ */
+exports.decode = function (buffer) {
+  var state = {
+    buffer: buffer,
+    offset: 0,
+  };
+
+  var value = _decode(state);
+
+  if (state.offset !== buffer.length) {
+    throw new errors.MalformedMessage('unexpected trailing bytes');
+  }
+
+  return value;
+};
+
+function _header(byte, size, writer) {
+  var buf = Buffer.alloc(1 + size);
+
+  buf[0] = byte;
+
+  if (writer) {
+    writer(buf);
+  }
+
+  return buf;
+}
+
+function _encodeNumber(value, chunks) {
+
+  if (Number.isInteger(value)) {
+    if (value >= 0) {
+      if (value < 128) {
+        return chunks.push(_header(value, 0));
+      } else if (value < 256) {
+        return chunks.push(_header(0xcc, 1, (b) => { b.writeUInt8(value, 1); }));
+      } else if (value < 65536) {
+        return chunks.push(_header(0xcd, 2, (b) => { b.writeUInt16BE(value, 1); }));
+      } else if (value < UINT32_RANGE) {
+        return chunks.push(_header(0xce, 4, (b) => { b.writeUInt32BE(value, 1); }));
+      }
+    } else {
+      if (value >= -32) {
+        return chunks.push(_header(0xe0 | (value + 32), 0));
+      } else if (value >= -128) {
+        return chunks.push(_header(0xd0, 1, (b) => { b.writeInt8(value, 1); }));
+      } else if (value >= -32768) {
+        return chunks.push(_header(0xd1, 2, (b) => { b.writeInt16BE(value, 1); }));
+      } else if (value >= -2147483648) {
+        return chunks.push(_header(0xd2, 4, (b) => { b.writeInt32BE(value, 1); }));
+      }
+    }
+
+    // larger integers are losslessly represented by
+    // float64 as long as they are safe integers
+  } else if (Math.fround(value) === value) {
+    return chunks.push(_header(0xca, 4, (b) => { b.writeFloatBE(value, 1); }));
+  }
+
+  chunks.push(_header(0xcb, 8, (b) => { b.writeDoubleBE(value, 1); }));
+}
+
+function _encodeString(value, chunks) {
+  var data = Buffer.from(value, 'utf8');
+  var length = data.length;
+
+  if (length < 32) {
+    chunks.push(_header(0xa0 | length, 0));
+  } else if (length < 256) {
+    chunks.push(_header(0xd9, 1, (b) => { b.writeUInt8(length, 1); }));
+  } else if (length < 65536) {
+    chunks.push(_header(0xda, 2, (b) => { b.writeUInt16BE(length, 1); }));
+  } else {
+    chunks.push(_header(0xdb, 4, (b) => { b.writeUInt32BE(length, 1); }));
+  }
+
+  chunks.push(data);
+}
+
+function _encodeBinary(value, chunks) {
+  var data = Buffer.isBuffer(value) ? value : Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  var length = data.length;
+
+  if (length < 256) {
+    chunks.push(_header(0xc4, 1, (b) => { b.writeUInt8(length, 1); }));
+  } else if (length < 65536) {
+    chunks.push(_header(0xc5, 2, (b) => { b.writeUInt16BE(length, 1); }));
+  } else {
+    chunks.push(_header(0xc6, 4, (b) => { b.writeUInt32BE(length, 1); }));
+  }
+
+  chunks.push(data);
+}
+
+function _encodeArray(value, chunks) {
+  var length = value.length;
+
+  if (length < 16) {
+    chunks.push(_header(0x90 | length, 0));
+  } else if (length < 65536) {
+    chunks.push(_header(0xdc, 2, (b) => { b.writeUInt16BE(length, 1); }));
+  } else {
+    chunks.push(_header(0xdd, 4, (b) => { b.writeUInt32BE(length, 1); }));
+  }
+
+  value.forEach((item) => {
+    // as in JSON, undefined array items become nil
+    _encode(item, chunks);
+  });
+}
+
+function _encodeMap(value, chunks) {
+  var keys = Object.keys(value).filter((key) => {
+    return value[key] !== undefined && typeof value[key] !== 'function';
+  });
+  var length = keys.length;
+
+  if (length < 16) {
+    chunks.push(_header(0x80 | length, 0));
+  } else if (length < 65536) {
+    chunks.push(_header(0xde, 2, (b) => { b.writeUInt16BE(length, 1); }));
+  } else {
+    chunks.push(_header(0xdf, 4, (b) => { b.writeUInt32BE(length, 1); }));
+  }
+
+  keys.forEach((key) => {
+    _encodeString(key, chunks);
+    _encode(value[key], chunks);
+  });
+}
+
+function _encode(value, chunks) {
+
+  if (value === null || value === undefined || typeof value === 'function') {
+    chunks.push(_header(0xc0, 0));
+  } else if (value === false) {
+    chunks.push(_header(0xc2, 0));
+  } else if (value === true) {
+    chunks.push(_header(0xc3, 0));
+  } else if (typeof value === 'number') {
+    _encodeNumber(value, chunks);
+  } else if (typeof value === 'string') {
+    _encodeString(value, chunks);
+  } else if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    _encodeBinary(value, chunks);
+  } else if (typeof value.toJSON === 'function') {
+    _encode(value.toJSON(), chunks);
+  } else if (Array.isArray(value)) {
+    _encodeArray(value, chunks);
+  } else if (typeof value === 'object') {
+    _encodeMap(value, chunks);
+  } else {
+    throw new errors.InvalidOption('value', 'unsupported', 'cannot encode ' + typeof value);
+  }
+}
+
+function _read(state, size, reader) {
+  if (state.offset + size > state.buffer.length) {
+    throw new errors.MalformedMessage('unexpected end of data');
+  }
+
+  var value = reader(state.buffer, state.offset);
+
+  state.offset += size;
+
+  return value;
+}
+
+function _readBytes(state, length) {
+  return _read(state, length, (buf, offset) => {
+    return buf.slice(offset, offset + length);
+  });
+}
+
+function _readArray(state, length) {
+  var arr = [];
+
+  for (var i = 0; i < length; i++) {
+    arr.push(_decode(state));
+  }
+
+  return arr;
+}
+
+function _readMap(state, length) {
+  var obj = {};
+
+  for (var i = 0; i < length; i++) {
+    var key = _decode(state);
+
+    // define keys as own properties, as JSON.parse does, so that
+    // a `__proto__` key does not replace the object's prototype
+    Object.defineProperty(obj, key, {
+      value: _decode(state),
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  }
+
+  return obj;
+}
+
+function _decode(state) {
+
+  var byte = _read(state, 1, (buf, offset) => { return buf[offset]; });
+
+  if (byte < 0x80) {
+    return byte;
+  } else if (byte < 0x90) {
+    return _readMap(state, byte & 0x0f);
+  } else if (byte < 0xa0) {
+    return _readArray(state, byte & 0x0f);
+  } else if (byte < 0xc0) {
+    return _readBytes(state, byte & 0x1f).toString('utf8');
+  } else if (byte >= 0xe0) {
+    return byte - 0x100;
+  }
+
+  switch (byte) {
+    case 0xc0:
+      return null;
+    case 0xc2:
+      return false;
+    case 0xc3:
+      return true;
+    case 0xc4:
+      return Buffer.from(_readBytes(state, _read(state, 1, (b, o) => { return b.readUInt8(o); })));
+    case 0xc5:
+      return Buffer.from(_readBytes(state, _read(state, 2, (b, o) => { return b.readUInt16BE(o); })));
+    case 0xc6:
+      return Buffer.from(_readBytes(state, _read(state, 4, (b, o) => { return b.readUInt32BE(o); })));
+    case 0xca:
+      return _read(state, 4, (b, o) => { return b.readFloatBE(o); });
+    case 0xcb:
+      return _read(state, 8, (b, o) => { return b.readDoubleBE(o); });
+    case 0xcc:
+      return _read(state, 1, (b, o) => { return b.readUInt8(o); });
+    case 0xcd:
+      return _read(state, 2, (b, o) => { return b.readUInt16BE(o); });
+    case 0xce:
+      return _read(state, 4, (b, o) => { return b.readUInt32BE(o); });
+    case 0xcf:
+      return _read(state, 8, (b, o) => {
+        return b.readUInt32BE(o) * UINT32_RANGE + b.readUInt32BE(o + 4);
+      });
+    case 0xd0:
+      return _read(state, 1, (b, o) => { return b.readInt8(o); });
+    case 0xd1:
+      return _read(state, 2, (b, o) => { return b.readInt16BE(o); });
+    case 0xd2:
+      return _read(state, 4, (b, o) => { return b.readInt32BE(o); });
+    case 0xd3:
+      return _read(state, 8, (b, o) => {
+        return b.readInt32BE(o) * UINT32_RANGE + b.readUInt32BE(o + 4);
+      });
+    case 0xd9:
+      return _readBytes(state, _read(state, 1, (b, o) => { return b.readUInt8(o); })).toString('utf8');
+    case 0xda:
+      return _readBytes(state, _read(state, 2, (b, o) => { return b.readUInt16BE(o); })).toString('utf8');
+    case 0xdb:
+      return _readBytes(state, _read(state, 4, (b, o) => { return b.readUInt32BE(o); })).toString('utf8');
+    case 0xdc:
+      return _readArray(state, _read(state, 2, (b, o) => { return b.readUInt16BE(o); }));
+    case 0xdd:
+      return _readArray(state, _read(state, 4, (b, o) => { return b.readUInt32BE(o); }));
+    case 0xde:
+      return _readMap(state, _read(state, 2, (b, o) => { return b.readUInt16BE(o); }));
+    case 0xdf:
+      return _readMap(state, _read(state, 4, (b, o) => { return b.readUInt32BE(o); }));
+    default:
+      throw new errors.MalformedMessage('unsupported msgpack type 0x' + byte.toString(16));
+  }
+}
@@ -0,0 +1,349 @@
+/**
+ * Validator for a subset of JSON Schema draft-07.
+ *
+ * http://json-schema.org/draft-07/json-schema-validation.html
+ *
+ * Supported keywords:
+ *   - type (including 'integer' and arrays of types), enum, const
+ *   - multipleOf, maximum, exclusiveMaximum, minimum, exclusiveMinimum
+ *   - maxLength, minLength, pattern
+ *   - items (schema or array of schemas), additionalItems,
+ *     maxItems, minItems, uniqueItems, contains
+ *   - maxProperties, minProperties, required, properties,
+ *     patternProperties, additionalProperties, propertyNames
+ *   - allOf, anyOf, oneOf, not, if/then/else
+ *   - $ref to local definitions ('#', '#/definitions/...')
+ *
+ * Unknown keywords (format, $id, title, description, etc.) are ignored.
+ * Boolean schemas (true / false) are supported.
+ */
+
+const errors = require('./errors');
+
+/**
+ * Validates the data against the schema
+ * 
+ * @param  {Object|Boolean} schema
+ * @param  {*} data
+ * @return {Array} failures, each with a `path` (JSON pointer) and a `message`.
+ *                 Empty if the data is valid.
+ */
+exports.validate = function (schema, data) {
+  var failures = [];
+
+  _validate(schema, data, '', schema, failures);
+
+  return failures;
+};
+
+/**
+ * Throws `ValidationFailed` listing the failing paths
+ * if the data does not match the schema.
+ * 
+ * @param  {Object|Boolean} schema
+ * @param  {*} data
+ */
+exports.assertValid = function (schema, data) {
+  var failures = exports.validate(schema, data);
+
+  if (failures.length > 0) {
+    throw new errors.ValidationFailed(failures);
+  }
+};
+
+function _typeOf(value) {
+  if (value === null) {
+    return 'null';
+  } else if (Array.isArray(value)) {
+    return 'array';
+  } else {
+    return typeof value;
+  }
+}
+
+function _matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return typeof value === 'number' && Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && isFinite(value);
+    default:
+      return _typeOf(value) === type;
+  }
+}
+
+function _equal(a, b) {
+  if (a === b) {
+    return true;
+  }
+
+  var type = _typeOf(a);
+
+  if (type !== _typeOf(b) || type !== 'array' && type !== 'object') {
+    return false;
+  }
+
+  var keysA = Object.keys(a);
+  var keysB = Object.keys(b);
+
+  return keysA.length === keysB.length && keysA.every((key) => {
+    return Object.prototype.hasOwnProperty.call(b, key) && _equal(a[key], b[key]);
+  });
+}
+
+function _pointer(path, key) {
+  return path + '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function _resolveRef(ref, rootSchema) {
+  if (ref === '#') {
+    return rootSchema;
+  }
+
+  if (ref.indexOf('#/') !== 0) {
+    throw new Error('unsupported $ref ' + ref);
+  }
+
+  return ref.slice(2).split('/').reduce((schema, token) => {
+    token = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+
+    if (!schema || !Object.prototype.hasOwnProperty.call(schema, token)) {
+      throw new Error('unresolvable $ref ' + ref);
+    }
+
+    return schema[token];
+  }, rootSchema);
+}
+
+function _isValid(schema, data, rootSchema) {
+  var failures = [];
+
+  _validate(schema, data, '', rootSchema, failures);
+
+  return failures.length === 0;
+}
+
+function _validate(schema, data, path, rootSchema, failures) {
+
+  var fail = (message, failurePath) => {
+    failures.push({
+      path: failurePath === undefined ? path : failurePath,
+      message: message,
+    });
+  };
+
+  if (schema === true || schema === undefined) {
+    return;
+  }
+
+  if (schema === false) {
+    fail('is not allowed');
+    return;
+  }
+
+  if (schema.$ref) {
+    // in draft-07, $ref overrides any sibling keywords
+    _validate(_resolveRef(schema.$ref, rootSchema), data, path, rootSchema, failures);
+    return;
+  }
+
+  var type = _typeOf(data);
+
+  if (schema.type !== undefined) {
+    var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+    if (!types.some((t) => { return _matchesType(data, t); })) {
+      fail('must be ' + types.join(' or '));
+      // further keywords would only add noise
+      return;
+    }
+  }
+
+  if (schema.enum !== undefined && !schema.enum.some((value) => { return _equal(value, data); })) {
+    fail('must be one of ' + JSON.stringify(schema.enum));
+  }
+
+  if (schema.const !== undefined && !_equal(schema.const, data)) {
+    fail('must be equal to ' + JSON.stringify(schema.const));
+  }
+
+  if (type === 'number') {
+    if (schema.multipleOf !== undefined) {
+      var quotient = data / schema.multipleOf;
+
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+        fail('must be a multiple of ' + schema.multipleOf);
+      }
+    }
+
+    if (schema.maximum !== undefined && data > schema.maximum) {
+      fail('must be <= ' + schema.maximum);
+    }
+
+    if (schema.exclusiveMaximum !== undefined && data >= schema.exclusiveMaximum) {
+      fail('must be < ' + schema.exclusiveMaximum);
+    }
+
+    if (schema.minimum !== undefined && data < schema.minimum) {
+      fail('must be >= ' + schema.minimum);
+    }
+
+    if (schema.exclusiveMinimum !== undefined && data <= schema.exclusiveMinimum) {
+      fail('must be > ' + schema.exclusiveMinimum);
+    }
+  }
+
+  if (type === 'string') {
+    // count code points, not UTF-16 code units
+    var length = Array.from(data).length;
+
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail('must have at most ' + schema.maxLength + ' characters');
+    }
+
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail('must have at least ' + schema.minLength + ' characters');
+    }
+
+    if (schema.pattern !== undefined && !(new RegExp(schema.pattern, 'u')).test(data)) {
+      fail('must match pattern ' + schema.pattern);
+    }
+  }
+
+  if (type === 'array') {
+    if (Array.isArray(schema.items)) {
+      schema.items.forEach((itemSchema, index) => {
+        if (index < data.length) {
+          _validate(itemSchema, data[index], _pointer(path, index), rootSchema, failures);
+        }
+      });
+
+      if (schema.additionalItems !== undefined) {
+        data.slice(schema.items.length).forEach((item, index) => {
+          _validate(schema.additionalItems, item, _pointer(path, schema.items.length + index), rootSchema, failures);
+        });
+      }
+    } else if (schema.items !== undefined) {
+      data.forEach((item, index) => {
+        _validate(schema.items, item, _pointer(path, index), rootSchema, failures);
+      });
+    }
+
+    if (schema.maxItems !== undefined && data.length > schema.maxItems) {
+      fail('must have at most ' + schema.maxItems + ' items');
+    }
+
+    if (schema.minItems !== undefined && data.length < schema.minItems) {
+      fail('must have at least ' + schema.minItems + ' items');
+    }
+
+    if (schema.uniqueItems) {
+      var duplicated = data.some((item, index) => {
+        return data.slice(index + 1).some((other) => { return _equal(item, other); });
+      });
+
+      if (duplicated) {
+        fail('must not have duplicate items');
+      }
+    }
+
+    if (schema.contains !== undefined) {
+      var contains = data.some((item) => {
+        return _isValid(schema.contains, item, rootSchema);
+      });
+
+      if (!contains) {
+        fail('must contain a matching item');
+      }
+    }
+  }
+
+  if (type === 'object') {
+    var keys = Object.keys(data);
+
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      fail('must have at most ' + schema.maxProperties + ' properties');
+    }
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      fail('must have at least ' + schema.minProperties + ' properties');
+    }
+
+    (schema.required || []).forEach((key) => {
+      if (!Object.prototype.hasOwnProperty.call(data, key)) {
+        fail('is required', _pointer(path, key));
+      }
+    });
+
+    var properties = schema.properties || {};
+    var patternProperties = schema.patternProperties || {};
+    var patterns = Object.keys(patternProperties);
+
+    keys.forEach((key) => {
+      var keyPath = _pointer(path, key);
+      var matched = false;
+
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        matched = true;
+        _validate(properties[key], data[key], keyPath, rootSchema, failures);
+      }
+
+      patterns.forEach((pattern) => {
+        if ((new RegExp(pattern, 'u')).test(key)) {
+          matched = true;
+          _validate(patternProperties[pattern], data[key], keyPath, rootSchema, failures);
+        }
+      });
+
+      if (!matched && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          fail('is not allowed', keyPath);
+        } else {
+          _validate(schema.additionalProperties, data[key], keyPath, rootSchema, failures);
+        }
+      }
+
+      if (schema.propertyNames !== undefined && !_isValid(schema.propertyNames, key, rootSchema)) {
+        fail('has an invalid property name', keyPath);
+      }
+    });
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach((subSchema) => {
+      _validate(subSchema, data, path, rootSchema, failures);
+    });
+  }
+
+  if (schema.anyOf) {
+    var anyValid = schema.anyOf.some((subSchema) => {
+      return _isValid(subSchema, data, rootSchema);
+    });
+
+    if (!anyValid) {
+      fail('must match at least one schema in anyOf');
+    }
+  }
+
+  if (schema.oneOf) {
+    var validCount = schema.oneOf.filter((subSchema) => {
+      return _isValid(subSchema, data, rootSchema);
+    }).length;
+
+    if (validCount !== 1) {
+      fail('must match exactly one schema in oneOf');
+    }
+  }
+
+  if (schema.not !== undefined && _isValid(schema.not, data, rootSchema)) {
+    fail('must not match the schema in not');
+  }
+
+  if (schema.if !== undefined) {
+    if (_isValid(schema.if, data, rootSchema)) {
+      _validate(schema.then, data, path, rootSchema, failures);
+    } else {
+      _validate(schema.else, data, path, rootSchema, failures);
+    }
+  }
+}
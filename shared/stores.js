@@ -0,0 +1,256 @@
+/**
+ * Stores of values that expire, used for the outcomes of jobs
+ * indexed by idempotency key, for the results of jobs
+ * indexed by requestId and for cancellations (see `cancellationKey`).
+ *
+ * Stores implement:
+ *   - get(key): Promise -> value or undefined if not stored or expired
+ *   - set(key, value, ttl): Promise, ttl in ms
+ *
+ * Values are plain objects that may hold Buffers.
+ * Implementations backed by external databases (e.g. Redis or SQL)
+ * need only implement these two methods.
+ */
+
+// native
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+// own
+const errors = require('./errors');
+
+/**
+ * Keeps values in memory, evicting the least recently
+ * used ones once `max` values are stored.
+ * Values are lost when the process exits.
+ *
+ * @param {Object} options
+ *        - max: {Number} maximum number of values, defaults to 10000
+ */
+function MemoryStore(options) {
+  options = options || {};
+
+  this.max = options.max || 10000;
+
+  /**
+   * Entries ({ value, expiresAt }) indexed by key,
+   * from the least to the most recently used.
+   *
+   * @type {Map}
+   */
+  this.entries = new Map();
+}
+
+MemoryStore.prototype.get = function (key) {
+  var entry = this.entries.get(key);
+
+  if (!entry) {
+    return Promise.resolve(undefined);
+  }
+
+  this.entries.delete(key);
+
+  if (entry.expiresAt <= Date.now()) {
+    return Promise.resolve(undefined);
+  }
+
+  // move to the most recently used end
+  this.entries.set(key, entry);
+
+  return Promise.resolve(entry.value);
+};
+
+MemoryStore.prototype.set = function (key, value, ttl) {
+  this.entries.delete(key);
+  this.entries.set(key, {
+    value: value,
+    expiresAt: Date.now() + ttl,
+  });
+
+  while (this.entries.size > this.max) {
+    // Maps iterate in insertion order
+    this.entries.delete(this.entries.keys().next().value);
+  }
+
+  return Promise.resolve();
+};
+
+/**
+ * Revives Buffers serialized by JSON.stringify
+ */
+function _reviveBuffers(key, value) {
+  if (value && value.type === 'Buffer' && Array.isArray(value.data)) {
+    return Buffer.from(value.data);
+  }
+
+  return value;
+}
+
+/**
+ * Keeps each value in a JSON file within `directory`, so that
+ * values survive restarts and may be shared by processes
+ * that share the filesystem.
+ *
+ * Expired files are removed when read and swept from the
+ * directory by `set` at most once every `sweepInterval` ms,
+ * so that keys never read again do not pile up.
+ *
+ * @param {String} directory
+ * @param {Object} options
+ *        - sweepInterval: {Number} ms between sweeps, defaults to 10 minutes.
+ *          0 disables sweeping, e.g. when cleaning the directory up externally.
+ */
+function FileStore(directory, options) {
+  if (!directory) {
+    throw new errors.InvalidOption('directory', 'required');
+  }
+
+  options = options || {};
+
+  this.directory = directory;
+  this.sweepInterval = options.sweepInterval !== undefined ?
+    options.sweepInterval : 10 * 60 * 1000;
+
+  this._lastSweep = Date.now();
+}
+
+/**
+ * Keys are hashed, as they may contain any character
+ *
+ * @param  {String} key
+ * @return {String}
+ */
+FileStore.prototype._filePath = function (key) {
+  var hash = crypto.createHash('sha1').update(String(key)).digest('hex');
+
+  return path.join(this.directory, hash + '.json');
+};
+
+FileStore.prototype.get = function (key) {
+  var filePath = this._filePath(key);
+
+  return fs.promises.readFile(filePath, 'utf8')
+    .then((contents) => {
+      var entry = JSON.parse(contents, _reviveBuffers);
+
+      if (entry.expiresAt <= Date.now()) {
+        return fs.promises.unlink(filePath).catch(() => {}).then(() => {
+          return undefined;
+        });
+      }
+
+      return entry.value;
+    }, (err) => {
+      if (err.code === 'ENOENT') {
+        return undefined;
+      }
+
+      throw err;
+    });
+};
+
+FileStore.prototype.set = function (key, value, ttl) {
+  var filePath = this._filePath(key);
+  var tmpPath  = filePath + '.' + process.pid + '.tmp';
+
+  var contents = JSON.stringify({
+    value: value,
+    expiresAt: Date.now() + ttl,
+  });
+
+  // written to a temporary file and renamed, so that
+  // readers never see a partially written value
+  return fs.promises.mkdir(this.directory, { recursive: true })
+    .then(() => {
+      return fs.promises.writeFile(tmpPath, contents);
+    })
+    .then(() => {
+      return fs.promises.rename(tmpPath, filePath);
+    })
+    .then(() => {
+      if (this.sweepInterval && Date.now() - this._lastSweep >= this.sweepInterval) {
+        this._lastSweep = Date.now();
+
+        // not waited for: setting must not pay for the sweep
+        this.sweep().catch(() => {});
+      }
+    });
+};
+
+/**
+ * Removes the files of expired values from the directory.
+ * Files are read one at a time, so that sweeping large
+ * directories does not hold many of them in memory.
+ *
+ * @return {Promise}
+ */
+FileStore.prototype.sweep = function () {
+  var now = Date.now();
+
+  return fs.promises.readdir(this.directory)
+    .then((fileNames) => {
+      fileNames = fileNames.filter((fileName) => {
+        return path.extname(fileName) === '.json';
+      });
+
+      var sweepNext = (index) => {
+        if (index >= fileNames.length) {
+          return;
+        }
+
+        var filePath = path.join(this.directory, fileNames[index]);
+
+        return fs.promises.readFile(filePath, 'utf8')
+          .then((contents) => {
+            if (JSON.parse(contents).expiresAt <= now) {
+              return fs.promises.unlink(filePath);
+            }
+          })
+          // removed by a reader or replaced meanwhile
+          .catch(() => {})
+          .then(() => {
+            return sweepNext(index + 1);
+          });
+      };
+
+      return sweepNext(0);
+    }, (err) => {
+      if (err.code === 'ENOENT') {
+        return;
+      }
+
+      throw err;
+    });
+};
+
+/**
+ * Checks that the given object implements the store interface
+ * 
+ * @param  {Object} store
+ * @param  {String} option name of the option that set the store
+ * @return {Object} the store
+ */
+function assertStore(store, option) {
+  if (!store || typeof store.get !== 'function' || typeof store.set !== 'function') {
+    throw new errors.InvalidOption(option, 'invalid');
+  }
+
+  return store;
+}
+
+exports.assertStore = assertStore;
+
+/**
+ * Key cancellations of the worker's requests are stored at,
+ * shared by clients and servers
+ *
+ * @param  {String} workerName
+ * @param  {String} requestId
+ * @return {String}
+ */
+exports.cancellationKey = function (workerName, requestId) {
+  return workerName + ':cancelled:' + requestId;
+};
+exports.MemoryStore = MemoryStore;
+exports.FileStore = FileStore;
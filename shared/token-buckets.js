@@ -0,0 +1,80 @@
+/**
+ * Stores of token buckets, used for rate limiting jobs.
+ *
+ * Each bucket holds up to `limit` tokens and is refilled at
+ * `limit` tokens per `interval` ms. Every job takes a token.
+ *
+ * Stores implement:
+ *   - take(key, limit, interval): Promise -> 0 if a token was taken,
+ *     otherwise the time (ms) until one is available
+ *
+ * `take` must be atomic, so that replicas of a worker may share
+ * a budget through a store backed by an external database
+ * (e.g. a Redis script).
+ */
+
+/**
+ * Keeps buckets in memory, thus limits only the jobs
+ * of the process.
+ */
+function MemoryBucketStore() {
+  /**
+   * Buckets ({ tokens, updatedAt, fullAt }) indexed by key,
+   * least recently taken from first
+   *
+   * @type {Map}
+   */
+  this.buckets = new Map();
+}
+
+MemoryBucketStore.prototype.take = function (key, limit, interval) {
+  var now = Date.now();
+
+  this._evict(now);
+
+  var bucket = this.buckets.get(key);
+
+  if (!bucket) {
+    bucket = { tokens: limit, updatedAt: now };
+  }
+
+  // keep the map ordered by the time of the last take
+  this.buckets.delete(key);
+  this.buckets.set(key, bucket);
+
+  // refill according to the time elapsed since the last take
+  bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * limit / interval);
+  bucket.updatedAt = now;
+
+  var wait = 0;
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+  } else {
+    wait = Math.ceil((1 - bucket.tokens) * interval / limit);
+  }
+
+  bucket.fullAt = now + (limit - bucket.tokens) * interval / limit;
+
+  return Promise.resolve(wait);
+};
+
+/**
+ * Drops the buckets refilled up to their limit, which are
+ * no different from new ones, so that keys seen once are not
+ * kept forever. Stops at the first bucket still refilling, as
+ * the ones taken from after it are most likely refilling too.
+ *
+ * @param  {Number} now
+ */
+MemoryBucketStore.prototype._evict = function (now) {
+  for (var entry of this.buckets) {
+    if (entry[1].fullAt > now) {
+      return;
+    }
+
+    this.buckets.delete(entry[0]);
+  }
+};
+
+exports.MemoryBucketStore = MemoryBucketStore;
@@ -0,0 +1,178 @@
+/**
+ * Topology shared by HWorkerServer and HWorkerClient.
+ *
+ * Both sides assert the worker's queue, so the arguments it
+ * is declared with must be the same on both, otherwise rabbitMQ
+ * closes the channel with PRECONDITION_FAILED.
+ */
+
+const errors = require('./errors');
+
+/**
+ * Maximum priority supported by rabbitMQ.
+ * 
+ * @type {Number}
+ */
+const MAX_PRIORITY = 255;
+
+/**
+ * Validates the `maxPriority` option.
+ * 
+ * @param  {Number} maxPriority
+ * @return {Number|undefined}
+ */
+exports.parseMaxPriority = function (maxPriority) {
+  if (maxPriority === undefined || maxPriority === null) {
+    return undefined;
+  }
+
+  if (!Number.isInteger(maxPriority) || maxPriority < 1 || maxPriority > MAX_PRIORITY) {
+    throw new errors.InvalidOption('maxPriority', 'invalid');
+  }
+
+  return maxPriority;
+};
+
+/**
+ * Validates a message priority.
+ * 
+ * @param  {Number} priority
+ * @return {Number|undefined}
+ */
+exports.parsePriority = function (priority) {
+  if (priority === undefined || priority === null) {
+    return undefined;
+  }
+
+  if (!Number.isInteger(priority) || priority < 0 || priority > MAX_PRIORITY) {
+    throw new errors.InvalidOption('priority', 'invalid');
+  }
+
+  return priority;
+};
+
+/**
+ * Translates the PRECONDITION_FAILED error rabbitMQ closes the channel with
+ * when a queue already exists with different arguments.
+ * 
+ * @param  {String} queueName
+ * @param  {Error} err
+ * @return {Error}
+ */
+function _translateQueueError(queueName, err) {
+  var match = errors.replyCode(err) === 406 && /inequivalent arg '([^']+)'/.exec(err.message);
+
+  return match ? new errors.QueueArgumentsMismatch(queueName, match[1]) : err;
+}
+
+/**
+ * Generates the arguments the worker queue is declared with.
+ * 
+ * @param  {Object} worker
+ * @return {Object}
+ */
+exports.workerQueueArguments = function (worker) {
+  var args = {};
+
+  if (worker.deadLetter) {
+    args['x-dead-letter-exchange'] = worker.deadLetterExchangeName;
+  }
+
+  if (worker.maxPriority) {
+    args['x-max-priority'] = worker.maxPriority;
+  }
+
+  return args;
+};
+
+/**
+ * Asserts the worker's queue, exchange and binding and,
+ * if enabled, the dead-letter exchange and queue.
+ *
+ * Rejects with `QueueArgumentsMismatch` if the worker's queue
+ * already exists with different arguments (e.g. without `x-max-priority`).
+ * 
+ * @param  {Channel} channel
+ * @param  {Object} worker
+ *         - workerQueueName
+ *         - workerExchangeName
+ *         - deadLetter
+ *         - deadLetterExchangeName
+ *         - deadLetterQueueName
+ *         - maxPriority
+ * @return {Promise}
+ */
+exports.assertWorker = function (channel, worker) {
+
+  var workerQueueName    = worker.workerQueueName;
+  var workerExchangeName = worker.workerExchangeName;
+
+  /**
+   * Queue at which task execution requests will be stored.
+   *
+   * Asserted before anything else, as a mismatch closes the channel
+   * and every other pending assertion would fail with a generic error.
+   */
+  return Promise.resolve(channel.assertQueue(workerQueueName, {
+    arguments: exports.workerQueueArguments(worker),
+  }))
+  .catch((err) => {
+    throw _translateQueueError(workerQueueName, err);
+  })
+  .then(() => {
+    return _assertWorkerRoutes(channel, worker);
+  });
+};
+
+/**
+ * Asserts the worker's exchange and binding and,
+ * if enabled, the dead-letter exchange and queue.
+ * 
+ * @param  {Channel} channel
+ * @param  {Object} worker
+ * @return {Promise}
+ */
+function _assertWorkerRoutes(channel, worker) {
+
+  var workerQueueName    = worker.workerQueueName;
+  var workerExchangeName = worker.workerExchangeName;
+
+  var assertions = [
+    /**
+     * Exchange for both queues.
+     */
+    channel.assertExchange(workerExchangeName, 'direct'),
+    /**
+     * Bind the workerQueue to the exchange using
+     * the workerQueueName itself as the routingKey
+     */
+    channel.bindQueue(workerQueueName, workerExchangeName, workerQueueName),
+  ];
+
+  if (worker.deadLetter) {
+    assertions = assertions.concat([
+      /**
+       * Exchange and queue at which rejected requests will be stored.
+       */
+      channel.assertExchange(worker.deadLetterExchangeName, 'fanout'),
+      channel.assertQueue(worker.deadLetterQueueName),
+      channel.bindQueue(worker.deadLetterQueueName, worker.deadLetterExchangeName, ''),
+    ]);
+  }
+
+  return Promise.all(assertions);
+}
+
+/**
+ * Asserts the worker's control exchange, through which clients
+ * broadcast control messages (e.g. cancellations) to every
+ * server replica.
+ * 
+ * @param  {Channel} channel
+ * @param  {Object} worker
+ *         - controlExchangeName
+ * @return {Promise}
+ */
+exports.assertControl = function (channel, worker) {
+  return Promise.resolve(channel.assertExchange(worker.controlExchangeName, 'fanout'));
+};
@@ -0,0 +1,152 @@
+/**
+ * W3C trace context helpers.
+ *
+ * https://www.w3.org/TR/trace-context/
+ *
+ * Trace contexts are represented as objects:
+ *   - traceId: 32 lowercase hex chars
+ *   - spanId: 16 lowercase hex chars
+ *   - flags: 2 lowercase hex chars (01 = sampled)
+ *   - tracestate: {String|undefined} vendor data, passed on untouched
+ */
+
+// native
+const crypto = require('crypto');
+
+// own
+const constants = require('./constants');
+
+const TRACEPARENT_RE = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const INVALID_TRACE_ID = '00000000000000000000000000000000';
+const INVALID_SPAN_ID  = '0000000000000000';
+
+function _randomId(bytes, invalid) {
+  var id;
+
+  do {
+    id = crypto.randomBytes(bytes).toString('hex');
+  } while (id === invalid);
+
+  return id;
+}
+
+/**
+ * Parses a `traceparent` header.
+ * 
+ * @param  {String} traceparent
+ * @param  {String} tracestate (optional)
+ * @return {Object|null} null if the header is absent or invalid
+ */
+exports.parse = function (traceparent, tracestate) {
+  if (typeof traceparent !== 'string') {
+    return null;
+  }
+
+  var match = TRACEPARENT_RE.exec(traceparent.trim());
+
+  if (!match) {
+    return null;
+  }
+
+  var version = match[1];
+
+  if (version === 'ff' || (version === '00' && match[5] !== undefined)) {
+    return null;
+  }
+
+  if (match[2] === INVALID_TRACE_ID || match[3] === INVALID_SPAN_ID) {
+    return null;
+  }
+
+  return {
+    traceId: match[2],
+    spanId: match[3],
+    flags: match[4],
+    tracestate: typeof tracestate === 'string' && tracestate ? tracestate : undefined,
+  };
+};
+
+/**
+ * Formats the trace context as a version 00 `traceparent` header.
+ * 
+ * @param  {Object} context
+ * @return {String}
+ */
+exports.format = function (context) {
+  return ['00', context.traceId, context.spanId, context.flags].join('-');
+};
+
+/**
+ * Generates a new, sampled, root trace context.
+ * 
+ * @return {Object}
+ */
+exports.generate = function () {
+  return {
+    traceId: _randomId(16, INVALID_TRACE_ID),
+    spanId: _randomId(8, INVALID_SPAN_ID),
+    flags: '01',
+    tracestate: undefined,
+  };
+};
+
+/**
+ * Creates a child of the given trace context: same trace,
+ * new span, whose parent is the given context's span.
+ * 
+ * @param  {Object} context
+ * @return {Object}
+ */
+exports.child = function (context) {
+  return {
+    traceId: context.traceId,
+    spanId: _randomId(8, INVALID_SPAN_ID),
+    parentSpanId: context.spanId,
+    flags: context.flags,
+    tracestate: context.tracestate,
+  };
+};
+
+/**
+ * Sets the trace context headers onto the given headers object.
+ * 
+ * @param  {Object} headers
+ * @param  {Object} context
+ * @return {Object} headers
+ */
+exports.inject = function (headers, context) {
+  headers[constants.TRACEPARENT_HEADER] = exports.format(context);
+
+  if (context.tracestate) {
+    headers[constants.TRACESTATE_HEADER] = context.tracestate;
+  } else {
+    delete headers[constants.TRACESTATE_HEADER];
+  }
+
+  return headers;
+};
+
+/**
+ * Reads the trace context from the given headers.
+ * 
+ * @param  {Object} headers
+ * @return {Object|null}
+ */
+exports.extract = function (headers) {
+  headers = headers || {};
+
+  return exports.parse(
+    headers[constants.TRACEPARENT_HEADER],
+    headers[constants.TRACESTATE_HEADER]
+  );
+};
+
+/**
+ * Tracer used when none is given: span hooks do nothing.
+ * 
+ * @type {Object}
+ */
+exports.noopTracer = {
+  onSpanStart: function (span) {},
+  onSpanEnd: function (span) {},
+};
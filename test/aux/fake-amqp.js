@@ -0,0 +1,144 @@
+// native
+const EventEmitter = require('events').EventEmitter;
+
+/**
+ * Makes a fake amqplib channel that records
+ * the calls made to it.
+ * 
+ * @param  {Array} calls
+ * @param  {Object} connection
+ * @return {EventEmitter}
+ */
+exports.makeFakeChannel = function (calls, connection) {
+  var channel = new EventEmitter();
+
+  calls = calls || [];
+  connection = connection || { queues: {}, published: [] };
+
+  var unacked = [];
+
+  ['prefetch', 'assertExchange', 'bindQueue', 'cancel', 'deleteQueue'].forEach((method) => {
+    channel[method] = function () {
+      calls.push(method);
+      return Promise.resolve();
+    };
+  });
+
+  channel.assertQueue = function (queue) {
+    calls.push('assertQueue');
+    // the broker names queues declared without a name
+    return Promise.resolve({ queue: queue || 'amq.gen-fake', messageCount: 0, consumerCount: 0 });
+  };
+
+  channel.consume = function () {
+    calls.push('consume');
+    return Promise.resolve({ consumerTag: 'fake-consumer-tag' });
+  };
+
+  channel.waitForConfirms = function () {
+    calls.push('waitForConfirms');
+    return Promise.resolve();
+  };
+
+  channel.get = function (queue) {
+    var message = (connection.queues[queue] || []).find((m) => {
+      return unacked.indexOf(m) === -1;
+    });
+
+    if (!message) {
+      return Promise.resolve(false);
+    }
+
+    unacked.push(message);
+
+    return Promise.resolve(message);
+  };
+
+  channel.purgeQueue = function (queue) {
+    var messageCount = (connection.queues[queue] || []).length;
+
+    connection.queues[queue] = [];
+
+    return Promise.resolve({ messageCount: messageCount });
+  };
+
+  channel.ack = function (message) {
+    calls.push('ack');
+
+    Object.keys(connection.queues).forEach((queue) => {
+      connection.queues[queue] = connection.queues[queue].filter((m) => {
+        return m !== message;
+      });
+    });
+  };
+
+  channel.nack = function () {
+    calls.push('nack');
+  };
+
+  channel.publish = function (exchange, routingKey, content, options, cb) {
+    calls.push('publish');
+
+    connection.published.push({
+      exchange: exchange,
+      routingKey: routingKey,
+      content: content,
+      options: options,
+    });
+
+    if (cb) {
+      // confirm
+      setImmediate(cb);
+    }
+
+    return true;
+  };
+
+  channel.close = function () {
+    calls.push('close');
+    return Promise.resolve();
+  };
+
+  return channel;
+};
+
+/**
+ * Makes a fake amqplib connection whose channels
+ * are fake channels.
+ * 
+ * @param  {Array} calls
+ * @return {EventEmitter}
+ */
+exports.makeFakeConnection = function (calls) {
+  var connection = new EventEmitter();
+
+  calls = calls || [];
+
+  /**
+   * Messages in each queue, by queue name
+   * @type {Object}
+   */
+  connection.queues = {};
+
+  /**
+   * Messages published through any of the connection's channels
+   * @type {Array}
+   */
+  connection.published = [];
+
+  connection.createChannel = connection.createConfirmChannel = function () {
+    var channel = exports.makeFakeChannel(calls, connection);
+
+    // keep the first channel, as it is the one used by the instance
+    connection.channel = connection.channel || channel;
+
+    return Promise.resolve(channel);
+  };
+
+  connection.close = function () {
+    calls.push('connection.close');
+    return Promise.resolve();
+  };
+
+  return connection;
+};
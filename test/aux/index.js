@@ -1,6 +1,9 @@
 // third-party
 const amqplib = require('amqplib');
 
+// own
+const HWorkerServer = require('../../server');
+
 const RABBIT_MQ_URI = 'amqp://localhost';
 
 exports.rabbitMQURI = RABBIT_MQ_URI;
@@ -11,6 +14,65 @@ exports.wait = function (ms) {
   });
 };
 
+/**
+ * Makes a work request message as delivered by amqplib.
+ * Payloads that are not Buffers are JSON encoded.
+ * 
+ * @param  {Object} properties merged over the defaults
+ * @param  {*} payload
+ * @return {Object}
+ */
+exports.makeMessage = function (properties, payload) {
+  return {
+    properties: Object.assign({
+      contentType: 'application/json',
+      replyTo: 'fake-reply-to-queue',
+      messageId: 'fake-request-id',
+      type: 'work-request',
+    }, properties),
+    content: Buffer.isBuffer(payload) ? payload : new Buffer(JSON.stringify(payload || {})),
+  };
+};
+
+/**
+ * Makes a server whose channel is mocked. The mock records:
+ *   - worker.calls: ['ack', requestId] and ['nack', requestId, requeue]
+ *   - worker.published: { exchange, routingKey, content, options }
+ * 
+ * @param  {Object} options merged over { name: 'test-task' }
+ * @param  {Function} workerFn
+ * @return {HWorkerServer}
+ */
+exports.makeWorker = function (options, workerFn) {
+  var worker = new HWorkerServer(Object.assign({
+    name: 'test-task',
+  }, options), workerFn);
+
+  worker.calls = [];
+  worker.published = [];
+
+  worker.channel = {
+    ack: function (message) {
+      worker.calls.push(['ack', message.properties.messageId]);
+    },
+    nack: function (message, allUpTo, requeue) {
+      worker.calls.push(['nack', message.properties.messageId, requeue]);
+    },
+    publish: function (exchange, routingKey, content, options) {
+      worker.published.push({
+        exchange: exchange,
+        routingKey: routingKey,
+        content: content,
+        options: options,
+      });
+
+      return true;
+    },
+  };
+
+  return worker;
+};
+
 var QUEUES    = [];
 var EXCHANGES = [];
 var CONNECTIONS = [];
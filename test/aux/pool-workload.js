@@ -0,0 +1,54 @@
+/**
+ * WorkerFn loaded by the pool tests.
+ * Behaves according to `payload.action`.
+ */
+
+const errors = require('../../shared/errors');
+
+function QuotaExceeded(limit) {
+  errors.HWorkerError.call(this, 'quota of ' + limit + ' exceeded');
+
+  this.limit = limit;
+}
+require('util').inherits(QuotaExceeded, errors.HWorkerError);
+QuotaExceeded.prototype.name = 'PoolQuotaExceeded';
+
+errors.register(QuotaExceeded);
+
+module.exports = function (payload, logger, job) {
+
+  if (Buffer.isBuffer(payload)) {
+    return Buffer.concat([payload, Buffer.from(' processed')]);
+  }
+
+  switch (payload.action) {
+    case 'echo':
+      return {
+        payload: payload,
+        requestId: job.requestId,
+        isMainThread: require('worker_threads').isMainThread,
+        pid: process.pid,
+      };
+    case 'log':
+      logger.info('building', payload.project);
+      logger.progress(0.5);
+      return 'logged';
+    case 'throw':
+      throw new QuotaExceeded(10);
+    case 'crash':
+      process.exit(3);
+      break;
+    case 'busy-loop':
+      // never yields, thus never sees aborts
+      for (;;) {}
+      break;
+    case 'wait-abort':
+      return new Promise((resolve) => {
+        job.signal.addEventListener('abort', () => {
+          resolve('aborted: ' + job.signal.reason.name);
+        });
+      });
+  }
+};
+
+module.exports.QuotaExceeded = QuotaExceeded;
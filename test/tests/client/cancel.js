@@ -0,0 +1,184 @@
+const assert = require('assert');
+const should = require('should');
+
+const HWorkerClient = require('../../../client');
+
+const aux = require('../../aux');
+const fakeAmqp = require('../../aux/fake-amqp');
+
+describe('HWorkerClient#cancel', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  it('should publish the cancellation to the control exchange', function () {
+    var calls = [];
+    var connection = fakeAmqp.makeFakeConnection(calls);
+
+    var client = new HWorkerClient({
+      name: 'test-task',
+      reconnect: false,
+    });
+
+    return client.connect(connection)
+      .then(() => {
+        var assertExchange = client.channel.assertExchange;
+
+        client.channel.assertExchange = function (exchange, type) {
+          calls.push(['assertExchange', exchange, type]);
+          return assertExchange.apply(this, arguments);
+        };
+
+        return client.cancel('request-1');
+      })
+      .then(() => {
+        calls.should.containEql(['assertExchange', 'test-task-control', 'fanout']);
+
+        var published = connection.published[connection.published.length - 1];
+
+        published.exchange.should.eql('test-task-control');
+        published.routingKey.should.eql('');
+        published.options.type.should.eql('cancel');
+        published.options.contentType.should.eql('application/json');
+        published.options.messageId.should.be.a.String();
+        published.options.mandatory.should.eql(true);
+        JSON.parse(published.content.toString()).should.eql({ requestId: 'request-1' });
+      });
+  });
+
+  it('should write the cancellation to the cancelStore before publishing it', function () {
+    var connection = fakeAmqp.makeFakeConnection();
+    var cancelStore = new HWorkerClient.stores.MemoryStore();
+
+    var client = new HWorkerClient({
+      name: 'test-task',
+      reconnect: false,
+      cancelStore: cancelStore,
+      cancelWindow: 1000,
+    });
+
+    var stored;
+
+    return client.connect(connection)
+      .then(() => {
+        var publish = client.channel.publish;
+
+        client.channel.publish = function () {
+          stored = cancelStore.entries.has(HWorkerClient.stores.cancellationKey('test-task', 'request-1'));
+          return publish.apply(this, arguments);
+        };
+
+        return client.cancel('request-1');
+      })
+      .then(() => {
+        stored.should.eql(true);
+
+        return cancelStore.get(HWorkerClient.stores.cancellationKey('test-task', 'request-1'));
+      })
+      .then((cancellation) => {
+        cancellation.cancelledAt.should.be.a.Number();
+      });
+  });
+
+  it('should reject with Unroutable if no server is bound to the control exchange', function () {
+    var connection = fakeAmqp.makeFakeConnection();
+
+    var client = new HWorkerClient({
+      name: 'test-task',
+      reconnect: false,
+    });
+
+    return client.connect(connection)
+      .then(() => {
+        client.channel.publish = function (exchange, routingKey, content, options, cb) {
+          setImmediate(() => {
+            client._handleReturnedMessage({
+              properties: options,
+              content: content,
+            });
+
+            cb();
+          });
+
+          return true;
+        };
+
+        return client.cancel('request-1');
+      })
+      .then(() => {
+        throw new Error('error expected');
+      }, (err) => {
+        err.should.be.instanceof(HWorkerClient.errors.Unroutable);
+      });
+  });
+
+  it('should require a requestId and a connection', function () {
+    var client = new HWorkerClient({ name: 'test-task' });
+
+    return client.cancel()
+      .then(() => {
+        throw new Error('error expected');
+      }, (err) => {
+        err.should.be.instanceof(HWorkerClient.errors.InvalidOption);
+        err.option.should.eql('requestId');
+
+        return client.cancel('request-1');
+      })
+      .then(() => {
+        throw new Error('error expected');
+      }, (err) => {
+        err.should.be.instanceof(HWorkerClient.errors.NotConnected);
+      });
+  });
+
+  it('should emit `result:cancelled` and reject pending runs with JobCancelled', function () {
+    var client = new HWorkerClient({ name: 'test-task' });
+
+    client.channel = {
+      publish: function (exchange, routingKey, content, options, cb) {
+        setImmediate(cb);
+
+        setTimeout(() => {
+          client.handleUpdateMessage({
+            properties: {
+              type: 'result:cancelled',
+              correlationId: options.messageId,
+              contentType: 'application/json',
+            },
+            content: new Buffer(JSON.stringify({
+              formatVersion: 1,
+              name: 'JobCancelled',
+              message: 'job ' + options.messageId + ' was cancelled',
+              requestId: options.messageId,
+              retryable: false,
+            })),
+          });
+        }, 10);
+
+        return true;
+      },
+    };
+
+    var events = [];
+
+    client.on('result:cancelled', (requestId, payload) => {
+      events.push([requestId, payload.name]);
+    });
+
+    return client.run({ some: 'data' }, { requestId: 'request-1' }).then(() => {
+      throw new Error('error expected');
+    }, (err) => {
+      err.should.be.instanceof(HWorkerClient.errors.JobCancelled);
+      err.requestId.should.eql('request-1');
+
+      events.should.eql([['request-1', 'JobCancelled']]);
+
+      client._pendingRuns.size.should.eql(0);
+    });
+  });
+});
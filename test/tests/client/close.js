@@ -0,0 +1,37 @@
+const should = require('should');
+
+const HWorkerClient = require('../../../client');
+
+const aux = require('../../aux');
+const fakeAmqp = require('../../aux/fake-amqp');
+
+describe('HWorkerClient#close', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  it('should wait for pending publisher confirms before closing the channel', function () {
+
+    var calls = [];
+    var connection = fakeAmqp.makeFakeConnection(calls);
+
+    var client = new HWorkerClient({
+      name: 'test-task',
+    });
+
+    return client.connect(connection)
+      .then(() => {
+        return client.close();
+      })
+      .then(() => {
+        calls.slice(-2).should.eql(['waitForConfirms', 'close']);
+
+        should(client.channel).eql(undefined);
+      });
+  });
+});
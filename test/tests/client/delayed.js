@@ -0,0 +1,261 @@
+const assert = require('assert');
+const should = require('should');
+
+const HWorkerClient = require('../../../client');
+
+const delayQueues = require('../../../shared/delay-queues');
+
+const aux = require('../../aux');
+const fakeAmqp = require('../../aux/fake-amqp');
+
+describe('HWorkerClient delayed jobs', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  /**
+   * Makes a fake connection whose channels record
+   * the queues asserted along with their options.
+   */
+  function makeConnection(assertedQueues) {
+    var connection = fakeAmqp.makeFakeConnection();
+    var createConfirmChannel = connection.createConfirmChannel;
+
+    connection.createChannel = connection.createConfirmChannel = function () {
+      return createConfirmChannel.apply(connection, arguments).then((channel) => {
+        channel.assertQueue = function (queue, options) {
+          assertedQueues.push({ queue: queue, options: options });
+          return Promise.resolve();
+        };
+
+        return channel;
+      });
+    };
+
+    return connection;
+  }
+
+  describe('delayQueues.scheduledTtl', function () {
+
+    it('should round delays up to the granularity of their bucket', function () {
+      delayQueues.scheduledTtl(1).should.eql(1000);
+      delayQueues.scheduledTtl(1500).should.eql(2000);
+      delayQueues.scheduledTtl(61 * 1000).should.eql(70 * 1000);
+      delayQueues.scheduledTtl(2 * 3600 * 1000 + 1).should.eql(2 * 3600 * 1000 + 60 * 1000);
+      delayQueues.scheduledTtl(2 * 24 * 3600 * 1000 + 1).should.eql(2 * 24 * 3600 * 1000 + 10 * 60 * 1000);
+    });
+  });
+
+  describe('#schedule', function () {
+
+    it('should publish delayed jobs to an expiring scheduled queue that dead-letters into the worker', function () {
+
+      var assertedQueues = [];
+      var connection = makeConnection(assertedQueues);
+
+      var client = new HWorkerClient({ name: 'test-task' });
+
+      return client.connect(connection)
+        .then(() => {
+          assertedQueues.length = 0;
+
+          return client.schedule({ key: 'value' }, { task: 'build', delay: 1500 });
+        })
+        .then((requestId) => {
+          requestId.should.be.a.String();
+
+          assertedQueues.should.eql([{
+            queue: 'test-task-scheduled-2000',
+            options: {
+              durable: true,
+              arguments: {
+                'x-message-ttl': 2000,
+                'x-expires': 62000,
+                'x-dead-letter-exchange': 'test-task-exchange',
+                'x-dead-letter-routing-key': 'test-task',
+              },
+            },
+          }]);
+
+          var published = connection.published[0];
+
+          published.exchange.should.eql('');
+          published.routingKey.should.eql('test-task-scheduled-2000');
+          published.options.expiration.should.eql('1500');
+          published.options.messageId.should.eql(requestId);
+          published.options.headers['x-task-name'].should.eql('build');
+        });
+    });
+
+    it('should compute the delay from runAt', function () {
+
+      var connection = makeConnection([]);
+      var client = new HWorkerClient({ name: 'test-task' });
+
+      return client.connect(connection)
+        .then(() => {
+          return client.schedule({}, { runAt: new Date(Date.now() + 30000) });
+        })
+        .then(() => {
+          var published = connection.published[0];
+
+          published.routingKey.should.eql('test-task-scheduled-30000');
+          parseInt(published.options.expiration, 10).should.be.within(29000, 30000);
+        });
+    });
+
+    it('should publish jobs whose runAt is past right away', function () {
+
+      var connection = makeConnection([]);
+      var client = new HWorkerClient({ name: 'test-task' });
+
+      return client.connect(connection)
+        .then(() => {
+          return client.schedule({}, { runAt: Date.now() - 1000 });
+        })
+        .then(() => {
+          var published = connection.published[0];
+
+          published.exchange.should.eql('test-task-exchange');
+          should(published.options.expiration).eql(undefined);
+        });
+    });
+
+    it('should reject invalid delays', function () {
+
+      var client = new HWorkerClient({ name: 'test-task' });
+
+      client.channel = {};
+
+      [
+        { delay: -1 },
+        { delay: 'soon' },
+        { delay: Math.pow(2, 32) },
+        { runAt: 'tomorrow' },
+      ].forEach((options) => {
+        assert.throws(function () {
+          client.schedule({}, options);
+        }, HWorkerClient.errors.InvalidOption);
+      });
+    });
+  });
+
+  describe('#cancelDelayed', function () {
+
+    it('should remove the delayed job from its scheduled queue', function () {
+
+      var connection = makeConnection([]);
+      var client = new HWorkerClient({ name: 'test-task' });
+
+      var requestIds;
+
+      return client.connect(connection)
+        .then(() => {
+          return Promise.all([
+            client.schedule({}, { delay: 1000 }),
+            client.schedule({}, { delay: 1000 }),
+          ]);
+        })
+        .then((ids) => {
+          requestIds = ids;
+
+          // the fake broker does not route messages
+          connection.queues['test-task-scheduled-1000'] = connection.published.map((published) => {
+            return { properties: published.options, content: published.content };
+          });
+
+          return client.cancelDelayed(requestIds[1]);
+        })
+        .then((cancelled) => {
+          cancelled.should.eql(true);
+
+          connection.queues['test-task-scheduled-1000'].map((message) => {
+            return message.properties.messageId;
+          })
+          .should.eql([requestIds[0]]);
+
+          // no longer tracked
+          return client.cancelDelayed(requestIds[1]);
+        })
+        .then((cancelled) => {
+          cancelled.should.eql(false);
+        });
+    });
+
+    it('should resolve false if the job is no longer in its scheduled queue', function () {
+
+      var connection = makeConnection([]);
+      var client = new HWorkerClient({ name: 'test-task' });
+
+      return client.connect(connection)
+        .then(() => {
+          return client.schedule({}, { delay: 1000 });
+        })
+        .then((requestId) => {
+          return client.cancelDelayed(requestId);
+        })
+        .then((cancelled) => {
+          cancelled.should.eql(false);
+        });
+    });
+
+    it('should resolve false if the scheduled queue has expired', function () {
+
+      var connection = makeConnection([]);
+      var client = new HWorkerClient({ name: 'test-task' });
+
+      var channelErrors = [];
+
+      client.on('channel-error', (err) => {
+        channelErrors.push(err);
+      });
+
+      return client.connect(connection)
+        .then(() => {
+          return client.schedule({}, { delay: 1000 });
+        })
+        .then((requestId) => {
+          var createChannel = connection.createChannel;
+
+          connection.createChannel = function () {
+            return createChannel.apply(connection, arguments).then((channel) => {
+              var closeMessage = '404 (NOT-FOUND) with message ' +
+                '"NOT_FOUND - no queue \'test-task-scheduled-1000\' in vhost \'/\'"';
+
+              // as amqplib does: the `error` event carries the code,
+              // the rejection of the operation does not
+              channel.get = function () {
+                var channelError = new Error('Channel closed by server: ' + closeMessage);
+                channelError.code = 404;
+
+                channel.emit('error', channelError);
+
+                return Promise.reject(new Error('Operation failed: BasicGet; ' + closeMessage));
+              };
+
+              return channel;
+            });
+          };
+
+          return client.cancelDelayed(requestId);
+        })
+        .then((cancelled) => {
+          cancelled.should.eql(false);
+          channelErrors.should.eql([]);
+        });
+    });
+
+    it('should resolve false for unknown jobs', function () {
+      var client = new HWorkerClient({ name: 'test-task' });
+
+      return client.cancelDelayed('unknown-request').then((cancelled) => {
+        cancelled.should.eql(false);
+      });
+    });
+  });
+});
@@ -0,0 +1,307 @@
+const assert = require('assert');
+const should = require('should');
+
+const HWorkerClient = require('../../../client');
+
+const aux = require('../../aux');
+
+describe('HWorkerClient interceptors', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  function makeChannel(published) {
+    return {
+      publish: function (exchange, routingKey, content, options, cb) {
+        published.push({
+          content: JSON.parse(content.toString()),
+          options: options,
+        });
+
+        setImmediate(cb);
+
+        return true;
+      },
+    };
+  }
+
+  function makeUpdate(type, payload) {
+    return {
+      properties: {
+        type: type,
+        correlationId: 'fake-request-id',
+        contentType: 'application/json',
+      },
+      content: new Buffer(JSON.stringify(payload)),
+    };
+  }
+
+  it('should require interceptors to be functions', function () {
+    var client = new HWorkerClient({ name: 'test-interceptors' });
+
+    assert.throws(function () {
+      client.intercept('not-a-function');
+    }, HWorkerClient.errors.InvalidOption);
+
+    assert.throws(function () {
+      client.interceptUpdate('not-a-function');
+    }, HWorkerClient.errors.InvalidOption);
+  });
+
+  describe('#intercept', function () {
+
+    it('should run interceptors in order before publishing', function () {
+      var published = [];
+      var client = new HWorkerClient({ name: 'test-interceptors' });
+
+      client.channel = makeChannel(published);
+
+      client
+        .intercept(function (request) {
+          this.should.equal(client);
+
+          request.taskName.should.eql('build');
+          request.requestId.should.eql('some-request');
+
+          request.data.tenantId = 'tenant-1';
+          request.options.headers['x-tenant-id'] = 'tenant-1';
+        })
+        .intercept(function (request) {
+          request.data.tenantId.should.eql('tenant-1');
+
+          request.options.headers['x-source'] = 'api';
+          request.options.priority = 5;
+          request.options.expiration = '60000';
+        });
+
+      return client.schedule({ key: 'value' }, { task: 'build', requestId: 'some-request' })
+        .then((requestId) => {
+          requestId.should.eql('some-request');
+
+          published.length.should.eql(1);
+          published[0].content.should.eql({ key: 'value', tenantId: 'tenant-1' });
+
+          var options = published[0].options;
+
+          options.headers['x-tenant-id'].should.eql('tenant-1');
+          options.headers['x-source'].should.eql('api');
+          options.headers['x-task-name'].should.eql('build');
+          options.priority.should.eql(5);
+          options.expiration.should.eql('60000');
+        });
+    });
+
+    it('should allow interceptors to replace the data', function () {
+      var published = [];
+      var client = new HWorkerClient({ name: 'test-interceptors' });
+
+      client.channel = makeChannel(published);
+
+      client.intercept(function (request) {
+        request.data = { wrapped: request.data };
+      });
+
+      return client.schedule({ key: 'value' })
+        .then(() => {
+          published[0].content.should.eql({ wrapped: { key: 'value' } });
+        });
+    });
+
+    it('should not allow interceptors to override protocol options', function () {
+      var published = [];
+      var client = new HWorkerClient({ name: 'test-interceptors' });
+
+      client.channel = makeChannel(published);
+
+      client.intercept(function (request) {
+        request.requestId = 'other-request';
+        request.options.messageId = 'other-request';
+        request.options.type = 'other-type';
+        request.options.replyTo = 'other-queue';
+      });
+
+      return client.schedule({}, { requestId: 'some-request' })
+        .then((requestId) => {
+          requestId.should.eql('some-request');
+
+          var options = published[0].options;
+
+          options.messageId.should.eql('some-request');
+          options.type.should.eql('work-request');
+          options.replyTo.should.eql(client.replyTo);
+        });
+    });
+
+    it('should veto the schedule if an interceptor throws', function () {
+      var published = [];
+      var client = new HWorkerClient({ name: 'test-interceptors' });
+
+      client.channel = makeChannel(published);
+
+      client.intercept(function (request) {
+        if (!request.data.userId) {
+          throw new Error('userId required');
+        }
+      });
+
+      return client.schedule({}).then(() => {
+        throw new Error('error expected');
+      }, (err) => {
+        err.message.should.eql('userId required');
+        published.length.should.eql(0);
+      });
+    });
+
+    it('should validate the intercepted data against the schema', function () {
+      var published = [];
+      var client = new HWorkerClient({
+        name: 'test-interceptors',
+        schema: { required: ['tenantId'] },
+      });
+
+      client.channel = makeChannel(published);
+
+      client.intercept(function (request) {
+        request.data.tenantId = 'tenant-1';
+      });
+
+      return client.schedule({})
+        .then(() => {
+          published.length.should.eql(1);
+        });
+    });
+  });
+
+  describe('#interceptUpdate', function () {
+
+    it('should allow interceptors to transform updates', function (done) {
+      var client = new HWorkerClient({ name: 'test-interceptors' });
+
+      client.interceptUpdate(function (update) {
+        this.should.equal(client);
+
+        update.type.should.eql('result:success');
+        update.requestId.should.eql('fake-request-id');
+        update.properties.correlationId.should.eql('fake-request-id');
+
+        update.payload = { unwrapped: update.payload.value };
+      });
+
+      client.on('result:success', (requestId, payload) => {
+        requestId.should.eql('fake-request-id');
+        payload.should.eql({ unwrapped: 1 });
+
+        done();
+      });
+
+      client.handleUpdateMessage(makeUpdate('result:success', { value: 1 }));
+    });
+
+    it('should drop updates for which an interceptor returns false', function () {
+      var client = new HWorkerClient({ name: 'test-interceptors' });
+      var calls = [];
+
+      client
+        .interceptUpdate(function (update) {
+          calls.push('first');
+          return update.type !== 'log:info';
+        })
+        .interceptUpdate(function (update) {
+          calls.push('second');
+        });
+
+      var emitted = [];
+
+      client.on('log:info', () => { emitted.push('log:info'); });
+      client.on('progress', () => { emitted.push('progress'); });
+
+      client.handleUpdateMessage(makeUpdate('log:info', 'hello'));
+      client.handleUpdateMessage(makeUpdate('progress', { fraction: 0.5 }));
+
+      emitted.should.eql(['progress']);
+      calls.should.eql(['first', 'first', 'second']);
+    });
+
+    it('should not settle runs with dropped results', function () {
+      var client = new HWorkerClient({ name: 'test-interceptors' });
+      var settled = false;
+
+      client._pendingRuns.set('fake-request-id', {
+        resolve: function () { settled = true; },
+        reject: function () { settled = true; },
+      });
+
+      client.interceptUpdate(function () {
+        return false;
+      });
+
+      client.handleUpdateMessage(makeUpdate('result:success', {}));
+
+      settled.should.eql(false);
+    });
+
+    it('should emit `interceptor-error` and handle the update as received if an interceptor throws', function () {
+      var client = new HWorkerClient({ name: 'test-interceptors' });
+      var interceptorErrors = [];
+
+      client
+        .interceptUpdate(function (update) {
+          update.payload = { replaced: true };
+        })
+        .interceptUpdate(function () {
+          throw new Error('interceptor failed');
+        });
+
+      client.on('interceptor-error', (err, update) => {
+        interceptorErrors.push([err.message, update.type]);
+      });
+
+      var run = new Promise((resolve, reject) => {
+        client._pendingRuns.set('fake-request-id', {
+          resolve: resolve,
+          reject: reject,
+        });
+      });
+
+      client.handleUpdateMessage(makeUpdate('result:success', { value: 1 }));
+
+      return run.then((result) => {
+        result.should.eql({ value: 1 });
+        interceptorErrors.should.eql([['interceptor failed', 'result:success']]);
+      });
+    });
+  });
+
+  it('should emit `update-error` and reject the pending run for malformed results', function () {
+    var client = new HWorkerClient({ name: 'test-interceptors' });
+    var updateErrors = [];
+
+    client.on('update-error', (err) => {
+      updateErrors.push(err);
+    });
+
+    var run = new Promise((resolve, reject) => {
+      client._pendingRuns.set('fake-request-id', {
+        resolve: resolve,
+        reject: reject,
+      });
+    });
+
+    var update = makeUpdate('result:success', {});
+    update.content = new Buffer('{malformed');
+
+    client.handleUpdateMessage(update);
+
+    return run.then(() => {
+      throw new Error('error expected');
+    }, (err) => {
+      err.should.be.instanceof(HWorkerClient.errors.MalformedMessage);
+      updateErrors.should.eql([err]);
+    });
+  });
+});
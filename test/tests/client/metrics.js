@@ -0,0 +1,82 @@
+const assert = require('assert');
+const should = require('should');
+
+const HWorkerClient = require('../../../client');
+
+const aux = require('../../aux');
+
+describe('HWorkerClient metrics', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  function values(client, name) {
+    return client.getMetrics()[name].values;
+  }
+
+  it('should count schedules and their confirms', function () {
+
+    var client = new HWorkerClient({
+      name: 'test-metrics',
+    });
+
+    var nack = false;
+
+    client.channel = {
+      publish: function (exchange, routingKey, content, options, cb) {
+        var err = nack ? new Error('nacked') : null;
+
+        setImmediate(() => { cb(err); });
+
+        return true;
+      },
+    };
+
+    return client.schedule({})
+      .then(() => {
+        nack = true;
+
+        return client.schedule({}).catch((err) => {
+          err.should.be.instanceof(HWorkerClient.errors.PublishNacked);
+        });
+      })
+      .then(() => {
+        values(client, 'hworker_client_schedules_total')[0].value.should.eql(2);
+        values(client, 'hworker_client_confirms_total').should.eql([
+          { labels: { worker: 'test-metrics', outcome: 'ack' }, value: 1 },
+          { labels: { worker: 'test-metrics', outcome: 'nack' }, value: 1 },
+        ]);
+      });
+  });
+
+  it('should count results received', function () {
+
+    var client = new HWorkerClient({
+      name: 'test-metrics',
+    });
+
+    ['result:success', 'result:error', 'result:error', 'log:info'].forEach((type) => {
+      client.handleUpdateMessage({
+        properties: {
+          type: type,
+          correlationId: 'fake-request-id',
+          contentType: 'application/json',
+        },
+        content: new Buffer('{}'),
+      });
+    });
+
+    values(client, 'hworker_client_results_received_total').should.eql([
+      { labels: { worker: 'test-metrics', type: 'success' }, value: 1 },
+      { labels: { worker: 'test-metrics', type: 'error' }, value: 2 },
+    ]);
+
+    client.toPrometheus().should.containEql(
+      'hworker_client_results_received_total{worker="test-metrics",type="error"} 2');
+  });
+});
@@ -0,0 +1,237 @@
+const assert = require('assert');
+const should = require('should');
+
+const HWorkerClient = require('../../../client');
+const HWorkerServer = require('../../../server');
+
+const aux = require('../../aux');
+
+describe('result backend', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  function makeWorker(options, workerFn) {
+    return aux.makeWorker(Object.assign({
+      name: 'test-results',
+    }, options), workerFn);
+  }
+
+  it('should require the backend to implement get and set', function () {
+    assert.throws(function () {
+      makeWorker({ resultBackend: {} }, function () {});
+    }, HWorkerServer.errors.InvalidOption);
+
+    assert.throws(function () {
+      new HWorkerClient({ name: 'test-results', resultBackend: { get: function () {} } });
+    }, HWorkerClient.errors.InvalidOption);
+  });
+
+  it('should reject getResult if there is no backend', function () {
+    var client = new HWorkerClient({ name: 'test-results' });
+
+    return client.getResult('fake-request-id').then(() => {
+      throw new Error('error expected');
+    }, (err) => {
+      err.should.be.instanceof(HWorkerClient.errors.InvalidOption);
+      err.option.should.eql('resultBackend');
+    });
+  });
+
+  it('should let clients fetch results written by the server', function () {
+
+    var backend = new HWorkerServer.stores.MemoryStore();
+
+    var worker = makeWorker({ resultBackend: backend }, function (data) {
+      if (data.fail) {
+        throw new HWorkerServer.errors.HWorkerError('build failed');
+      }
+
+      return { built: true };
+    });
+
+    var client = new HWorkerClient({ name: 'test-results', resultBackend: backend });
+
+    return client.getResult('request-1')
+      .then((result) => {
+        result.should.eql({ status: 'pending' });
+
+        return Promise.all([
+          worker.handleMessage(aux.makeMessage({ messageId: 'request-1' })),
+          worker.handleMessage(aux.makeMessage({ messageId: 'request-2' }, new Buffer('{"fail":true}'))),
+        ]);
+      })
+      .then(() => {
+        return aux.wait(10);
+      })
+      .then(() => {
+        return Promise.all([
+          client.getResult('request-1'),
+          client.getResult('request-2'),
+        ]);
+      })
+      .then((results) => {
+        results[0].status.should.eql('succeeded');
+        results[0].payload.should.eql({ built: true });
+        results[0].completedAt.should.be.a.Number();
+
+        results[1].status.should.eql('failed');
+        results[1].payload.should.eql({
+          formatVersion: 1,
+          name: 'HWorkerError',
+          message: 'build failed',
+        });
+        results[1].error.should.be.instanceof(Error);
+        results[1].error.message.should.eql('build failed');
+      });
+  });
+
+  it('should keep results for resultTtl', function () {
+
+    var backend = new HWorkerServer.stores.MemoryStore();
+
+    var worker = makeWorker({
+      resultBackend: backend,
+      resultTtl: 20,
+    }, function () {
+      return 'done';
+    });
+
+    var client = new HWorkerClient({ name: 'test-results', resultBackend: backend });
+
+    return worker.handleMessage(aux.makeMessage())
+      .then(() => {
+        return aux.wait(5);
+      })
+      .then(() => {
+        return client.getResult('fake-request-id');
+      })
+      .then((result) => {
+        result.status.should.eql('succeeded');
+
+        return aux.wait(30);
+      })
+      .then(() => {
+        return client.getResult('fake-request-id');
+      })
+      .then((result) => {
+        result.should.eql({ status: 'pending' });
+      });
+  });
+
+  it('should emit result-backend-error if writing fails', function () {
+
+    var backendErrors = [];
+
+    var worker = makeWorker({
+      resultBackend: {
+        get: function () {},
+        set: function () {
+          return Promise.reject(new Error('backend unavailable'));
+        },
+      },
+    }, function () {
+      return 'done';
+    });
+
+    worker.on('result-backend-error', (err) => {
+      backendErrors.push(err.message);
+    });
+
+    return worker.handleMessage(aux.makeMessage())
+      .then(() => {
+        return aux.wait(10);
+      })
+      .then(() => {
+        backendErrors.should.eql(['backend unavailable']);
+
+        // the update is published nonetheless
+        worker.published[0].options.type.should.eql('result:success');
+      });
+  });
+
+  it('should publish result updates only once the result is written', function () {
+
+    var backend = new HWorkerServer.stores.MemoryStore();
+    var set = backend.set;
+
+    // slow backend
+    backend.set = function () {
+      var args = arguments;
+
+      return aux.wait(20).then(() => {
+        return set.apply(backend, args);
+      });
+    };
+
+    var worker = makeWorker({ resultBackend: backend }, function () {
+      return 'done';
+    });
+
+    var client = new HWorkerClient({ name: 'test-results', resultBackend: backend });
+    var publish = worker.channel.publish;
+    var fetched;
+
+    worker.channel.publish = function (exchange, routingKey, content, options) {
+      fetched = client.getResult(options.correlationId);
+
+      return publish.apply(this, arguments);
+    };
+
+    return worker.handleMessage(aux.makeMessage())
+      .then(() => {
+        worker.published.length.should.eql(1);
+
+        return fetched;
+      })
+      .then((result) => {
+        result.status.should.eql('succeeded');
+        result.payload.should.eql('done');
+      });
+  });
+
+  it('should emit channel-error if the channel is lost while writing the result', function () {
+
+    var backend = new HWorkerServer.stores.MemoryStore();
+    var set = backend.set;
+
+    var worker = makeWorker({ resultBackend: backend }, function () {
+      return 'done';
+    });
+
+    // the channel is lost while writing
+    backend.set = function () {
+      worker.channel = undefined;
+
+      return set.apply(backend, arguments);
+    };
+
+    var channelErrors = [];
+
+    worker.on('channel-error', (err) => {
+      channelErrors.push(err);
+    });
+
+    return worker.handleMessage(aux.makeMessage())
+      .then(() => {
+        channelErrors.length.should.eql(1);
+        channelErrors[0].should.be.instanceof(HWorkerServer.errors.NotConnected);
+
+        worker.published.length.should.eql(0);
+
+        return backend.get('fake-request-id');
+      })
+      .then((record) => {
+        record.status.should.eql('succeeded');
+      });
+  });
+
+  it('should keep the former name of the built-in stores', function () {
+    HWorkerServer.idempotencyStores.should.equal(HWorkerServer.stores);
+  });
+});
@@ -0,0 +1,146 @@
+const should = require('should');
+const util = require('util');
+
+const HWorkerClient = require('../../../client');
+
+const aux = require('../../aux');
+
+describe('HWorkerClient#run', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  /**
+   * Makes a client whose channel is mocked and that
+   * responds to every published request with the given update
+   */
+  function makeClient(type, payload) {
+    var client = new HWorkerClient({
+      name: 'test-task',
+    });
+
+    client.channel = {
+      publish: function (exchange, routingKey, content, options, cb) {
+
+        setImmediate(cb);
+
+        if (type) {
+          setTimeout(() => {
+            client.handleUpdateMessage({
+              properties: {
+                type: type,
+                correlationId: options.messageId,
+                contentType: 'application/json',
+              },
+              content: new Buffer(JSON.stringify(payload)),
+            });
+          }, 10);
+        }
+
+        return true;
+      },
+    };
+
+    return client;
+  }
+
+  it('should resolve with the `result:success` payload', function () {
+    var client = makeClient('result:success', { some: 'result' });
+
+    return client.run({ some: 'data' }).then((result) => {
+      result.should.eql({ some: 'result' });
+
+      client._pendingRuns.size.should.eql(0);
+    });
+  });
+
+  it('should reject with the `result:error` payload rehydrated as an Error', function () {
+    var client = makeClient('result:error', {
+      name: 'BuildError',
+      message: 'build failed',
+      code: 'E_BUILD',
+    });
+
+    return client.run({ some: 'data' }, { task: 'build' }).then(() => {
+      throw new Error('error expected');
+    }, (err) => {
+      err.should.be.instanceof(Error);
+      err.name.should.eql('BuildError');
+      err.message.should.eql('build failed');
+      err.code.should.eql('E_BUILD');
+
+      client._pendingRuns.size.should.eql(0);
+    });
+  });
+
+  it('should rehydrate errors as instances of their registered class', function () {
+
+    function QuotaExceeded(message) {
+      HWorkerClient.errors.HWorkerError.call(this, message);
+    }
+    util.inherits(QuotaExceeded, HWorkerClient.errors.HWorkerError);
+    QuotaExceeded.prototype.name = 'QuotaExceeded';
+
+    HWorkerClient.errors.register(QuotaExceeded);
+
+    var client = makeClient('result:error', HWorkerClient.errors.serialize(
+      Object.assign(new QuotaExceeded('quota exceeded'), { limit: 10 })));
+
+    return client.run({ some: 'data' }, { task: 'build' }).then(() => {
+      throw new Error('error expected');
+    }, (err) => {
+      err.should.be.instanceof(QuotaExceeded);
+      err.should.be.instanceof(HWorkerClient.errors.HWorkerError);
+      err.message.should.eql('quota exceeded');
+      err.limit.should.eql(10);
+    });
+  });
+
+  it('should reject with a Timeout error if the result does not arrive in time', function () {
+    var client = makeClient(null);
+
+    return client.run({ some: 'data' }, { timeout: 50 }).then(() => {
+      throw new Error('error expected');
+    }, (err) => {
+      err.should.be.instanceof(HWorkerClient.errors.Timeout);
+      err.timeout.should.eql(50);
+
+      client._pendingRuns.size.should.eql(0);
+    });
+  });
+
+  it('should reject pending runs upon disconnection', function () {
+    var client = makeClient(null);
+
+    var promise = client.run({ some: 'data' });
+
+    setTimeout(() => {
+      client.emit('disconnected');
+    }, 10);
+
+    return promise.then(() => {
+      throw new Error('error expected');
+    }, (err) => {
+      err.should.be.instanceof(HWorkerClient.errors.NotConnected);
+
+      client._pendingRuns.size.should.eql(0);
+    });
+  });
+
+  it('should reject if the client is not connected', function () {
+    var client = new HWorkerClient({
+      name: 'test-task',
+    });
+
+    return client.run({ some: 'data' }).then(() => {
+      throw new Error('error expected');
+    }, (err) => {
+      err.should.be.instanceof(HWorkerClient.errors.NotConnected);
+    });
+  });
+});
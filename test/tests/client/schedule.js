@@ -33,4 +33,231 @@ describe('HWorkerClient#schedule', function () {
 
     }, HWorkerClient.errors.NotConnected);
   });
-});
\ No newline at end of file
+
+  it('should set the `x-task-name` header when given a task name', function () {
+
+    var client = new HWorkerClient({
+      name: 'test-task',
+    });
+
+    // mock channel
+    client.channel = {
+      publish: function (exchange, routingKey, content, options, cb) {
+        JSON.parse(content.toString()).should.eql({ key: 'value' });
+
+        options.type.should.eql('work-request');
+        options.headers['x-task-name'].should.eql('build');
+
+        setImmediate(cb);
+
+        return true;
+      },
+    };
+
+    return client.schedule({ key: 'value' }, { task: 'build' })
+      .then((requestId) => {
+        requestId.should.be.a.String();
+      });
+  });
+
+  it('should schedule String data without reading it as a task name', function () {
+
+    var client = new HWorkerClient({
+      name: 'test-task',
+    });
+
+    // mock channel
+    client.channel = {
+      publish: function (exchange, routingKey, content, options, cb) {
+        JSON.parse(content.toString()).should.eql('some data');
+
+        should(options.headers['x-task-name']).eql(undefined);
+
+        setImmediate(cb);
+
+        return true;
+      },
+    };
+
+    return client.schedule('some data');
+  });
+
+  it('should propagate the given trace context', function () {
+
+    var client = new HWorkerClient({
+      name: 'test-task',
+    });
+
+    var published = [];
+
+    client.channel = {
+      publish: function (exchange, routingKey, content, options, cb) {
+        published.push(options);
+
+        setImmediate(cb);
+
+        return true;
+      },
+    };
+
+    return Promise.all([
+      client.schedule({}, {
+        trace: {
+          traceparent: '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01',
+          tracestate: 'congo=t61rcWkgMzE',
+        },
+      }),
+      client.schedule({}),
+    ])
+    .then(() => {
+      published[0].headers.traceparent.should.eql('00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01');
+      published[0].headers.tracestate.should.eql('congo=t61rcWkgMzE');
+
+      // generated
+      published[1].headers.traceparent.should.match(/^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/);
+      published[1].headers.should.not.have.property('tracestate');
+    });
+  });
+
+  describe('publisher confirms', function () {
+
+    it('should resolve only after the broker confirms the message', function () {
+
+      var client = new HWorkerClient({
+        name: 'test-task',
+      });
+
+      var CONFIRMED = false;
+
+      client.channel = {
+        publish: function (exchange, routingKey, content, options, cb) {
+          setTimeout(() => {
+            CONFIRMED = true;
+            cb();
+          }, 50);
+
+          return true;
+        },
+      };
+
+      return client.schedule({ key: 'value' }).then((requestId) => {
+        CONFIRMED.should.eql(true);
+      });
+    });
+
+    it('should reject with PublishNacked if the broker nacks the message', function () {
+
+      var client = new HWorkerClient({
+        name: 'test-task',
+      });
+
+      client.channel = {
+        publish: function (exchange, routingKey, content, options, cb) {
+          setImmediate(cb, new Error('nacked'));
+          return true;
+        },
+      };
+
+      return client.schedule({ key: 'value' }).then(() => {
+        throw new Error('error expected');
+      }, (err) => {
+        err.should.be.instanceof(HWorkerClient.errors.PublishNacked);
+      });
+    });
+
+    it('should reject with Unroutable if the broker returns the message', function () {
+
+      var client = new HWorkerClient({
+        name: 'test-task',
+      });
+
+      client.channel = {
+        publish: function (exchange, routingKey, content, options, cb) {
+          options.mandatory.should.eql(true);
+
+          setImmediate(() => {
+            client._handleReturnedMessage({
+              properties: options,
+              content: content,
+            });
+
+            cb();
+          });
+
+          return true;
+        },
+      };
+
+      return client.schedule({ key: 'value' }).then(() => {
+        throw new Error('error expected');
+      }, (err) => {
+        err.should.be.instanceof(HWorkerClient.errors.Unroutable);
+        client._returnedMessages.size.should.eql(0);
+      });
+    });
+
+    it('should wait for `drain` before publishing when the channel buffer is full', function () {
+
+      var EventEmitter = require('events').EventEmitter;
+
+      var client = new HWorkerClient({
+        name: 'test-task',
+      });
+
+      var publishedCount = 0;
+
+      client.channel = new EventEmitter();
+      client.channel.publish = function (exchange, routingKey, content, options, cb) {
+        publishedCount += 1;
+        setImmediate(cb);
+
+        // buffer is full after the first publish
+        return false;
+      };
+
+      var first = client.schedule({ key: 1 });
+      var second = client.schedule({ key: 2 });
+
+      return first
+        .then(() => {
+          return aux.wait(20);
+        })
+        .then(() => {
+          publishedCount.should.eql(1);
+
+          client.channel.emit('drain');
+
+          return second;
+        })
+        .then(() => {
+          publishedCount.should.eql(2);
+        });
+    });
+
+    it('should reject pending publishes upon disconnection', function () {
+
+      var client = new HWorkerClient({
+        name: 'test-task',
+      });
+
+      client.channel = {
+        publish: function () {
+          // never confirmed
+          return true;
+        },
+      };
+
+      var promise = client.schedule({ key: 'value' });
+
+      setTimeout(() => {
+        client.emit('disconnected');
+      }, 10);
+
+      return promise.then(() => {
+        throw new Error('error expected');
+      }, (err) => {
+        err.should.be.instanceof(HWorkerClient.errors.NotConnected);
+      });
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const should = require('should');
+
+const HWorkerClient = require('../../../client');
+
+const aux = require('../../aux');
+
+describe('HWorkerClient payload validation', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  var BUILD_SCHEMA = {
+    type: 'object',
+    required: ['target'],
+    properties: {
+      target: { type: 'string' },
+    },
+  };
+
+  function makeChannel(published) {
+    return {
+      publish: function (exchange, routingKey, content, options, cb) {
+        published.push(JSON.parse(content.toString()));
+
+        setImmediate(cb);
+
+        return true;
+      },
+    };
+  }
+
+  it('should reject with ValidationFailed and not publish invalid requests', function () {
+    var published = [];
+
+    var client = new HWorkerClient({
+      name: 'test-validation',
+      schema: BUILD_SCHEMA,
+    });
+
+    client.channel = makeChannel(published);
+
+    return client.schedule({ target: 10 }).then(() => {
+      throw new Error('error expected');
+    }, (err) => {
+      err.should.be.instanceof(HWorkerClient.errors.ValidationFailed);
+      err.failures[0].path.should.eql('/target');
+
+      published.length.should.eql(0);
+    });
+  });
+
+  it('should publish valid requests', function () {
+    var published = [];
+
+    var client = new HWorkerClient({
+      name: 'test-validation',
+      schema: BUILD_SCHEMA,
+    });
+
+    client.channel = makeChannel(published);
+
+    return client.schedule({ target: 'app' })
+      .then(() => {
+        published.should.eql([{ target: 'app' }]);
+      });
+  });
+
+  it('should validate named tasks against their own schemas', function () {
+    var published = [];
+
+    var client = new HWorkerClient({
+      name: 'test-validation',
+      schemas: { build: BUILD_SCHEMA },
+    });
+
+    client.channel = makeChannel(published);
+
+    return client.schedule({}, { task: 'build' })
+      .then(() => {
+        throw new Error('error expected');
+      }, (err) => {
+        err.should.be.instanceof(HWorkerClient.errors.ValidationFailed);
+
+        return client.schedule({}, { task: 'lint' });
+      })
+      .then(() => {
+        published.should.eql([{}]);
+      });
+  });
+});
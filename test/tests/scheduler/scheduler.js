@@ -0,0 +1,403 @@
+const assert = require('assert');
+const should = require('should');
+
+const HWorkerClient = require('../../../client');
+const HWorkerScheduler = require('../../../scheduler');
+
+const aux = require('../../aux');
+const fakeAmqp = require('../../aux/fake-amqp');
+
+describe('HWorkerScheduler', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  var HOUR = 3600 * 1000;
+
+  /**
+   * Last whole hour, minus the given number of hours
+   */
+  function hoursAgo(hours) {
+    var now = Date.now();
+
+    return now - (now % HOUR) - hours * HOUR;
+  }
+
+  /**
+   * Makes a connected client whose connection's channels
+   * fail to declare the leader queue if `locked` returns true
+   */
+  function makeClient(locked) {
+    var connection = fakeAmqp.makeFakeConnection();
+    var createChannel = connection.createChannel;
+
+    connection.channels = [];
+
+    connection.createChannel = connection.createConfirmChannel = function () {
+      return createChannel.apply(connection, arguments).then((channel) => {
+        var assertQueue = channel.assertQueue;
+
+        channel.assertQueue = function (queue, options) {
+          if (options && options.exclusive && locked && locked()) {
+            var closeMessage = '405 (RESOURCE-LOCKED) with message ' +
+              '"RESOURCE_LOCKED - cannot obtain exclusive access to locked queue \'' + queue + '\'"';
+
+            // as amqplib does: the `error` event carries the code,
+            // the rejection of the operation does not
+            var channelError = new Error('Channel closed by server: ' + closeMessage);
+            channelError.code = 405;
+
+            channel.emit('error', channelError);
+
+            return Promise.reject(new Error('Operation failed: QueueDeclare; ' + closeMessage));
+          }
+
+          return assertQueue.apply(channel, arguments);
+        };
+
+        connection.channels.push(channel);
+
+        return channel;
+      });
+    };
+
+    var client = new HWorkerClient({ name: 'test-task' });
+
+    return client.connect(connection).then(() => {
+      return client;
+    });
+  }
+
+  function scheduledRequests(client) {
+    return client.connection.published.map((published) => {
+      return {
+        requestId: published.options.messageId,
+        taskName: published.options.headers['x-task-name'],
+        data: JSON.parse(published.content.toString()),
+      };
+    });
+  }
+
+  it('should require a client and a valid catch-up policy', function () {
+    assert.throws(function () {
+      new HWorkerScheduler();
+    }, HWorkerScheduler.errors.InvalidOption);
+
+    assert.throws(function () {
+      new HWorkerScheduler(new HWorkerClient({ name: 'test-task' }), { catchUp: 'some' });
+    }, HWorkerScheduler.errors.InvalidOption);
+  });
+
+  it('should reject invalid cron expressions', function () {
+    var scheduler = new HWorkerScheduler(new HWorkerClient({ name: 'test-task' }));
+
+    assert.throws(function () {
+      scheduler.add('cleanup', 'every night');
+    }, HWorkerScheduler.errors.InvalidOption);
+  });
+
+  it('should become the leader and start jobs that never ran from now on', function () {
+
+    var store = new HWorkerScheduler.MemoryStore();
+    var scheduler;
+
+    return makeClient().then((client) => {
+      scheduler = new HWorkerScheduler(client, { store: store });
+      scheduler.add('rebuild', '0 * * * *', { taskName: 'rebuild' });
+
+      return scheduler.start();
+    })
+    .then((isLeader) => {
+      isLeader.should.eql(true);
+      scheduler.isLeader.should.eql(true);
+
+      scheduledRequests(scheduler.client).should.eql([]);
+      scheduler._state.rebuild.should.be.a.Number();
+
+      return scheduler.stop();
+    });
+  });
+
+  it('should schedule only the latest missed tick by default', function () {
+
+    var store = new HWorkerScheduler.MemoryStore();
+    var scheduler;
+    var missed;
+
+    store.state = { rebuild: hoursAgo(3) };
+
+    return makeClient().then((client) => {
+      scheduler = new HWorkerScheduler(client, { store: store });
+      scheduler.add('rebuild', '0 * * * *', {
+        taskName: 'rebuild',
+        data: function (tick) {
+          return { tick: tick.getTime() };
+        },
+        timezone: 'UTC',
+      });
+
+      scheduler.on('missed', (jobName, ticks) => {
+        missed = ticks.map((tick) => { return tick.getTime(); });
+      });
+
+      return scheduler.start();
+    })
+    .then(() => {
+      scheduledRequests(scheduler.client).should.eql([{
+        requestId: 'test-task-scheduler:rebuild:' + hoursAgo(0),
+        taskName: 'rebuild',
+        data: { tick: hoursAgo(0) },
+      }]);
+
+      missed.should.eql([hoursAgo(2), hoursAgo(1)]);
+
+      store.state.rebuild.should.eql(hoursAgo(0));
+
+      return scheduler.stop();
+    });
+  });
+
+  it('should schedule every missed tick, up to maxCatchUp, with the `all` policy', function () {
+
+    var store = new HWorkerScheduler.MemoryStore();
+    var scheduler;
+
+    store.state = { rebuild: hoursAgo(5) };
+
+    return makeClient().then((client) => {
+      scheduler = new HWorkerScheduler(client, {
+        store: store,
+        catchUp: 'all',
+        maxCatchUp: 3,
+      });
+      scheduler.add('rebuild', '0 * * * *', { timezone: 'UTC' });
+
+      return scheduler.start();
+    })
+    .then(() => {
+      scheduledRequests(scheduler.client).map((request) => {
+        return request.requestId;
+      })
+      .should.eql([2, 1, 0].map((hours) => {
+        return 'test-task-scheduler:rebuild:' + hoursAgo(hours);
+      }));
+
+      store.state.rebuild.should.eql(hoursAgo(0));
+
+      return scheduler.stop();
+    });
+  });
+
+  it('should skip missed ticks with the `none` policy', function () {
+
+    var store = new HWorkerScheduler.MemoryStore();
+    var scheduler;
+
+    store.state = { rebuild: hoursAgo(3) };
+
+    return makeClient().then((client) => {
+      scheduler = new HWorkerScheduler(client, {
+        store: store,
+        misfireThreshold: 1,
+      });
+      scheduler.add('rebuild', '0 * * * *', { timezone: 'UTC', catchUp: 'none' });
+
+      return scheduler.start();
+    })
+    .then(() => {
+      scheduledRequests(scheduler.client).should.eql([]);
+
+      store.state.rebuild.should.eql(hoursAgo(0));
+
+      return scheduler.stop();
+    });
+  });
+
+  it('should not schedule anything while another replica is the leader', function () {
+
+    var locked = true;
+    var store = new HWorkerScheduler.MemoryStore();
+    var scheduler;
+    var electionErrors = [];
+
+    store.state = { rebuild: hoursAgo(3) };
+
+    return makeClient(() => { return locked; }).then((client) => {
+      scheduler = new HWorkerScheduler(client, {
+        store: store,
+        leaderRetryInterval: 10,
+      });
+      scheduler.add('rebuild', '0 * * * *', { timezone: 'UTC' });
+
+      scheduler.on('election-error', (err) => {
+        electionErrors.push(err);
+      });
+
+      return scheduler.start();
+    })
+    .then((isLeader) => {
+      isLeader.should.eql(false);
+      scheduledRequests(scheduler.client).should.eql([]);
+
+      return aux.wait(30);
+    })
+    .then(() => {
+      // being a follower is not an error
+      electionErrors.should.eql([]);
+
+      // the leader goes away
+      locked = false;
+
+      return new Promise((resolve) => {
+        scheduler.once('elected', resolve);
+      });
+    })
+    .then(() => {
+      return aux.wait(10);
+    })
+    .then(() => {
+      scheduledRequests(scheduler.client).length.should.eql(1);
+
+      return scheduler.stop();
+    });
+  });
+
+  it('should give up leadership once the leader channel closes', function () {
+
+    var scheduler;
+
+    return makeClient().then((client) => {
+      scheduler = new HWorkerScheduler(client, {
+        store: new HWorkerScheduler.MemoryStore(),
+        leaderRetryInterval: 10,
+      });
+
+      return scheduler.start();
+    })
+    .then(() => {
+      scheduler.isLeader.should.eql(true);
+
+      var deposed = new Promise((resolve) => {
+        scheduler.once('deposed', resolve);
+      });
+
+      scheduler._leaderChannel.emit('close');
+
+      return deposed;
+    })
+    .then(() => {
+      scheduler.isLeader.should.eql(false);
+
+      // and takes it back when possible
+      return new Promise((resolve) => {
+        scheduler.once('elected', resolve);
+      });
+    })
+    .then(() => {
+      return scheduler.stop();
+    });
+  });
+
+  it('should delete the leader queue upon stop', function () {
+
+    var scheduler;
+    var deletedQueues = [];
+
+    return makeClient().then((client) => {
+      scheduler = new HWorkerScheduler(client, {
+        store: new HWorkerScheduler.MemoryStore(),
+      });
+
+      return scheduler.start();
+    })
+    .then(() => {
+      scheduler._leaderChannel.deleteQueue = function (queue) {
+        deletedQueues.push(queue);
+        return Promise.resolve();
+      };
+
+      return scheduler.stop();
+    })
+    .then(() => {
+      deletedQueues.should.eql(['test-task-scheduler-leader']);
+      scheduler.isLeader.should.eql(false);
+    });
+  });
+
+  it('should emit fire-error and keep the last tick if scheduling fails', function () {
+
+    var store = new HWorkerScheduler.MemoryStore();
+    var scheduler;
+    var fireErrors = [];
+
+    store.state = { rebuild: hoursAgo(2) };
+
+    return makeClient().then((client) => {
+      scheduler = new HWorkerScheduler(client, { store: store });
+      scheduler.add('rebuild', '0 * * * *', {
+        timezone: 'UTC',
+        data: function () {
+          throw new Error('no data');
+        },
+      });
+
+      scheduler.on('fire-error', (jobName, tick, err) => {
+        fireErrors.push([jobName, tick.getTime(), err.message]);
+      });
+
+      return scheduler.start();
+    })
+    .then(() => {
+      fireErrors.should.eql([['rebuild', hoursAgo(0), 'no data']]);
+      store.state.rebuild.should.eql(hoursAgo(2));
+
+      return scheduler.stop();
+    });
+  });
+
+  it('should emit job-error and keep running the job\'s later ticks if a run fails', function () {
+
+    var store = new HWorkerScheduler.MemoryStore();
+    var save = store.save;
+    var scheduler;
+    var jobErrors = [];
+
+    store.state = { rebuild: hoursAgo(1) };
+    store.save = function () {
+      throw new Error('store unavailable');
+    };
+
+    return makeClient().then((client) => {
+      scheduler = new HWorkerScheduler(client, { store: store });
+      scheduler.add('rebuild', '0 * * * *', { timezone: 'UTC' });
+
+      // no `error` listener
+      scheduler.on('job-error', (jobName, err) => {
+        jobErrors.push([jobName, err.message]);
+      });
+
+      return scheduler.start();
+    })
+    .then(() => {
+      jobErrors.should.eql([['rebuild', 'store unavailable']]);
+
+      store.save = save;
+
+      var ran = false;
+
+      return scheduler._enqueue(scheduler.jobs.rebuild, () => {
+        ran = true;
+      })
+      .then(() => {
+        ran.should.eql(true);
+
+        return scheduler.stop();
+      });
+    });
+  });
+});
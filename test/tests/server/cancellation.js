@@ -0,0 +1,350 @@
+const should = require('should');
+
+const HWorkerServer = require('../../../server');
+
+const aux = require('../../aux');
+const fakeAmqp = require('../../aux/fake-amqp');
+
+describe('HWorkerServer cancellation', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  function makeMessage(requestId) {
+    return aux.makeMessage({ messageId: requestId });
+  }
+
+  function makeControlMessage(data, type) {
+    return {
+      properties: {
+        contentType: 'application/json',
+        type: type || 'cancel',
+      },
+      content: new Buffer(typeof data === 'string' ? data : JSON.stringify(data)),
+    };
+  }
+
+  function makeWorker(options, workerFn) {
+    return aux.makeWorker(Object.assign({
+      name: 'test-cancellation',
+    }, options), workerFn);
+  }
+
+  it('should consume control messages from a server-named queue bound to the control exchange', function () {
+    var calls = [];
+    var connection = fakeAmqp.makeFakeConnection(calls);
+    var channel;
+
+    connection.createChannel = connection.createConfirmChannel = function () {
+      channel = fakeAmqp.makeFakeChannel(calls, connection);
+
+      var assertExchange = channel.assertExchange;
+      var assertQueue = channel.assertQueue;
+      var bindQueue = channel.bindQueue;
+      var consume = channel.consume;
+
+      channel.assertExchange = function (exchange, type) {
+        calls.push(['assertExchange', exchange, type]);
+        return assertExchange.apply(this, arguments);
+      };
+      channel.assertQueue = function (queue, options) {
+        calls.push(['assertQueue', queue, options]);
+        return assertQueue.apply(this, arguments);
+      };
+      channel.bindQueue = function (queue, exchange) {
+        calls.push(['bindQueue', queue, exchange]);
+        return bindQueue.apply(this, arguments);
+      };
+      channel.consume = function (queue, fn, options) {
+        calls.push(['consume', queue, options.noAck]);
+        return consume.apply(this, arguments);
+      };
+
+      return Promise.resolve(channel);
+    };
+
+    var worker = makeWorker({ reconnect: false }, function () {});
+
+    return worker.connect(connection).then(() => {
+      worker.controlExchangeName.should.eql('test-cancellation-control');
+
+      calls.should.containEql(['assertExchange', 'test-cancellation-control', 'fanout']);
+      calls.should.containEql(['assertQueue', '', { exclusive: true, autoDelete: true }]);
+      calls.should.containEql(['bindQueue', 'amq.gen-fake', 'test-cancellation-control']);
+      calls.should.containEql(['consume', 'amq.gen-fake', true]);
+      calls.should.containEql(['consume', 'test-cancellation', false]);
+    });
+  });
+
+  it('should skip queued jobs of cancelled requests upon delivery', function () {
+    var executed = [];
+
+    var worker = makeWorker({}, function (data, logger, job) {
+      executed.push(job.requestId);
+    });
+
+    var cancelled = [];
+
+    worker.on('cancelled', (requestId, running) => {
+      cancelled.push([requestId, running]);
+    });
+
+    worker.handleControlMessage(makeControlMessage({ requestId: 'request-1' }));
+
+    return Promise.all([
+      worker.handleMessage(makeMessage('request-1')),
+      worker.handleMessage(makeMessage('request-2')),
+    ])
+    .then(() => {
+      return aux.wait(10);
+    })
+    .then(() => {
+      cancelled.should.eql([['request-1', false]]);
+      executed.should.eql(['request-2']);
+
+      worker.calls.should.eql([['ack', 'request-1'], ['ack', 'request-2']]);
+
+      worker.published[0].options.type.should.eql('result:cancelled');
+      worker.published[0].options.correlationId.should.eql('request-1');
+      JSON.parse(worker.published[0].content.toString()).should.eql({
+        formatVersion: 1,
+        name: 'JobCancelled',
+        message: 'job request-1 was cancelled',
+        requestId: 'request-1',
+        retryable: false,
+      });
+
+      worker.published[1].options.type.should.eql('result:success');
+
+      worker.getMetrics().hworker_jobs_cancelled_total.values[0].value.should.eql(1);
+    });
+  });
+
+  it('should abort the signal of running jobs and ignore their outcome', function () {
+    var reason;
+
+    var worker = makeWorker({}, function (data, logger, job) {
+      return new Promise((resolve, reject) => {
+        job.signal.addEventListener('abort', () => {
+          reason = job.signal.reason;
+
+          // stopping takes a while
+          setTimeout(() => {
+            reject(job.signal.reason);
+          }, 10);
+        });
+      });
+    });
+
+    var promise = worker.handleMessage(makeMessage('request-1'));
+
+    return aux.wait(10)
+      .then(() => {
+        worker.cancelJob('request-1').should.eql(true);
+
+        return promise;
+      })
+      .then(() => {
+        reason.should.be.instanceof(HWorkerServer.errors.JobCancelled);
+        reason.requestId.should.eql('request-1');
+
+        worker.calls.should.eql([['ack', 'request-1']]);
+
+        worker.published.map((update) => {
+          return update.options.type;
+        })
+        .should.eql(['result:cancelled']);
+      });
+  });
+
+  it('should emit channel-error if the channel is lost while responding a cancelled job', function () {
+    var backend = new HWorkerServer.stores.MemoryStore();
+    var set = backend.set;
+
+    var worker = makeWorker({ resultBackend: backend }, function (data, logger, job) {
+      return new Promise((resolve, reject) => {
+        job.signal.addEventListener('abort', () => {
+          reject(job.signal.reason);
+        });
+      });
+    });
+
+    // the channel is lost while writing the result
+    backend.set = function () {
+      worker.channel = undefined;
+
+      return set.apply(backend, arguments);
+    };
+
+    var channelErrors = [];
+
+    worker.on('channel-error', (err) => {
+      channelErrors.push(err.name);
+    });
+
+    var promise = worker.handleMessage(makeMessage('request-1'));
+
+    return aux.wait(10)
+      .then(() => {
+        worker.cancelJob('request-1').should.eql(true);
+
+        return promise;
+      })
+      .then(() => {
+        return aux.wait(10);
+      })
+      .then(() => {
+        channelErrors.should.eql(['NotConnected']);
+        worker.published.length.should.eql(0);
+      });
+  });
+
+  it('should cancel jobs waiting for a concurrency slot', function () {
+    var executed = [];
+
+    var worker = makeWorker({ maxConcurrency: 1 }, function (data, logger, job) {
+      executed.push(job.requestId);
+
+      return aux.wait(20);
+    });
+
+    var promises = [
+      worker.handleMessage(makeMessage('request-1')),
+      worker.handleMessage(makeMessage('request-2')),
+    ];
+
+    return aux.wait(5)
+      .then(() => {
+        worker.stats().buffered.should.eql(1);
+
+        worker.cancelJob('request-2').should.eql(true);
+
+        return Promise.all(promises);
+      })
+      .then(() => {
+        executed.should.eql(['request-1']);
+
+        worker.published.map((update) => {
+          return [update.options.type, update.options.correlationId];
+        })
+        .should.eql([
+          ['result:cancelled', 'request-2'],
+          ['result:success', 'request-1'],
+        ]);
+      });
+  });
+
+  it('should write cancellations to the result backend', function () {
+    var backend = new HWorkerServer.stores.MemoryStore();
+
+    var worker = makeWorker({ resultBackend: backend }, function () {});
+
+    worker.cancelJob('request-1');
+    worker.handleMessage(makeMessage('request-1'));
+
+    return aux.wait(10)
+      .then(() => {
+        return backend.get('request-1');
+      })
+      .then((record) => {
+        record.status.should.eql('cancelled');
+        record.payload.name.should.eql('JobCancelled');
+      });
+  });
+
+  it('should forget cancellations after the cancel window', function () {
+    var executed = [];
+
+    var worker = makeWorker({ cancelWindow: 10 }, function (data, logger, job) {
+      executed.push(job.requestId);
+    });
+
+    worker.cancelJob('request-1');
+
+    return aux.wait(20)
+      .then(() => {
+        return worker.handleMessage(makeMessage('request-1'));
+      })
+      .then(() => {
+        executed.should.eql(['request-1']);
+      });
+  });
+
+  it('should skip jobs cancelled before the server started through a shared cancelStore', function () {
+    var cancelStore = new HWorkerServer.stores.MemoryStore();
+
+    var replica = makeWorker({ cancelStore: cancelStore }, function () {});
+
+    replica.cancelJob('request-1');
+
+    var executed = [];
+
+    // started after the cancellation was broadcast
+    var worker = makeWorker({ cancelStore: cancelStore }, function (data, logger, job) {
+      executed.push(job.requestId);
+    });
+
+    return worker.handleMessage(makeMessage('request-1'))
+      .then(() => {
+        executed.should.eql([]);
+
+        worker.calls.should.eql([['ack', 'request-1']]);
+        worker.published[0].options.type.should.eql('result:cancelled');
+      });
+  });
+
+  it('should run jobs and emit cancel-store-error if the cancelStore fails', function () {
+    var storeErrors = [];
+    var executed = [];
+
+    var worker = makeWorker({
+      cancelStore: {
+        get: function () {
+          return Promise.reject(new Error('store unavailable'));
+        },
+        set: function () {
+          throw new Error('store unavailable');
+        },
+      },
+    }, function (data, logger, job) {
+      executed.push(job.requestId);
+    });
+
+    worker.on('cancel-store-error', (err) => {
+      storeErrors.push(err.message);
+    });
+
+    worker.cancelJob('request-1');
+
+    return worker.handleMessage(makeMessage('request-2'))
+      .then(() => {
+        executed.should.eql(['request-2']);
+        storeErrors.should.eql(['store unavailable', 'store unavailable']);
+      });
+  });
+
+  it('should ignore malformed and unknown control messages', function () {
+    var worker = makeWorker({}, function () {});
+
+    var controlErrors = [];
+
+    worker.on('control-error', (err) => {
+      controlErrors.push(err);
+    });
+
+    worker.handleControlMessage(null);
+    worker.handleControlMessage(makeControlMessage('not json'));
+    worker.handleControlMessage(makeControlMessage({}));
+    worker.handleControlMessage(makeControlMessage({ requestId: 'request-1' }, 'pause'));
+
+    controlErrors.length.should.eql(1);
+    controlErrors[0].should.be.instanceof(HWorkerServer.errors.MalformedMessage);
+
+    worker.cancelStore.entries.size.should.eql(0);
+  });
+});
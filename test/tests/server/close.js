@@ -0,0 +1,112 @@
+const should = require('should');
+
+const HWorkerServer = require('../../../server');
+
+const aux = require('../../aux');
+const fakeAmqp = require('../../aux/fake-amqp');
+
+describe('HWorkerServer#close', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  it('should cancel the consumer and wait for in-flight jobs before closing the channel', function () {
+
+    var calls = [];
+    var connection = fakeAmqp.makeFakeConnection(calls);
+
+    var server = new HWorkerServer({
+      name: 'test-task',
+    }, function () {
+      return aux.wait(100).then(() => {
+        calls.push('job-done');
+        return 'result';
+      });
+    });
+
+    return server.connect(connection)
+      .then(() => {
+        server.handleMessage(aux.makeMessage());
+
+        return server.close();
+      })
+      .then(() => {
+        calls.slice(calls.indexOf('cancel')).should.eql([
+          'cancel',
+          'job-done',
+          'ack',
+          'publish',
+          'close',
+        ]);
+
+        should(server.channel).eql(undefined);
+      });
+  });
+
+  it('should not close externally supplied connections', function () {
+
+    var calls = [];
+    var connection = fakeAmqp.makeFakeConnection(calls);
+
+    var server = new HWorkerServer({
+      name: 'test-task',
+    }, function () {});
+
+    return server.connect(connection)
+      .then(() => {
+        return server.close();
+      })
+      .then(() => {
+        calls.should.containEql('close');
+        calls.should.not.containEql('connection.close');
+      });
+  });
+
+  it('should requeue unfinished jobs once the timeout expires', function () {
+
+    var calls = [];
+    var connection = fakeAmqp.makeFakeConnection(calls);
+    var message = aux.makeMessage();
+
+    var server = new HWorkerServer({
+      name: 'test-task',
+    }, function () {
+      return aux.wait(300).then(() => {
+        return 'late result';
+      });
+    });
+
+    return server.connect(connection)
+      .then(() => {
+        var channel = server.channel;
+
+        channel.nack = function (msg, allUpTo, requeue) {
+          calls.push('nack');
+
+          msg.should.equal(message);
+          requeue.should.eql(true);
+        };
+
+        server.handleMessage(message);
+
+        return server.close({ timeout: 50 });
+      })
+      .then(() => {
+        calls.should.containEql('nack');
+        calls.should.not.containEql('ack');
+
+        // let the job finish
+        return aux.wait(300);
+      })
+      .then(() => {
+        // the late result must be ignored
+        calls.should.not.containEql('ack');
+        calls.should.not.containEql('publish');
+      });
+  });
+});
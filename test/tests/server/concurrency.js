@@ -0,0 +1,230 @@
+const assert = require('assert');
+const should = require('should');
+
+const HWorkerServer = require('../../../server');
+
+const aux = require('../../aux');
+const fakeAmqp = require('../../aux/fake-amqp');
+
+describe('HWorkerServer concurrency', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  function makeMessage(requestId) {
+    return aux.makeMessage({ messageId: requestId }, { requestId: requestId });
+  }
+
+  function makeWorker(options) {
+    var running = {};
+
+    var worker = aux.makeWorker(Object.assign({
+      name: 'test-concurrency',
+    }, options), function (data) {
+      return new Promise((resolve) => {
+        running[data.requestId] = resolve;
+      });
+    });
+
+    worker.running = running;
+    worker.finish = function (requestId) {
+      running[requestId]();
+      delete running[requestId];
+
+      return aux.wait(5);
+    };
+
+    return worker;
+  }
+
+  function getAcked(worker) {
+    return worker.calls.filter((call) => {
+      return call[0] === 'ack';
+    })
+    .map((call) => {
+      return call[1];
+    });
+  }
+
+  it('should require valid limits', function () {
+    [-1, 1.5, '2'].forEach((maxConcurrency) => {
+      assert.throws(function () {
+        makeWorker({ maxConcurrency: maxConcurrency });
+      }, HWorkerServer.errors.InvalidOption);
+    });
+
+    var worker = makeWorker();
+
+    [0, -1, 1.5].forEach((concurrency) => {
+      assert.throws(function () {
+        worker.setConcurrency(concurrency);
+      }, HWorkerServer.errors.InvalidOption);
+    });
+  });
+
+  it('should not limit jobs in process by default', function () {
+    var worker = makeWorker();
+
+    ['r1', 'r2', 'r3'].forEach((requestId) => {
+      worker.handleMessage(makeMessage(requestId));
+    });
+
+    return aux.wait(5).then(() => {
+      Object.keys(worker.running).should.eql(['r1', 'r2', 'r3']);
+
+      worker.stats().should.eql({
+        active: 3,
+        buffered: 0,
+        prefetch: 1,
+        maxConcurrency: 0,
+      });
+    });
+  });
+
+  it('should buffer jobs beyond maxConcurrency and start them in order', function () {
+    var worker = makeWorker({ prefetch: 10, maxConcurrency: 2 });
+
+    ['r1', 'r2', 'r3', 'r4'].forEach((requestId) => {
+      worker.handleMessage(makeMessage(requestId));
+    });
+
+    return aux.wait(5)
+      .then(() => {
+        Object.keys(worker.running).should.eql(['r1', 'r2']);
+        worker.stats().active.should.eql(2);
+        worker.stats().buffered.should.eql(2);
+
+        worker.getMetrics().hworker_jobs_buffered.values[0].value.should.eql(2);
+
+        return worker.finish('r2');
+      })
+      .then(() => {
+        getAcked(worker).should.eql(['r2']);
+        Object.keys(worker.running).should.eql(['r1', 'r3']);
+        worker.stats().buffered.should.eql(1);
+
+        return worker.finish('r1');
+      })
+      .then(() => {
+        Object.keys(worker.running).should.eql(['r3', 'r4']);
+        worker.stats().should.eql({
+          active: 2,
+          buffered: 0,
+          prefetch: 10,
+          maxConcurrency: 2,
+        });
+
+        return Promise.all([worker.finish('r3'), worker.finish('r4')]);
+      })
+      .then(() => {
+        getAcked(worker).should.eql(['r2', 'r1', 'r3', 'r4']);
+        worker.stats().active.should.eql(0);
+      });
+  });
+
+  it('should start buffered jobs once maxConcurrency is raised', function () {
+    var worker = makeWorker({ prefetch: 10, maxConcurrency: 1 });
+
+    ['r1', 'r2', 'r3'].forEach((requestId) => {
+      worker.handleMessage(makeMessage(requestId));
+    });
+
+    return aux.wait(5)
+      .then(() => {
+        Object.keys(worker.running).should.eql(['r1']);
+
+        worker.setMaxConcurrency(0);
+
+        return aux.wait(5);
+      })
+      .then(() => {
+        Object.keys(worker.running).should.eql(['r1', 'r2', 'r3']);
+        worker.stats().buffered.should.eql(0);
+      });
+  });
+
+  it('should not time buffered jobs out while they wait', function () {
+    var worker = makeWorker({ prefetch: 10, maxConcurrency: 1, jobTimeout: 100 });
+
+    worker.handleMessage(makeMessage('r1'));
+    worker.handleMessage(makeMessage('r2'));
+
+    return aux.wait(70)
+      .then(() => {
+        return worker.finish('r1');
+      })
+      .then(() => {
+        return aux.wait(40);
+      })
+      .then(() => {
+        // r2 has waited 115ms, but run for only 45ms
+        getAcked(worker).should.eql(['r1']);
+        Object.keys(worker.running).should.eql(['r2']);
+
+        return worker.finish('r2');
+      })
+      .then(() => {
+        getAcked(worker).should.eql(['r1', 'r2']);
+      });
+  });
+
+  it('should requeue buffered jobs without running them upon close timeout', function () {
+    var worker = makeWorker({ prefetch: 10, maxConcurrency: 1 });
+    var requeued = [];
+
+    worker.channel.nack = function (message, allUpTo, requeue) {
+      requeue.should.eql(true);
+      requeued.push(message.properties.messageId);
+    };
+    worker.channel.close = function () {
+      return Promise.resolve();
+    };
+
+    worker.handleMessage(makeMessage('r1'));
+    worker.handleMessage(makeMessage('r2'));
+
+    return aux.wait(5)
+      .then(() => {
+        return worker.close({ timeout: 10 });
+      })
+      .then(() => {
+        requeued.should.eql(['r1', 'r2']);
+        worker.stats().buffered.should.eql(0);
+        Object.keys(worker.running).should.eql(['r1']);
+      });
+  });
+
+  it('should change the prefetch of the running channel', function () {
+    var calls = [];
+    var connection = fakeAmqp.makeFakeConnection(calls);
+    var worker = makeWorker({ prefetch: 10, reconnect: false });
+
+    var prefetches = [];
+
+    return worker.connect(connection)
+      .then(() => {
+        var prefetch = worker.channel.prefetch;
+
+        worker.channel.prefetch = function (count, global) {
+          prefetches.push([count, global]);
+
+          return prefetch.apply(this, arguments);
+        };
+
+        return worker.setConcurrency(2);
+      })
+      .then(() => {
+        prefetches.should.eql([[2, true]]);
+        worker.prefetch.should.eql(2);
+        worker.stats().prefetch.should.eql(2);
+
+        // no reconnection: worker and control queues only
+        calls.filter((call) => { return call === 'consume'; }).length.should.eql(2);
+      });
+  });
+});
@@ -0,0 +1,254 @@
+const should = require('should');
+
+const HWorkerClient = require('../../../client');
+const HWorkerServer = require('../../../server');
+
+const topology = require('../../../shared/topology');
+
+const aux = require('../../aux');
+const fakeAmqp = require('../../aux/fake-amqp');
+
+describe('dead-letters', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  function makeDeadLetter(requestId, headers) {
+    return {
+      properties: {
+        contentType: 'application/json',
+        replyTo: 'fake-reply-to-queue',
+        messageId: requestId,
+        headers: headers,
+      },
+      content: new Buffer(JSON.stringify({ requestId: requestId })),
+    };
+  }
+
+  function setupDeadLetters(connection) {
+    connection.queues['test-task-dead'] = [
+      makeDeadLetter('request-1', {
+        'x-task-name': 'build',
+        'x-attempt': 3,
+        'x-last-error': JSON.stringify({ name: 'BuildError', message: 'bad deploy' }),
+      }),
+      makeDeadLetter('request-2', {
+        'x-death': [{ reason: 'expired', count: 2, queue: 'test-task' }],
+      }),
+      makeDeadLetter('request-3', {}),
+    ];
+  }
+
+  describe('HWorkerServer#respondError', function () {
+
+    it('should dead-letter the message with the error when deadLetter is enabled', function () {
+
+      var connection = fakeAmqp.makeFakeConnection();
+
+      var server = new HWorkerServer({
+        name: 'test-task',
+        deadLetter: true,
+        tasks: {
+          build: function () {
+            throw new Error('bad deploy');
+          },
+        },
+      });
+
+      var message = makeDeadLetter('request-1', { 'x-task-name': 'build' });
+
+      return server.connect(connection)
+        .then(() => {
+          return server.handleMessage(message);
+        })
+        .then(() => {
+          var published = connection.published;
+
+          published.length.should.eql(2);
+
+          published[0].exchange.should.eql('test-task-dead');
+          published[0].content.should.equal(message.content);
+          published[0].options.messageId.should.eql('request-1');
+          published[0].options.headers['x-task-name'].should.eql('build');
+          JSON.parse(published[0].options.headers['x-last-error']).should.eql({
+            formatVersion: 1,
+            name: 'Error',
+            message: 'bad deploy',
+          });
+
+          published[1].options.type.should.eql('result:error');
+        });
+    });
+
+    it('should declare the worker queue with the dead-letter exchange on both sides', function () {
+
+      var server = new HWorkerServer({ name: 'test-task', deadLetter: true }, function () {});
+      var client = new HWorkerClient({ name: 'test-task', deadLetter: true });
+
+      var serverArgs = topology.workerQueueArguments(server);
+
+      serverArgs.should.eql({
+        'x-dead-letter-exchange': 'test-task-dead',
+      });
+
+      topology.workerQueueArguments(client).should.eql(serverArgs);
+    });
+  });
+
+  describe('#listDeadLetters', function () {
+
+    it('should require dead-lettering to be enabled', function () {
+      var client = new HWorkerClient({ name: 'test-task' });
+
+      client.connection = fakeAmqp.makeFakeConnection();
+
+      return client.listDeadLetters().then(() => {
+        throw new Error('error expected');
+      }, (err) => {
+        err.should.be.instanceof(HWorkerClient.errors.InvalidOption);
+      });
+    });
+
+    it('should list dead-lettered jobs with their reason and last error without removing them', function () {
+
+      var connection = fakeAmqp.makeFakeConnection();
+      var client = new HWorkerClient({ name: 'test-task', deadLetter: true });
+
+      return client.connect(connection)
+        .then(() => {
+          setupDeadLetters(connection);
+
+          return client.listDeadLetters();
+        })
+        .then((entries) => {
+          entries.length.should.eql(3);
+
+          entries[0].requestId.should.eql('request-1');
+          entries[0].taskName.should.eql('build');
+          entries[0].reason.should.eql('rejected');
+          entries[0].lastError.should.eql({ name: 'BuildError', message: 'bad deploy' });
+
+          entries[1].reason.should.eql('expired');
+          entries[1].deaths.should.eql(2);
+
+          connection.queues['test-task-dead'].length.should.eql(3);
+
+          return client.listDeadLetters({ limit: 2 });
+        })
+        .then((entries) => {
+          entries.length.should.eql(2);
+        });
+    });
+  });
+
+  describe('#requeueDeadLetters', function () {
+
+    it('should requeue the selected jobs into the worker exchange', function () {
+
+      var connection = fakeAmqp.makeFakeConnection();
+      var client = new HWorkerClient({ name: 'test-task', deadLetter: true });
+
+      return client.connect(connection)
+        .then(() => {
+          setupDeadLetters(connection);
+
+          return client.requeueDeadLetters(['request-1', 'request-3']);
+        })
+        .then((count) => {
+          count.should.eql(2);
+
+          connection.published.length.should.eql(2);
+
+          connection.published[0].exchange.should.eql('test-task-exchange');
+          connection.published[0].routingKey.should.eql('test-task');
+          connection.published[0].options.messageId.should.eql('request-1');
+          connection.published[0].options.headers.should.eql({
+            'x-task-name': 'build',
+            'x-requeued': true,
+          });
+
+          connection.queues['test-task-dead'].map((m) => {
+            return m.properties.messageId;
+          }).should.eql(['request-2']);
+        });
+    });
+  });
+
+  describe('#purgeDeadLetters', function () {
+
+    it('should remove the selected jobs', function () {
+
+      var connection = fakeAmqp.makeFakeConnection();
+      var client = new HWorkerClient({ name: 'test-task', deadLetter: true });
+
+      return client.connect(connection)
+        .then(() => {
+          setupDeadLetters(connection);
+
+          return client.purgeDeadLetters((entry) => {
+            return entry.reason === 'expired';
+          });
+        })
+        .then((count) => {
+          count.should.eql(1);
+          connection.queues['test-task-dead'].length.should.eql(2);
+
+          return client.purgeDeadLetters();
+        })
+        .then((count) => {
+          count.should.eql(2);
+          connection.queues['test-task-dead'].length.should.eql(0);
+        });
+    });
+
+    it('should handle the dead letters in batches instead of getting all of them first', function () {
+
+      var calls = [];
+      var connection = fakeAmqp.makeFakeConnection(calls);
+      var client = new HWorkerClient({ name: 'test-task', deadLetter: true });
+
+      return client.connect(connection)
+        .then(() => {
+          var deadLetters = [];
+
+          for (var i = 0; i < 250; i++) {
+            deadLetters.push(makeDeadLetter('request-' + i, {}));
+          }
+
+          connection.queues['test-task-dead'] = deadLetters;
+
+          var createConfirmChannel = connection.createConfirmChannel;
+
+          connection.createConfirmChannel = function () {
+            return createConfirmChannel.apply(this, arguments).then((channel) => {
+              var get = channel.get;
+
+              channel.get = function () {
+                calls.push('get');
+                return get.apply(this, arguments);
+              };
+
+              return channel;
+            });
+          };
+
+          return client.purgeDeadLetters(() => {
+            return true;
+          });
+        })
+        .then((count) => {
+          count.should.eql(250);
+          connection.queues['test-task-dead'].length.should.eql(0);
+
+          calls.slice(0, calls.indexOf('ack')).filter((call) => {
+            return call === 'get';
+          }).length.should.be.below(250);
+        });
+    });
+  });
+});
@@ -0,0 +1,272 @@
+const assert = require('assert');
+const should = require('should');
+
+const HWorkerServer = require('../../../server');
+
+const aux = require('../../aux');
+const fakeAmqp = require('../../aux/fake-amqp');
+
+describe('idempotency', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  function makeWorker(options, workerFn) {
+    return aux.makeWorker(Object.assign({
+      name: 'test-idempotency',
+    }, options), workerFn);
+  }
+
+  it('should be disabled by default', function () {
+
+    var executions = 0;
+
+    var worker = makeWorker({}, function () {
+      executions += 1;
+    });
+
+    should(worker.idempotency).eql(null);
+
+    return worker.handleMessage(aux.makeMessage())
+      .then(() => {
+        return worker.handleMessage(aux.makeMessage());
+      })
+      .then(() => {
+        executions.should.eql(2);
+      });
+  });
+
+  it('should require a valid window and store', function () {
+    assert.throws(function () {
+      makeWorker({ idempotency: { window: -1 } }, function () {});
+    }, HWorkerServer.errors.InvalidOption);
+
+    assert.throws(function () {
+      makeWorker({ idempotency: { store: {} } }, function () {});
+    }, HWorkerServer.errors.InvalidOption);
+  });
+
+  it('should republish the stored result of a repeated request without executing it', function () {
+
+    var executions = 0;
+
+    var worker = makeWorker({ idempotency: true }, function (data) {
+      executions += 1;
+
+      return { built: data.project };
+    });
+
+    return worker.handleMessage(aux.makeMessage({}, new Buffer('{"project":"p1"}')))
+      .then(() => {
+        return aux.wait(10);
+      })
+      .then(() => {
+        return worker.handleMessage(aux.makeMessage({}, new Buffer('{"project":"p1"}')));
+      })
+      .then(() => {
+        executions.should.eql(1);
+        worker.calls.should.eql([['ack', 'fake-request-id'], ['ack', 'fake-request-id']]);
+
+        worker.published.length.should.eql(2);
+
+        var original = worker.published[0];
+        var repeated = worker.published[1];
+
+        repeated.options.type.should.eql('result:success');
+        repeated.options.correlationId.should.eql('fake-request-id');
+        repeated.options.contentType.should.eql(original.options.contentType);
+        repeated.content.toString().should.eql(original.content.toString());
+
+        should(original.options.headers['x-deduplicated']).eql(undefined);
+        repeated.options.headers['x-deduplicated'].should.eql(true);
+
+        worker.getMetrics().hworker_jobs_deduplicated_total.values[0].value.should.eql(1);
+        worker.getMetrics().hworker_jobs_succeeded_total.values[0].value.should.eql(1);
+      });
+  });
+
+  it('should republish stored errors', function () {
+
+    var executions = 0;
+
+    var worker = makeWorker({ idempotency: true }, function () {
+      executions += 1;
+
+      throw new HWorkerServer.errors.HWorkerError('build failed');
+    });
+
+    return worker.handleMessage(aux.makeMessage())
+      .then(() => {
+        return aux.wait(10);
+      })
+      .then(() => {
+        return worker.handleMessage(aux.makeMessage());
+      })
+      .then(() => {
+        executions.should.eql(1);
+
+        // the repeat is acked, as it has been responded
+        worker.calls.should.eql([['nack', 'fake-request-id', false], ['ack', 'fake-request-id']]);
+
+        worker.published[1].options.type.should.eql('result:error');
+        worker.published[1].options.headers['x-deduplicated'].should.eql(true);
+        JSON.parse(worker.published[1].content.toString()).should.eql({
+          formatVersion: 1,
+          name: 'HWorkerError',
+          message: 'build failed',
+        });
+      });
+  });
+
+  it('should execute jobs requeued from the dead-letter queue again', function () {
+
+    var connection = fakeAmqp.makeFakeConnection();
+    var executions = 0;
+
+    var worker = new HWorkerServer({
+      name: 'test-idempotency',
+      idempotency: true,
+      deadLetter: true,
+    }, function () {
+      executions += 1;
+
+      if (executions === 1) {
+        throw new HWorkerServer.errors.HWorkerError('bad deploy');
+      }
+
+      return 'fixed';
+    });
+
+    return worker.connect(connection)
+      .then(() => {
+        return worker.handleMessage(aux.makeMessage());
+      })
+      .then(() => {
+        // the fake broker does not route messages
+        connection.queues['test-idempotency-dead'] = connection.published.filter((published) => {
+          return published.exchange === 'test-idempotency-dead';
+        })
+        .map((published) => {
+          return { properties: published.options, content: published.content };
+        });
+
+        connection.published = [];
+
+        return worker.requeueDeadLetters();
+      })
+      .then((count) => {
+        count.should.eql(1);
+
+        var requeued = connection.published[0];
+
+        return worker.handleMessage({ properties: requeued.options, content: requeued.content });
+      })
+      .then(() => {
+        executions.should.eql(2);
+
+        var result = connection.published[connection.published.length - 1];
+
+        result.options.type.should.eql('result:success');
+        should(result.options.headers['x-deduplicated']).eql(undefined);
+      });
+  });
+
+  it('should use the custom header as the key if present', function () {
+
+    var executions = 0;
+
+    var worker = makeWorker({
+      idempotency: { header: 'x-idempotency-key' },
+    }, function () {
+      executions += 1;
+    });
+
+    return worker.handleMessage(aux.makeMessage({
+      messageId: 'request-1',
+      headers: { 'x-idempotency-key': 'build-p1' },
+    }))
+    .then(() => {
+      return aux.wait(10);
+    })
+    .then(() => {
+      return worker.handleMessage(aux.makeMessage({
+        messageId: 'request-2',
+        headers: { 'x-idempotency-key': 'build-p1' },
+      }));
+    })
+    .then(() => {
+      executions.should.eql(1);
+
+      // responded to the repeated request
+      worker.published[1].options.correlationId.should.eql('request-2');
+
+      // messages without the header fall back to their messageId
+      return worker.handleMessage(aux.makeMessage({ messageId: 'request-3' }));
+    })
+    .then(() => {
+      executions.should.eql(2);
+    });
+  });
+
+  it('should execute repeats once the window has passed', function () {
+
+    var executions = 0;
+
+    var worker = makeWorker({
+      idempotency: { window: 20 },
+    }, function () {
+      executions += 1;
+    });
+
+    return worker.handleMessage(aux.makeMessage())
+      .then(() => {
+        return aux.wait(40);
+      })
+      .then(() => {
+        return worker.handleMessage(aux.makeMessage());
+      })
+      .then(() => {
+        executions.should.eql(2);
+      });
+  });
+
+  it('should execute the job and emit idempotency-error if the store fails', function () {
+
+    var executions = 0;
+    var storeErrors = [];
+
+    var worker = makeWorker({
+      idempotency: {
+        store: {
+          get: function () {
+            return Promise.reject(new Error('store unavailable'));
+          },
+          set: function () {
+            throw new Error('store unavailable');
+          },
+        },
+      },
+    }, function () {
+      executions += 1;
+    });
+
+    worker.on('idempotency-error', (err) => {
+      storeErrors.push(err.message);
+    });
+
+    return worker.handleMessage(aux.makeMessage())
+      .then(() => {
+        return aux.wait(10);
+      })
+      .then(() => {
+        executions.should.eql(1);
+        worker.calls.should.eql([['ack', 'fake-request-id']]);
+        storeErrors.should.eql(['store unavailable', 'store unavailable']);
+      });
+  });
+});
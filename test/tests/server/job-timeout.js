@@ -0,0 +1,116 @@
+const should = require('should');
+
+const HWorkerServer = require('../../../server');
+
+const aux = require('../../aux');
+
+describe('HWorkerServer job timeout', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  function mockChannel(server, published) {
+    server.channel = {
+      publish: function (exchange, routingKey, content, options) {
+        published.push({
+          type: options.type,
+          content: JSON.parse(content.toString()),
+        });
+      },
+      ack: function () {
+        published.push({ type: 'ack' });
+      },
+      nack: function () {
+        published.push({ type: 'nack' });
+      },
+    };
+  }
+
+  it('should pass the job information and an abort signal to the workerFn', function () {
+
+    var server = new HWorkerServer({
+      name: 'test-task',
+    }, function (data, logger, job) {
+      job.requestId.should.eql('fake-request-id');
+      job.attempt.should.eql(1);
+      job.signal.aborted.should.eql(false);
+
+      return { some: 'result' };
+    });
+
+    mockChannel(server, []);
+
+    return server.handleMessage(aux.makeMessage());
+  });
+
+  it('should fail the job with a JobTimeout error and abort its signal', function () {
+
+    var published = [];
+    var SIGNAL;
+
+    var server = new HWorkerServer({
+      name: 'test-task',
+      jobTimeout: 50,
+    }, function (data, logger, job) {
+      SIGNAL = job.signal;
+
+      return aux.wait(200).then(() => {
+        return 'late result';
+      });
+    });
+
+    mockChannel(server, published);
+
+    return server.handleMessage(aux.makeMessage())
+      .then(() => {
+        SIGNAL.aborted.should.eql(true);
+        SIGNAL.reason.should.be.instanceof(HWorkerServer.errors.JobTimeout);
+
+        published.should.eql([
+          { type: 'nack' },
+          {
+            type: 'result:error',
+            content: {
+              formatVersion: 1,
+              name: 'JobTimeout',
+              timeout: 50,
+              message: 'job timed out after 50ms',
+            },
+          },
+        ]);
+
+        // wait for the late result
+        return aux.wait(200);
+      })
+      .then(() => {
+        // the late result must neither be acked nor published
+        published.length.should.eql(2);
+      });
+  });
+
+  it('should allow the timeout to be overridden by the `x-job-timeout` header', function () {
+
+    var published = [];
+
+    var server = new HWorkerServer({
+      name: 'test-task',
+      jobTimeout: 10,
+    }, function () {
+      return aux.wait(50).then(() => {
+        return { some: 'result' };
+      });
+    });
+
+    mockChannel(server, published);
+
+    return server.handleMessage(aux.makeMessage({ headers: { 'x-job-timeout': 200 } }))
+      .then(() => {
+        published.map((p) => { return p.type; }).should.eql(['ack', 'result:success']);
+      });
+  });
+});
@@ -0,0 +1,125 @@
+const assert = require('assert');
+const should = require('should');
+
+const HWorkerServer = require('../../../server');
+
+const aux = require('../../aux');
+
+describe('HWorkerServer metrics', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  function value(worker, name, labels) {
+    var entry = worker.getMetrics()[name].values.find((entry) => {
+      return Object.keys(labels || {}).every((label) => {
+        return entry.labels[label] === labels[label];
+      }) && Object.keys(entry.labels).length === Object.keys(labels || {}).length + 1;
+    });
+
+    return entry && (entry.value === undefined ? entry : entry.value);
+  }
+
+  it('should count received, succeeded and failed jobs', function () {
+
+    var worker = new HWorkerServer({
+      name: 'test-metrics',
+    }, function (data) {
+      if (data.fail) {
+        var err = new Error('failed');
+        err.name = 'BuildFailed';
+
+        throw err;
+      }
+    });
+
+    worker.channel = {
+      ack: function () {},
+      nack: function () {},
+      publish: function () {},
+    };
+
+    return Promise.all([
+      worker.handleMessage(aux.makeMessage({}, new Buffer('{}'))),
+      worker.handleMessage(aux.makeMessage({}, new Buffer('{"fail":true}'))),
+      worker.handleMessage(aux.makeMessage({}, new Buffer('{"fail":true}'))),
+    ])
+    .then(() => {
+      value(worker, 'hworker_jobs_received_total').should.eql(3);
+      value(worker, 'hworker_jobs_succeeded_total').should.eql(1);
+      value(worker, 'hworker_jobs_failed_total', { error: 'BuildFailed' }).should.eql(2);
+      value(worker, 'hworker_job_duration_seconds').count.should.eql(3);
+      value(worker, 'hworker_jobs_in_flight').should.eql(0);
+    });
+  });
+
+  it('should track jobs in flight', function () {
+
+    var finish;
+
+    var worker = new HWorkerServer({
+      name: 'test-metrics',
+    }, function () {
+      return new Promise((resolve) => {
+        finish = resolve;
+      });
+    });
+
+    worker.channel = {
+      ack: function () {},
+      publish: function () {},
+    };
+
+    var job = worker.handleMessage(aux.makeMessage());
+
+    value(worker, 'hworker_jobs_in_flight').should.eql(1);
+
+    // the workerFn starts once the cancelStore has been checked
+    return aux.wait(0)
+      .then(() => {
+        finish();
+
+        return job;
+      })
+      .then(() => {
+        value(worker, 'hworker_jobs_in_flight').should.eql(0);
+      });
+  });
+
+  it('should count malformed and unsupported content type rejections', function () {
+
+    var worker = new HWorkerServer({
+      name: 'test-metrics',
+    }, function () {});
+
+    worker.channel = {
+      nack: function () {},
+      publish: function () {},
+    };
+
+    worker.handleMessage(aux.makeMessage({}, new Buffer('{malformed')));
+    worker.handleMessage(aux.makeMessage({ contentType: 'application/unknown' }));
+
+    value(worker, 'hworker_messages_rejected_total', { reason: 'malformed' }).should.eql(1);
+    value(worker, 'hworker_messages_rejected_total', { reason: 'unsupported_content_type' }).should.eql(1);
+    value(worker, 'hworker_jobs_failed_total', { error: 'MalformedMessage' }).should.eql(1);
+  });
+
+  it('should serialize the metrics in the Prometheus text format', function () {
+
+    var worker = new HWorkerServer({
+      name: 'test-metrics',
+    }, function () {});
+
+    var text = worker.toPrometheus();
+
+    text.should.containEql('# TYPE hworker_jobs_received_total counter');
+    text.should.containEql('hworker_jobs_received_total{worker="test-metrics"} 0');
+    text.should.containEql('# TYPE hworker_job_duration_seconds histogram');
+  });
+});
@@ -0,0 +1,238 @@
+const assert = require('assert');
+const should = require('should');
+
+const HWorkerServer = require('../../../server');
+
+const aux = require('../../aux');
+
+describe('HWorkerServer#use', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  /**
+   * Mocks the worker's channel and resolves with the
+   * type and decoded content of the job's result
+   */
+  function runJob(worker, message) {
+    return new Promise((resolve) => {
+      worker.channel = {
+        ack: function () {},
+        nack: function () {},
+        publish: function (exchange, routingKey, content, options) {
+          if (/^result:/.test(options.type)) {
+            resolve({
+              type: options.type,
+              content: JSON.parse(content.toString()),
+            });
+          }
+        },
+      };
+
+      worker.handleMessage(message);
+    });
+  }
+
+  it('should require middleware to be functions', function () {
+    var worker = new HWorkerServer({ name: 'test-middleware' }, function () {});
+
+    assert.throws(function () {
+      worker.use('not-a-function');
+    }, HWorkerServer.errors.InvalidOption);
+  });
+
+  it('should run middleware in order on the way in and in reverse order on the way out', function () {
+    var calls = [];
+
+    var worker = new HWorkerServer({ name: 'test-middleware' }, function () {
+      calls.push('workerFn');
+      return { ok: true };
+    });
+
+    worker
+      .use(function (context, next) {
+        calls.push('a:in');
+        return next().then((result) => {
+          calls.push('a:out');
+          return result;
+        });
+      })
+      .use(function (context, next) {
+        calls.push('b:in');
+        return next().then((result) => {
+          calls.push('b:out');
+          return result;
+        });
+      });
+
+    return runJob(worker, aux.makeMessage()).then((result) => {
+      result.type.should.eql('result:success');
+      calls.should.eql(['a:in', 'b:in', 'workerFn', 'b:out', 'a:out']);
+    });
+  });
+
+  it('should expose the payload, properties, logger and job to middleware', function () {
+    var worker = new HWorkerServer({ name: 'test-middleware' }, function (data, logger, job) {
+      return data;
+    });
+
+    worker.use(function (context, next) {
+      this.should.equal(worker);
+
+      context.properties.messageId.should.eql('fake-request-id');
+      context.logger.should.have.property('info');
+      context.job.requestId.should.eql('fake-request-id');
+
+      // enrich the payload
+      context.payload = Object.assign({ user: 'someone' }, context.payload);
+
+      return next();
+    });
+
+    return runJob(worker, aux.makeMessage({}, { key: 'value' })).then((result) => {
+      result.content.should.eql({ user: 'someone', key: 'value' });
+    });
+  });
+
+  it('should allow middleware to short-circuit with a result', function () {
+    var worker = new HWorkerServer({ name: 'test-middleware' }, function () {
+      throw new Error('workerFn should not be called');
+    });
+
+    worker
+      .use(function (context, next) {
+        return { cached: true };
+      })
+      .use(function (context, next) {
+        throw new Error('inner middleware should not be called');
+      });
+
+    return runJob(worker, aux.makeMessage()).then((result) => {
+      result.type.should.eql('result:success');
+      result.content.should.eql({ cached: true });
+    });
+  });
+
+  it('should allow middleware to short-circuit with an error', function () {
+    var worker = new HWorkerServer({ name: 'test-middleware' }, function () {
+      throw new Error('workerFn should not be called');
+    });
+
+    worker.use(function (context, next) {
+      var err = new Error('forbidden');
+      err.name = 'Forbidden';
+
+      throw err;
+    });
+
+    return runJob(worker, aux.makeMessage()).then((result) => {
+      result.type.should.eql('result:error');
+      result.content.name.should.eql('Forbidden');
+    });
+  });
+
+  it('should allow middleware to transform the result', function () {
+    var worker = new HWorkerServer({ name: 'test-middleware' }, function () {
+      return { value: 1 };
+    });
+
+    worker.use(function (context, next) {
+      return next().then((result) => {
+        return { value: result.value + 1 };
+      });
+    });
+
+    return runJob(worker, aux.makeMessage()).then((result) => {
+      result.content.should.eql({ value: 2 });
+    });
+  });
+
+  it('should allow middleware to translate errors', function () {
+    var worker = new HWorkerServer({ name: 'test-middleware' }, function () {
+      return Promise.reject(new Error('ECONNRESET'));
+    });
+
+    worker.use(function (context, next) {
+      return next().catch((err) => {
+        var translated = new Error('upstream unavailable: ' + err.message);
+        translated.name = 'UpstreamError';
+
+        throw translated;
+      });
+    });
+
+    return runJob(worker, aux.makeMessage()).then((result) => {
+      result.type.should.eql('result:error');
+      result.content.name.should.eql('UpstreamError');
+      result.content.message.should.eql('upstream unavailable: ECONNRESET');
+    });
+  });
+
+  it('should allow middleware to recover from errors', function () {
+    var worker = new HWorkerServer({ name: 'test-middleware' }, function () {
+      throw new Error('failed');
+    });
+
+    worker.use(function (context, next) {
+      return next().catch((err) => {
+        return { fallback: true };
+      });
+    });
+
+    return runJob(worker, aux.makeMessage()).then((result) => {
+      result.type.should.eql('result:success');
+      result.content.should.eql({ fallback: true });
+    });
+  });
+
+  it('should fail the job if a middleware calls next() more than once', function () {
+    var calls = 0;
+
+    var worker = new HWorkerServer({ name: 'test-middleware' }, function () {
+      calls += 1;
+      return {};
+    });
+
+    worker.use(function (context, next) {
+      return next().then(() => {
+        return next();
+      });
+    });
+
+    return runJob(worker, aux.makeMessage()).then((result) => {
+      result.type.should.eql('result:error');
+      result.content.message.should.eql('next() called multiple times');
+      calls.should.eql(1);
+    });
+  });
+
+  it('should run middleware around named tasks as well', function () {
+    var worker = new HWorkerServer({
+      name: 'test-middleware',
+      tasks: {
+        build: function () {
+          return 'built';
+        },
+      },
+    });
+
+    worker.use(function (context, next) {
+      context.job.taskName.should.eql('build');
+
+      return next().then((result) => {
+        return { task: context.job.taskName, result: result };
+      });
+    });
+
+    return runJob(worker, aux.makeMessage({
+      headers: { 'x-task-name': 'build' },
+    })).then((result) => {
+      result.content.should.eql({ task: 'build', result: 'built' });
+    });
+  });
+});
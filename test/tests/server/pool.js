@@ -0,0 +1,235 @@
+const assert = require('assert');
+const should = require('should');
+const path = require('path');
+
+const HWorkerServer = require('../../../server');
+
+const aux = require('../../aux');
+
+const POOL_MODULE = path.join(__dirname, '../../aux/pool-workload.js');
+
+describe('HWorkerServer pool', function () {
+
+  this.timeout(10000);
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  function makeWorker(options) {
+    return aux.makeWorker(Object.assign({
+      name: 'test-pool',
+    }, options));
+  }
+
+  function decode(update) {
+    return update.options.contentType === 'application/json' ?
+      JSON.parse(update.content.toString()) : update.content.toString();
+  }
+
+  it('should require a module and a valid type, size and abortTimeout', function () {
+    [
+      {},
+      { module: POOL_MODULE, type: 'fiber' },
+      { module: POOL_MODULE, size: 0 },
+      { module: POOL_MODULE, abortTimeout: -1 },
+    ].forEach((pool) => {
+      assert.throws(function () {
+        makeWorker({ pool: pool });
+      }, HWorkerServer.errors.InvalidOption);
+    });
+
+    assert.throws(function () {
+      new HWorkerServer({ name: 'test-pool', pool: { module: POOL_MODULE } }, function () {});
+    }, HWorkerServer.errors.InvalidOption);
+  });
+
+  ['thread', 'process'].forEach((type) => {
+
+    describe(type + ' pool', function () {
+
+      var worker;
+
+      afterEach(function () {
+        return worker.pool.close();
+      });
+
+      it('should run the workerFn off the main thread', function () {
+        worker = makeWorker({ pool: { module: POOL_MODULE, type: type, size: 1 } });
+
+        return worker.handleMessage(aux.makeMessage({ messageId: 'r1' }, { action: 'echo', key: 'value' }))
+          .then(() => {
+            worker.published.length.should.eql(1);
+            worker.published[0].options.type.should.eql('result:success');
+
+            var result = decode(worker.published[0]);
+
+            result.payload.should.eql({ action: 'echo', key: 'value' });
+            result.requestId.should.eql('r1');
+
+            if (type === 'thread') {
+              result.isMainThread.should.eql(false);
+            } else {
+              result.pid.should.not.eql(process.pid);
+            }
+          });
+      });
+
+      it('should proxy Buffers', function () {
+        worker = makeWorker({ pool: { module: POOL_MODULE, type: type, size: 1 } });
+
+        return worker.handleMessage(aux.makeMessage({
+          messageId: 'r1',
+          contentType: 'application/octet-stream',
+        }, Buffer.from('binary')))
+        .then(() => {
+          worker.published[0].options.contentType.should.eql('application/octet-stream');
+          worker.published[0].content.toString().should.eql('binary processed');
+        });
+      });
+
+      it('should proxy logger calls', function () {
+        worker = makeWorker({
+          pool: { module: POOL_MODULE, type: type, size: 1 },
+          progressInterval: 0,
+        });
+
+        return worker.handleMessage(aux.makeMessage({ messageId: 'r1' }, { action: 'log', project: 'p1' }))
+          .then(() => {
+            worker.published.map((update) => { return update.options.type; }).should.eql([
+              'log:info',
+              'progress',
+              'result:success',
+            ]);
+
+            decode(worker.published[0]).should.eql(['building', 'p1']);
+            decode(worker.published[1]).fraction.should.eql(0.5);
+          });
+      });
+
+      it('should rehydrate errors thrown by the workerFn', function () {
+        worker = makeWorker({ pool: { module: POOL_MODULE, type: type, size: 1 } });
+
+        var QuotaExceeded = require(POOL_MODULE).QuotaExceeded;
+        var handled;
+
+        worker.handleError = function (message, err) {
+          handled = err;
+          return HWorkerServer.prototype.handleError.call(this, message, err);
+        };
+
+        return worker.handleMessage(aux.makeMessage({ messageId: 'r1' }, { action: 'throw' }))
+          .then(() => {
+            handled.should.be.instanceof(QuotaExceeded);
+            handled.limit.should.eql(10);
+
+            worker.published[0].options.type.should.eql('result:error');
+            decode(worker.published[0]).name.should.eql('PoolQuotaExceeded');
+          });
+      });
+
+      it('should respond with an error if the worker crashes and replace it', function () {
+        worker = makeWorker({ pool: { module: POOL_MODULE, type: type, size: 1 } });
+
+        var crashes = 0;
+
+        worker.on('worker-crashed', () => {
+          crashes += 1;
+        });
+
+        return worker.handleMessage(aux.makeMessage({ messageId: 'r1' }, { action: 'crash' }))
+          .then(() => {
+            crashes.should.eql(1);
+
+            worker.published[0].options.type.should.eql('result:error');
+            decode(worker.published[0]).should.eql({
+              formatVersion: 1,
+              name: 'WorkerCrashed',
+              exitCode: 3,
+              message: 'pool worker exited with code 3',
+            });
+
+            return worker.handleMessage(aux.makeMessage({ messageId: 'r2' }, { action: 'echo' }));
+          })
+          .then(() => {
+            worker.published[1].options.type.should.eql('result:success');
+          });
+      });
+
+      it('should forward aborts to the workerFn', function () {
+        worker = makeWorker({
+          pool: { module: POOL_MODULE, type: type, size: 1 },
+          jobTimeout: 200,
+        });
+
+        return worker.handleMessage(aux.makeMessage({ messageId: 'r1' }, { action: 'wait-abort' }))
+          .then(() => {
+            // the job timed out
+            decode(worker.published[0]).name.should.eql('JobTimeout');
+
+            // and its worker was aborted with the timeout
+            return worker.pool.run({ action: 'echo' }, {}, { requestId: 'r2' });
+          });
+      });
+
+      it('should terminate and replace workers that do not stop upon abort', function () {
+        worker = makeWorker({
+          pool: { module: POOL_MODULE, type: type, size: 1, abortTimeout: 50 },
+        });
+
+        var terminated = [];
+
+        worker.on('worker-terminated', (reason) => {
+          terminated.push(reason.name);
+        });
+
+        var message = aux.makeMessage({
+          messageId: 'r1',
+          headers: { 'x-job-timeout': 100 },
+        }, { action: 'busy-loop' });
+
+        return worker.handleMessage(message)
+          .then(() => {
+            decode(worker.published[0]).name.should.eql('JobTimeout');
+
+            // queued behind the busy worker until it gets replaced
+            return worker.handleMessage(aux.makeMessage({ messageId: 'r2' }, { action: 'echo' }));
+          })
+          .then(() => {
+            terminated.should.eql(['JobTimeout']);
+
+            worker.published[1].options.type.should.eql('result:success');
+            worker.pool._workers.length.should.eql(1);
+          });
+      });
+    });
+  });
+
+  it('should queue jobs beyond the pool size', function () {
+    var worker = makeWorker({ pool: { module: POOL_MODULE, size: 1 } });
+    var pool = worker.pool;
+
+    return Promise.all([
+      pool.run({ action: 'echo', n: 1 }, {}, { requestId: 'r1' }),
+      pool.run({ action: 'echo', n: 2 }, {}, { requestId: 'r2' }),
+    ])
+    .then((results) => {
+      results.map((result) => { return result.payload.n; }).should.eql([1, 2]);
+      pool._workers.length.should.eql(1);
+
+      return pool.close();
+    })
+    .then(() => {
+      return pool.run({ action: 'echo' }, {}, {});
+    })
+    .then(() => {
+      throw new Error('error expected');
+    }, (err) => {
+      err.message.should.eql('pool closed');
+    });
+  });
+});
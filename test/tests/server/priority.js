@@ -0,0 +1,205 @@
+const assert = require('assert');
+const should = require('should');
+
+const HWorkerClient = require('../../../client');
+const HWorkerServer = require('../../../server');
+
+const topology = require('../../../shared/topology');
+
+const aux = require('../../aux');
+const fakeAmqp = require('../../aux/fake-amqp');
+
+describe('priorities', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  it('should require maxPriority to be an integer between 1 and 255', function () {
+    [0, 256, 1.5, '10'].forEach((maxPriority) => {
+      assert.throws(function () {
+        new HWorkerServer({ name: 'test-task', maxPriority: maxPriority }, function () {});
+      }, HWorkerServer.errors.InvalidOption);
+
+      assert.throws(function () {
+        new HWorkerClient({ name: 'test-task', maxPriority: maxPriority });
+      }, HWorkerClient.errors.InvalidOption);
+    });
+  });
+
+  it('should declare the worker queue with `x-max-priority` on both sides', function () {
+
+    var server = new HWorkerServer({ name: 'test-task', maxPriority: 10 }, function () {});
+    var client = new HWorkerClient({ name: 'test-task', maxPriority: 10 });
+
+    var serverArgs = topology.workerQueueArguments(server);
+
+    serverArgs.should.eql({
+      'x-max-priority': 10,
+    });
+
+    topology.workerQueueArguments(client).should.eql(serverArgs);
+  });
+
+  /**
+   * Makes a fake connection whose broker holds the worker queue without
+   * priority. Asserting it with priority closes the channel like rabbitMQ
+   * does: the channel emits `error` (thrown if nothing listens to it) and
+   * `close`, and calls made meanwhile fail with a generic error first.
+   */
+  function makeMismatchedConnection() {
+    var connection = fakeAmqp.makeFakeConnection();
+    var createChannel = connection.createChannel;
+
+    connection.createChannel = connection.createConfirmChannel = function () {
+      return createChannel.apply(connection, arguments).then((channel) => {
+        var closing = false;
+
+        ['assertQueue', 'assertExchange', 'bindQueue'].forEach((method) => {
+          var fn = channel[method];
+
+          channel[method] = function (queue, options) {
+            if (closing) {
+              return Promise.reject(new Error('Channel closed'));
+            }
+
+            if (method === 'assertQueue' && queue === 'test-task' &&
+                options.arguments['x-max-priority']) {
+              closing = true;
+
+              var closeMessage = '406 (PRECONDITION-FAILED) with message ' +
+                '"PRECONDITION_FAILED - inequivalent arg \'x-max-priority\' for queue \'test-task\' ' +
+                'in vhost \'/\': received the value \'10\' of type \'signedint\' but current value is none"';
+
+              // as amqplib does: the `error` event carries the code,
+              // the rejection of the operation does not
+              var channelError = new Error('Channel closed by server: ' + closeMessage);
+              channelError.code = 406;
+
+              return aux.wait(10).then(() => {
+                channel.emit('error', channelError);
+                channel.emit('close');
+
+                throw new Error('Operation failed: QueueDeclare; ' + closeMessage);
+              });
+            }
+
+            return fn.apply(this, arguments);
+          };
+        });
+
+        return channel;
+      });
+    };
+
+    return connection;
+  }
+
+  function assertMismatch(err) {
+    err.should.be.instanceof(HWorkerServer.errors.QueueArgumentsMismatch);
+    err.queue.should.eql('test-task');
+    err.argument.should.eql('x-max-priority');
+    err.message.should.containEql('drain and delete the queue');
+  }
+
+  it('should reject with QueueArgumentsMismatch if the queue exists without priority', function () {
+
+    var channelErrors = [];
+    var server = new HWorkerServer({
+      name: 'test-task',
+      maxPriority: 10,
+      reconnect: false,
+    }, function () {});
+
+    server.on('channel-error', (err) => {
+      channelErrors.push(err);
+    });
+
+    return server.connect(makeMismatchedConnection())
+      .then(() => {
+        throw new Error('error expected');
+      }, (err) => {
+        assertMismatch(err);
+        channelErrors.length.should.eql(1);
+      });
+  });
+
+  it('should reject with QueueArgumentsMismatch before asserting the retry queues', function () {
+
+    var server = new HWorkerServer({
+      name: 'test-task',
+      maxPriority: 10,
+      reconnect: false,
+      retry: { maxAttempts: 3, baseDelay: 100 },
+    }, function () {});
+
+    return server.connect(makeMismatchedConnection())
+      .then(() => {
+        throw new Error('error expected');
+      }, assertMismatch);
+  });
+
+  it('should reject the client\'s connect with QueueArgumentsMismatch', function () {
+
+    var channelErrors = [];
+    var client = new HWorkerClient({
+      name: 'test-task',
+      maxPriority: 10,
+      reconnect: false,
+    });
+
+    client.on('channel-error', (err) => {
+      channelErrors.push(err);
+    });
+
+    return client.connect(makeMismatchedConnection())
+      .then(() => {
+        throw new Error('error expected');
+      }, (err) => {
+        err.should.be.instanceof(HWorkerClient.errors.QueueArgumentsMismatch);
+        err.argument.should.eql('x-max-priority');
+        channelErrors.length.should.eql(1);
+      });
+  });
+
+  it('should schedule jobs with the given priority', function () {
+
+    var connection = fakeAmqp.makeFakeConnection();
+    var client = new HWorkerClient({ name: 'test-task', maxPriority: 10 });
+
+    return client.connect(connection)
+      .then(() => {
+        return client.schedule({}, { priority: 7 });
+      })
+      .then(() => {
+        connection.published[0].options.priority.should.eql(7);
+
+        assert.throws(function () {
+          client.schedule({}, { priority: -1 });
+        }, HWorkerClient.errors.InvalidOption);
+      });
+  });
+
+  it('should expose the priority to the workerFn', function () {
+
+    var priorities = [];
+
+    var server = aux.makeWorker({
+      maxPriority: 10,
+    }, function (data, logger, job) {
+      priorities.push(job.priority);
+    });
+
+    return Promise.all([
+      server.handleMessage(aux.makeMessage({ priority: 5 })),
+      server.handleMessage(aux.makeMessage()),
+    ])
+    .then(() => {
+      priorities.should.eql([5, 0]);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const assert = require('assert');
+const should = require('should');
+
+const HWorkerClient = require('../../../client');
+const HWorkerServer = require('../../../server');
+
+const aux = require('../../aux');
+
+describe('progress updates', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  /**
+   * Updates published by the server, with their content decoded
+   */
+  function getUpdates(server) {
+    return server.published.map((update) => {
+      return {
+        type: update.options.type,
+        content: JSON.parse(update.content.toString()),
+      };
+    });
+  }
+
+  it('should publish progress as a `progress` update', function () {
+
+    var server = aux.makeWorker({ progressInterval: 50 }, function (data, logger) {
+      logger.progress(0.5, 'halfway');
+
+      return aux.wait(10).then(() => {
+        return {};
+      });
+    });
+
+    return server.handleMessage(aux.makeMessage()).then(() => {
+      getUpdates(server)[0].should.eql({
+        type: 'progress',
+        content: {
+          fraction: 0.5,
+          detail: 'halfway',
+        },
+      });
+    });
+  });
+
+  it('should coalesce rapid progress calls', function () {
+
+    var server = aux.makeWorker({ progressInterval: 50 }, function (data, logger) {
+      for (var i = 1; i <= 100; i++) {
+        logger.progress(i / 200);
+      }
+
+      return aux.wait(100).then(() => {
+        return {};
+      });
+    });
+
+    return server.handleMessage(aux.makeMessage()).then(() => {
+      getUpdates(server).map((p) => {
+        return p.type === 'progress' ? p.content.fraction : p.type;
+      }).should.eql([0.005, 0.5, 'result:success']);
+    });
+  });
+
+  it('should drop progress reported after the job was responded', function () {
+
+    var server = aux.makeWorker({ progressInterval: 50 }, function (data, logger) {
+      logger.progress(0.1);
+      logger.progress(0.2);
+
+      return {};
+    });
+
+    return server.handleMessage(aux.makeMessage())
+      .then(() => {
+        return aux.wait(100);
+      })
+      .then(() => {
+        getUpdates(server).map((p) => { return p.type; }).should.eql(['progress', 'result:success']);
+      });
+  });
+
+  it('should require the fraction to be a number', function () {
+    var server = aux.makeWorker({ progressInterval: 50 }, function () {});
+    var logger = server._makeLogger(aux.makeMessage());
+
+    assert.throws(function () {
+      logger.progress('50%');
+    }, HWorkerServer.errors.InvalidOption);
+  });
+
+  it('should be emitted by the client as `progress`', function (done) {
+    var client = new HWorkerClient({
+      name: 'test-task',
+    });
+
+    client.on('progress', (requestId, progress) => {
+      requestId.should.eql('fake-request-id');
+      progress.should.eql({ fraction: 0.3, detail: { step: 'compile' } });
+
+      done();
+    });
+
+    client.handleUpdateMessage({
+      properties: {
+        type: 'progress',
+        correlationId: 'fake-request-id',
+        contentType: 'application/json',
+      },
+      content: new Buffer(JSON.stringify({ fraction: 0.3, detail: { step: 'compile' } })),
+    });
+  });
+});
@@ -0,0 +1,250 @@
+const assert = require('assert');
+const should = require('should');
+
+const HWorkerServer = require('../../../server');
+
+const aux = require('../../aux');
+
+describe('HWorkerServer rate limit', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  function makeMessage(requestId, payload, headers) {
+    return aux.makeMessage({ messageId: requestId, headers: headers || {} }, payload);
+  }
+
+  function makeWorker(rateLimit, options) {
+    var worker = aux.makeWorker(Object.assign({
+      name: 'test-rate-limit',
+      prefetch: 10,
+      rateLimit: rateLimit,
+    }, options), function (data, logger, job) {
+      worker.executed.push(job.requestId);
+    });
+
+    worker.executed = [];
+
+    worker.channel.assertQueue = function (queue, options) {
+      worker.calls.push(['assertQueue', queue, options.arguments['x-message-ttl']]);
+      return Promise.resolve();
+    };
+
+    return worker;
+  }
+
+  it('should require a valid limit, interval, mode, key and store', function () {
+    [
+      { interval: 1000 },
+      { limit: 0, interval: 1000 },
+      { limit: 1.5, interval: 1000 },
+      { limit: 10 },
+      { limit: 10, interval: 1000, mode: 'drop' },
+      { limit: 10, interval: 1000, key: 10 },
+      { limit: 10, interval: 1000, store: {} },
+    ].forEach((rateLimit) => {
+      assert.throws(function () {
+        makeWorker(rateLimit);
+      }, HWorkerServer.errors.InvalidOption);
+    });
+  });
+
+  it('should require a prefetch above 1 to hold jobs', function () {
+    assert.throws(function () {
+      makeWorker({ limit: 10, interval: 1000, mode: 'hold' }, { prefetch: 1 });
+    }, HWorkerServer.errors.InvalidOption);
+
+    var worker = makeWorker({ limit: 10, interval: 1000, mode: 'hold' });
+
+    assert.throws(function () {
+      worker.setConcurrency(1);
+    }, HWorkerServer.errors.InvalidOption);
+
+    worker.prefetch.should.eql(10);
+  });
+
+  it('should defer jobs by default, so that other keys run while a key is limited', function () {
+    var worker = makeWorker({ limit: 1, interval: 1000, key: 'tenant.id' }, { prefetch: 1 });
+
+    worker.rateLimit.mode.should.eql('defer');
+
+    return worker.handleMessage(makeMessage('r1', { tenant: { id: 't1' } }))
+      .then(() => {
+        // r2 does not occupy the only prefetch slot
+        return worker.handleMessage(makeMessage('r2', { tenant: { id: 't1' } }));
+      })
+      .then(() => {
+        worker.calls.should.containEql(['ack', 'r2']);
+
+        return worker.handleMessage(makeMessage('r3', { tenant: { id: 't2' } }));
+      })
+      .then(() => {
+        worker.executed.should.eql(['r1', 'r3']);
+      });
+  });
+
+  it('should hold jobs over the limit until a token is available', function () {
+    var worker = makeWorker({ limit: 2, interval: 60, mode: 'hold' });
+    var rateLimited = [];
+
+    worker.on('rate-limited', (key, wait) => {
+      rateLimited.push(key);
+      wait.should.be.above(0);
+    });
+
+    ['r1', 'r2', 'r3'].forEach((requestId) => {
+      worker.handleMessage(makeMessage(requestId));
+    });
+
+    return aux.wait(10)
+      .then(() => {
+        worker.executed.should.eql(['r1', 'r2']);
+        rateLimited.should.eql(['']);
+
+        return aux.wait(40);
+      })
+      .then(() => {
+        worker.executed.should.eql(['r1', 'r2', 'r3']);
+        worker.getMetrics().hworker_jobs_rate_limited_total.values[0].should.eql({
+          labels: { worker: 'test-rate-limit', mode: 'hold' },
+          value: 1,
+        });
+      });
+  });
+
+  it('should not hold jobs of other keys while a key is held', function () {
+    var worker = makeWorker({ limit: 1, interval: 1000, key: 'tenant.id', mode: 'hold' });
+
+    return Promise.all([
+      worker.handleMessage(makeMessage('r1', { tenant: { id: 't1' } })),
+      worker.handleMessage(makeMessage('r2', { tenant: { id: 't2' } })),
+    ])
+    .then(() => {
+      worker.handleMessage(makeMessage('r3', { tenant: { id: 't1' } }));
+      worker.handleMessage(makeMessage('r4', { tenant: { id: 't3' } }));
+
+      return aux.wait(10);
+    })
+    .then(() => {
+      // r3 is held
+      worker.executed.should.eql(['r1', 'r2', 'r4']);
+
+      return worker.close({ timeout: 10 });
+    });
+  });
+
+  it('should read the key from a header or a function', function () {
+    var byHeader = makeWorker({ limit: 1, interval: 1000, header: 'x-tenant' });
+    var byFunction = makeWorker({
+      limit: 1,
+      interval: 1000,
+      key: function (payload, properties) {
+        return properties.headers['x-tenant'] + '/' + payload.project;
+      },
+    });
+
+    var message = makeMessage('r1', { project: 'p1' }, { 'x-tenant': 't1' });
+
+    byHeader._getRateLimitKey(message, { project: 'p1' }).should.eql('t1');
+    byFunction._getRateLimitKey(message, { project: 'p1' }).should.eql('t1/p1');
+    byHeader._getRateLimitKey(makeMessage('r2'), {}).should.eql('');
+  });
+
+  it('should defer jobs over the limit through a scheduled queue', function () {
+    var worker = makeWorker({ limit: 1, interval: 2000, mode: 'defer' });
+    var message = makeMessage('r2', {}, { 'x-attempt': 2 });
+
+    return worker.handleMessage(makeMessage('r1'))
+      .then(() => {
+        return worker.handleMessage(message);
+      })
+      .then(() => {
+        worker.executed.should.eql(['r1']);
+
+        worker.calls.should.eql([
+          ['ack', 'r1'],
+          ['assertQueue', 'test-rate-limit-scheduled-2000', 2000],
+          ['ack', 'r2'],
+        ]);
+
+        var deferred = worker.published[1];
+
+        deferred.exchange.should.eql('');
+        deferred.routingKey.should.eql('test-rate-limit-scheduled-2000');
+        deferred.content.should.equal(message.content);
+        deferred.options.messageId.should.eql('r2');
+        deferred.options.headers['x-attempt'].should.eql(2);
+        Number(deferred.options.expiration).should.be.above(1900);
+        Number(deferred.options.expiration).should.be.belowOrEqual(2000);
+      });
+  });
+
+  it('should spread jobs deferred in a burst at the refill rate', function () {
+    var worker = makeWorker({ limit: 2, interval: 2000, mode: 'defer' });
+
+    return ['r1', 'r2', 'r3', 'r4', 'r5'].reduce((previous, requestId) => {
+      return previous.then(() => {
+        return worker.handleMessage(makeMessage(requestId));
+      });
+    }, Promise.resolve())
+    .then(() => {
+      worker.executed.should.eql(['r1', 'r2']);
+
+      var delays = worker.published.filter((published) => {
+        return published.routingKey.startsWith('test-rate-limit-scheduled-');
+      }).map((published) => {
+        return Number(published.options.expiration);
+      });
+
+      delays.length.should.eql(3);
+      delays[0].should.be.within(900, 1000);
+      delays[1].should.be.within(1900, 2000);
+      delays[2].should.be.within(2900, 3000);
+    });
+  });
+
+  it('should share budgets through the store', function () {
+    var store = new HWorkerServer.tokenBuckets.MemoryBucketStore();
+
+    var worker1 = makeWorker({ limit: 1, interval: 1000, mode: 'defer', store: store });
+    var worker2 = makeWorker({ limit: 1, interval: 1000, mode: 'defer', store: store });
+
+    return worker1.handleMessage(makeMessage('r1'))
+      .then(() => {
+        return worker2.handleMessage(makeMessage('r2'));
+      })
+      .then(() => {
+        worker1.executed.should.eql(['r1']);
+        worker2.executed.should.eql([]);
+      });
+  });
+
+  it('should run jobs and emit rate-limit-error if the store fails', function () {
+    var storeErrors = [];
+
+    var worker = makeWorker({
+      limit: 1,
+      interval: 1000,
+      store: {
+        take: function () {
+          return Promise.reject(new Error('store unavailable'));
+        },
+      },
+    });
+
+    worker.on('rate-limit-error', (err) => {
+      storeErrors.push(err.message);
+    });
+
+    return worker.handleMessage(makeMessage('r1'))
+      .then(() => {
+        worker.executed.should.eql(['r1']);
+        storeErrors.should.eql(['store unavailable']);
+      });
+  });
+});
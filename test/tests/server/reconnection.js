@@ -0,0 +1,238 @@
+const should = require('should');
+
+const amqplib = require('amqplib');
+
+const HWorkerClient = require('../../../client');
+const HWorkerServer = require('../../../server');
+
+const aux = require('../../aux');
+const fakeAmqp = require('../../aux/fake-amqp');
+
+describe('HWorkerServer and HWorkerClient reconnection', function () {
+
+  var originalConnect = amqplib.connect;
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    amqplib.connect = originalConnect;
+
+    return aux.teardown();
+  });
+
+  it('should reconnect and re-assert the topology when connected through an URI', function (done) {
+
+    var calls = [];
+    var connections = [];
+
+    amqplib.connect = function () {
+      var connection = fakeAmqp.makeFakeConnection(calls);
+      connections.push(connection);
+      return Promise.resolve(connection);
+    };
+
+    var server = new HWorkerServer({
+      name: 'test-task',
+      reconnect: {
+        minDelay: 10,
+      },
+    }, function () {});
+
+    var events = [];
+
+    server.on('disconnected', () => { events.push('disconnected'); });
+    server.on('reconnecting', (attempt, delay) => {
+      attempt.should.eql(1);
+      delay.should.eql(10);
+
+      events.push('reconnecting');
+    });
+    server.on('reconnected', () => {
+      events.push('reconnected');
+
+      events.should.eql(['disconnected', 'reconnecting', 'reconnected']);
+      connections.length.should.eql(2);
+
+      calls.filter((c) => { return c === 'prefetch'; }).length.should.eql(2);
+      // worker and control queues
+      calls.filter((c) => { return c === 'bindQueue'; }).length.should.eql(4);
+      calls.filter((c) => { return c === 'consume'; }).length.should.eql(4);
+
+      server.channel.should.equal(connections[1].channel);
+
+      done();
+    });
+
+    server.connect('amqp://fake-host')
+      .then(() => {
+        // simulate the broker dropping
+        connections[0].channel.emit('close');
+      })
+      .catch(done);
+  });
+
+  it('should keep trying to reconnect with exponential backoff', function (done) {
+
+    var calls = [];
+    var attempts = 0;
+
+    amqplib.connect = function () {
+      attempts += 1;
+
+      if (attempts === 1 || attempts === 4) {
+        return Promise.resolve(fakeAmqp.makeFakeConnection(calls));
+      } else {
+        return Promise.reject(new Error('ECONNREFUSED'));
+      }
+    };
+
+    var client = new HWorkerClient({
+      name: 'test-task',
+      reconnect: {
+        minDelay: 5,
+        maxDelay: 15,
+      },
+    });
+
+    var delays = [];
+
+    client.on('reconnecting', (attempt, delay) => {
+      delays.push(delay);
+    });
+
+    client.on('reconnected', () => {
+      delays.should.eql([5, 10, 15]);
+
+      done();
+    });
+
+    client.connect('amqp://fake-host')
+      .then(() => {
+        client.connection.channel.emit('close');
+      })
+      .catch(done);
+  });
+
+  it('should not reconnect when given an external connection', function (done) {
+
+    var calls = [];
+    var connection = fakeAmqp.makeFakeConnection(calls);
+
+    var server = new HWorkerServer({
+      name: 'test-task',
+      reconnect: {
+        minDelay: 10,
+      },
+    }, function () {});
+
+    server.on('reconnecting', () => {
+      done(new Error('should not attempt to reconnect'));
+    });
+
+    server.on('disconnected', () => {
+      should(server.channel).eql(undefined);
+
+      // let the reconnect delay expire
+      aux.wait(30).then(() => {
+        // use the documented hook
+        var newConnection = fakeAmqp.makeFakeConnection(calls);
+
+        return server.reconnect(newConnection).then(() => {
+          server.channel.should.equal(newConnection.channel);
+          done();
+        });
+      })
+      .catch(done);
+    });
+
+    server.connect(connection)
+      .then(() => {
+        connection.channel.emit('close');
+      })
+      .catch(done);
+  });
+
+  it('should not ack messages delivered on a channel that has been lost', function () {
+
+    var calls = [];
+    var connection = fakeAmqp.makeFakeConnection(calls);
+
+    var server = new HWorkerServer({
+      name: 'test-task',
+    }, function () {});
+
+    return server.connect(connection).then(() => {
+      var lostChannel = server.channel;
+      var message = { properties: { replyTo: 'fake-reply-to-queue' } };
+
+      server._deliveryChannels.set(message, lostChannel);
+
+      lostChannel.ack = function () {
+        throw new Error('should not ack');
+      };
+
+      return server.reconnect(fakeAmqp.makeFakeConnection(calls)).then(() => {
+        server.channel.publish = function () {
+          throw new Error('should not publish');
+        };
+
+        server.respondSuccess(message, 'result');
+      });
+    });
+  });
+
+  it('should drop jobs buffered behind maxConcurrency once their channel has been lost', function () {
+
+    var calls = [];
+    var connection = fakeAmqp.makeFakeConnection(calls);
+
+    var executed = [];
+    var release;
+
+    var server = new HWorkerServer({
+      name: 'test-task',
+      maxConcurrency: 1,
+    }, function (data, logger, job) {
+      executed.push(job.requestId);
+
+      return new Promise((resolve) => {
+        release = resolve;
+      });
+    });
+
+    return server.connect(connection).then(() => {
+      var lostChannel = server.channel;
+      var messages = [
+        aux.makeMessage({ messageId: 'request-1' }),
+        aux.makeMessage({ messageId: 'request-2' }),
+      ];
+
+      messages.forEach((message) => {
+        server._deliveryChannels.set(message, lostChannel);
+      });
+
+      var promises = messages.map((message) => {
+        return server.handleMessage(message);
+      });
+
+      return aux.wait(10)
+        .then(() => {
+          server.stats().buffered.should.eql(1);
+
+          return server.reconnect(fakeAmqp.makeFakeConnection(calls));
+        })
+        .then(() => {
+          // the broker redelivers both messages on the new channel
+          release();
+
+          return Promise.all(promises);
+        })
+        .then(() => {
+          executed.should.eql(['request-1']);
+          server.stats().buffered.should.eql(0);
+        });
+    });
+  });
+});
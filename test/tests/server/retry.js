@@ -0,0 +1,167 @@
+const assert = require('assert');
+const should = require('should');
+
+const HWorkerServer = require('../../../server');
+
+const aux = require('../../aux');
+
+describe('HWorkerServer retry', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  function makeServer(retry) {
+    return aux.makeWorker({
+      retry: retry,
+    }, function () {
+      var err = new Error('network blip');
+      err.name = 'NetworkError';
+      throw err;
+    });
+  }
+
+  it('should require a valid maxAttempts', function () {
+    assert.throws(function () {
+      makeServer({ maxAttempts: 0 });
+    }, HWorkerServer.errors.InvalidOption);
+  });
+
+  it('should not retry by default', function () {
+
+    var server = makeServer();
+
+    return server.handleMessage(aux.makeMessage()).then(() => {
+      server.published[0].options.type.should.eql('result:error');
+      server.calls.should.eql([['nack', 'fake-request-id', false]]);
+    });
+  });
+
+  it('should republish failed messages through the delay queue and publish a `retry:scheduled` update', function () {
+
+    var server = makeServer({
+      maxAttempts: 3,
+      baseDelay: 100,
+    });
+
+    var published = server.published;
+    var ack = server.channel.ack;
+
+    server.channel.ack = function () {
+      // the retry must be published before the ack
+      published.length.should.eql(1);
+
+      return ack.apply(this, arguments);
+    };
+
+    var message = aux.makeMessage({ headers: { 'x-attempt': 2 } }, { key: 'value' });
+
+    return server.handleMessage(message).then(() => {
+      server.calls.should.eql([['ack', 'fake-request-id']]);
+
+      published.length.should.eql(2);
+
+      // retry
+      published[0].routingKey.should.eql('test-task-delay-200');
+      published[0].content.should.equal(message.content);
+      published[0].options.messageId.should.eql('fake-request-id');
+      published[0].options.replyTo.should.eql('fake-reply-to-queue');
+      published[0].options.headers['x-attempt'].should.eql(3);
+
+      // update
+      published[1].routingKey.should.eql('fake-reply-to-queue');
+      published[1].options.type.should.eql('retry:scheduled');
+      JSON.parse(published[1].content.toString()).should.eql({
+        attempt: 2,
+        maxAttempts: 3,
+        delay: 200,
+        error: {
+          formatVersion: 1,
+          name: 'NetworkError',
+          message: 'network blip',
+        },
+      });
+    });
+  });
+
+  it('should respond with `result:error` once maxAttempts is reached', function () {
+
+    var server = makeServer({
+      maxAttempts: 3,
+    });
+
+    return server.handleMessage(aux.makeMessage({ headers: { 'x-attempt': 3 } })).then(() => {
+      server.published[0].options.type.should.eql('result:error');
+      server.calls.should.eql([['nack', 'fake-request-id', false]]);
+    });
+  });
+
+  it('should not retry errors that are not retryable', function () {
+
+    var server = makeServer({
+      maxAttempts: 3,
+      retryable: function (err) {
+        return err.name !== 'NetworkError';
+      },
+    });
+
+    return server.handleMessage(aux.makeMessage()).then(() => {
+      server.published[0].options.type.should.eql('result:error');
+      server.calls.should.eql([['nack', 'fake-request-id', false]]);
+    });
+  });
+
+  it('should not retry errors flagged as not retryable by default', function () {
+
+    var server = aux.makeWorker({
+      retry: { maxAttempts: 3 },
+    }, function () {
+      var err = new Error('disk full');
+      err.fatal = true;
+      throw err;
+    });
+
+    return server.handleMessage(aux.makeMessage()).then(() => {
+      server.published[0].options.type.should.eql('result:error');
+      JSON.parse(server.published[0].content.toString()).retryable.should.eql(false);
+      server.calls.should.eql([['nack', 'fake-request-id', false]]);
+    });
+  });
+
+  it('should nack and respond errors that have circular properties', function () {
+
+    var server = aux.makeWorker({}, function () {
+      var err = new Error('request failed');
+      err.request = { url: 'http://example.com' };
+      err.request.self = err.request;
+      throw err;
+    });
+
+    return server.handleMessage(aux.makeMessage()).then(() => {
+      server.calls.should.eql([['nack', 'fake-request-id', false]]);
+
+      server.published[0].options.type.should.eql('result:error');
+      JSON.parse(server.published[0].content.toString()).request.should.eql({
+        url: 'http://example.com',
+        self: '[Circular]',
+      });
+    });
+  });
+
+  it('should list the distinct delays used by the retry policy', function () {
+
+    makeServer({
+      maxAttempts: 10,
+      baseDelay: 100,
+      maxDelay: 500,
+    })._getRetryDelays().should.eql([100, 200, 400, 500]);
+
+    makeServer({
+      maxAttempts: 1,
+    })._getRetryDelays().should.eql([]);
+  });
+});
@@ -0,0 +1,116 @@
+const assert = require('assert');
+const should = require('should');
+
+const HWorkerServer = require('../../../server');
+
+const aux = require('../../aux');
+
+describe('HWorkerServer tasks', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  it('should not require a workerFn if tasks are defined', function () {
+    var worker = new HWorkerServer({
+      name: 'test-task',
+      tasks: {
+        build: function () {},
+      },
+    });
+
+    worker.tasks.should.have.property('build');
+  });
+
+  it('should require tasks to be functions', function () {
+    assert.throws(function () {
+      var worker = new HWorkerServer({
+        name: 'test-task',
+        tasks: {
+          build: 'not-a-function',
+        },
+      });
+    }, HWorkerServer.errors.InvalidOption);
+  });
+
+  it('should route the message to the task named by the `x-task-name` header', function () {
+
+    var worker = aux.makeWorker({
+      tasks: {
+        build: function (data) {
+          return 'build:' + data.key;
+        },
+        lint: function (data) {
+          return 'lint:' + data.key;
+        },
+      },
+    });
+
+    return worker.handleMessage(aux.makeMessage({
+      headers: { 'x-task-name': 'lint' },
+    }, { key: 'value' }))
+    .then(() => {
+      worker.published[0].options.type.should.eql('result:success');
+      worker.published[0].content.toString().should.eql('lint:value');
+    });
+  });
+
+  it('should route the message to the task named by the message type', function () {
+
+    var worker = aux.makeWorker({
+      tasks: {
+        package: function (data) {
+          return 'package:' + data.key;
+        },
+      },
+    }, function () {
+      throw new Error('workerFn should not be called');
+    });
+
+    return worker.handleMessage(aux.makeMessage({
+      type: 'package',
+    }, { key: 'value' }))
+    .then(() => {
+      worker.published[0].content.toString().should.eql('package:value');
+    });
+  });
+
+  it('should use the workerFn for messages that do not specify a task', function () {
+
+    var worker = aux.makeWorker({}, function (data) {
+      return 'default:' + data.key;
+    });
+
+    worker.registerTask('build', function () {
+      throw new Error('build should not be called');
+    });
+
+    return worker.handleMessage(aux.makeMessage({}, { key: 'value' })).then(() => {
+      worker.published[0].content.toString().should.eql('default:value');
+    });
+  });
+
+  it('should respond with an UnknownTask error for unknown task names', function () {
+
+    var worker = aux.makeWorker({
+      tasks: {
+        build: function () {},
+      },
+    });
+
+    worker.handleMessage(aux.makeMessage({
+      headers: { 'x-task-name': 'deploy' },
+    }));
+
+    worker.calls.should.eql([['nack', 'fake-request-id', false]]);
+    worker.published[0].options.type.should.eql('result:error');
+
+    var content = JSON.parse(worker.published[0].content.toString());
+    content.name.should.eql('UnknownTask');
+    content.taskName.should.eql('deploy');
+  });
+});
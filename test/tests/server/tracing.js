@@ -0,0 +1,234 @@
+const assert = require('assert');
+const should = require('should');
+
+const HWorkerServer = require('../../../server');
+
+const aux = require('../../aux');
+
+describe('HWorkerServer tracing', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  var TRACEPARENT = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+
+  it('should expose a child of the scheduler\'s trace context to the workerFn', function (done) {
+
+    var worker = new HWorkerServer({
+      name: 'test-tracing',
+    }, function (data, logger, job) {
+      job.trace.traceId.should.eql('0af7651916cd43dd8448eb211c80319c');
+      job.trace.parentSpanId.should.eql('b7ad6b7169203331');
+      job.trace.spanId.should.match(/^[0-9a-f]{16}$/);
+      job.trace.spanId.should.not.eql('b7ad6b7169203331');
+      job.trace.tracestate.should.eql('congo=t61rcWkgMzE');
+      job.trace.traceparent.should.eql(
+        '00-0af7651916cd43dd8448eb211c80319c-' + job.trace.spanId + '-01');
+
+      done();
+    });
+
+    worker.channel = {
+      ack: function () {},
+      publish: function () {},
+    };
+
+    worker.handleMessage(aux.makeMessage({
+      headers: {
+        traceparent: TRACEPARENT,
+        tracestate: 'congo=t61rcWkgMzE',
+      },
+    }));
+  });
+
+  it('should start a new trace if the message has no valid trace context', function (done) {
+
+    var worker = new HWorkerServer({
+      name: 'test-tracing',
+    }, function (data, logger, job) {
+      job.trace.traceId.should.match(/^[0-9a-f]{32}$/);
+      should(job.trace.parentSpanId).eql(undefined);
+
+      done();
+    });
+
+    worker.channel = {
+      ack: function () {},
+      publish: function () {},
+    };
+
+    worker.handleMessage(aux.makeMessage({ headers: { traceparent: 'invalid' } }));
+  });
+
+  it('should attach the job\'s trace context to every update', function (done) {
+
+    var jobTrace;
+
+    var worker = new HWorkerServer({
+      name: 'test-tracing',
+    }, function (data, logger, job) {
+      jobTrace = job.trace;
+
+      logger.info('working');
+
+      return 'done';
+    });
+
+    var updates = [];
+
+    worker.channel = {
+      ack: function () {},
+      publish: function (exchange, routingKey, content, options) {
+        updates.push(options);
+
+        if (options.type === 'result:success') {
+          updates.map((update) => { return update.type; })
+            .should.eql(['log:info', 'result:success']);
+
+          updates.forEach((update) => {
+            update.headers.traceparent.should.eql(jobTrace.traceparent);
+            update.headers.tracestate.should.eql('congo=t61rcWkgMzE');
+          });
+
+          done();
+        }
+      },
+    };
+
+    worker.handleMessage(aux.makeMessage({
+      headers: {
+        traceparent: TRACEPARENT,
+        tracestate: 'congo=t61rcWkgMzE',
+      },
+    }));
+  });
+
+  it('should attach the trace context to errors raised before the job runs', function (done) {
+
+    var worker = new HWorkerServer({
+      name: 'test-tracing',
+    }, function () {});
+
+    worker.channel = {
+      nack: function () {},
+      publish: function (exchange, routingKey, content, options) {
+        options.type.should.eql('result:error');
+        options.headers.traceparent.should.startWith('00-0af7651916cd43dd8448eb211c80319c-');
+
+        done();
+      },
+    };
+
+    worker.handleMessage(aux.makeMessage({
+      headers: {
+        traceparent: TRACEPARENT,
+        'x-task-name': 'unknown-task',
+      },
+    }));
+  });
+
+  it('should call the tracer\'s span hooks around the job', function () {
+
+    var events = [];
+
+    var worker = new HWorkerServer({
+      name: 'test-tracing',
+      tracer: {
+        onSpanStart: function (span) {
+          events.push('start');
+
+          span.name.should.eql('test-tracing');
+          span.requestId.should.eql('fake-request-id');
+          span.attempt.should.eql(1);
+          span.trace.parentSpanId.should.eql('b7ad6b7169203331');
+          span.startTime.should.be.a.Number();
+        },
+        onSpanEnd: function (span) {
+          events.push('end');
+
+          span.endTime.should.be.aboveOrEqual(span.startTime);
+          should(span.error).eql(undefined);
+        },
+      },
+    }, function () {
+      events.push('workerFn');
+    });
+
+    worker.channel = {
+      ack: function () {},
+      publish: function () {},
+    };
+
+    return worker.handleMessage(aux.makeMessage({ headers: { traceparent: TRACEPARENT } }))
+      .then(() => {
+        events.should.eql(['start', 'workerFn', 'end']);
+      });
+  });
+
+  it('should pass the job\'s error to onSpanEnd', function () {
+
+    var endedSpan;
+
+    var worker = new HWorkerServer({
+      name: 'test-tracing',
+      tasks: {
+        build: function () {
+          throw new Error('build failed');
+        },
+      },
+      tracer: {
+        onSpanEnd: function (span) {
+          endedSpan = span;
+        },
+      },
+    });
+
+    worker.channel = {
+      nack: function () {},
+      publish: function () {},
+    };
+
+    return worker.handleMessage(aux.makeMessage({ headers: { 'x-task-name': 'build' } }))
+      .then(() => {
+        endedSpan.name.should.eql('build');
+        endedSpan.error.message.should.eql('build failed');
+      });
+  });
+
+  it('should not let tracer errors affect the job', function (done) {
+
+    var worker = new HWorkerServer({
+      name: 'test-tracing',
+      tracer: {
+        onSpanStart: function () {
+          throw new Error('tracer failure');
+        },
+      },
+    }, function () {
+      return 'done';
+    });
+
+    var tracerErrors = [];
+
+    worker.on('tracer-error', (err) => {
+      tracerErrors.push(err.message);
+    });
+
+    worker.channel = {
+      ack: function () {},
+      publish: function (exchange, routingKey, content, options) {
+        options.type.should.eql('result:success');
+        tracerErrors.should.eql(['tracer failure']);
+
+        done();
+      },
+    };
+
+    worker.handleMessage(aux.makeMessage());
+  });
+});
@@ -0,0 +1,118 @@
+const assert = require('assert');
+const should = require('should');
+
+const HWorkerServer = require('../../../server');
+
+const aux = require('../../aux');
+
+describe('HWorkerServer payload validation', function () {
+
+  beforeEach(function () {
+    return aux.setup();
+  });
+
+  afterEach(function () {
+    return aux.teardown();
+  });
+
+  var BUILD_SCHEMA = {
+    type: 'object',
+    required: ['target'],
+    properties: {
+      target: { type: 'string' },
+    },
+  };
+
+  it('should respond with ValidationFailed without running the workerFn', function (done) {
+
+    var worker = new HWorkerServer({
+      name: 'test-validation',
+      schema: BUILD_SCHEMA,
+      retry: { maxAttempts: 3 },
+    }, function () {
+      done(new Error('workerFn should not be called'));
+    });
+
+    var nacked = false;
+
+    worker.channel = {
+      nack: function (message, allUpTo, requeue) {
+        // not retried
+        requeue.should.eql(false);
+
+        nacked = true;
+      },
+      publish: function (exchange, routingKey, content, options) {
+        options.type.should.eql('result:error');
+
+        var err = JSON.parse(content.toString());
+
+        err.name.should.eql('ValidationFailed');
+        err.failures.should.eql([{ path: '/target', message: 'must be string' }]);
+        nacked.should.eql(true);
+
+        done();
+      },
+    };
+
+    worker.handleMessage(aux.makeMessage({}, { target: 10 }));
+  });
+
+  it('should run the workerFn if the payload is valid', function (done) {
+
+    var worker = new HWorkerServer({
+      name: 'test-validation',
+      schema: BUILD_SCHEMA,
+    }, function (data) {
+      return { built: data.target };
+    });
+
+    worker.channel = {
+      ack: function () {},
+      publish: function (exchange, routingKey, content, options) {
+        options.type.should.eql('result:success');
+        JSON.parse(content.toString()).should.eql({ built: 'app' });
+
+        done();
+      },
+    };
+
+    worker.handleMessage(aux.makeMessage({}, { target: 'app' }));
+  });
+
+  it('should validate named tasks against their own schemas', function (done) {
+
+    var worker = new HWorkerServer({
+      name: 'test-validation',
+      tasks: {
+        build: function () {
+          done(new Error('task should not be called'));
+        },
+        lint: function () {
+          return 'linted';
+        },
+      },
+      schemas: {
+        build: BUILD_SCHEMA,
+      },
+    });
+
+    var results = [];
+
+    worker.channel = {
+      ack: function () {},
+      nack: function () {},
+      publish: function (exchange, routingKey, content, options) {
+        results.push(options.type);
+
+        if (results.length === 2) {
+          results.sort().should.eql(['result:error', 'result:success']);
+          done();
+        }
+      },
+    };
+
+    worker.handleMessage(aux.makeMessage({ headers: { 'x-task-name': 'build' } }, {}));
+    worker.handleMessage(aux.makeMessage({ headers: { 'x-task-name': 'lint' } }, {}));
+  });
+});
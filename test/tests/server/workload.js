@@ -86,7 +86,7 @@ describe('HWorkerServer workload', function () {
 
     it('should require the incoming message to have properties.contentType === application/json', function (done) {
 
-      var ERROR_PUBLISHED = false;
+      var NACKED = false;
 
       var server = new HWorkerServer({
         name: 'test-task',
@@ -98,20 +98,21 @@ describe('HWorkerServer workload', function () {
           allUpTo.should.eql(false);
           requeue.should.eql(false);
 
-          // the error should have been published before
-          // the nack
-          ERROR_PUBLISHED.should.eql(true);
-
-          done();
+          NACKED = true;
         },
         publish: function (exchange, routingKey, content, options) {
 
           options.type.should.eql('result:error');
 
           content = JSON.parse(content.toString());
+
           content.name.should.eql('UnsupportedContentType');
 
-          ERROR_PUBLISHED = true;
+          // the message should have been nacked before
+          // the error is published
+          NACKED.should.eql(true);
+
+          done();
         },
       };
 
@@ -127,7 +128,7 @@ describe('HWorkerServer workload', function () {
 
     it('should error if the json is not well formatted', function (done) {
 
-      var ERROR_PUBLISHED = false;
+      var NACKED = false;
 
       var server = new HWorkerServer({
         name: 'test-task',
@@ -139,11 +140,7 @@ describe('HWorkerServer workload', function () {
           allUpTo.should.eql(false);
           requeue.should.eql(false);
 
-          // the error should have been published before
-          // the nack
-          ERROR_PUBLISHED.should.eql(true);
-
-          done();
+          NACKED = true;
         },
         publish: function (exchange, routingKey, content, options) {
 
@@ -153,7 +150,11 @@ describe('HWorkerServer workload', function () {
 
           content.name.should.eql('MalformedMessage');
 
-          ERROR_PUBLISHED = true;
+          // the message should have been nacked before
+          // the error is published
+          NACKED.should.eql(true);
+
+          done();
         },
       };
 
@@ -0,0 +1,250 @@
+const assert = require('assert');
+const should = require('should');
+
+const HWorkerClient = require('../../../client');
+const HWorkerServer = require('../../../server');
+const codecs = require('../../../shared/codecs');
+const errors = require('../../../shared/errors');
+
+describe('codecs', function () {
+
+  describe('CodecRegistry', function () {
+
+    it('should have built-in codecs for json, text, binary and msgpack', function () {
+      var registry = new codecs.CodecRegistry();
+
+      registry.get('application/json').should.equal(codecs.json);
+      registry.get('text/plain').should.equal(codecs.text);
+      registry.get('application/octet-stream').should.equal(codecs.binary);
+      registry.get('application/x-msgpack').should.equal(codecs.msgpack);
+    });
+
+    it('should ignore content type parameters and case', function () {
+      var registry = new codecs.CodecRegistry();
+
+      registry.get('Application/JSON; charset=utf-8').should.equal(codecs.json);
+    });
+
+    it('should allow custom codecs to be registered', function () {
+      var csv = {
+        encode: function (rows) {
+          return new Buffer(rows.map((row) => { return row.join(','); }).join('\n'));
+        },
+        decode: function (buffer) {
+          return buffer.toString().split('\n').map((line) => { return line.split(','); });
+        },
+      };
+
+      var registry = new codecs.CodecRegistry({
+        'text/csv': csv,
+      });
+
+      var buffer = registry.encode('text/csv', [['a', 'b'], ['c', 'd']]);
+
+      buffer.toString().should.eql('a,b\nc,d');
+      registry.decode('text/csv', buffer).should.eql([['a', 'b'], ['c', 'd']]);
+    });
+
+    it('should require codecs to implement encode and decode', function () {
+      var registry = new codecs.CodecRegistry();
+
+      assert.throws(function () {
+        registry.register('text/csv', { encode: function () {} });
+      }, errors.InvalidOption);
+    });
+
+    it('should throw UnsupportedContentType only when no codec matches', function () {
+      var registry = new codecs.CodecRegistry();
+
+      assert.throws(function () {
+        registry.decode('application/not-registered', new Buffer('data'));
+      }, errors.UnsupportedContentType);
+
+      assert.throws(function () {
+        registry.decode('application/json', new Buffer('not json'));
+      }, errors.MalformedMessage);
+    });
+  });
+
+  describe('msgpack', function () {
+
+    it('should round-trip values', function () {
+      var value = {
+        int: 1,
+        negative: -200,
+        large: 5000000000,
+        float: 0.1,
+        single: 0.5,
+        string: 'some string with accents: áéí',
+        longString: new Array(300).join('x'),
+        list: [1, 'two', null, true, false],
+        longList: new Array(20).fill(7),
+        binary: new Buffer([0, 1, 2, 255]),
+        nested: {
+          key: 'value',
+        },
+      };
+
+      codecs.msgpack.decode(codecs.msgpack.encode(value)).should.eql(value);
+    });
+
+    it('should be more compact than JSON for numeric payloads', function () {
+      var numbers = [];
+
+      for (var i = 0; i < 1000; i++) {
+        numbers.push(i * 1000 + 0.5);
+      }
+
+      codecs.msgpack.encode(numbers).length.should.be.below(codecs.json.encode(numbers).length);
+    });
+
+    it('should skip undefined properties and use toJSON, like JSON', function () {
+      var date = new Date(0);
+
+      codecs.msgpack.decode(codecs.msgpack.encode({
+        a: undefined,
+        date: date,
+      })).should.eql({
+        date: date.toJSON(),
+      });
+    });
+
+    it('should decode `__proto__` keys as own properties, like JSON', function () {
+      // { "__proto__": { "injected": true } }
+      var encoded = Buffer.concat([
+        new Buffer([0x81, 0xa9]),
+        new Buffer('__proto__'),
+        new Buffer([0x81, 0xa8]),
+        new Buffer('injected'),
+        new Buffer([0xc3]),
+      ]);
+
+      var decoded = codecs.msgpack.decode(encoded);
+      var parsed = JSON.parse('{"__proto__":{"injected":true}}');
+
+      Object.getPrototypeOf(decoded).should.equal(Object.prototype);
+      should(decoded.injected).eql(undefined);
+      Object.keys(decoded).should.eql(['__proto__']);
+
+      Object.getPrototypeOf(parsed).should.equal(Object.prototype);
+      Object.keys(parsed).should.eql(Object.keys(decoded));
+    });
+
+    it('should throw MalformedMessage for truncated data', function () {
+      assert.throws(function () {
+        codecs.msgpack.decode(new Buffer([0x92, 0x01]));
+      }, errors.MalformedMessage);
+    });
+  });
+
+  describe('server and client', function () {
+
+    it('should schedule requests with the codec for the given content type', function () {
+      var client = new HWorkerClient({
+        name: 'test-task',
+      });
+
+      client.channel = {
+        publish: function (exchange, routingKey, content, options, cb) {
+          options.contentType.should.eql('application/x-msgpack');
+          should(options.contentEncoding).eql(undefined);
+
+          codecs.msgpack.decode(content).should.eql({ values: [1.5, 2.5] });
+
+          setImmediate(cb);
+          return true;
+        },
+      };
+
+      return client.schedule({ values: [1.5, 2.5] }, {
+        contentType: 'application/x-msgpack',
+      });
+    });
+
+    it('should refuse to schedule requests with unsupported content types', function () {
+      var client = new HWorkerClient({
+        name: 'test-task',
+      });
+
+      client.channel = {};
+
+      assert.throws(function () {
+        client.schedule({}, { contentType: 'application/not-registered' });
+      }, errors.UnsupportedContentType);
+    });
+
+    it('should decode requests and encode results by content type', function (done) {
+      var server = new HWorkerServer({
+        name: 'test-task',
+        resultContentType: 'application/x-msgpack',
+      }, function (data) {
+        Buffer.isBuffer(data.artifact).should.eql(true);
+
+        return {
+          size: data.artifact.length,
+        };
+      });
+
+      server.channel = {
+        ack: function () {},
+        publish: function (exchange, routingKey, content, options) {
+          options.type.should.eql('result:success');
+          options.contentType.should.eql('application/x-msgpack');
+
+          codecs.msgpack.decode(content).should.eql({ size: 3 });
+
+          done();
+        },
+      };
+
+      server.handleMessage({
+        properties: {
+          contentType: 'application/x-msgpack',
+          replyTo: 'fake-reply-to-queue',
+        },
+        content: codecs.msgpack.encode({ artifact: new Buffer([1, 2, 3]) }),
+      });
+    });
+
+    it('should publish Buffers as `application/octet-stream`', function (done) {
+      var server = new HWorkerServer({
+        name: 'test-task',
+      }, function () {});
+
+      server.channel = {
+        publish: function (exchange, routingKey, content, options) {
+          options.contentType.should.eql('application/octet-stream');
+          content.should.eql(new Buffer([1, 2, 3]));
+
+          done();
+        },
+      };
+
+      server.publishUpdate({
+        properties: {
+          replyTo: 'fake-reply-to-queue',
+        },
+      }, new Buffer([1, 2, 3]));
+    });
+
+    it('should decode updates by content type on the client', function (done) {
+      var client = new HWorkerClient({
+        name: 'test-task',
+      });
+
+      client.on('result:success', (requestId, result) => {
+        result.should.eql({ artifact: new Buffer([1, 2]) });
+        done();
+      });
+
+      client.handleUpdateMessage({
+        properties: {
+          type: 'result:success',
+          correlationId: 'fake-request-id',
+          contentType: 'application/x-msgpack',
+        },
+        content: codecs.msgpack.encode({ artifact: new Buffer([1, 2]) }),
+      });
+    });
+  });
+});
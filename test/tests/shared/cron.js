@@ -0,0 +1,151 @@
+const assert = require('assert');
+const should = require('should');
+
+const cron = require('../../../shared/cron');
+const errors = require('../../../shared/errors');
+
+describe('cron', function () {
+
+  function iso(date) {
+    return date.toISOString();
+  }
+
+  it('should compute the next tick in UTC', function () {
+    var expression = cron.parse('*/15 9-17 * * mon-fri', { timezone: 'UTC' });
+
+    // saturday
+    iso(expression.next(new Date('2026-10-17T12:00:00Z'))).should.eql('2026-10-19T09:00:00.000Z');
+    // monday, within working hours
+    iso(expression.next(new Date('2026-10-19T10:07:00Z'))).should.eql('2026-10-19T10:15:00.000Z');
+    // strictly after
+    iso(expression.next(new Date('2026-10-19T10:15:00Z'))).should.eql('2026-10-19T10:30:00.000Z');
+    // end of the day
+    iso(expression.next(new Date('2026-10-19T17:45:00Z'))).should.eql('2026-10-20T09:00:00.000Z');
+  });
+
+  it('should support lists, ranges with steps and month names', function () {
+    var expression = cron.parse('0 0-12/6,23 1 jan,JUL *', { timezone: 'UTC' });
+
+    var ticks = expression.between(new Date('2026-06-30T00:00:00Z'), new Date('2027-01-02T00:00:00Z'));
+
+    ticks.map(iso).should.eql([
+      '2026-07-01T00:00:00.000Z',
+      '2026-07-01T06:00:00.000Z',
+      '2026-07-01T12:00:00.000Z',
+      '2026-07-01T23:00:00.000Z',
+      '2027-01-01T00:00:00.000Z',
+      '2027-01-01T06:00:00.000Z',
+      '2027-01-01T12:00:00.000Z',
+      '2027-01-01T23:00:00.000Z',
+    ]);
+  });
+
+  it('should match either the day of month or the day of week if both are restricted', function () {
+    var expression = cron.parse('0 0 13 * 5', { timezone: 'UTC' });
+
+    expression.between(new Date('2026-11-01T00:00:00Z'), new Date('2026-11-15T00:00:00Z'))
+      .map(iso).should.eql([
+        '2026-11-06T00:00:00.000Z',
+        '2026-11-13T00:00:00.000Z',
+      ]);
+  });
+
+  it('should treat both 0 and 7 as sunday', function () {
+    var sunday = '2026-10-25T00:00:00.000Z';
+
+    iso(cron.parse('0 0 * * 7', { timezone: 'UTC' }).next(new Date('2026-10-20T00:00:00Z'))).should.eql(sunday);
+    iso(cron.parse('0 0 * * 0', { timezone: 'UTC' }).next(new Date('2026-10-20T00:00:00Z'))).should.eql(sunday);
+  });
+
+  it('should support macros', function () {
+    iso(cron.parse('@hourly', { timezone: 'UTC' }).next(new Date('2026-10-19T10:07:00Z')))
+      .should.eql('2026-10-19T11:00:00.000Z');
+    iso(cron.parse('@monthly', { timezone: 'UTC' }).next(new Date('2026-10-19T10:07:00Z')))
+      .should.eql('2026-11-01T00:00:00.000Z');
+  });
+
+  it('should evaluate expressions in the given timezone', function () {
+    var expression = cron.parse('0 3 * * *', { timezone: 'America/Sao_Paulo' });
+
+    iso(expression.next(new Date('2026-10-19T00:00:00Z'))).should.eql('2026-10-19T06:00:00.000Z');
+  });
+
+  it('should skip wall times that do not exist due to daylight saving', function () {
+    // Europe/Paris moves from 02:00 to 03:00 on 2026-03-29
+    var expression = cron.parse('30 2 * * *', { timezone: 'Europe/Paris' });
+
+    expression.between(new Date('2026-03-27T12:00:00Z'), new Date('2026-03-31T12:00:00Z'))
+      .map(iso).should.eql([
+        '2026-03-28T01:30:00.000Z',
+        '2026-03-30T00:30:00.000Z',
+        '2026-03-31T00:30:00.000Z',
+      ]);
+  });
+
+  it('should match repeated wall times once', function () {
+    // America/New_York moves from 02:00 back to 01:00 on 2026-11-01
+    var expression = cron.parse('30 1 * * *', { timezone: 'America/New_York' });
+
+    expression.between(new Date('2026-10-31T12:00:00Z'), new Date('2026-11-02T12:00:00Z'))
+      .map(iso).should.eql([
+        '2026-11-01T05:30:00.000Z',
+        '2026-11-02T06:30:00.000Z',
+      ]);
+  });
+
+  it('should return null for expressions that never match', function () {
+    should(cron.parse('0 0 30 2 *').next(Date.now())).eql(null);
+  });
+
+  it('should keep only the most recent ticks when limited', function () {
+    cron.parse('0 * * * *', { timezone: 'UTC' })
+      .between(new Date('2026-10-19T00:00:00Z'), new Date('2026-10-19T05:00:00Z'), 2)
+      .map(iso).should.eql([
+        '2026-10-19T04:00:00.000Z',
+        '2026-10-19T05:00:00.000Z',
+      ]);
+  });
+
+  it('should not walk every tick of long intervals when limited', function () {
+    var expression = cron.parse('* * * * *', { timezone: 'UTC' });
+    var next = expression.next;
+    var calls = 0;
+
+    expression.next = function () {
+      calls += 1;
+      return next.apply(this, arguments);
+    };
+
+    // a year of minutes
+    expression.between(new Date('2025-10-19T00:00:00Z'), new Date('2026-10-19T00:00:00Z'), 3)
+      .map(iso).should.eql([
+        '2026-10-18T23:58:00.000Z',
+        '2026-10-18T23:59:00.000Z',
+        '2026-10-19T00:00:00.000Z',
+      ]);
+
+    calls.should.be.below(10);
+  });
+
+  it('should reject invalid expressions and timezones', function () {
+    [
+      '* * * *',
+      '60 * * * *',
+      '* 24 * * *',
+      '* * 0 * *',
+      '* * * 13 *',
+      '* * * * 8',
+      '*/0 * * * *',
+      '5-1 * * * *',
+      'a * * * *',
+    ].forEach((expression) => {
+      assert.throws(function () {
+        cron.parse(expression);
+      }, errors.InvalidOption, expression);
+    });
+
+    assert.throws(function () {
+      cron.parse('* * * * *', { timezone: 'Mars/Olympus_Mons' });
+    }, errors.InvalidOption);
+  });
+});
@@ -0,0 +1,194 @@
+const assert = require('assert');
+const should = require('should');
+const util = require('util');
+
+const errors = require('../../../shared/errors');
+
+describe('errors', function () {
+
+  function roundTrip(err, options) {
+    return errors.deserialize(JSON.parse(JSON.stringify(errors.serialize(err, options))));
+  }
+
+  it('should serialize the name, message, code and custom properties', function () {
+    var err = new Error('build failed');
+    err.name = 'BuildError';
+    err.code = 'E_BUILD';
+    err.project = 'p1';
+
+    errors.serialize(err).should.eql({
+      formatVersion: errors.FORMAT_VERSION,
+      name: 'BuildError',
+      message: 'build failed',
+      code: 'E_BUILD',
+      project: 'p1',
+    });
+  });
+
+  it('should serialize circular and BigInt properties into encodable values', function () {
+    var err = new Error('request failed');
+    err.request = { url: 'http://example.com', size: BigInt(10) };
+    err.request.self = err.request;
+    err.request.error = err;
+    err.retry = function () {};
+
+    var data = errors.serialize(err);
+
+    data.request.should.eql({
+      url: 'http://example.com',
+      size: '10',
+      self: '[Circular]',
+      error: '[Circular]',
+    });
+    should(data.retry).eql(undefined);
+
+    JSON.stringify(data).should.be.a.String();
+  });
+
+  it('should serialize the properties returned by the error\'s toJSON', function () {
+    errors.serialize(new errors.UnknownTask('deploy')).should.eql({
+      formatVersion: errors.FORMAT_VERSION,
+      name: 'UnknownTask',
+      taskName: 'deploy',
+      message: 'unknown task deploy',
+      retryable: false,
+    });
+  });
+
+  it('should serialize the retryable or fatal flag', function () {
+    var retryable = new Error('network blip');
+    retryable.retryable = true;
+
+    var fatal = new Error('disk full');
+    fatal.fatal = true;
+
+    errors.serialize(retryable).retryable.should.eql(true);
+    errors.serialize(fatal).retryable.should.eql(false);
+    should(errors.serialize(new Error('unknown')).retryable).eql(undefined);
+  });
+
+  it('should serialize the stack only if asked to', function () {
+    var err = new Error('build failed');
+
+    should(errors.serialize(err).stack).eql(undefined);
+    errors.serialize(err, { stack: true }).stack.should.eql(err.stack);
+  });
+
+  it('should serialize and rehydrate cause chains', function () {
+    var root = new Error('connection refused');
+    root.code = 'ECONNREFUSED';
+
+    var err = new errors.NotConnected('not connected');
+    err.cause = root;
+
+    var rehydrated = roundTrip(err);
+
+    rehydrated.should.be.instanceof(errors.NotConnected);
+    rehydrated.cause.should.be.instanceof(Error);
+    rehydrated.cause.message.should.eql('connection refused');
+    rehydrated.cause.code.should.eql('ECONNREFUSED');
+  });
+
+  it('should stop serializing circular cause chains', function () {
+    var err = new Error('a');
+    err.cause = err;
+
+    var depth = 0;
+    var data = errors.serialize(err);
+
+    while (data.cause) {
+      depth += 1;
+      data = data.cause;
+    }
+
+    depth.should.eql(10);
+  });
+
+  it('should rehydrate built-in errors as instances of their class', function () {
+    var rehydrated = roundTrip(new errors.InvalidOption('target', 'required', 'target is required'));
+
+    rehydrated.should.be.instanceof(errors.InvalidOption);
+    rehydrated.should.be.instanceof(errors.HWorkerError);
+    rehydrated.should.be.instanceof(Error);
+    rehydrated.name.should.eql('InvalidOption');
+    rehydrated.message.should.eql('target is required');
+    rehydrated.option.should.eql('target');
+    rehydrated.kind.should.eql('required');
+    rehydrated.stack.should.be.a.String();
+
+    roundTrip(new TypeError('not a function')).should.be.instanceof(TypeError);
+  });
+
+  it('should rehydrate errors of registered classes', function () {
+
+    function QuotaExceeded(limit) {
+      errors.HWorkerError.call(this, 'quota of ' + limit + ' exceeded');
+
+      this.limit = limit;
+    }
+    util.inherits(QuotaExceeded, errors.HWorkerError);
+    QuotaExceeded.prototype.name = 'TestQuotaExceeded';
+
+    errors.register(QuotaExceeded);
+
+    errors.lookup('TestQuotaExceeded').should.equal(QuotaExceeded);
+
+    var rehydrated = roundTrip(new QuotaExceeded(10));
+
+    rehydrated.should.be.instanceof(QuotaExceeded);
+    rehydrated.limit.should.eql(10);
+    rehydrated.message.should.eql('quota of 10 exceeded');
+  });
+
+  it('should rehydrate errors of unknown classes and unversioned errors as Errors', function () {
+    var rehydrated = errors.deserialize({ name: 'BuildError', message: 'build failed', code: 'E_BUILD' });
+
+    rehydrated.should.be.instanceof(Error);
+    rehydrated.name.should.eql('BuildError');
+    rehydrated.code.should.eql('E_BUILD');
+
+    errors.deserialize('oops').message.should.eql('oops');
+  });
+
+  it('should not let serialized errors tamper with the prototype chain', function () {
+    var rehydrated = errors.deserialize(JSON.parse(
+      '{"name":"InvalidOption","message":"invalid","option":"timeout",' +
+      '"__proto__":{"injected":true},"constructor":"fake","prototype":{}}'
+    ));
+
+    rehydrated.should.be.instanceof(errors.InvalidOption);
+    rehydrated.should.be.instanceof(Error);
+    rehydrated.option.should.eql('timeout');
+    should(rehydrated.injected).eql(undefined);
+    rehydrated.constructor.should.equal(errors.InvalidOption);
+    Object.keys(rehydrated).should.not.containEql('prototype');
+
+    var unknown = errors.deserialize(JSON.parse('{"name":"BuildError","__proto__":{"injected":true}}'));
+
+    unknown.should.be.instanceof(Error);
+    should(unknown.injected).eql(undefined);
+  });
+
+  it('should keep the remote stack', function () {
+    var err = new Error('build failed');
+
+    roundTrip(err, { stack: true }).stack.should.eql(err.stack);
+  });
+
+  it('should read the reply code of the errors amqplib closes channels with', function () {
+    var channelError = new Error('Channel closed by server: 406 (PRECONDITION-FAILED) with message "..."');
+    channelError.code = 406;
+
+    errors.replyCode(channelError).should.eql(406);
+    errors.replyCode(new Error('Operation failed: QueueDeclare; 405 (RESOURCE-LOCKED) with message "..."'))
+      .should.eql(405);
+    errors.replyCode({ fields: { replyCode: 404, replyText: 'NOT_FOUND' } }).should.eql(404);
+    should(errors.replyCode(new Error('Channel closed'))).eql(undefined);
+  });
+
+  it('should require error classes to be functions', function () {
+    assert.throws(function () {
+      errors.register({});
+    }, errors.InvalidOption);
+  });
+});
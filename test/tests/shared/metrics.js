@@ -0,0 +1,165 @@
+const assert = require('assert');
+const should = require('should');
+const http = require('http');
+
+const metrics = require('../../../shared/metrics');
+
+describe('metrics', function () {
+
+  describe('Registry', function () {
+
+    it('should expose counters without labels from the start', function () {
+      var registry = new metrics.Registry({ worker: 'test' });
+
+      registry.counter('jobs_total', 'Jobs');
+
+      registry.toJSON().should.eql({
+        jobs_total: {
+          type: 'counter',
+          help: 'Jobs',
+          values: [{ labels: { worker: 'test' }, value: 0 }],
+        },
+      });
+    });
+
+    it('should break values down by labels', function () {
+      var registry = new metrics.Registry();
+      var counter = registry.counter('failures_total', 'Failures', ['error']);
+
+      registry.toJSON().failures_total.values.should.eql([]);
+
+      counter.inc({ error: 'TypeError' });
+      counter.inc({ error: 'TypeError' });
+      counter.inc({ error: 'Timeout' }, 3);
+
+      registry.toJSON().failures_total.values.should.eql([
+        { labels: { error: 'TypeError' }, value: 2 },
+        { labels: { error: 'Timeout' }, value: 3 },
+      ]);
+    });
+
+    it('should not allow counters to decrease', function () {
+      var registry = new metrics.Registry();
+      var counter = registry.counter('jobs_total', 'Jobs');
+
+      assert.throws(function () {
+        counter.inc(-1);
+      });
+    });
+
+    it('should not allow metrics to be registered twice', function () {
+      var registry = new metrics.Registry();
+
+      registry.gauge('in_flight', 'In flight');
+
+      assert.throws(function () {
+        registry.gauge('in_flight', 'In flight');
+      });
+    });
+
+    it('should track gauges', function () {
+      var registry = new metrics.Registry();
+      var gauge = registry.gauge('in_flight', 'In flight');
+
+      gauge.inc();
+      gauge.inc();
+      gauge.dec();
+
+      registry.toJSON().in_flight.values[0].value.should.eql(1);
+
+      gauge.set(10);
+
+      registry.toJSON().in_flight.values[0].value.should.eql(10);
+    });
+
+    it('should distribute histogram observations into cumulative buckets', function () {
+      var registry = new metrics.Registry();
+      var histogram = registry.histogram('duration_seconds', 'Duration', [1, 0.1]);
+
+      histogram.observe(0.05);
+      histogram.observe(0.5);
+      histogram.observe(5);
+
+      registry.toJSON().duration_seconds.values.should.eql([{
+        labels: {},
+        buckets: { '0.1': 1, '1': 2, '+Inf': 3 },
+        sum: 5.55,
+        count: 3,
+      }]);
+    });
+  });
+
+  describe('#toPrometheus', function () {
+
+    it('should serialize metrics in the Prometheus text format', function () {
+      var registry = new metrics.Registry({ worker: 'test' });
+
+      registry.counter('failures_total', 'Failures\nby error', ['error'])
+        .inc({ error: 'Say "hi"\\' });
+      registry.histogram('duration_seconds', 'Duration', [0.5, 1])
+        .observe(0.75);
+
+      registry.toPrometheus().should.eql([
+        '# HELP failures_total Failures\\nby error',
+        '# TYPE failures_total counter',
+        'failures_total{worker="test",error="Say \\"hi\\"\\\\"} 1',
+        '# HELP duration_seconds Duration',
+        '# TYPE duration_seconds histogram',
+        'duration_seconds_bucket{worker="test",le="0.5"} 0',
+        'duration_seconds_bucket{worker="test",le="1"} 1',
+        'duration_seconds_bucket{worker="test",le="+Inf"} 1',
+        'duration_seconds_sum{worker="test"} 0.75',
+        'duration_seconds_count{worker="test"} 1',
+        '',
+      ].join('\n'));
+    });
+  });
+
+  describe('#listen', function () {
+
+    function get(server, path) {
+      return new Promise((resolve, reject) => {
+        http.get({
+          host: '127.0.0.1',
+          port: server.address().port,
+          path: path,
+        }, (res) => {
+          var body = '';
+
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => { body += chunk; });
+          res.on('end', () => {
+            resolve({ statusCode: res.statusCode, headers: res.headers, body: body });
+          });
+        })
+        .on('error', reject);
+      });
+    }
+
+    it('should expose the metrics at GET /metrics', function () {
+      var registry = new metrics.Registry();
+
+      registry.counter('jobs_total', 'Jobs').inc();
+
+      return metrics.listen(registry.toPrometheus.bind(registry), 0, '127.0.0.1')
+        .then((server) => {
+          return Promise.all([
+            get(server, '/metrics'),
+            get(server, '/other'),
+          ])
+          .then((responses) => {
+            responses[0].statusCode.should.eql(200);
+            responses[0].headers['content-type'].should.startWith('text/plain');
+            responses[0].body.should.containEql('jobs_total 1');
+
+            responses[1].statusCode.should.eql(404);
+          })
+          .then(() => {
+            return new Promise((resolve) => {
+              server.close(resolve);
+            });
+          });
+        });
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const assert = require('assert');
+const should = require('should');
+
+const schema = require('../../../shared/schema');
+const errors = require('../../../shared/errors');
+
+describe('schema', function () {
+
+  function paths(failures) {
+    return failures.map((failure) => { return failure.path; });
+  }
+
+  it('should accept data that matches the schema', function () {
+    var failures = schema.validate({
+      type: 'object',
+      required: ['name', 'tags'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        count: { type: 'integer', minimum: 0 },
+        tags: { type: 'array', items: { type: 'string' }, uniqueItems: true },
+      },
+      additionalProperties: false,
+    }, {
+      name: 'build',
+      count: 2,
+      tags: ['a', 'b'],
+    });
+
+    failures.should.eql([]);
+  });
+
+  it('should report the JSON pointer of each failing value', function () {
+    var failures = schema.validate({
+      type: 'object',
+      required: ['name', 'target'],
+      properties: {
+        name: { type: 'string' },
+        files: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { path: { type: 'string', pattern: '^/' } },
+          },
+        },
+      },
+      additionalProperties: false,
+    }, {
+      name: 10,
+      files: [{ path: '/ok' }, { path: 'relative' }],
+      extra: true,
+    });
+
+    paths(failures).should.eql(['/target', '/name', '/files/1/path', '/extra']);
+  });
+
+  it('should validate numbers', function () {
+    var numberSchema = {
+      type: 'number',
+      minimum: 0,
+      exclusiveMaximum: 10,
+      multipleOf: 0.5,
+    };
+
+    schema.validate(numberSchema, 9.5).should.eql([]);
+    schema.validate(numberSchema, 10).length.should.eql(1);
+    schema.validate(numberSchema, -1).length.should.eql(1);
+    schema.validate(numberSchema, 1.2).length.should.eql(1);
+    schema.validate({ type: 'integer' }, 1.5).length.should.eql(1);
+  });
+
+  it('should support enum, const and multiple types', function () {
+    schema.validate({ enum: ['a', { b: 1 }] }, { b: 1 }).should.eql([]);
+    schema.validate({ enum: ['a', { b: 1 }] }, 'c').length.should.eql(1);
+    schema.validate({ const: [1, 2] }, [1, 2]).should.eql([]);
+    schema.validate({ type: ['string', 'null'] }, null).should.eql([]);
+    schema.validate({ type: ['string', 'null'] }, 1).length.should.eql(1);
+  });
+
+  it('should support combinators and conditionals', function () {
+    var combined = {
+      anyOf: [{ type: 'string' }, { type: 'number' }],
+      not: { const: 0 },
+    };
+
+    schema.validate(combined, 'a').should.eql([]);
+    schema.validate(combined, 0).length.should.eql(1);
+    schema.validate(combined, true).length.should.eql(1);
+
+    var exclusive = { oneOf: [{ minimum: 0 }, { maximum: 10 }] };
+
+    schema.validate(exclusive, 20).should.eql([]);
+    schema.validate(exclusive, 5).length.should.eql(1);
+
+    var conditional = {
+      if: { properties: { kind: { const: 'file' } } },
+      then: { required: ['path'] },
+      else: { required: ['url'] },
+    };
+
+    schema.validate(conditional, { kind: 'file', path: '/a' }).should.eql([]);
+    paths(schema.validate(conditional, { kind: 'file' })).should.eql(['/path']);
+    paths(schema.validate(conditional, { kind: 'remote' })).should.eql(['/url']);
+  });
+
+  it('should resolve local $refs', function () {
+    var treeSchema = {
+      definitions: {
+        node: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string' },
+            children: { type: 'array', items: { $ref: '#/definitions/node' } },
+          },
+        },
+      },
+      $ref: '#/definitions/node',
+    };
+
+    schema.validate(treeSchema, {
+      name: 'root',
+      children: [{ name: 'a', children: [{ name: 'b' }] }],
+    }).should.eql([]);
+
+    paths(schema.validate(treeSchema, {
+      name: 'root',
+      children: [{ name: 'a', children: [{}] }],
+    })).should.eql(['/children/0/children/0/name']);
+  });
+
+  it('should escape `~` and `/` in property names', function () {
+    paths(schema.validate({
+      properties: { 'a/b~c': { type: 'string' } },
+    }, { 'a/b~c': 1 })).should.eql(['/a~1b~0c']);
+  });
+
+  it('should throw ValidationFailed listing the failures on assertValid', function () {
+    try {
+      schema.assertValid({ required: ['name'] }, {});
+    } catch (err) {
+      err.should.be.instanceof(errors.ValidationFailed);
+      err.failures.should.eql([{ path: '/name', message: 'is required' }]);
+      err.message.should.eql('payload validation failed: /name is required');
+      err.toJSON().name.should.eql('ValidationFailed');
+      return;
+    }
+
+    throw new Error('error expected');
+  });
+});
@@ -0,0 +1,149 @@
+const assert = require('assert');
+const should = require('should');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const stores = require('../../../shared/stores');
+const errors = require('../../../shared/errors');
+
+const aux = require('../../aux');
+
+describe('stores', function () {
+
+  it('should check that stores implement get and set', function () {
+    var store = new stores.MemoryStore();
+
+    stores.assertStore(store, 'resultBackend').should.equal(store);
+
+    assert.throws(function () {
+      stores.assertStore({ get: function () {} }, 'resultBackend');
+    }, errors.InvalidOption);
+  });
+
+  describe('MemoryStore', function () {
+
+    it('should evict the least recently used values', function () {
+
+      var store = new stores.MemoryStore({ max: 2 });
+
+      return store.set('a', { data: 'a' }, 1000)
+        .then(() => {
+          return store.set('b', { data: 'b' }, 1000);
+        })
+        .then(() => {
+          // uses `a`, so that `b` is the least recently used
+          return store.get('a');
+        })
+        .then(() => {
+          return store.set('c', { data: 'c' }, 1000);
+        })
+        .then(() => {
+          return Promise.all(['a', 'b', 'c'].map((key) => {
+            return store.get(key);
+          }));
+        })
+        .then((outcomes) => {
+          outcomes.should.eql([{ data: 'a' }, undefined, { data: 'c' }]);
+        });
+    });
+  });
+
+  describe('FileStore', function () {
+
+    var directory;
+
+    beforeEach(function () {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'hworker-idempotency-'));
+    });
+
+    afterEach(function () {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should store values in files, including Buffers', function () {
+
+      var store = new stores.FileStore(directory);
+
+      return store.set('test:build/p1', {
+        type: 'result:success',
+        data: new Buffer('binary result'),
+      }, 1000)
+      .then(() => {
+        // a new instance, as if after a restart
+        return new stores.FileStore(directory).get('test:build/p1');
+      })
+      .then((outcome) => {
+        outcome.type.should.eql('result:success');
+        Buffer.isBuffer(outcome.data).should.eql(true);
+        outcome.data.toString().should.eql('binary result');
+
+        return store.get('test:build/p2');
+      })
+      .then((outcome) => {
+        should(outcome).eql(undefined);
+      });
+    });
+
+    it('should remove expired values when read', function () {
+
+      var store = new stores.FileStore(directory);
+
+      return store.set('test:build', { type: 'result:success', data: 'ok' }, 10)
+        .then(() => {
+          return aux.wait(20);
+        })
+        .then(() => {
+          return store.get('test:build');
+        })
+        .then((outcome) => {
+          should(outcome).eql(undefined);
+          fs.readdirSync(directory).should.eql([]);
+        });
+    });
+
+    it('should sweep expired values that are never read again on set', function () {
+
+      var store = new stores.FileStore(directory, { sweepInterval: 10 });
+
+      return Promise.all([
+        store.set('test:build/p1', { type: 'result:success', data: 'ok' }, 10),
+        store.set('test:build/p2', { type: 'result:success', data: 'ok' }, 10),
+      ])
+      .then(() => {
+        return aux.wait(20);
+      })
+      .then(() => {
+        return store.set('test:build/p3', { type: 'result:success', data: 'ok' }, 1000);
+      })
+      .then(() => {
+        // the sweep is not waited for by set
+        return aux.wait(50);
+      })
+      .then(() => {
+        fs.readdirSync(directory).should.eql([
+          path.basename(store._filePath('test:build/p3'))
+        ]);
+      });
+    });
+
+    it('should not sweep when sweepInterval is 0', function () {
+
+      var store = new stores.FileStore(directory, { sweepInterval: 0 });
+
+      return store.set('test:build/p1', { type: 'result:success', data: 'ok' }, 10)
+        .then(() => {
+          return aux.wait(20);
+        })
+        .then(() => {
+          return store.set('test:build/p2', { type: 'result:success', data: 'ok' }, 1000);
+        })
+        .then(() => {
+          return aux.wait(20);
+        })
+        .then(() => {
+          fs.readdirSync(directory).length.should.eql(2);
+        });
+    });
+  });
+});
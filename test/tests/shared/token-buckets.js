@@ -0,0 +1,87 @@
+const should = require('should');
+
+const tokenBuckets = require('../../../shared/token-buckets');
+
+const aux = require('../../aux');
+
+describe('token buckets', function () {
+
+  describe('MemoryBucketStore', function () {
+
+    it('should allow bursts up to the limit and then report the wait', function () {
+      var store = new tokenBuckets.MemoryBucketStore();
+
+      return Promise.all([1, 2, 3, 4].map(() => {
+        return store.take('key', 3, 300);
+      }))
+      .then((waits) => {
+        waits.slice(0, 3).should.eql([0, 0, 0]);
+
+        // one token every 100ms
+        waits[3].should.be.above(90);
+        waits[3].should.be.belowOrEqual(100);
+      });
+    });
+
+    it('should refill buckets over time', function () {
+      var store = new tokenBuckets.MemoryBucketStore();
+
+      return store.take('key', 1, 30)
+        .then(() => {
+          return store.take('key', 1, 30);
+        })
+        .then((wait) => {
+          wait.should.be.above(0);
+
+          return aux.wait(40);
+        })
+        .then(() => {
+          return store.take('key', 1, 30);
+        })
+        .then((wait) => {
+          wait.should.eql(0);
+        });
+    });
+
+    it('should keep separate buckets per key', function () {
+      var store = new tokenBuckets.MemoryBucketStore();
+
+      return store.take('tenant-1', 1, 1000)
+        .then(() => {
+          return Promise.all([
+            store.take('tenant-1', 1, 1000),
+            store.take('tenant-2', 1, 1000),
+          ]);
+        })
+        .then((waits) => {
+          waits[0].should.be.above(0);
+          waits[1].should.eql(0);
+        });
+    });
+
+    it('should drop buckets once refilled up to the limit', function () {
+      var store = new tokenBuckets.MemoryBucketStore();
+
+      return Promise.all([
+        store.take('tenant-1', 2, 20),
+        store.take('tenant-2', 2, 1000),
+      ])
+      .then(() => {
+        store.buckets.size.should.eql(2);
+
+        return aux.wait(30);
+      })
+      .then(() => {
+        return store.take('tenant-3', 2, 1000);
+      })
+      .then(() => {
+        Array.from(store.buckets.keys()).should.eql(['tenant-2', 'tenant-3']);
+
+        return store.take('tenant-1', 2, 20);
+      })
+      .then((wait) => {
+        wait.should.eql(0);
+      });
+    });
+  });
+});
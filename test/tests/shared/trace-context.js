@@ -0,0 +1,74 @@
+const assert = require('assert');
+const should = require('should');
+
+const traceContext = require('../../../shared/trace-context');
+
+describe('traceContext', function () {
+
+  var TRACEPARENT = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+
+  it('should parse valid traceparent headers', function () {
+    traceContext.parse(TRACEPARENT, 'congo=t61rcWkgMzE').should.eql({
+      traceId: '0af7651916cd43dd8448eb211c80319c',
+      spanId: 'b7ad6b7169203331',
+      flags: '01',
+      tracestate: 'congo=t61rcWkgMzE',
+    });
+  });
+
+  it('should reject invalid traceparent headers', function () {
+    should(traceContext.parse(undefined)).eql(null);
+    should(traceContext.parse('not-a-traceparent')).eql(null);
+    // uppercase
+    should(traceContext.parse(TRACEPARENT.toUpperCase())).eql(null);
+    // invalid version
+    should(traceContext.parse('ff' + TRACEPARENT.slice(2))).eql(null);
+    // all-zero ids
+    should(traceContext.parse('00-00000000000000000000000000000000-b7ad6b7169203331-01')).eql(null);
+    should(traceContext.parse('00-0af7651916cd43dd8448eb211c80319c-0000000000000000-01')).eql(null);
+    // version 00 does not allow extra fields
+    should(traceContext.parse(TRACEPARENT + '-extra')).eql(null);
+  });
+
+  it('should accept extra fields of future versions', function () {
+    traceContext.parse('01' + TRACEPARENT.slice(2) + '-extra').traceId
+      .should.eql('0af7651916cd43dd8448eb211c80319c');
+  });
+
+  it('should format trace contexts as version 00 traceparent headers', function () {
+    traceContext.format(traceContext.parse(TRACEPARENT)).should.eql(TRACEPARENT);
+  });
+
+  it('should generate sampled root contexts', function () {
+    var context = traceContext.generate();
+
+    context.traceId.should.match(/^[0-9a-f]{32}$/);
+    context.spanId.should.match(/^[0-9a-f]{16}$/);
+    context.flags.should.eql('01');
+
+    traceContext.parse(traceContext.format(context)).should.not.eql(null);
+  });
+
+  it('should create child contexts within the same trace', function () {
+    var parent = traceContext.parse(TRACEPARENT, 'congo=t61rcWkgMzE');
+    var child = traceContext.child(parent);
+
+    child.traceId.should.eql(parent.traceId);
+    child.parentSpanId.should.eql(parent.spanId);
+    child.spanId.should.not.eql(parent.spanId);
+    child.flags.should.eql(parent.flags);
+    child.tracestate.should.eql(parent.tracestate);
+  });
+
+  it('should inject and extract trace context headers', function () {
+    var headers = traceContext.inject({ other: 'value' }, traceContext.parse(TRACEPARENT, 'a=b'));
+
+    headers.should.eql({
+      other: 'value',
+      traceparent: TRACEPARENT,
+      tracestate: 'a=b',
+    });
+
+    traceContext.extract(headers).should.eql(traceContext.parse(TRACEPARENT, 'a=b'));
+  });
+});